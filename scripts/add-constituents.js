@@ -3,10 +3,20 @@ const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const { normalizeError, InsufficientRoleError, PausedError } = require("../utilities/errors");
+// Hardhat may provide ethers v5 or v6; version-specific calls go through these helpers
+const { ethers: ethersV5 } = require("../utilities/ethers-v5");
+const {
+  getContractAddress,
+  estimateContractGas,
+  getTransactionHash,
+  parseReceiptEvents,
+  toBigNumber
+} = require("../utilities/provider-adapter");
 
 /**
  * Adds a constituent to the AIEngine contract with enhanced validation and error handling.
- * @param {ethers.Contract} aiEngine - Deployed AIEngine contract instance
+ * @param {ethers.Contract} aiEngine - Deployed AIEngine contract instance (ethers v5 or v6)
  * @param {string} assetAddress - Address of the asset to add (e.g., WETH)
  * @param {string} priceFeedAddress - Chainlink price feed address for the asset
  * @param {ethers.Signer} signer - Signer with AI_ADMIN_ROLE
@@ -20,24 +30,25 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
   console.log(`\n====== Processing ${assetAddress} ======`);
   
   // Validate inputs
-  if (!ethers.utils.isAddress(assetAddress) || assetAddress === ethers.constants.AddressZero) {
+  if (!ethersV5.utils.isAddress(assetAddress) || assetAddress === ethersV5.constants.AddressZero) {
     throw new Error("Invalid asset address");
   }
-  if (!ethers.utils.isAddress(priceFeedAddress) || priceFeedAddress === ethers.constants.AddressZero) {
+  if (!ethersV5.utils.isAddress(priceFeedAddress) || priceFeedAddress === ethersV5.constants.AddressZero) {
     throw new Error("Invalid price feed address");
   }
 
   // Check if signer has AI_ADMIN_ROLE
+  const signerAddress = await signer.getAddress();
   const AI_ADMIN_ROLE = await aiEngine.AI_ADMIN_ROLE();
-  const hasAdminRole = await aiEngine.hasRole(AI_ADMIN_ROLE, signer.address);
+  const hasAdminRole = await aiEngine.hasRole(AI_ADMIN_ROLE, signerAddress);
   if (!hasAdminRole) {
-    throw new Error(`Signer ${signer.address} lacks AI_ADMIN_ROLE. Please grant role first.`);
+    throw new InsufficientRoleError(`Signer ${signerAddress} lacks AI_ADMIN_ROLE. Please grant role first.`);
   }
 
   // Check if contract is paused
   const isPaused = await aiEngine.paused();
   if (isPaused) {
-    throw new Error("Contract is paused. Please unpause before adding constituents.");
+    throw new PausedError("Contract is paused. Please unpause before adding constituents.");
   }
 
   // Check if asset is already active
@@ -49,12 +60,12 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
 
   // Check if this asset has a balance in the contract
   const assetContract = await ethers.getContractAt("IERC20", assetAddress);
-  const balance = await assetContract.balanceOf(aiEngine.address);
+  const balance = toBigNumber(await assetContract.balanceOf(getContractAddress(aiEngine)));
   
-  if (balance.eq(0)) {
+  if (balance.isZero()) {
     console.log(`WARNING: AIEngine has zero balance of asset ${assetAddress}`);
   } else {
-    console.log(`Contract has ${ethers.utils.formatUnits(balance, 18)} tokens of ${assetAddress}`);
+    console.log(`Contract has ${ethersV5.utils.formatUnits(balance, 18)} tokens of ${assetAddress}`);
   }
 
   // If dry run mode, don't execute transaction
@@ -73,8 +84,8 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
       console.log(`Attempt ${attempts}/${maxRetries}: Adding constituent ${assetAddress}`);
       
       // Estimate gas dynamically
-      const gasEstimate = await aiEngine.estimateGas.addConstituent(assetAddress, priceFeedAddress);
-      const gasLimit = Math.ceil(Number(gasEstimate) * gasMultiplier);
+      const gasEstimate = await estimateContractGas(aiEngine, "addConstituent", [assetAddress, priceFeedAddress]);
+      const gasLimit = Math.ceil(gasEstimate.toNumber() * gasMultiplier);
       
       console.log(`Estimated gas: ${gasEstimate.toString()}, Using limit: ${gasLimit}`);
       
@@ -95,14 +106,14 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
       
       console.log(`Successfully added constituent ${assetAddress}`);
       console.log(`Transaction details:`);
-      console.log(`   - Hash: ${receipt.transactionHash}`);
+      console.log(`   - Hash: ${getTransactionHash(receipt)}`);
       console.log(`   - Block: ${receipt.blockNumber}`);
       console.log(`   - Gas used: ${receipt.gasUsed.toString()}`);
       console.log(`   - Active constituent count: ${activeCount}`);
       console.log(`   - Price feed: ${currentPriceFeed}`);
       
       // Log any events
-      const events = receipt.events?.filter(e => e.event === "ConstituentAdded") || [];
+      const events = parseReceiptEvents(receipt, aiEngine.interface).filter(e => e.name === "ConstituentAdded");
       if (events.length > 0) {
         console.log(`Events emitted: ${events.length} ConstituentAdded events`);
       }
@@ -114,17 +125,14 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
         attempts
       };
     } catch (error) {
-      lastError = error;
-      
-      // Check if error is potentially recoverable
-      const errorMessage = error.message.toLowerCase();
-      const isNonceError = errorMessage.includes("nonce") || errorMessage.includes("replacement");
-      const isGasError = errorMessage.includes("gas") || errorMessage.includes("underpriced");
-      const isTimeoutError = errorMessage.includes("timeout") || errorMessage.includes("network");
+      // Decode reverts against the AIEngine ABI and classify nonce, fee and network failures
+      lastError = normalizeError(error, `Failed to add constituent ${assetAddress}`, {
+        interfaces: [aiEngine.interface]
+      });
       
-      if (isNonceError || isGasError || isTimeoutError) {
+      if (lastError.retryable) {
         console.log(`Recoverable error on attempt ${attempts}. Retrying...`);
-        console.log(`   Error: ${error.message}`);
+        console.log(`   Error (${lastError.name}): ${lastError.message}`);
         
         // Wait with exponential backoff before retrying
         const backoffMs = Math.min(1000 * (2 ** (attempts - 1)), 30000);
@@ -132,8 +140,8 @@ async function addConstituent(aiEngine, assetAddress, priceFeedAddress, signer,
         await new Promise(resolve => setTimeout(resolve, backoffMs));
       } else {
         // Non-recoverable error
-        console.error(`Fatal error adding constituent ${assetAddress}:`, error.message);
-        throw error;
+        console.error(`Fatal error adding constituent ${assetAddress} (${lastError.name}):`, lastError.message);
+        throw lastError;
       }
     }
   }
@@ -176,7 +184,8 @@ async function main() {
     // Get admin signer
     const [admin] = await ethers.getSigners();
     console.log(`Using admin account: ${admin.address}`);
-    console.log(`Admin balance: ${ethers.utils.formatEther(await admin.getBalance())} ETH`);
+    const adminBalance = toBigNumber(await ethers.provider.getBalance(admin.address));
+    console.log(`Admin balance: ${ethersV5.utils.formatEther(adminBalance)} ETH`);
     
     // Check if admin has the required role
     const AI_ADMIN_ROLE = await aiEngine.AI_ADMIN_ROLE();
@@ -264,11 +273,11 @@ async function main() {
         if (result.skipped) {
           results.skipped.push({ constituent, reason: result.reason });
         } else {
-          results.successful.push({ constituent, txHash: result.receipt?.transactionHash });
+          results.successful.push({ constituent, txHash: result.receipt && getTransactionHash(result.receipt) });
         }
       } catch (error) {
         console.error(`Error processing ${constituent.name || constituent.address}: ${error.message}`);
-        results.failed.push({ constituent, error: error.message });
+        results.failed.push({ constituent, error: error.message, code: error.code });
       }
     }
     
@@ -305,7 +314,7 @@ async function main() {
     fs.writeFileSync(logFilePath, JSON.stringify({
       timestamp,
       network: network.name,
-      chainId: network.chainId,
+      chainId: Number(network.chainId), // bigint on ethers v6
       aiEngine: DEPLOYED_ENGINE_ADDRESS,
       admin: admin.address,
       isDryRun,
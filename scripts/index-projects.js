@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+const fs = require("fs");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+/**
+ * Indexes TerraStakeProjects events into a JSON Lines file for dashboards.
+ * Progress is checkpointed, so the script can be stopped and restarted at any time;
+ * events are appended before their block range is checkpointed (at-least-once delivery,
+ * deduplicate on transactionHash + logIndex downstream).
+ *
+ * Usage:
+ *   node scripts/index-projects.js --network=arbitrumOne --out=project-events.jsonl
+ *     [--checkpoint=indexer-checkpoint.json] [--start-block=0] [--once]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split("=")[1] || fallback;
+
+  const networkName = getArg("network", "arbitrumTestnet");
+  const outPath = getArg("out", "project-events.jsonl");
+  const checkpointPath = getArg("checkpoint", process.env.TERRASTAKE_INDEXER_CHECKPOINT || "indexer-checkpoint.json");
+  const startBlock = parseInt(getArg("start-block", process.env.TERRASTAKE_INDEXER_START_BLOCK || "0"), 10);
+  const follow = !args.includes("--once");
+
+  console.log("Indexing TerraStakeProjects events");
+  console.log(`Network: ${networkName}`);
+  console.log(`Output: ${outPath}`);
+  console.log(`Checkpoint: ${checkpointPath}`);
+
+  const service = new TerraStakeService(networkName);
+  const indexer = await service.createIndexer({
+    checkpointPath,
+    startBlock,
+    onEvent: async (record) => {
+      await fs.promises.appendFile(outPath, JSON.stringify(record) + "\n");
+    }
+  });
+
+  indexer.on("checkpoint", (checkpoint) => {
+    console.log(`Checkpoint: block ${checkpoint.lastBlock}`);
+  });
+  indexer.on("error", (error) => {
+    console.error("Indexer error:", error.message);
+  });
+
+  const shutdown = async () => {
+    console.log("\nStopping indexer...");
+    await indexer.stop();
+    service.cleanup();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  const checkpoint = await indexer.start({ follow });
+  console.log(`Backfill complete at block ${checkpoint ? checkpoint.lastBlock : "n/a"}`);
+
+  if (!follow) {
+    service.cleanup();
+    process.exit(0);
+  }
+  console.log("Following chain head (Ctrl+C to stop)");
+}
+
+// Execute the script
+main().catch((error) => {
+  console.error("\nFATAL ERROR:", error);
+  process.exit(1);
+});
@@ -1,4 +1,12 @@
-const { ethers } = require('ethers');
+const { ethers } = require('../utilities/ethers-v5');
+const { adaptProvider, parseReceiptEvents, toBigNumber } = require('../utilities/provider-adapter');
+
+// TerraStakeNFT functions and events used by the helpers below
+const TERRASTAKE_NFT_ABI = [
+  'function mintImpactNFT(address to, uint256 projectId, string _uri, bytes32 reportHash) returns (uint256)',
+  'function verifyImpactCertificate(uint256 tokenId, uint256 impactValue, string impactType, string location)',
+  'event TokenMinted(uint256 indexed tokenId, address indexed to, uint8 nftType, uint8 category)'
+];
 
 /**
  * @notice Creates a deterministic hash of an environmental impact report
@@ -58,9 +66,25 @@ function verifyImpactReportHash(impactData, claimedHash) {
   }
 }
 
+/**
+ * @notice Connects to a TerraStakeNFT contract through any supported provider
+ * @param {string} address - TerraStakeNFT address
+ * @param {Object} provider - ethers v5/v6 provider or signer, EIP-1193 provider or viem client
+ * @param {Array} [abi] - Contract ABI (defaults to the functions used by the helpers below)
+ * @returns {ethers.Contract} - ethers v5 contract, connected to the signer when one is available
+ */
+function connectTerraStakeNFT(address, provider, abi = TERRASTAKE_NFT_ABI) {
+  const adapted = adaptProvider(provider);
+  let signerOrProvider = adapted.signer || adapted.provider;
+  if (!adapted.signer && typeof adapted.provider.getSigner === 'function') {
+    signerOrProvider = adapted.provider.getSigner();
+  }
+  return new ethers.Contract(address, abi, signerOrProvider);
+}
+
 /**
  * @notice Integrates with TerraStakeNFT contract to mint an impact NFT
- * @param {Object} terraStakeNFT - The contract instance
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
  * @param {Object} impactData - The impact report data
  * @param {string} uri - The IPFS URI for the full report
  * @param {Object} options - Transaction options
@@ -68,21 +92,23 @@ function verifyImpactReportHash(impactData, claimedHash) {
  */
 async function mintImpactNFT(terraStakeNFT, impactData, uri, options = {}) {
   const reportHash = generateImpactReportHash(impactData);
+  const { recipient, ...overrides } = options;
   
   // Call the mintImpactNFT function on the contract
   const tx = await terraStakeNFT.mintImpactNFT(
-    options.recipient || impactData.recipient, 
+    recipient || impactData.recipient, 
     impactData.projectId,
     uri,
     reportHash,
-    options
+    overrides
   );
   
   const receipt = await tx.wait();
   
-  // Extract the tokenId from the event
-  const mintEvent = receipt.events.find(e => e.event === 'TokenMinted');
-  const tokenId = mintEvent.args.tokenId;
+  // Extract the tokenId from the event; v6 receipts carry raw logs only
+  const mintEvent = parseReceiptEvents(receipt, terraStakeNFT.interface).find(e => e.name === 'TokenMinted');
+  if (!mintEvent) throw new Error('TokenMinted event not found in receipt');
+  const tokenId = toBigNumber(mintEvent.args.tokenId);
   
   return {
     receipt,
@@ -93,18 +119,18 @@ async function mintImpactNFT(terraStakeNFT, impactData, uri, options = {}) {
 
 /**
  * @notice Prepares verification data for an impact certificate
- * @param {Object} terraStakeNFT - The contract instance 
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
  * @param {number} tokenId - The token ID to verify
  * @param {Object} impactData - The verified impact data
  * @returns {Promise<Object>} - Transaction receipt
  */
 async function verifyImpactCertificate(terraStakeNFT, tokenId, impactData, options = {}) {
-  // Convert impact value to contract format
-  const impactValue = ethers.BigNumber.from(String(impactData.impactValue));
+  // Convert impact value to contract format; a decimal string works with both ethers versions
+  const impactValue = toBigNumber(String(impactData.impactValue)).toString();
   
   // Call the verifyImpactCertificate function
   const tx = await terraStakeNFT.verifyImpactCertificate(
-    tokenId,
+    toBigNumber(tokenId).toString(),
     impactValue,
     impactData.impactType,
     impactData.location,
@@ -115,6 +141,8 @@ async function verifyImpactCertificate(terraStakeNFT, tokenId, impactData, optio
 }
 
 module.exports = {
+  TERRASTAKE_NFT_ABI,
+  connectTerraStakeNFT,
   generateImpactReportHash,
   verifyImpactReportHash,
   mintImpactNFT,
@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+const fs = require("fs");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+const { FileCidIndex, rebuildCidIndex } = require("../utilities/cid-index");
+
+/**
+ * Read candidate CIDs from a pin list file (JSON array or one CID per line)
+ * @param {string} pinsPath - Path to the pin list
+ * @returns {string[]} CIDs
+ */
+function readPinList(pinsPath) {
+  const content = fs.readFileSync(pinsPath, "utf8").trim();
+  if (content.startsWith("[")) {
+    return JSON.parse(content);
+  }
+  return content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+}
+
+/**
+ * Rebuilds the local CID index so projects created with keccak-hashed metadata
+ * can be resolved by TerraStakeService.getProjectDetails.
+ *
+ * Usage:
+ *   node scripts/rebuild-cid-index.js --network=arbitrumOne --index=./ipfs_cache/cid-index.json
+ *     [--pins=pins.txt] [--from-block=0] [--to-block=latest] [--page-size=10000]
+ *
+ * Without --pins the pin list of the configured storage backend is used.
+ */
+async function main() {
+  try {
+    const args = process.argv.slice(2);
+    const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split("=")[1] || fallback;
+
+    const networkName = getArg("network", "arbitrumTestnet");
+    const indexPath = getArg("index", process.env.TERRASTAKE_CID_INDEX || "./ipfs_cache/cid-index.json");
+    const pinsPath = getArg("pins");
+    const fromBlock = parseInt(getArg("from-block", "0"), 10);
+    const toBlockArg = getArg("to-block", "latest");
+    const pageSize = parseInt(getArg("page-size", "10000"), 10);
+
+    console.log("Rebuilding TerraStake CID index");
+    console.log(`Network: ${networkName}`);
+    console.log(`Index: ${indexPath}`);
+
+    const index = new FileCidIndex({ path: indexPath });
+    console.log(`Loaded ${index.size} existing index entries`);
+
+    const service = new TerraStakeService(networkName, { cidRegistry: index });
+    await service.initialize();
+
+    const pins = pinsPath ? readPinList(pinsPath) : service.storage.listPins();
+    console.log(`Pin source: ${pinsPath || `${service.storage.name} storage`}`);
+
+    const summary = await rebuildCidIndex({
+      contract: service.contract,
+      index,
+      pins,
+      fromBlock,
+      toBlock: toBlockArg === "latest" ? undefined : parseInt(toBlockArg, 10),
+      pageSize,
+      onProgress: (block, toBlock) => process.stdout.write(`\r   Processed block ${block}/${toBlock}`)
+    });
+    // Fold the entries appended during the rebuild into the index file
+    await index.save();
+
+    console.log("\n\n====== Summary ======");
+    console.log(`Candidate pins: ${summary.pins}`);
+    console.log(`Matched: ${summary.matched.length}`);
+    console.log(`Unmatched: ${summary.unmatched.length}`);
+    console.log(`Index entries: ${index.size}`);
+
+    if (summary.unmatched.length > 0) {
+      console.log("\nOn-chain hashes without a matching pin:");
+      summary.unmatched.forEach(item => {
+        console.log(`   - ${item.hash} (${item.source}, project ${item.projectId}, block ${item.blockNumber})`);
+      });
+    }
+
+    service.cleanup();
+  } catch (error) {
+    console.error("\nFATAL ERROR:", error);
+    process.exit(1);
+  }
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MemoryCacheStore,
+  FileCacheStore,
+  RedisCacheStore,
+  LocalRedisClient,
+  createCacheStore
+} = require("../utilities/cache-stores");
+
+describe("Cache stores", function () {
+  let directory;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-cache-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const stores = {
+    memory: () => new MemoryCacheStore(),
+    file: () => new FileCacheStore({ path: path.join(directory, "cache.json") }),
+    redis: () => new RedisCacheStore({ client: new LocalRedisClient() })
+  };
+
+  for (const [name, createStore] of Object.entries(stores)) {
+    describe(name, function () {
+      it("should round-trip values and delete by prefix", async function () {
+        const store = createStore();
+        await store.set("project:1", { name: "Mangroves" });
+        await store.set("projectDetails:1:000", { id: 1 });
+        await store.set("projectDetails:12:000", { id: 12 });
+
+        expect(await store.get("project:1")).to.deep.equal({ name: "Mangroves" });
+        expect(await store.deletePrefix("projectDetails:1:")).to.equal(1);
+        expect(await store.keys("projectDetails:")).to.deep.equal(["projectDetails:12:000"]);
+      });
+
+      it("should expire entries after their ttl", async function () {
+        const store = createStore();
+        await store.set("stakes:0xabc", [1], { ttl: 1 });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(await store.get("stakes:0xabc")).to.equal(null);
+      });
+    });
+  }
+
+  it("should evict the least recently used memory entry", async function () {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set("a", 1);
+    await store.set("b", 2);
+    await store.get("a");
+    await store.set("c", 3);
+
+    expect(await store.get("b")).to.equal(null);
+    expect(await store.get("a")).to.equal(1);
+  });
+
+  it("should page through Redis keys with SCAN and connect closed clients first", async function () {
+    const client = new LocalRedisClient();
+    client.isOpen = false;
+    client.connect = async () => { client.isOpen = true; };
+    client.keys = async () => { throw new Error("KEYS blocks the server"); };
+    const store = createCacheStore({ store: "redis", client });
+    store.scanCount = 3;
+
+    for (let i = 0; i < 8; i++) await store.set(`projectDetails:1:00${i}`, { i });
+    await store.set("project:1", { name: "Mangroves" });
+
+    expect(client.isOpen).to.equal(true);
+    expect(await store.keys("projectDetails:1:")).to.have.length(8);
+    expect(await store.deletePrefix("projectDetails:1:")).to.equal(8);
+    expect(await store.keys("")).to.deep.equal(["project:1"]);
+  });
+
+  it("should refuse a redis store without a client or URL", function () {
+    expect(() => createCacheStore({ store: "redis" })).to.throw("TERRASTAKE_REDIS_URL");
+  });
+
+  it("should reload a file store from disk", async function () {
+    const cachePath = path.join(directory, "cache.json");
+    await new FileCacheStore({ path: cachePath }).set("project:7", { totalStaked: 5 });
+
+    expect(await new FileCacheStore({ path: cachePath }).get("project:7")).to.deep.equal({ totalStaked: 5 });
+  });
+});
@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  CODECS,
+  parseCid,
+  formatCid,
+  computeCid,
+  keccakCid,
+  cidToBytes32,
+  bytes32ToCid,
+  MemoryCidRegistry
+} = require("../utilities/cid-codec");
+
+describe("CID codec", function () {
+  // The same dag-pb node addressed as CIDv0 and CIDv1
+  const CID_V0 = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+  const CID_V1 = "bafybeie5nqv6kd3qnfjupgvz34woh3oksc3iau6abmyajn7qvtf6d2ho34";
+
+  describe("parseCid / formatCid", function () {
+    it("should parse CIDv0 and CIDv1 to the same digest", function () {
+      const v0 = parseCid(CID_V0);
+      const v1 = parseCid(CID_V1);
+      expect(v0.codec).to.equal(CODECS.DAG_PB);
+      expect(v1.codec).to.equal(CODECS.DAG_PB);
+      expect(ethers.utils.hexlify(v0.digest)).to.equal(ethers.utils.hexlify(v1.digest));
+    });
+
+    it("should format parsed CIDs back to their original string", function () {
+      expect(formatCid(parseCid(CID_V0))).to.equal(CID_V0);
+      expect(formatCid(parseCid(CID_V1))).to.equal(CID_V1);
+    });
+
+    it("should reject malformed CIDs", function () {
+      expect(() => parseCid("not-a-cid")).to.throw();
+      expect(() => parseCid("Qm" + "1".repeat(44))).to.throw("Invalid CIDv0");
+    });
+  });
+
+  describe("cidToBytes32 / bytes32ToCid", function () {
+    it("should pack dag-pb CIDs as their digest and restore CIDv0", async function () {
+      const packed = await cidToBytes32(CID_V0);
+      expect(packed).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await cidToBytes32(CID_V1)).to.equal(packed);
+      expect(await bytes32ToCid(packed)).to.equal(CID_V0);
+    });
+
+    it("should fall back to the registry for CIDs that don't fit", async function () {
+      const registry = new MemoryCidRegistry();
+      const rawCid = computeCid(Buffer.from("impact report"));
+
+      const packed = await cidToBytes32(rawCid, { registry });
+      expect(packed).to.equal(keccakCid(rawCid));
+      expect(await bytes32ToCid(packed, { registry })).to.equal(rawCid);
+    });
+
+    it("should refuse non-fitting CIDs without a registry", async function () {
+      const rawCid = computeCid(Buffer.from("impact report"));
+      try {
+        await cidToBytes32(rawCid);
+        expect.fail("expected cidToBytes32 to throw");
+      } catch (error) {
+        expect(error.message).to.contain("no CID registry");
+      }
+    });
+  });
+});
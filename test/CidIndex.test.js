@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("../utilities/ethers-v5");
+const { keccakCid, computeCid } = require("../utilities/cid-codec");
+const { FileCidIndex, rebuildCidIndex } = require("../utilities/cid-index");
+
+describe("CID index", function () {
+  let directory, indexPath;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-index-"));
+    indexPath = path.join(directory, "cid-index.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should persist recorded CIDs under their keccak hash", async function () {
+    const cid = computeCid(Buffer.from("project metadata"));
+    const hash = await new FileCidIndex({ path: indexPath }).record(cid, { projectId: "1" });
+
+    const reopened = new FileCidIndex({ path: indexPath });
+    expect(hash).to.equal(keccakCid(cid));
+    expect(reopened.get(hash)).to.equal(cid);
+    expect(reopened.lookup(hash).projectId).to.equal("1");
+  });
+
+  it("should append entries to a log and compact it once it outgrows the index", async function () {
+    const index = new FileCidIndex({ path: indexPath, compactAfter: 3 });
+    const cids = [1, 2, 3, 4, 5].map(n => computeCid(Buffer.from(`document ${n}`)));
+    for (const cid of cids.slice(0, 2)) await index.record(cid);
+    expect(fs.existsSync(indexPath)).to.equal(false);
+    expect(fs.readFileSync(`${indexPath}.log`, "utf8").trim().split("\n")).to.have.length(2);
+
+    for (const cid of cids.slice(2)) await index.record(cid);
+    expect(Object.keys(JSON.parse(fs.readFileSync(indexPath, "utf8")).entries)).to.have.length(3);
+    expect(fs.readFileSync(`${indexPath}.log`, "utf8").trim().split("\n")).to.have.length(2);
+
+    // A torn final line from a crash is skipped on load
+    fs.appendFileSync(`${indexPath}.log`, '["0xdead", {"ci');
+    const reopened = new FileCidIndex({ path: indexPath });
+    expect(reopened.size).to.equal(5);
+    expect(cids.every(cid => reopened.get(keccakCid(cid)) === cid)).to.equal(true);
+
+    await reopened.save();
+    expect(fs.existsSync(`${indexPath}.log`)).to.equal(false);
+    expect(new FileCidIndex({ path: indexPath }).size).to.equal(5);
+  });
+
+  it("should rebuild from replayed logs and a pin list", async function () {
+    const metadataCid = computeCid(Buffer.from("metadata"));
+    const reportCid = computeCid(Buffer.from("report"));
+    const lostHash = keccakCid("bafkreilost");
+
+    // Minimal stand-in for the TerraStakeProjects contract
+    const contract = {
+      provider: { getBlockNumber: async () => 250 },
+      filters: {
+        ProjectAdded: () => "ProjectAdded",
+        ImpactReportSubmitted: () => "ImpactReportSubmitted"
+      },
+      queryFilter: async (filter, from, to) => {
+        const logs = {
+          ProjectAdded: [
+            { blockNumber: 10, args: { projectId: ethers.BigNumber.from(1) } },
+            { blockNumber: 120, args: { projectId: ethers.BigNumber.from(2) } }
+          ],
+          ImpactReportSubmitted: [
+            { blockNumber: 200, args: { projectId: ethers.BigNumber.from(1), reportHash: keccakCid(reportCid) } }
+          ]
+        };
+        return logs[filter].filter(log => log.blockNumber >= from && log.blockNumber <= to);
+      },
+      getProject: async (projectId) => ({
+        metadataHash: projectId === "1" ? keccakCid(metadataCid) : lostHash
+      })
+    };
+
+    const index = new FileCidIndex({ path: indexPath });
+    const summary = await rebuildCidIndex({
+      contract,
+      index,
+      pins: [metadataCid, reportCid],
+      pageSize: 100
+    });
+
+    expect(summary.matched.map(m => m.cid)).to.deep.equal([metadataCid, reportCid]);
+    expect(summary.unmatched.map(u => u.hash)).to.deep.equal([lostHash]);
+    expect(new FileCidIndex({ path: indexPath }).get(keccakCid(reportCid))).to.equal(reportCid);
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { Readable } = require("stream");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  sniffContentType,
+  isCompatibleType,
+  stripImageMetadata,
+  ContentInspector
+} = require("../utilities/content-validation");
+const { InvalidParametersError } = require("../utilities/errors");
+const { MemoryStorageAdapter, collect } = require("../utilities/storage-adapters");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Content validation", function () {
+  const pdf = Buffer.from("%PDF-1.7\n1 0 obj << /Type /Catalog >> endobj\nstartxref\n9\n%%EOF\n");
+
+  function segment(marker, body) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, body]);
+  }
+
+  function chunk(type, body) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length, 0);
+    header.write(type, 4, "latin1");
+    return Buffer.concat([header, body, Buffer.alloc(4)]);
+  }
+
+  function service() {
+    return new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      contractABI: []
+    });
+  }
+
+  it("should sniff types from magic bytes and accept container aliases", function () {
+    expect(sniffContentType(pdf)).to.equal("application/pdf");
+    expect(sniffContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).to.equal("image/jpeg");
+    expect(sniffContentType(Buffer.from("site,tonnes\nA,12\n"))).to.equal("text/plain");
+    expect(sniffContentType(Buffer.from('{"co2": 12}'))).to.equal("application/json");
+    expect(sniffContentType(Buffer.from([0x00, 0x01, 0x02]))).to.equal(null);
+
+    const docx = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+    expect(isCompatibleType(docx, "application/zip")).to.equal(true);
+    expect(isCompatibleType("text/csv", "text/plain")).to.equal(true);
+    expect(isCompatibleType("image/png", "application/pdf")).to.equal(false);
+    expect(isCompatibleType("application/x-custom", "application/pdf")).to.equal(false);
+    expect(isCompatibleType("application/x-custom", null)).to.equal(true);
+    expect(isCompatibleType("application/pdf", null)).to.equal(false);
+  });
+
+  it("should strip EXIF and XMP from JPEG and PNG images", function () {
+    const scan = Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]);
+    const jpeg = Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      segment(0xe0, Buffer.from("JFIF\0")),
+      segment(0xe1, Buffer.from("Exif\0\0GPSLatitude")),
+      segment(0xdb, Buffer.alloc(4)),
+      scan
+    ]);
+    const cleanJpeg = stripImageMetadata(jpeg, "image/jpeg");
+    expect(cleanJpeg.includes(Buffer.from("GPSLatitude"))).to.equal(false);
+    expect(cleanJpeg.includes(Buffer.from("JFIF"))).to.equal(true);
+    expect(cleanJpeg.subarray(-scan.length).equals(scan)).to.equal(true);
+
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk("IHDR", Buffer.alloc(13)),
+      chunk("eXIf", Buffer.from("GPSLatitude")),
+      chunk("IDAT", Buffer.from("pixels")),
+      chunk("IEND", Buffer.alloc(0))
+    ]);
+    const cleanPng = stripImageMetadata(png, "image/png");
+    expect(cleanPng.includes(Buffer.from("GPSLatitude"))).to.equal(false);
+    expect(cleanPng.length).to.equal(png.length - 23);
+  });
+
+  it("should reject mismatched content before anything is stored", async function () {
+    const uploader = service();
+    let failure;
+    await uploader.uploadToIPFS(Readable.from([pdf]), {
+      metadata: { name: "photo.png" },
+      validation: { type: "image/png" }
+    }).catch(error => { failure = error; });
+
+    expect(failure).to.be.instanceOf(InvalidParametersError);
+    expect(failure.message).to.contain("detected application/pdf");
+    expect(uploader.storage.blocks.size).to.equal(0);
+  });
+
+  it("should check allowed types and size limits against the detected type", async function () {
+    for (const declared of ["image/svg+xml", "video/mp4"]) {
+      const inspector = new ContentInspector({ type: declared, allowedTypes: [declared] });
+      let failure;
+      await collect(inspector.wrap(pdf)).catch(error => { failure = error; });
+      expect(failure).to.be.instanceOf(InvalidParametersError);
+      expect(failure.message).to.contain(`declared type ${declared} (detected application/pdf)`);
+    }
+
+    let disallowed;
+    await collect(new ContentInspector({ allowedTypes: ["image/png"] }).wrap(pdf)).catch(error => { disallowed = error; });
+    expect(disallowed.message).to.contain("Allowed types: image/png");
+
+    // An untyped buffer is accepted for what it is, and limited by what it is
+    const uploader = service();
+    Object.assign(uploader, {
+      isInitialized: true,
+      signer: {},
+      invalidateProject: async () => {},
+      _sendTransaction: async () => ({ transactionHash: "0x" + "12".repeat(32), blockNumber: 1 })
+    });
+    const result = await uploader.uploadProjectDocument(Buffer.from(pdf), 1, { name: "audit.pdf", allowedTypes: ["application/pdf"] });
+    const metadata = JSON.parse((await collect(uploader.storage.cat(`${result.ipfsHash}/metadata.json`))).toString());
+    expect(metadata.detectedType).to.equal("application/pdf");
+
+    uploader.getDocumentSizeLimit = type => (type === "application/pdf" ? 32 : Infinity);
+    let oversized;
+    await uploader.uploadProjectDocument(Buffer.from(pdf), 1, { name: "audit.pdf" }).catch(error => { oversized = error; });
+    expect(oversized.message).to.contain("Maximum size for application/pdf");
+  });
+
+  it("should record digests and run pluggable validators", async function () {
+    const uploader = service();
+    const cid = await uploader.uploadToIPFS(pdf, {
+      metadata: { name: "report.pdf", type: "application/pdf" },
+      validation: { type: "application/pdf" }
+    });
+    const metadata = JSON.parse((await collect(uploader.storage.cat(`${cid}/metadata.json`))).toString());
+    expect(metadata.detectedType).to.equal("application/pdf");
+    expect(metadata.sha256).to.equal(ethers.utils.sha256(pdf));
+
+    // Encrypted uploads are still validated, but publish nothing derived from the plaintext
+    const sealed = await uploader.uploadToIPFS(pdf, {
+      metadata: { name: "title.pdf", type: "application/pdf" },
+      validation: { type: "application/pdf" },
+      recipients: [ethers.Wallet.createRandom().publicKey]
+    });
+    const sealedMetadata = JSON.parse((await collect(uploader.storage.cat(`${sealed}/metadata.json`))).toString());
+    expect(sealedMetadata.encryption).to.be.an("object");
+    expect(sealedMetadata).to.not.have.any.keys("sha256", "detectedType");
+
+    let truncated;
+    await uploader.uploadToIPFS(pdf.subarray(0, 40), { validation: { type: "application/pdf" } })
+      .catch(error => { truncated = error; });
+    expect(truncated.message).to.contain("pdf-structure");
+
+    uploader.addValidator({
+      name: "no-scripts",
+      types: ["application/pdf"],
+      validate: ({ head }) => {
+        if (head.includes(Buffer.from("/JavaScript"))) throw new Error("embedded JavaScript");
+      }
+    });
+    const scripted = Buffer.concat([Buffer.from("%PDF-1.7\n<< /JavaScript (x) >>\n"), pdf.subarray(9)]);
+    let rejected;
+    await uploader.uploadToIPFS(scripted, { validation: { type: "application/pdf" } })
+      .catch(error => { rejected = error; });
+    expect(rejected.message).to.contain("no-scripts validator: embedded JavaScript");
+  });
+});
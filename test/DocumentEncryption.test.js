@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  createEnvelope,
+  encryptContent,
+  decryptContent,
+  deriveEncryptionKey
+} = require("../utilities/document-encryption");
+const { DecryptionError } = require("../utilities/errors");
+const { MemoryStorageAdapter, collect } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Document encryption", function () {
+  const owner = ethers.Wallet.createRandom();
+  const verifier = ethers.Wallet.createRandom();
+  const outsider = ethers.Wallet.createRandom();
+  const plaintext = Buffer.from("Land title #4471, parcel boundaries and owner details. ".repeat(20));
+
+  async function encrypt(recipients) {
+    const envelope = await createEnvelope(recipients, { segmentSize: 256 });
+    return { header: envelope.header, ciphertext: await collect(encryptContent(plaintext, envelope)) };
+  }
+
+  async function failure(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    expect.fail("expected decryption to fail");
+  }
+
+  it("should decrypt for every recipient and nobody else", async function () {
+    const { header, ciphertext } = await encrypt([owner.publicKey, verifier.publicKey]);
+    expect(ciphertext.includes(Buffer.from("Land title"))).to.equal(false);
+
+    for (const reader of [owner, verifier.privateKey]) {
+      expect((await collect(decryptContent(ciphertext, header, reader))).equals(plaintext)).to.equal(true);
+    }
+    expect(await failure(collect(decryptContent(ciphertext, header, outsider)))).to.be.instanceOf(DecryptionError);
+  });
+
+  it("should reject altered or truncated ciphertext", async function () {
+    const { header, ciphertext } = await encrypt([owner.publicKey]);
+
+    const altered = Buffer.from(ciphertext);
+    altered[300] ^= 1;
+    expect(await failure(collect(decryptContent(altered, header, owner)))).to.be.instanceOf(DecryptionError);
+
+    // Dropping whole trailing segments must not yield a shorter valid document
+    const truncated = ciphertext.subarray(0, 2 * (256 + 16));
+    expect(await failure(collect(decryptContent(truncated, header, owner)))).to.be.instanceOf(DecryptionError);
+  });
+
+  it("should derive the same encryption key from a wallet every time", async function () {
+    const first = await deriveEncryptionKey(owner);
+    const second = await deriveEncryptionKey(owner);
+    expect(first.privateKey).to.equal(second.privateKey);
+    expect(first.privateKey).to.not.equal(owner.privateKey);
+  });
+
+  it("should store encrypted documents and decrypt them in project details", async function () {
+    const service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+    const cid = await service.uploadToIPFS(plaintext, {
+      metadata: { name: "title.pdf", type: "application/pdf" },
+      recipients: [owner.publicKey]
+    });
+
+    const stored = await collect(service.storage.cat(`${cid}/data`));
+    expect(stored.includes(Buffer.from("Land title"))).to.equal(false);
+    expect(await failure(service.readDocument(cid))).to.be.instanceOf(DecryptionError);
+    expect((await service.readDocument(cid, { decryptionKey: owner })).content.equals(plaintext)).to.equal(true);
+
+    // Stand-ins for the on-chain project and document list
+    Object.assign(service, {
+      isInitialized: true,
+      _criticalReadContract: () => ({
+        getProject: async () => ({
+          name: "Mangroves",
+          stakingMultiplier: ethers.BigNumber.from(100),
+          totalStaked: ethers.BigNumber.from(0),
+          owner: owner.address,
+          metadataHash: ""
+        })
+      }),
+      contract: { getDocumentCount: async () => ethers.BigNumber.from(1) },
+      multicall: {
+        call: async calls => calls.map(() => ({
+          ipfsHash: cid,
+          uploadedBy: owner.address,
+          uploadBlock: ethers.BigNumber.from(1)
+        }))
+      }
+    });
+
+    const publicView = await service.getProjectDetails(1, { retrieveDocuments: true });
+    expect(publicView.documents[0].encrypted).to.equal(true);
+    expect(publicView.documents[0].content).to.equal(undefined);
+
+    const ownerView = await service.getProjectDetails(1, { retrieveDocuments: true, decryptionKey: owner });
+    expect(ownerView.documents[0].content.equals(plaintext)).to.equal(true);
+
+    const outsiderView = await service.getProjectDetails(1, { retrieveDocuments: true, decryptionKey: outsider });
+    expect(outsiderView.documents[0].decrypted).to.equal(false);
+    expect((await service.cache.get("projectDetails:1:001")).documents[0].content).to.equal(undefined);
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  normalizeError,
+  decodeRevertData,
+  InsufficientRoleError,
+  InvalidProjectStateError,
+  UserRejectedError,
+  NonceError,
+  FeeTooLowError
+} = require("../utilities/errors");
+
+describe("Error decoding", function () {
+  const iface = new ethers.utils.Interface([
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error InvalidStateTransition()"
+  ]);
+
+  it("should decode custom errors nested inside provider errors", function () {
+    const data = iface.encodeErrorResult("AccessControlUnauthorizedAccount", [
+      "0x0000000000000000000000000000000000000001",
+      ethers.constants.HashZero
+    ]);
+    const error = normalizeError(
+      { code: "UNPREDICTABLE_GAS_LIMIT", message: "cannot estimate gas", error: { error: { code: 3, data } } },
+      "Failed to create project"
+    );
+
+    expect(error).to.be.instanceOf(InsufficientRoleError);
+    expect(error.retryable).to.equal(false);
+    expect(error.revert.name).to.equal("AccessControlUnauthorizedAccount");
+    expect(error.message).to.match(/^Failed to create project: execution reverted/);
+  });
+
+  it("should decode errors from a JSON-RPC response body", function () {
+    const body = JSON.stringify({ error: { code: 3, data: iface.encodeErrorResult("InvalidStateTransition", []) } });
+    const error = normalizeError({ code: "SERVER_ERROR", message: "processing response error", body });
+
+    expect(error).to.be.instanceOf(InvalidProjectStateError);
+  });
+
+  it("should decode revert strings and panics", function () {
+    const reason = "0x08c379a0" + ethers.utils.defaultAbiCoder.encode(["string"], ["Pausable: paused"]).slice(2);
+    const panic = "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2);
+
+    expect(decodeRevertData(reason).reason).to.equal("Pausable: paused");
+    expect(decodeRevertData(panic).reason).to.equal("arithmetic overflow or underflow");
+  });
+
+  it("should classify wallet and transport failures", function () {
+    expect(normalizeError({ code: "ACTION_REJECTED", message: "user rejected transaction" }))
+      .to.be.instanceOf(UserRejectedError);
+
+    const nonce = normalizeError(new Error("nonce has already been used"));
+    expect(nonce).to.be.instanceOf(NonceError);
+    expect(nonce.retryable).to.equal(true);
+    expect(normalizeError(new Error("replacement transaction underpriced"))).to.be.instanceOf(FeeTooLowError);
+    expect(normalizeError({ code: "REPLACEMENT_UNDERPRICED", message: "replacement fee too low" }))
+      .to.be.instanceOf(FeeTooLowError);
+    expect(normalizeError(new Error("request timeout")).retryable).to.equal(true);
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const http = require("http");
+const { FailoverProvider } = require("../utilities/failover-provider");
+const { RpcMismatchError } = require("../utilities/errors");
+
+describe("FailoverProvider", function () {
+  const servers = [];
+
+  // Local JSON-RPC endpoint answering from a handler; `down` endpoints return HTTP 500
+  async function endpoint(state) {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        const request = JSON.parse(body);
+        state.calls.push(request);
+        if (state.down) {
+          res.writeHead(500);
+          return res.end("unavailable");
+        }
+        const result = request.method === "eth_blockNumber" ? state.head : state.result;
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: request.id, result }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  function state(overrides = {}) {
+    return { calls: [], head: "0x64", result: "0x01", down: false, ...overrides };
+  }
+
+  afterEach(async function () {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  it("should retry reads on the next endpoint and track failures", async function () {
+    const primary = state({ down: true });
+    const backup = state();
+    const provider = new FailoverProvider([await endpoint(primary), await endpoint(backup)], 31337);
+
+    expect(await provider.send("eth_call", [{}, "latest"])).to.equal("0x01");
+    expect(provider.getHealth()[0].failures).to.equal(1);
+    expect(backup.calls).to.have.length(1);
+  });
+
+  it("should rank lagging endpoints last after a health check", async function () {
+    const lagging = state({ head: "0x10" });
+    const current = state({ head: "0x64", result: "0x02" });
+    const provider = new FailoverProvider([await endpoint(lagging), await endpoint(current)], 31337);
+
+    const health = await provider.checkHealth();
+    expect(health.map(item => item.healthy)).to.deep.equal([false, true]);
+    expect(await provider.send("eth_call", [{}, "latest"])).to.equal("0x02");
+  });
+
+  it("should cross-check reads at a common block", async function () {
+    const first = state({ head: "0x65" });
+    const second = state({ head: "0x64" });
+    const provider = new FailoverProvider([await endpoint(first), await endpoint(second)], 31337);
+
+    expect(await provider.quorumSend("eth_call", [{}, "latest"])).to.equal("0x01");
+    const pinned = first.calls.find(call => call.method === "eth_call").params[1];
+    expect(pinned).to.equal("0x64");
+
+    second.result = "0x02";
+    let mismatch;
+    await provider.quorumSend("eth_call", [{}, "latest"]).catch(error => { mismatch = error; });
+    expect(mismatch).to.be.instanceOf(RpcMismatchError);
+  });
+
+  it("should not resend transactions to a second endpoint", async function () {
+    const primary = state({ down: true });
+    const backup = state();
+    const provider = new FailoverProvider([await endpoint(primary), await endpoint(backup)], 31337);
+
+    let failed;
+    await provider.send("eth_sendRawTransaction", ["0x00"]).catch(error => { failed = error; });
+    expect(failed.code).to.equal("SERVER_ERROR");
+    expect(backup.calls).to.have.length(0);
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { FeeEstimator, NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI } = require("../utilities/fee-estimator");
+
+describe("Fee estimator", function () {
+  const gwei = value => ethers.utils.parseUnits(value, "gwei");
+  const hex = value => ethers.utils.hexValue(gwei(value));
+  const nodeInterface = new ethers.utils.Interface(NODE_INTERFACE_ABI);
+  const account = "0x1111111111111111111111111111111111111111";
+  const target = "0x2222222222222222222222222222222222222222";
+
+  let requests;
+  let calls;
+  let history;
+
+  // Stub node answering the few RPCs the estimator makes
+  const provider = {
+    _isProvider: true,
+    send: async (method, params) => {
+      requests.push([method, params]);
+      if (!history) throw new Error("method eth_feeHistory not found");
+      return history;
+    },
+    getGasPrice: async () => gwei("2"),
+    estimateGas: async () => ethers.BigNumber.from(100000),
+    call: async tx => {
+      calls.push(tx);
+      return nodeInterface.encodeFunctionResult("gasEstimateComponents", [500000, 200000, gwei("0.1"), gwei("30")]);
+    }
+  };
+
+  beforeEach(function () {
+    requests = [];
+    calls = [];
+    history = {
+      oldestBlock: "0x64",
+      baseFeePerGas: [hex("8"), hex("9"), hex("10")],
+      reward: [[hex("3")], [hex("1")], [hex("2")], [hex("5")], [hex("4")]]
+    };
+  });
+
+  it("should take the median reward at the preset percentile and scale the next base fee", async function () {
+    const estimator = new FeeEstimator({ provider });
+
+    const standard = await estimator.getFeeData();
+    expect(requests[0]).to.deep.equal(["eth_feeHistory", ["0x14", "latest", [50]]]);
+    expect(standard.maxPriorityFeePerGas.eq(gwei("3"))).to.equal(true);
+    expect(standard.maxFeePerGas.eq(gwei("15.5"))).to.equal(true);
+    expect(standard).to.not.have.property("baseFeePerGas");
+
+    const fast = await estimator.getFeeData("fast");
+    expect(requests[1][1][2]).to.deep.equal([90]);
+    expect(fast.maxFeePerGas.eq(gwei("23"))).to.equal(true);
+
+    let failure;
+    await estimator.getFeeData("instant").catch(error => { failure = error; });
+    expect(failure.message).to.contain("Unknown fee speed: instant");
+  });
+
+  it("should fall back to the legacy gas price without eth_feeHistory", async function () {
+    history = null;
+    const warn = console.warn;
+    console.warn = () => {};
+    let fees;
+    let estimate;
+    try {
+      const estimator = new FeeEstimator({ provider });
+      fees = await estimator.getFeeData();
+      estimate = await estimator.estimate({ to: target, data: "0x" });
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(Object.keys(fees)).to.deep.equal(["gasPrice"]);
+    expect(fees.gasPrice.eq(gwei("2"))).to.equal(true);
+    expect(estimate).to.include({ gasEstimate: "100000", gasLimit: 130000, l1Gas: "0", l2Gas: "100000", maxPriorityFeePerGas: null });
+    expect(estimate.cost).to.deep.equal({ l1: "0.0", l2: "0.0002", value: "0.0", total: "0.0002", max: "0.00026" });
+    expect(Object.keys(estimate.overrides)).to.deep.equal(["gasPrice", "gasLimit"]);
+    expect(calls).to.have.length(0);
+  });
+
+  it("should split NodeInterface estimates into L1 and L2 costs", async function () {
+    history.baseFeePerGas = [hex("0.1")];
+    history.reward = [[hex("0.01")]];
+    const estimator = new FeeEstimator({ provider, nodeInterface: true });
+
+    const estimate = await estimator.estimate({ from: account, to: target, data: "0x1234", value: ethers.utils.parseEther("0.001") });
+
+    expect(calls[0].to).to.equal(NODE_INTERFACE_ADDRESS);
+    expect(calls[0].from).to.equal(account);
+    const [to, contractCreation, data] = nodeInterface.decodeFunctionData("gasEstimateComponents", calls[0].data);
+    expect([to, contractCreation, data]).to.deep.equal([target, false, "0x1234"]);
+
+    expect(estimate).to.include({
+      gasEstimate: "500000",
+      gasLimit: 650000,
+      l1Gas: "200000",
+      l2Gas: "300000",
+      baseFeePerGas: "0.1",
+      l1BaseFeeEstimate: "30.0",
+      maxFeePerGas: "0.135",
+      maxPriorityFeePerGas: "0.01"
+    });
+    // Priced at base fee + tip (0.11 gwei), below maxFeePerGas
+    expect(estimate.cost).to.deep.equal({
+      l1: "0.000022",
+      l2: "0.000033",
+      value: "0.001",
+      total: "0.001055",
+      max: "0.00108775"
+    });
+    expect(estimate.overrides.gasLimit).to.equal(650000);
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  IMPACT_NFT_ABI,
+  getImpactToken,
+  getTokensByCategory,
+  verifyTokenReport,
+  fractionalize,
+  reassemble,
+  generateImpactReportHash
+} = require("../utilities/impact-nft");
+const { InvalidParametersError } = require("../utilities/errors");
+
+describe("Impact NFT records", function () {
+  const owner = ethers.Wallet.createRandom().address;
+  const report = {
+    projectId: 7,
+    impactValue: 1250,
+    impactType: "tCO2e",
+    location: "Sundarbans",
+    timestamp: "2025-06-01T00:00:00Z"
+  };
+  const reportHash = generateImpactReportHash(report);
+  const iface = new ethers.utils.Interface(IMPACT_NFT_ABI);
+
+  let tokens;
+  let balances;
+  let sent;
+  let nft;
+
+  beforeEach(function () {
+    // Token 1 verified, 2 fractionalized into 3 and 4, 5 retired; values as ethers v6 bigints
+    tokens = {
+      1: { exists: true, uri: "ipfs://bafycert1", verified: true },
+      2: { exists: false, fractions: [3n, 4n] },
+      3: { exists: true, uri: "ipfs://bafycert2/fraction/0", original: 2n },
+      4: { exists: true, uri: "ipfs://bafycert2/fraction/1", original: 2n },
+      5: { exists: false, retired: true }
+    };
+    balances = { 3: 1n, 4: 1n };
+    sent = [];
+
+    const certificate = token => ({
+      projectId: 7n,
+      reportHash: token.original ? ethers.constants.HashZero : reportHash,
+      impactValue: token.verified ? 1250n : 0n,
+      impactType: token.verified ? "tCO2e" : "",
+      verificationDate: token.verified ? 1750000000n : 0n,
+      location: token.verified ? "Sundarbans" : "",
+      verifier: token.verified ? owner : ethers.constants.AddressZero,
+      isVerified: Boolean(token.verified),
+      category: 3n,
+      isLiability: false
+    });
+    const receipt = (name, args) => ({
+      logs: [{ ...iface.encodeEventLog(iface.getEvent(name), args) }]
+    });
+
+    nft = {
+      interface: iface,
+      runner: { getAddress: async () => owner },
+      exists: async id => tokens[id].exists,
+      uri: async id => tokens[id].uri,
+      getTokenMetadata: async id => ({
+        name: `TerraStake Impact Certificate #${id}`,
+        description: "TerraStake Environmental Impact Certificate",
+        creationTime: 1749000000n,
+        uriIsFrozen: false,
+        nftType: 1n,
+        category: 3n
+      }),
+      getImpactCertificate: async id => certificate(tokens[id]),
+      getFractionInfo: async id => (tokens[id].fractions ?
+        { originalTokenId: BigInt(id), fractionCount: 2n, fractionalizer: owner, isActive: true, nftType: 1n, projectId: 7n, reportHash, category: 3n } :
+        { originalTokenId: 0n, fractionCount: 0n, fractionalizer: ethers.constants.AddressZero, isActive: false, nftType: 0n, projectId: 0n, reportHash: ethers.constants.HashZero, category: 0n }),
+      getFractionTokens: async id => tokens[id].fractions || [],
+      getOriginalTokenId: async id => tokens[id].original || 0n,
+      getRetirementDetails: async id => ({
+        isTokenRetired: Boolean(tokens[id].retired),
+        beneficiary: tokens[id].retired ? owner : ethers.constants.AddressZero,
+        retirementDate: tokens[id].retired ? 1751000000n : 0n,
+        reason: tokens[id].retired ? "2025 offset" : ""
+      }),
+      getTokensByCategory: async category => (category === 3 ? [1n, 2n, 5n] : []),
+      balanceOf: async (account, id) => balances[id] || 0n,
+      fractionalize: async (...args) => {
+        sent.push(["fractionalize", ...args]);
+        return { wait: async () => receipt("TokenFractionalized", [1, [6, 7, 8], 3]) };
+      },
+      reassemble: async (...args) => {
+        sent.push(["reassemble", ...args]);
+        return { wait: async () => ({ logs: [] }) };
+      }
+    };
+  });
+
+  it("should decode verified, fraction, fractionalized and retired tokens", async function () {
+    const verified = await getImpactToken(nft, 1);
+    expect(verified.status).to.equal("verified");
+    expect(verified.certificate).to.include({ projectId: "7", impactValue: "1250", category: "Reforestation", verifier: owner });
+    expect(verified.metadata.nftType).to.equal("IMPACT");
+    expect(verified.url).to.equal("https://ipfs.io/ipfs/bafycert1");
+
+    const fraction = await getImpactToken(nft, 3, { gateway: "https://gateway.example/" });
+    expect(fraction.status).to.equal("fraction");
+    expect(fraction.originalTokenId).to.equal("2");
+    expect(fraction.url).to.equal("https://gateway.example/ipfs/bafycert2/fraction/0");
+
+    const original = await getImpactToken(nft, 2);
+    expect(original.status).to.equal("fractionalized");
+    expect(original.fractions).to.deep.equal(["3", "4"]);
+    expect(original.fractionInfo).to.include({ fractionCount: 2, active: true, category: "Reforestation" });
+
+    const retired = await getImpactToken(nft, 5);
+    expect(retired.status).to.equal("retired");
+    expect(retired.retirement).to.deep.equal({ beneficiary: owner, retiredAt: 1751000000, reason: "2025 offset" });
+    expect(retired.certificate).to.equal(null);
+
+    expect(await getTokensByCategory(nft, "Reforestation")).to.deep.equal(["1", "2", "5"]);
+    expect(await verifyTokenReport(nft, 1, report)).to.equal(true);
+    expect(await verifyTokenReport(nft, 1, { ...report, impactValue: 1300 })).to.equal(false);
+  });
+
+  it("should fractionalize and reassemble only when the contract would allow it", async function () {
+    const { fractionIds } = await fractionalize(nft, 1, 3);
+    expect(fractionIds).to.deep.equal(["6", "7", "8"]);
+    expect(sent[0]).to.deep.equal(["fractionalize", "1", 3, {}]);
+
+    let refused;
+    await fractionalize(nft, 2, 3).catch(error => { refused = error; });
+    expect(refused).to.be.instanceOf(InvalidParametersError);
+    expect(refused.message).to.contain("already fractionalized");
+
+    balances[4] = 0n;
+    await reassemble(nft, 2).catch(error => { refused = error; });
+    expect(refused.message).to.contain("fractions 4");
+    expect(sent).to.have.length(1);
+
+    balances[4] = 1n;
+    await reassemble(nft, 2);
+    expect(sent[1]).to.deep.equal(["reassemble", "2", {}]);
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  validateProjectMetadata,
+  validateImpactReport,
+  validateProjectEntry,
+  migrateProjectMetadata
+} = require("../utilities/metadata-schemas");
+const { SchemaValidationError } = require("../utilities/errors");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Metadata schemas", function () {
+  const project = {
+    version: "2.0",
+    name: "Mangrove Restoration",
+    description: "Replanting 40 ha of coastal mangroves",
+    location: "Sundarbans",
+    impactMetrics: "tCO2e sequestered",
+    category: "Reforestation",
+    goals: [{ description: "Sequester carbon", metric: "tCO2e", target: 1200, unit: "t" }],
+    milestones: [{ title: "Nursery built", status: "completed", completedAt: "2026-03-01" }]
+  };
+
+  function failure(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    expect.fail("expected validation to fail");
+  }
+
+  it("should report every invalid field with its path", function () {
+    validateProjectMetadata(project);
+
+    const error = failure(() => validateProjectMetadata({
+      ...project,
+      name: "",
+      contacts: [{ email: "not-an-email" }],
+      milestones: [{ title: "Nursery built", status: "completed" }]
+    }));
+    expect(error).to.be.instanceOf(SchemaValidationError);
+    expect(error.errors.map(entry => entry.path)).to.have.members([
+      "/name",
+      "/contacts/0/email",
+      "/milestones/0/completedAt"
+    ]);
+
+    const goal = validateProjectEntry("goal", { description: "Plant trees", target: 5000 });
+    expect(goal.errors.map(entry => entry.path)).to.deep.equal(["/metric", "/unit"]);
+  });
+
+  it("should check report details against the project category", function () {
+    const report = {
+      version: "2.0",
+      projectId: 1,
+      category: "Reforestation",
+      periodStart: 1700000000,
+      periodEnd: 1702592000,
+      metrics: ["5000"],
+      details: { treesPlanted: 5000, survivalRatePercent: 87 }
+    };
+    validateImpactReport(report);
+
+    const error = failure(() => validateImpactReport({
+      ...report,
+      periodEnd: 1600000000,
+      details: { survivalRatePercent: 140 }
+    }));
+    expect(error.errors.map(entry => entry.path)).to.have.members([
+      "/details/treesPlanted",
+      "/details/survivalRatePercent",
+      "/periodEnd"
+    ]);
+
+    // The same details are fine for a category that does not require tree counts
+    expect(() => validateImpactReport({
+      ...report,
+      category: "Biodiversity",
+      details: { hectaresProtected: 40 }
+    })).to.not.throw();
+  });
+
+  it("should upgrade 1.0 metadata to the current schema", function () {
+    const legacy = {
+      name: "Mangrove Restoration",
+      description: "Replanting 40 ha of coastal mangroves",
+      location: "Sundarbans",
+      impactMetrics: "tCO2e sequestered",
+      category: 3,
+      goals: ["Sequester carbon"],
+      milestones: [{ name: "Nursery built", completed: true, date: "2026-03-01" }, "First planting"]
+    };
+    const migrated = migrateProjectMetadata(legacy);
+
+    expect(migrated.version).to.equal("2.0");
+    expect(migrated.migratedFrom).to.equal("1.0");
+    expect(migrated.goals).to.deep.equal([{ description: "Sequester carbon" }]);
+    expect(migrated.milestones).to.deep.equal([
+      { title: "Nursery built", status: "completed", completedAt: "2026-03-01" },
+      { title: "First planting", status: "planned" }
+    ]);
+    validateProjectMetadata(migrated);
+    expect(migrateProjectMetadata(migrated)).to.equal(migrated);
+  });
+
+  it("should validate before uploading and migrate when reading", async function () {
+    const service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+    const owner = ethers.Wallet.createRandom().address;
+    Object.assign(service, { isInitialized: true, signer: {}, userAddress: owner });
+
+    const error = await service.createProject({ ...project, milestones: ["Nursery built"] })
+      .catch(failed => failed);
+    expect(error).to.be.instanceOf(SchemaValidationError);
+    expect(error.errors[0].path).to.equal("/milestones/0");
+    expect(service.storage.blocks.size).to.equal(0);
+
+    const legacyCid = await service.uploadToIPFS(JSON.stringify({ ...project, version: "1.0", goals: ["Sequester carbon"] }));
+    Object.assign(service, {
+      _criticalReadContract: () => ({
+        getProject: async () => ({
+          ...project,
+          category: 3,
+          stakingMultiplier: ethers.BigNumber.from(100),
+          totalStaked: ethers.BigNumber.from(0),
+          owner,
+          metadataHash: legacyCid
+        })
+      })
+    });
+
+    const details = await service.getProjectDetails(1, { retrieveExtended: true });
+    expect(details.extended.version).to.equal("2.0");
+    expect(details.extended.goals).to.deep.equal([{ description: "Sequester carbon" }]);
+  });
+
+  it("should send category names to the contract as enum indexes", async function () {
+    const service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+    const sent = [];
+    Object.assign(service, {
+      isInitialized: true,
+      signer: {},
+      userAddress: ethers.Wallet.createRandom().address,
+      estimateTransactionCost: async (method, args) => args,
+      _sendTransaction: async (method, args) => {
+        sent.push([method, args]);
+        return { transactionHash: ethers.constants.HashZero, blockNumber: 1, events: [{ event: "ProjectAdded", args: { projectId: ethers.BigNumber.from(9) } }] };
+      }
+    });
+
+    expect((await service.estimateCreateProjectCost(project))[5]).to.equal(3);
+
+    const result = await service.createProject(project);
+    expect(result.projectId).to.equal(9);
+    expect(sent[0][0]).to.equal("addProject");
+    expect(sent[0][1][5]).to.equal(3);
+  });
+});
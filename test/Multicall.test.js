@@ -0,0 +1,53 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { MulticallBatcher } = require("../utilities/multicall");
+
+describe("Multicall batching", function () {
+  const abi = ["function getValue(uint256 index) view returns (uint256)"];
+  const contract = new ethers.Contract("0x0000000000000000000000000000000000000001", abi);
+  const calls = Array.from({ length: 7 }, (_, i) => ({ contract, method: "getValue", args: [i] }));
+
+  // Provider that never touches the network; only getCode is consulted
+  function providerWithCode(code) {
+    return Object.assign(new ethers.providers.JsonRpcProvider(), { getCode: async () => code });
+  }
+
+  // Answers aggregate3 by decoding each call and returning index * 10
+  function fakeAggregate3(requests) {
+    return async (batch) => {
+      requests.push(batch.length);
+      return batch.map(call => {
+        const [index] = contract.interface.decodeFunctionData("getValue", call.callData);
+        return {
+          success: true,
+          returnData: contract.interface.encodeFunctionResult("getValue", [index.mul(10)])
+        };
+      });
+    };
+  }
+
+  it("should split calls into batches and keep results in order", async function () {
+    const requests = [];
+    const batcher = new MulticallBatcher({
+      provider: providerWithCode("0x6080"),
+      batchSize: 3,
+      concurrency: 2
+    });
+    batcher.multicall = { callStatic: { aggregate3: fakeAggregate3(requests) } };
+
+    const results = await batcher.call(calls);
+
+    expect(requests).to.deep.equal([3, 3, 1]);
+    expect(results.map(value => value.toNumber())).to.deep.equal([0, 10, 20, 30, 40, 50, 60]);
+  });
+
+  it("should fall back to sequential reads without a multicall deployment", async function () {
+    const direct = { getValue: async (index) => ethers.BigNumber.from(index + 1) };
+    const batcher = new MulticallBatcher({ provider: providerWithCode("0x") });
+
+    const results = await batcher.call(calls.map(call => ({ ...call, contract: direct })));
+
+    expect(await batcher.isAvailable()).to.equal(false);
+    expect(results.map(value => value.toNumber())).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+  });
+});
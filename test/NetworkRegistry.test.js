@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const { NetworkRegistry } = require("../utilities/network-registry");
+const { MemoryCacheStore, ScopedCacheStore } = require("../utilities/cache-stores");
+
+describe("NetworkRegistry", function () {
+  const projects = "0x1111111111111111111111111111111111111111";
+  const staking = "0x2222222222222222222222222222222222222222";
+
+  it("should load address books from a deployment manifest", function () {
+    const registry = new NetworkRegistry({
+      env: {},
+      manifest: { version: 1, networks: { arbitrumOne: { chainId: 42161, contracts: { Projects: projects, Staking: null } } } }
+    });
+
+    expect(registry.getContractAddress("arbitrumOne", "Projects")).to.equal(projects);
+    expect(() => registry.getContractAddress("arbitrumOne", "Staking")).to.throw(/No Staking contract address/);
+    expect(registry.toManifest().networks.arbitrumOne.contracts).to.deep.equal({ Projects: projects });
+  });
+
+  it("should reject manifests for the wrong chain and invalid addresses", function () {
+    const registry = new NetworkRegistry({ env: {} });
+
+    expect(() => registry.loadManifest({ networks: { arbitrumOne: { chainId: 1 } } })).to.throw(/does not match/);
+    expect(() => registry.setContractAddress("arbitrumOne", "Projects", "0xArbitrumOne")).to.throw(/Invalid Projects address/);
+    expect(() => registry.get("mainnet")).to.throw(/Available networks: arbitrumOne/);
+  });
+
+  it("should register a local Hardhat network", function () {
+    const registry = new NetworkRegistry({ env: {} });
+    registry.addLocalNetwork({ contracts: { Projects: projects, Staking: staking } });
+
+    expect(registry.get("localhost").rpcUrl).to.equal("http://127.0.0.1:8545");
+    expect(registry.getByChainId(31337).contracts.Staking).to.equal(staking);
+  });
+
+  it("should honour legacy contract address variables", function () {
+    const registry = new NetworkRegistry({ env: { CONTRACT_ADDRESS_ARBITRUM_NOVA: projects } });
+
+    expect(registry.getContractAddress("arbitrumNova", "Projects")).to.equal(projects);
+  });
+});
+
+describe("ScopedCacheStore", function () {
+  it("should keep chains apart in a shared store", async function () {
+    const store = new MemoryCacheStore();
+    const one = new ScopedCacheStore(store, "42161:");
+    const local = new ScopedCacheStore(store, "31337:");
+
+    await one.set("project:1", { name: "Reef" });
+    await local.set("project:1", { name: "Local" });
+    await local.clear();
+
+    expect(await one.get("project:1")).to.deep.equal({ name: "Reef" });
+    expect(await one.keys("project:")).to.deep.equal(["project:1"]);
+    expect(await local.get("project:1")).to.equal(null);
+  });
+
+  it("should hand prefix deletes to the underlying store", async function () {
+    const store = new MemoryCacheStore();
+    const prefixes = [];
+    const deletePrefix = store.deletePrefix.bind(store);
+    store.deletePrefix = async prefix => { prefixes.push(prefix); return deletePrefix(prefix); };
+    const scoped = new ScopedCacheStore(store, "42161:");
+
+    await scoped.set("project:1", { name: "Reef" });
+    await scoped.set("projectDetails:1:000", { name: "Reef" });
+    expect(await scoped.deletePrefix("project:")).to.equal(1);
+    expect(prefixes).to.deep.equal(["42161:project:"]);
+    expect(await scoped.keys()).to.deep.equal(["projectDetails:1:000"]);
+  });
+});
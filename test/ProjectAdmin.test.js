@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { ProjectAdmin, validateStateTransition, allowedTransitions } = require("../utilities/project-admin");
+const { PROJECT_ROLES } = require("../utilities/project-types");
+const {
+  InsufficientRoleError,
+  InvalidParametersError,
+  InvalidProjectStateError
+} = require("../utilities/errors");
+const { fakeService } = require("./helpers/fake-service");
+
+describe("Project administration", function () {
+  const manager = ethers.Wallet.createRandom().address;
+  const metadataHash = ethers.utils.id("metadata");
+
+  let state;
+  let roles;
+  let sent;
+  let admin;
+
+  beforeEach(function () {
+    state = { category: 3, state: 1, stakingMultiplier: 100, startBlock: 1000, endBlock: 5000 };
+    roles = [PROJECT_ROLES.PROJECT_MANAGER_ROLE];
+
+    const contract = {
+      getProjectMetadata: async () => ({
+        name: "Mangroves",
+        description: "Coastal restoration",
+        location: "Sundarbans",
+        impactMetrics: "tCO2e",
+        ipfsHash: metadataHash
+      }),
+      getProjectState: async () => state,
+      getProjectVerification: async () => ({ verificationDate: ethers.BigNumber.from(0) }),
+      getProjectTargets: async () => ({
+        impactTarget: ethers.BigNumber.from(1200),
+        stakingTarget: ethers.utils.parseEther("50000")
+      }),
+      projectImpactRequirements: async () => {
+        throw new Error("call revert exception");
+      },
+      getCategoryImageURI: async () => "ipfs://old/",
+      hasRole: async role => roles.includes(role),
+      paused: async () => false
+    };
+    const fake = fakeService({}, { userAddress: manager });
+    sent = fake.sent;
+    admin = new ProjectAdmin(fake.service, { contract });
+  });
+
+  it("should mirror the on-chain state machine", function () {
+    expect(allowedTransitions("Pending", { verified: true })).to.include("Active");
+    expect(allowedTransitions("Pending", { verified: false })).to.not.include("Active");
+    expect(allowedTransitions("Completed")).to.deep.equal([]);
+    expect(() => validateStateTransition("Proposed", "Active", { verified: true })).to.throw(InvalidProjectStateError);
+    expect(() => validateStateTransition(2, "Paused")).to.not.throw();
+  });
+
+  it("should preview a diff without sending anything", async function () {
+    const { preview } = await admin.updateProject(1, { name: "Mangroves II", endBlock: 9000 }, { dryRun: true });
+
+    expect(sent).to.have.length(0);
+    expect(preview.blockedBy).to.equal(null);
+    expect(preview.changes).to.deep.equal([
+      { field: "name", before: "Mangroves", after: "Mangroves II" },
+      { field: "endBlock", before: 5000, after: 9000 }
+    ]);
+    expect(preview.args).to.deep.equal([1, "Mangroves II", "Coastal restoration", "Sundarbans", "tCO2e", metadataHash, 1000, 9000]);
+
+    const targets = await admin.setTargets(1, { stakingTarget: "75000" }, { dryRun: true });
+    expect(targets.preview.changes).to.deep.equal([{ field: "stakingTarget", before: "50000.0", after: "75000.0" }]);
+  });
+
+  it("should reject changes the contract would revert before sending", async function () {
+    const failure = promise => promise.then(() => expect.fail("expected a rejection"), error => error);
+
+    expect(await failure(admin.updateState(1, "Active"))).to.be.instanceOf(InvalidProjectStateError);
+    expect(await failure(admin.updateProject(1, { startBlock: 6000 }))).to.be.instanceOf(InvalidParametersError);
+    expect(await failure(admin.changeCategory(1, "Reforestation"))).to.be.instanceOf(InvalidParametersError);
+    expect(await failure(admin.setCategoryImageURI("Reforestation", "ipfs://new/"))).to.be.instanceOf(InsufficientRoleError);
+
+    const { preview } = await admin.setCategoryImageURI("Reforestation", "ipfs://new/", { dryRun: true });
+    expect(preview.blockedBy).to.contain("GOVERNANCE_ROLE");
+
+    state = { ...state, state: 4 };
+    expect(await failure(admin.updateStakingMultiplier(1, 150))).to.be.instanceOf(InvalidProjectStateError);
+    expect(sent).to.have.length(0);
+  });
+
+  it("should send permitted changes with the contract's argument order", async function () {
+    const result = await admin.updateState(1, "Paused");
+    expect(result.success).to.equal(true);
+    expect(sent[0].method).to.equal("updateProjectState");
+    expect(sent[0].args).to.deep.equal([1, 3]);
+
+    await admin.changeCategory(1, "Biodiversity");
+    expect(sent[1].args).to.deep.equal([1, 4]);
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("../utilities/ethers-v5");
+const { ProjectEventIndexer, FileCheckpointStore } = require("../utilities/project-indexer");
+
+describe("Project event indexer", function () {
+  let directory;
+  let head;
+  let ranges;
+  let logs;
+  let contract;
+  let provider;
+
+  function log(event, blockNumber, logIndex, projectId) {
+    return {
+      event,
+      blockNumber,
+      logIndex,
+      blockHash: ethers.utils.id(`block ${blockNumber}`),
+      transactionHash: ethers.utils.id(`tx ${blockNumber}:${logIndex}`),
+      args: { projectId: ethers.BigNumber.from(projectId) }
+    };
+  }
+
+  function indexer(options = {}) {
+    return new ProjectEventIndexer({
+      contract,
+      provider,
+      checkpointStore: new FileCheckpointStore({ path: path.join(directory, "checkpoint.json") }),
+      pageSize: 10,
+      confirmations: 3,
+      ...options
+    });
+  }
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-indexer-"));
+    head = 33;
+    ranges = [];
+    logs = [
+      log("ProjectAdded", 4, 0, 1),
+      log("StakeAdded", 12, 3, 1),
+      log("ProjectStateChanged", 12, 1, 1),
+      log("ProjectAdded", 27, 0, 2),
+      log("ImpactReportSubmitted", 38, 0, 2)
+    ];
+    contract = {
+      address: "0x" + "33".repeat(20),
+      filters: new Proxy({}, { get: (target, name) => () => name }),
+      queryFilter: async (name, fromBlock, toBlock) => {
+        if (name === "ProjectAdded") ranges.push([fromBlock, toBlock]);
+        return logs.filter(entry => entry.event === name && entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock);
+      }
+    };
+    provider = {
+      getBlockNumber: async () => head,
+      getBlock: async number => ({ hash: ethers.utils.id(`block ${number}`) })
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should index confirmed blocks in page-sized ranges, in log order", async function () {
+    const records = [];
+    const checkpoint = await indexer({ onEvent: async record => { records.push(record); } }).start({ follow: false });
+
+    expect(ranges).to.deep.equal([[0, 9], [10, 19], [20, 29], [30, 30]]);
+    expect(records.map(record => [record.blockNumber, record.logIndex, record.type])).to.deep.equal([
+      [4, 0, "ProjectAdded"],
+      [12, 1, "ProjectStateChanged"],
+      [12, 3, "StakeAdded"],
+      [27, 0, "ProjectAdded"]
+    ]);
+    expect(records[0].args).to.deep.equal({ projectId: "1" });
+    expect(checkpoint.lastBlock).to.equal(30);
+  });
+
+  it("should persist the checkpoint and resume after it in a new process", async function () {
+    await indexer().start({ follow: false });
+    const saved = JSON.parse(fs.readFileSync(path.join(directory, "checkpoint.json"), "utf8"));
+    expect(saved).to.include({ lastBlock: 30, lastBlockHash: ethers.utils.id("block 30"), contract: contract.address });
+
+    head = 45;
+    ranges = [];
+    const records = [];
+    const checkpoint = await indexer({ onEvent: async record => { records.push(record); } }).start({ follow: false });
+
+    expect(ranges).to.deep.equal([[31, 40], [41, 42]]);
+    expect(records.map(record => record.type)).to.deep.equal(["ImpactReportSubmitted"]);
+    expect(checkpoint.lastBlock).to.equal(42);
+  });
+
+  it("should not checkpoint a range whose events were not all handled", async function () {
+    let failure;
+    await indexer({
+      onEvent: async record => {
+        if (record.blockNumber === 27) throw new Error("disk full");
+      }
+    }).start({ follow: false }).catch(error => { failure = error; });
+    expect(failure.message).to.equal("disk full");
+
+    // The failed range is delivered again on restart
+    ranges = [];
+    const records = [];
+    await indexer({ onEvent: async record => { records.push(record); } }).start({ follow: false });
+    expect(ranges[0]).to.deep.equal([20, 29]);
+    expect(records.map(record => record.blockNumber)).to.deep.equal([27]);
+  });
+});
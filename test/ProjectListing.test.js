@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Project listing", function () {
+  // ABI of the deployed contract, used to answer eth_call the way TerraStakeProjects would
+  const deployed = new ethers.utils.Interface([
+    "function getAllProjectIds() view returns (uint256[])",
+    "function getProjectsByCategory(uint8 category) view returns (uint256[])",
+    "function getProjectMetadata(uint256 projectId) view returns (tuple(string name, string description, string location, string impactMetrics, bytes32 ipfsHash, bool exists, uint48 creationTime))",
+    "function getProjectState(uint256 projectId) view returns (tuple(uint8 category, uint8 state, uint32 stakingMultiplier, uint48 startBlock, uint48 endBlock))",
+    "function getTotalStakedOnProject(uint256 projectId) view returns (uint256)"
+  ]);
+  const projects = {
+    1: { name: "Mangroves", category: 3, state: 2, multiplier: 150, staked: "250" },
+    2: { name: "Solar Farm", category: 1, state: 1, multiplier: 100, staked: "900" },
+    3: { name: "Kelp Forest", category: 3, state: 2, multiplier: 120, staked: "40" },
+    4: { name: "Agroforestry", category: 3, state: 3, multiplier: 110, staked: "0" }
+  };
+
+  let service;
+  let calls;
+
+  beforeEach(function () {
+    calls = [];
+    const provider = {
+      _isProvider: true,
+      call: async tx => {
+        const { name, args } = deployed.parseTransaction({ data: tx.data });
+        calls.push(name);
+        const project = projects[args[0]];
+        const results = {
+          getAllProjectIds: () => [Object.keys(projects)],
+          getProjectsByCategory: () => [Object.keys(projects).filter(id => projects[id].category === args[0])],
+          getProjectMetadata: () => [[project.name, "", "Sundarbans", "tCO2e", ethers.utils.id(project.name), true, 1700000000 + Number(args[0])]],
+          getProjectState: () => [[project.category, project.state, project.multiplier, 100, 200]],
+          getTotalStakedOnProject: () => [ethers.utils.parseEther(project.staked)]
+        };
+        return deployed.encodeFunctionResult(name, results[name]());
+      }
+    };
+
+    service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+    Object.assign(service, {
+      isInitialized: true,
+      provider,
+      contract: { address: "0x" + "22".repeat(20) },
+      multicall: { call: async requests => Promise.all(requests.map(call => call.contract[call.method](...call.args))) }
+    });
+  });
+
+  it("should decode project state and metadata into summaries", async function () {
+    const { total, projects: page } = await service.listProjects({ limit: 1 });
+
+    expect(total).to.equal(4);
+    expect(page).to.deep.equal([{
+      id: "1",
+      category: "Reforestation",
+      categoryId: 3,
+      state: "Active",
+      stateId: 2,
+      isActive: true,
+      stakingMultiplier: "150",
+      totalStaked: "250.0",
+      startBlock: 100,
+      endBlock: 200,
+      name: "Mangroves",
+      description: "",
+      location: "Sundarbans",
+      impactMetrics: "tCO2e",
+      metadataHash: ethers.utils.id("Mangroves"),
+      createdAt: 1700000001
+    }]);
+  });
+
+  it("should filter by category and state, sort, then page", async function () {
+    const listing = await service.listProjects({
+      category: "Reforestation",
+      state: "Active",
+      sortBy: "totalStaked",
+      sortOrder: "desc"
+    });
+    expect(listing.total).to.equal(2);
+    expect(listing.projects.map(project => project.name)).to.deep.equal(["Mangroves", "Kelp Forest"]);
+    expect(calls[0]).to.equal("getProjectsByCategory");
+
+    const second = await service.listProjects({ sortBy: "name", offset: 1, limit: 2 });
+    expect(second.total).to.equal(4);
+    expect(second.offset).to.equal(1);
+    expect(second.projects.map(project => project.name)).to.deep.equal(["Kelp Forest", "Mangroves"]);
+    expect(second.projects[0].state).to.equal("Active");
+  });
+
+  it("should only read the requested page when nothing needs every record", async function () {
+    await service.listProjects({ offset: 2, limit: 1 });
+    expect(calls.filter(name => name === "getProjectMetadata")).to.have.length(1);
+    expect(calls.filter(name => name === "getProjectState")).to.have.length(1);
+  });
+
+  it("should upgrade extended metadata like getProjectDetails does", async function () {
+    service._getFromIPFS = async () => JSON.stringify({ goals: ["Restore 40 ha"], milestones: [{ name: "Nursery", completed: true }] });
+
+    const { projects: page } = await service.listProjects({ limit: 1, retrieveExtended: true });
+
+    expect(page[0].extended).to.include({ version: "2.0", migratedFrom: "1.0" });
+    expect(page[0].extended.goals).to.deep.equal([{ description: "Restore 40 ha" }]);
+    expect(page[0].extended.milestones).to.deep.equal([{ title: "Nursery", status: "completed" }]);
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  adaptProvider,
+  getContractAddress,
+  getTransactionHash,
+  parseReceiptEvents
+} = require("../utilities/provider-adapter");
+
+describe("Provider adapter", function () {
+  const account = "0x1111111111111111111111111111111111111111";
+  const target = "0x2222222222222222222222222222222222222222";
+  const hash = "0x" + "ab".repeat(32);
+
+  // Minimal JSON-RPC node shared by the fake EIP-1193 and ethers v6 providers
+  async function rpc(method) {
+    switch (method) {
+      case "eth_chainId": return "0xa4b1";
+      case "net_version": return "42161";
+      case "eth_accounts": return [account];
+      case "eth_getTransactionByHash":
+        return {
+          hash, from: account, to: target, nonce: "0x7", gas: "0x5208", gasPrice: "0x1", value: "0x0",
+          input: "0x", chainId: "0xa4b1", type: "0x0", blockHash: null, blockNumber: null, transactionIndex: null,
+          v: "0x14986", r: "0x" + "01".repeat(32), s: "0x" + "02".repeat(32)
+        };
+      default: throw new Error(`Unexpected RPC call ${method}`);
+    }
+  }
+
+  const eip1193 = { request: ({ method, params }) => rpc(method, params) };
+  const v6Provider = {
+    getBlockNumber: async () => 1,
+    broadcastTransaction: async () => { throw new Error("not used"); },
+    send: (method, params) => rpc(method, params)
+  };
+
+  it("should wrap EIP-1193 and ethers v6 providers as ethers v5 providers", async function () {
+    const wallet = adaptProvider(eip1193);
+    const v6 = adaptProvider(v6Provider);
+
+    expect(wallet.kind).to.equal("eip1193");
+    expect(v6.kind).to.equal("ethers6");
+    expect((await wallet.provider.getNetwork()).chainId).to.equal(42161);
+    expect((await v6.provider.getNetwork()).chainId).to.equal(42161);
+    expect(await wallet.provider.getSigner().getAddress()).to.equal(account);
+  });
+
+  it("should pass ethers v5 providers through unchanged", function () {
+    const provider = new ethers.providers.JsonRpcProvider();
+    const signer = ethers.Wallet.createRandom().connect(provider);
+
+    expect(adaptProvider(provider)).to.deep.equal({ kind: "ethers5", provider, signer: null });
+    expect(adaptProvider(signer).signer).to.equal(signer);
+  });
+
+  it("should send transactions through ethers v6 signers with bigint quantities", async function () {
+    const sent = [];
+    const v6Signer = {
+      provider: v6Provider,
+      getAddress: async () => account,
+      sendTransaction: async (tx) => { sent.push(tx); return { hash }; }
+    };
+    const { signer } = adaptProvider(v6Signer);
+
+    const response = await signer.sendTransaction({ to: target, nonce: 7, gasLimit: 21000, gasPrice: 1, chainId: 42161, type: 0 });
+
+    expect(ethers.Signer.isSigner(signer)).to.equal(true);
+    expect(sent[0].gasLimit).to.equal(21000n);
+    expect(response.hash).to.equal(hash);
+    expect(response.nonce).to.equal(7);
+  });
+
+  it("should return a response for broadcast transactions the node has not indexed yet", async function () {
+    const lagging = {
+      getBlockNumber: async () => 1,
+      broadcastTransaction: async () => { throw new Error("not used"); },
+      send: (method, params) => (method === "eth_getTransactionByHash" ? Promise.resolve(null) : rpc(method, params))
+    };
+    const { signer } = adaptProvider({
+      provider: lagging,
+      getAddress: async () => account,
+      sendTransaction: async () => ({ hash })
+    });
+    signer.lookupInterval = 1;
+
+    const response = await signer.sendTransaction({ to: target, nonce: 8, gasLimit: 21000, gasPrice: 1, chainId: 42161, type: 0 });
+
+    expect(response.hash).to.equal(hash);
+    expect(response.nonce).to.equal(8);
+    expect(response.gasLimit.toNumber()).to.equal(21000);
+    expect(response.wait).to.be.a("function");
+  });
+
+  it("should read receipts and contracts from either ethers version", function () {
+    const iface = new ethers.utils.Interface(["event Minted(uint256 indexed tokenId)"]);
+    const log = { ...iface.encodeEventLog(iface.getEvent("Minted"), [5]), address: target };
+
+    const v6Events = parseReceiptEvents({ hash, logs: [log, { topics: [ethers.constants.HashZero], data: "0x" }] }, iface);
+    const v5Events = parseReceiptEvents({ transactionHash: hash, events: [{ event: "Minted", args: { tokenId: 5 } }] }, iface);
+
+    expect(v6Events.map(event => [event.name, event.args.tokenId.toNumber()])).to.deep.equal([["Minted", 5]]);
+    expect(v5Events[0].name).to.equal("Minted");
+    expect(getTransactionHash({ hash })).to.equal(hash);
+    expect(getContractAddress({ target })).to.equal(target);
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { ReorgTracker } = require("../utilities/reorg-tracker");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Reorg rollback", function () {
+  const staker = ethers.Wallet.createRandom().address;
+
+  // Block hashes of two forks sharing block 100
+  const hash = (fork, number) => ethers.utils.id(`${fork}${number}`);
+  function fork(name, from, to) {
+    const blocks = {};
+    for (let number = from; number <= to; number++) {
+      blocks[number] = { number, hash: hash(number === 100 ? "a" : name, number), parentHash: hash(number - 1 === 100 ? "a" : name, number - 1) };
+    }
+    return blocks;
+  }
+
+  function stakeAdded(fork, blockNumber, projectId, amount) {
+    return {
+      event: "StakeAdded",
+      args: { staker, projectId: ethers.BigNumber.from(projectId), amount: ethers.utils.parseEther(amount) },
+      blockNumber,
+      blockHash: hash(fork, blockNumber),
+      logIndex: 0
+    };
+  }
+
+  let chain;
+  let canonicalEvents;
+  let service;
+
+  beforeEach(async function () {
+    chain = fork("a", 100, 102);
+    canonicalEvents = [];
+    const provider = { getBlock: async number => chain[number] || null };
+
+    service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+    Object.assign(service, {
+      provider,
+      reorgTracker: new ReorgTracker({ provider, confirmationDepth: 20 }),
+      contract: {
+        filters: new Proxy({}, { get: (target, name) => () => name }),
+        queryFilter: async (name, fromBlock, toBlock) => canonicalEvents.filter(event =>
+          event.event === name && event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+      }
+    });
+
+    await service.cache.set("project:1", { totalStaked: "10.0" });
+    await service.cache.set("projectDetails:1:000", { name: "Mangroves" });
+    for (const number of [100, 101, 102]) await service._handleNewBlock(number);
+  });
+
+  it("should restore journaled cache entries and re-apply the canonical events", async function () {
+    // Fork a: a stake on project 1 in block 101 and a new project in block 102
+    await service._queueCacheEvent(stakeAdded("a", 101, 1, "5"));
+    await service._queueCacheEvent({
+      event: "ProjectAdded",
+      args: { projectId: ethers.BigNumber.from(2), name: "Kelp Forest", category: 2 },
+      blockNumber: 102,
+      blockHash: hash("a", 102),
+      logIndex: 1
+    });
+    expect((await service.cache.get("project:1")).totalStaked).to.equal("15.0");
+    expect(await service.cache.get("projectDetails:1:000")).to.equal(null);
+
+    // Fork b replaces blocks 101 and 102 and only stakes 2 on project 1, in block 102
+    chain = { ...chain, ...fork("b", 101, 103) };
+    canonicalEvents = [stakeAdded("b", 102, 1, "2")];
+    await service.cache.set("projectDetails:1:000", { name: "Mangroves" });
+    const reorgs = [];
+    service.on("reorg", reorg => reorgs.push(reorg));
+
+    await service._handleNewBlock(103);
+
+    expect(reorgs).to.have.length(1);
+    expect(reorgs[0]).to.include({ forkBlock: 100, rolledBack: 2, reapplied: 1 });
+    expect(reorgs[0].projectIds).to.have.members(["1", "2"]);
+
+    const project = await service.cache.get("project:1");
+    expect(project.totalStaked).to.equal("12.0");
+    expect(project.blockHash).to.equal(hash("b", 102));
+    expect(await service.cache.get("project:2")).to.equal(null);
+    expect(await service.cache.get("projectDetails:1:000")).to.equal(null);
+    expect([...service._eventJournal.keys()]).to.deep.equal([`${hash("b", 102)}:0`]);
+
+    // The listener delivering the canonical event afterwards does not apply it twice
+    expect(await service._applyCacheEvent(stakeAdded("b", 102, 1, "2"))).to.equal(false);
+
+    // Stakes are summed in wei
+    expect(await service._applyCacheEvent(stakeAdded("b", 103, 1, "0.000000000000000001"))).to.equal(true);
+    expect((await service.cache.get("project:1")).totalStaked).to.equal("12.000000000000000001");
+  });
+});
@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { ReportVerifier } = require("../utilities/report-verification");
+const { PROJECT_ROLES } = require("../utilities/project-types");
+const { InsufficientRoleError, InvalidParametersError } = require("../utilities/errors");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+const { fakeService } = require("./helpers/fake-service");
+
+describe("Report verification", function () {
+  const validator = ethers.Wallet.createRandom().address;
+  const reporter = ethers.Wallet.createRandom().address;
+  const noValidation = { validator: ethers.constants.AddressZero, validationTime: 0, validationNotes: "", isValid: false };
+
+  let service;
+  let verifier;
+  let sent;
+
+  function report(timestamp, ipfsHash, validated = false) {
+    return {
+      projectId: ethers.BigNumber.from(1),
+      reporter,
+      timestamp,
+      title: `Quarter ending ${timestamp}`,
+      details: "",
+      ipfsHash,
+      metricValue: ethers.BigNumber.from(5000),
+      validated
+    };
+  }
+
+  beforeEach(async function () {
+    service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+
+    const content = JSON.stringify({
+      version: "2.0",
+      projectId: 1,
+      category: "Reforestation",
+      periodStart: 1700000000,
+      periodEnd: 1702592000,
+      metrics: ["5000"],
+      details: { treesPlanted: 5000 }
+    });
+    const goodHash = await service._convertIpfsHashToBytes32(await service.uploadToIPFS(content));
+
+    // A registry entry pointing a report hash at content it was never computed from
+    const substitute = await service.uploadToIPFS(content.replace("5000", "9000"));
+    const tamperedHash = ethers.utils.id("tampered report");
+    await service.cidRegistry.set(tamperedHash, substitute);
+
+    const reports = {
+      1: [report(1700001000, goodHash, true), report(1700003000, tamperedHash), report(1700002000, goodHash)],
+      2: []
+    };
+    const validations = {
+      1: [{ validator, validationTime: 1700005000, validationNotes: "ok", isValid: true }]
+    };
+    const contract = {
+      getAllProjectIds: async () => [ethers.BigNumber.from(1), ethers.BigNumber.from(2)],
+      getProjectImpactReports: async projectId => reports[projectId],
+      getImpactReport: async (projectId, reportId) => reports[projectId][reportId],
+      getReportValidation: async (projectId, reportId) => (validations[projectId] || [])[reportId] || noValidation,
+      getProjectReportStats: async () => ({
+        totalReports: ethers.BigNumber.from(3),
+        validatedReports: ethers.BigNumber.from(1),
+        rejectedReports: ethers.BigNumber.from(0),
+        pendingReports: ethers.BigNumber.from(2),
+        averageValidationTime: ethers.BigNumber.from(4000)
+      }),
+      hasRole: async role => role === PROJECT_ROLES.VALIDATOR_ROLE
+    };
+
+    ({ sent } = fakeService(service, { userAddress: validator }));
+    verifier = new ReportVerifier(service, { contract });
+  });
+
+  it("should list pending reports oldest first and hash-check their content", async function () {
+    const pending = await verifier.listPendingReports({ verifyContent: true });
+
+    expect(pending.map(entry => entry.reportId)).to.deep.equal([2, 1]);
+    expect(pending[0].hashVerified).to.equal(true);
+    expect(pending[0].content.details.treesPlanted).to.equal(5000);
+    expect(pending[0].schemaErrors).to.deep.equal([]);
+    expect(pending[1].hashVerified).to.equal(false);
+
+    const [approved] = await verifier.getProjectReports(1);
+    expect(approved.status).to.equal("approved");
+    expect(approved.validation.notes).to.equal("ok");
+  });
+
+  it("should only record approvals for content that matches its hash", async function () {
+    let refused;
+    await verifier.approveReport(1, 1, "looks fine").catch(error => { refused = error; });
+    expect(refused).to.be.instanceOf(InvalidParametersError);
+    expect(sent).to.have.length(0);
+
+    const result = await verifier.approveReport(1, 2, "Matches field survey");
+    expect(result.report.hashVerified).to.equal(true);
+    expect(sent[0].method).to.equal("validateImpactReport");
+    expect(sent[0].args).to.deep.equal([1, 2, true, "Matches field survey"]);
+
+    await verifier.rejectReport(1, 1, "").catch(error => { refused = error; });
+    expect(refused.message).to.contain("requires notes");
+    await verifier.rejectReport(1, 1, "Hash mismatch");
+    expect(sent[1].args).to.deep.equal([1, 1, false, "Hash mismatch"]);
+  });
+
+  it("should check roles before verifying projects and summarise statistics", async function () {
+    let denied;
+    await verifier.verifyProject(1, { documentHash: ethers.utils.id("audit"), notes: "Site visit" })
+      .catch(error => { denied = error; });
+    expect(denied).to.be.instanceOf(InsufficientRoleError);
+    expect(sent).to.have.length(0);
+
+    expect(await verifier.getReportStats(1)).to.deep.equal({
+      projectId: 1,
+      totalReports: 3,
+      validatedReports: 1,
+      rejectedReports: 0,
+      pendingReports: 2,
+      averageValidationTime: 4000,
+      approvalRate: 1
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { StakingClient, projectApy, unstakePenalty } = require("../utilities/staking-client");
+const { InsufficientRoleError, InvalidParametersError } = require("../utilities/errors");
+const { fakeService } = require("./helpers/fake-service");
+
+describe("Staking client", function () {
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+  const NOW = 1750000000;
+  const user = ethers.Wallet.createRandom().address;
+  const ether = value => ethers.utils.parseEther(value);
+  const big = value => ethers.BigNumber.from(value);
+
+  let allowance;
+  let validator;
+  let sent;
+  let client;
+
+  beforeEach(function () {
+    allowance = ether("0");
+    validator = false;
+
+    const contract = {
+      address: "0x" + "11".repeat(20),
+      getAllTiers: async () => [
+        { minDuration: big(30 * DAY), multiplier: big(100), votingRights: false },
+        { minDuration: big(90 * DAY), multiplier: big(150), votingRights: true },
+        { minDuration: big(180 * DAY), multiplier: big(200), votingRights: true },
+        { minDuration: big(YEAR), multiplier: big(300), votingRights: true }
+      ],
+      getHalvingDetails: async () => ({
+        period: big(730 * DAY),
+        lastTime: big(NOW - 630 * DAY),
+        epoch: big(0),
+        nextHalving: big(NOW + 100 * DAY)
+      }),
+      dynamicBaseAPR: async () => big(10),
+      dynamicBoostedAPR: async () => big(20),
+      getTotalStaked: async () => ether("5000000"),
+      getUserPositions: async () => [{
+        amount: ether("1000"),
+        stakingStart: big(NOW - 45 * DAY),
+        duration: big(90 * DAY),
+        lastCheckpoint: big(NOW - DAY),
+        projectId: big(4),
+        isLPStaker: false,
+        hasNFTBoost: false,
+        autoCompounding: true,
+        isLocked: false
+      }],
+      calculateRewards: async () => ether("3"),
+      isValidator: async () => validator
+    };
+    const token = {
+      allowance: async () => allowance,
+      approve: async () => true
+    };
+    const fake = fakeService({}, {
+      userAddress: user,
+      provider: { getBlock: async () => ({ timestamp: NOW }) }
+    });
+    sent = fake.sent;
+    client = new StakingClient(fake.service, { contract, token });
+  });
+
+  it("should step the projected APR down at each halving", function () {
+    const projection = projectApy({
+      baseApr: 10,
+      boostedApr: 20,
+      totalStaked: ether("5000000"),
+      tierMultiplier: 300,
+      lockBoost: true,
+      halvingPeriod: 730 * DAY,
+      nextHalving: NOW + 100 * DAY,
+      now: NOW,
+      horizon: YEAR,
+      amount: ether("1000")
+    });
+
+    expect(projection.currentApr).to.equal(45);
+    expect(projection.nextHalvingApr).to.equal(33);
+    expect(projection.segments.map(segment => segment.apr)).to.deep.equal([45, 33]);
+    expect(projection.projectedApy).to.be.closeTo((45 * 100 + 33 * 265) / 365, 1e-9);
+    expect(ethers.utils.formatEther(projection.projectedRewards)).to.match(/^362\.87/);
+
+    // An overdue halving is applied once, not once per missed period
+    const overdue = projectApy({
+      baseApr: 10, boostedApr: 20, totalStaked: 0, tierMultiplier: 100,
+      halvingPeriod: 730 * DAY, nextHalving: NOW - 2000 * DAY, now: NOW, horizon: YEAR
+    });
+    expect(overdue.segments).to.deep.equal([{ from: NOW, to: NOW + YEAR, halvings: 1, apr: 13 }]);
+  });
+
+  it("should project with the position's tier and the chain's halving schedule", async function () {
+    const projection = await client.projectApy({ duration: 120 * DAY, hasNFTBoost: true });
+
+    expect(projection.tier.multiplier).to.equal(150);
+    expect(projection.halving.overdue).to.equal(false);
+    expect(projection.currentApr).to.equal(30);
+    expect(projection.segments.map(segment => segment.apr)).to.deep.equal([30, 24]);
+  });
+
+  it("should approve before staking and validate terms locally", async function () {
+    let refused;
+    await client.stake(4, "500", { duration: 10 * DAY }).catch(error => { refused = error; });
+    expect(refused).to.be.instanceOf(InvalidParametersError);
+    await client.stake(4, "500", { duration: 90 * DAY, lockBoost: true }).catch(error => { refused = error; });
+    expect(refused.message).to.contain("one year");
+    expect(sent).to.have.length(0);
+
+    await client.batchStake([
+      { projectId: 4, amount: "500", duration: 90 * DAY },
+      { projectId: 5, amount: "250", duration: YEAR, lockBoost: true, isLP: true }
+    ]);
+    expect(sent.map(request => request.method)).to.deep.equal(["approve", "batchStake"]);
+    expect(sent[0].args[1].toString()).to.equal(ether("750").toString());
+    expect(sent[1].args[5]).to.deep.equal([false, true]);
+
+    allowance = ether("1000");
+    const result = await client.stake(4, "100", { duration: 30 * DAY });
+    expect(sent[2].method).to.equal("stake");
+    expect(result.amount).to.equal("100.0");
+  });
+
+  it("should require acceptPenalty to unstake a locked position", async function () {
+    const [position] = await client.getPositions();
+    expect(position.unstakePenaltyPercent).to.equal(20);
+    expect(position.unstakePenalty).to.equal("200.0");
+    expect(unstakePenalty({ amount: ether("1"), stakingStart: NOW - 100 * DAY, duration: 90 * DAY }, NOW).percent).to.equal(0);
+
+    let refused;
+    await client.unstake(4).catch(error => { refused = error; });
+    expect(refused.message).to.contain("acceptPenalty");
+    expect(sent).to.have.length(0);
+
+    const result = await client.unstake(4, { acceptPenalty: true });
+    expect(result.payout).to.equal("800.0");
+    expect(sent[0].args).to.deep.equal(["4"]);
+  });
+
+  it("should only send validator operations for validators", async function () {
+    let refused;
+    await client.claimValidatorRewards().catch(error => { refused = error; });
+    expect(refused).to.be.instanceOf(InsufficientRoleError);
+
+    validator = true;
+    await client.updateValidatorCommission(2500).catch(error => { refused = error; });
+    expect(refused.message).to.contain("2000 basis points");
+    await client.updateValidatorCommission(750);
+    expect(sent[0].args).to.deep.equal([750]);
+  });
+});
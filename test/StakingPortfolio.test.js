@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { InsufficientFundsError } = require("../utilities/errors");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+const { fakeService } = require("./helpers/fake-service");
+
+describe("Staking portfolio", function () {
+  const user = ethers.Wallet.createRandom().address;
+  const ether = value => ethers.utils.parseEther(value);
+
+  let service;
+  let staked;
+  let rewards;
+  let sent;
+
+  beforeEach(function () {
+    service = new TerraStakeService("arbitrumTestnet", {
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore(),
+      contractABI: []
+    });
+
+    staked = { 1: ether("100"), 2: ether("0"), 3: ether("40") };
+    rewards = { 1: ether("2.5"), 2: ether("0"), 3: ether("0.001") };
+    const names = { 1: "Mangroves", 2: "Solar Farm", 3: "Kelp Forest" };
+    const staking = {
+      getAllProjectIds: async () => [1, 2, 3].map(id => ethers.BigNumber.from(id)),
+      getStakedAmount: async (address, projectId) => staked[projectId],
+      calculateRewards: async (address, projectId) => rewards[projectId],
+      lastRewardClaim: async (address, projectId) => (projectId === "1" ? 1700000000 : 0),
+      getProjectMetadata: async projectId => ({ name: names[projectId] }),
+      getUserAnalytics: async () => ({ userTotalRewardsClaimed: ether("7") })
+    };
+    const stakes = [
+      { projectId: ethers.BigNumber.from(1), amount: ether("75"), active: true },
+      { projectId: ethers.BigNumber.from(1), amount: ether("25"), active: true },
+      { projectId: ethers.BigNumber.from(3), amount: ether("40"), active: false }
+    ].map(stake => ({ ...stake, timestamp: ethers.BigNumber.from(1690000000), lastRewardsClaimed: ethers.BigNumber.from(0) }));
+
+    ({ sent } = fakeService(service, {
+      userAddress: user,
+      contract: {
+        getUserStakeCount: async () => stakes.length,
+        getUserStake: async (address, index) => stakes[index]
+      },
+      receipt: request => {
+        if (request.method === "claimRewards" && request.args[0] === "3") throw new Error("NoRewardsToClaim");
+        return {
+          transactionHash: "0x" + "ef".repeat(32),
+          blockNumber: 11,
+          events: [{ event: "RewardsClaimed", args: { amount: rewards[request.args[0]] } }]
+        };
+      }
+    }));
+    service._stakingContract = () => staking;
+  });
+
+  it("should split a project's pending rewards across its active stakes", async function () {
+    const stakes = await service.getUserStakes();
+
+    expect(stakes.map(stake => stake.pendingRewards)).to.deep.equal(["1.875", "0.625", "0.0"]);
+  });
+
+  it("should aggregate held projects into a portfolio", async function () {
+    const portfolio = await service.getPortfolio();
+
+    expect(portfolio.totalStaked).to.equal("140.0");
+    expect(portfolio.totalPendingRewards).to.equal("2.501");
+    expect(portfolio.totalRewardsClaimed).to.equal("7.0");
+    expect(portfolio.positions).to.deep.equal([
+      { projectId: "1", name: "Mangroves", staked: "100.0", pendingRewards: "2.5", lastRewardClaim: 1700000000 },
+      { projectId: "3", name: "Kelp Forest", staked: "40.0", pendingRewards: "0.001", lastRewardClaim: 0 }
+    ]);
+  });
+
+  it("should unstake part or all of a stake and refuse more than is staked", async function () {
+    let refused;
+    await service.unstakeFromProject(1, "150").catch(error => { refused = error; });
+    expect(refused).to.be.instanceOf(InsufficientFundsError);
+    expect(sent).to.have.length(0);
+
+    const partial = await service.unstakeFromProject(1, "30");
+    expect(partial.remaining).to.equal("70.0");
+    expect(sent[0].method).to.equal("unstakeFromProject");
+    expect(sent[0].args[1].toString()).to.equal(ether("30").toString());
+
+    const full = await service.unstakeFromProject(3);
+    expect(full.amount).to.equal("40.0");
+    expect(full.remaining).to.equal("0.0");
+  });
+
+  it("should claim every project with pending rewards and report failures per project", async function () {
+    const progress = [];
+    const claim = await service.claimAllRewards({ onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(sent.map(request => request.args[0])).to.deep.equal(["1", "3"]);
+    expect(claim.success).to.equal(false);
+    expect(claim.totalClaimed).to.equal("2.5");
+    expect(claim.results[0].rewardAmount).to.equal("2.5");
+    expect(claim.results[1].error.message).to.contain("project 3");
+    expect(progress).to.deep.equal([[1, 2], [2, 2]]);
+
+    sent.length = 0;
+    await service.claimAllRewards({ minReward: "0.01" });
+    expect(sent.map(request => request.args[0])).to.deep.equal(["1"]);
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { CODECS, computeCid } = require("../utilities/cid-codec");
+const {
+  MemoryStorageAdapter,
+  FileSystemStorageAdapter,
+  IpfsHttpStorageAdapter,
+  createStorageAdapter,
+  collect
+} = require("../utilities/storage-adapters");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Storage adapters", function () {
+  describe("MemoryStorageAdapter", function () {
+    let storage;
+
+    beforeEach(function () {
+      storage = new MemoryStorageAdapter();
+    });
+
+    it("should content-address identical data to the same CID", async function () {
+      const first = await storage.add("TerraStake project document");
+      const second = await storage.add(Buffer.from("TerraStake project document"));
+      expect(first).to.equal(second);
+      expect(first).to.match(/^b[a-z2-7]+$/);
+    });
+
+    it("should round-trip content and honour offset/length", async function () {
+      const cid = await storage.add("0123456789");
+      expect((await collect(storage.cat(cid))).toString()).to.equal("0123456789");
+      expect((await collect(storage.cat(cid, { offset: 2, length: 3 }))).toString()).to.equal("234");
+    });
+
+    it("should resolve paths inside wrapped directories", async function () {
+      const root = await storage.add([
+        { path: "data", content: "file body" },
+        { path: "metadata.json", content: JSON.stringify({ name: "evidence.pdf" }) }
+      ], { wrapWithDirectory: true });
+
+      const metadata = JSON.parse((await collect(storage.cat(`${root}/metadata.json`))).toString());
+      expect(metadata.name).to.equal("evidence.pdf");
+      expect(await storage.has(root)).to.be.true;
+
+      try {
+        await collect(storage.cat(root));
+        expect.fail("expected directory read to throw");
+      } catch (error) {
+        expect(error.message).to.contain("is a directory");
+      }
+    });
+
+    it("should report progress in bytes", async function () {
+      const progress = [];
+      await storage.add("12345", { onProgress: (bytes) => progress.push(bytes) });
+      expect(progress).to.deep.equal([5]);
+    });
+  });
+
+  describe("FileSystemStorageAdapter", function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-storage-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should persist blocks across adapter instances", async function () {
+      const cid = await new FileSystemStorageAdapter({ directory }).add("persisted");
+      const reopened = new FileSystemStorageAdapter({ directory });
+      expect((await collect(reopened.cat(cid))).toString()).to.equal("persisted");
+    });
+
+    it("should produce the same CIDs as the memory adapter", async function () {
+      const fsCid = await new FileSystemStorageAdapter({ directory }).add("same bytes");
+      const memoryCid = await new MemoryStorageAdapter().add("same bytes");
+      expect(fsCid).to.equal(memoryCid);
+    });
+  });
+
+  describe("Directories", function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-storage-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should encode the same dag-pb directory in every adapter", async function () {
+      // Stands in for a Kubo node, which hashes put blocks the same way
+      const client = {
+        block: { put: async (bytes, options) => computeCid(bytes, options.format === "dag-pb" ? CODECS.DAG_PB : CODECS.RAW) },
+        pin: { add: async () => {} }
+      };
+      const adapters = [
+        new MemoryStorageAdapter(),
+        new FileSystemStorageAdapter({ directory }),
+        new IpfsHttpStorageAdapter({ client })
+      ];
+
+      const roots = [];
+      for (const storage of adapters) {
+        const data = await storage.addStream(Buffer.from("file body"));
+        const metadata = await storage.addStream(Buffer.from("{}"));
+        roots.push(await storage.addDirectory([
+          { name: "metadata.json", cid: metadata.cid, size: metadata.size },
+          { name: "data", cid: data.cid, size: data.size }
+        ]));
+      }
+
+      expect(roots[1]).to.equal(roots[0]);
+      expect(roots[2]).to.equal(roots[0]);
+      expect((await collect(adapters[1].cat(`${roots[1]}/data`))).toString()).to.equal("file body");
+      expect(await adapters[0].has(`${roots[0]}/metadata.json`)).to.equal(true);
+    });
+  });
+
+  describe("createStorageAdapter", function () {
+    it("should reject unknown adapters", function () {
+      expect(() => createStorageAdapter({ adapter: "s3" })).to.throw("Unknown storage adapter");
+    });
+  });
+
+  describe("TerraStakeService with an injected adapter", function () {
+    it("should upload and read back content offline", async function () {
+      const storage = new MemoryStorageAdapter();
+      const service = new TerraStakeService("arbitrumTestnet", {
+        storage,
+        fallbackStorage: null,
+        contractABI: []
+      });
+
+      const cid = await service.uploadToIPFS(JSON.stringify({ report: 1 }));
+      expect(JSON.parse(await service._getFromIPFS(cid))).to.deep.equal({ report: 1 });
+    });
+  });
+});
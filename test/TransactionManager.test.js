@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("../utilities/ethers-v5");
+const { TransactionManager } = require("../utilities/transaction-manager");
+
+describe("Transaction manager", function () {
+  const abi = ["function claimRewards(uint256 stakeIndex)"];
+  const iface = new ethers.utils.Interface(abi);
+  const from = "0x00000000000000000000000000000000000000aa";
+  const to = "0x00000000000000000000000000000000000000bb";
+
+  // In-memory chain: sent transactions are mined only when `mine` is called
+  function createChain() {
+    const chain = { sent: [], receipts: new Map(), minedNonce: 0 };
+    chain.provider = {
+      getGasPrice: async () => ethers.utils.parseUnits("0.1", "gwei"),
+      getTransactionCount: async (address, tag) => (tag === "pending" ? chain.sent.length : chain.minedNonce),
+      getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null,
+      waitForTransaction: async (hash) => chain.receipts.get(hash)
+    };
+    chain.mine = (tx) => {
+      chain.minedNonce = Math.max(chain.minedNonce, tx.nonce + 1);
+      chain.receipts.set(tx.hash, { transactionHash: tx.hash, blockNumber: 1, status: 1, logs: [] });
+    };
+    chain.contract = {
+      address: to,
+      interface: iface,
+      signer: {
+        getAddress: async () => from,
+        sendTransaction: async (tx) => {
+          const sent = { ...tx, hash: ethers.utils.id(`${tx.nonce}:${tx.gasPrice}`) };
+          chain.sent.push(sent);
+          return sent;
+        }
+      },
+      estimateGas: { claimRewards: async () => ethers.BigNumber.from(100000) },
+      populateTransaction: {
+        claimRewards: async (index, overrides) => ({ to, data: iface.encodeFunctionData("claimRewards", [index]), ...overrides })
+      }
+    };
+    return chain;
+  }
+
+  it("should assign consecutive local nonces to queued writes", async function () {
+    const chain = createChain();
+    const manager = new TransactionManager({ provider: chain.provider, confirmations: 1, pollInterval: 5 });
+    const statuses = [];
+    manager.on("sent", record => statuses.push(`sent:${record.nonce}`));
+    manager.on("confirmed", record => statuses.push(`confirmed:${record.nonce}`));
+
+    const writes = [0, 1, 2].map(i => manager.send({ contract: chain.contract, method: "claimRewards", args: [i] }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    chain.sent.forEach(chain.mine);
+    await Promise.all(writes);
+
+    expect(chain.sent.map(tx => tx.nonce)).to.deep.equal([0, 1, 2]);
+    expect(chain.sent[0].gasLimit).to.equal(130000);
+    expect(statuses.filter(s => s.startsWith("confirmed"))).to.have.length(3);
+  });
+
+  it("should replace a stuck transaction with bumped fees", async function () {
+    const chain = createChain();
+    const manager = new TransactionManager({
+      provider: chain.provider,
+      confirmations: 1,
+      stuckTimeout: 10,
+      pollInterval: 5
+    });
+    const replaced = [];
+    manager.on("replaced", record => replaced.push(record));
+
+    const write = manager.send({ contract: chain.contract, method: "claimRewards", args: [0] });
+    while (!replaced.length) await new Promise(resolve => setTimeout(resolve, 5));
+    chain.mine(chain.sent[chain.sent.length - 1]);
+    const receipt = await write;
+
+    const [original, replacement] = chain.sent;
+    expect(replacement.nonce).to.equal(original.nonce);
+    expect(replacement.gasPrice.toString()).to.equal(original.gasPrice.mul(115).div(100).toString());
+    expect(receipt.transactionHash).to.equal(replacement.hash);
+    expect(replaced[0].previousHash).to.equal(original.hash);
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { Readable } = require("stream");
+const { MemoryStorageAdapter, collect } = require("../utilities/storage-adapters");
+const { CODECS, parseCid } = require("../utilities/cid-codec");
+const { importFile, decodeDagPb, decodeUnixFs } = require("../utilities/unixfs");
+const { InvalidParametersError } = require("../utilities/errors");
+const { CONFIG, TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("UnixFS import", function () {
+  // 800 bytes in 4-byte leaves: 200 leaves, more than one dag-pb node can link
+  const content = Buffer.from("0123456789".repeat(80));
+  const chunkSize = 4;
+
+  it("should build a balanced DAG and read ranges back", async function () {
+    const storage = new MemoryStorageAdapter();
+    const { cid, size } = await storage.addStream(content, { chunkSize });
+
+    expect(size).to.equal(800);
+    expect(parseCid(cid).codec).to.equal(CODECS.DAG_PB);
+    const root = decodeDagPb(storage.blocks.get(cid));
+    expect(root.links).to.have.length(2);
+    expect(decodeUnixFs(root.data).blocksizes).to.deep.equal([696, 104]);
+
+    expect((await collect(storage.cat(cid))).equals(content)).to.equal(true);
+    expect((await collect(storage.cat(cid, { offset: 695, length: 7 }))).toString()).to.equal("5678901");
+  });
+
+  it("should give streams and buffers the same CID with byte progress", async function () {
+    const storage = new MemoryStorageAdapter();
+    const expected = await storage.addStream(content, { chunkSize });
+
+    const progress = [];
+    const nodeStream = Readable.from([content.subarray(0, 333), content.subarray(333)]);
+    const streamed = await storage.addStream(nodeStream, { chunkSize, onProgress: bytes => progress.push(bytes) });
+    expect(streamed.cid).to.equal(expected.cid);
+    expect(progress[0]).to.equal(4);
+    expect(progress[progress.length - 1]).to.equal(800);
+
+    const webStream = new Blob([content]).stream();
+    expect((await storage.addStream(webStream, { chunkSize })).cid).to.equal(expected.cid);
+  });
+
+  it("should stop reading once the size limit is exceeded", async function () {
+    let failure;
+    await new MemoryStorageAdapter().addStream(Readable.from([content]), { chunkSize, maxSize: 100 })
+      .catch(error => { failure = error; });
+    expect(failure).to.be.instanceOf(InvalidParametersError);
+  });
+
+  it("should resume from a checkpoint without re-sending stored leaves", async function () {
+    const storage = new MemoryStorageAdapter();
+    let checkpoint = null;
+    let puts = 0;
+    const failing = {
+      put: async (bytes, codec) => {
+        if (++puts === 100) throw new Error("connection reset");
+        return storage.putBlock(bytes, codec);
+      }
+    };
+    await importFile(content, failing, { chunkSize, onCheckpoint: next => { checkpoint = next; } })
+      .catch(() => {});
+    expect(checkpoint.leaves).to.have.length(64);
+
+    puts = 0;
+    const counting = { put: async (bytes, codec) => { puts++; return storage.putBlock(bytes, codec); } };
+    const { cid } = await importFile(content, counting, { chunkSize, checkpoint });
+    // 136 remaining leaves, two intermediate nodes and the root
+    expect(puts).to.equal(139);
+    expect((await collect(storage.cat(cid))).equals(content)).to.equal(true);
+  });
+
+  describe("TerraStakeService", function () {
+    const chunk = CONFIG.ipfs.chunkSize;
+
+    afterEach(function () {
+      CONFIG.ipfs.chunkSize = chunk;
+    });
+
+    it("should stream uploads with metadata and apply per-type size limits", async function () {
+      CONFIG.ipfs.chunkSize = chunkSize;
+      const service = new TerraStakeService("arbitrumTestnet", {
+        storage: new MemoryStorageAdapter(),
+        fallbackStorage: null,
+        contractABI: []
+      });
+
+      const progress = [];
+      const cid = await service.uploadToIPFS(Readable.from([content]), {
+        metadata: { name: "scene.tif", type: "image/tiff" },
+        size: content.length,
+        onProgress: (bytes, total) => progress.push([bytes, total])
+      });
+
+      const metadata = JSON.parse((await collect(service.storage.cat(`${cid}/metadata.json`))).toString());
+      expect(metadata.size).to.equal(800);
+      expect((await collect(service.storage.cat(`${cid}/data`))).equals(content)).to.equal(true);
+      expect(progress[progress.length - 1]).to.deep.equal([800, 800]);
+
+      expect(service.getDocumentSizeLimit("image/tiff")).to.equal(20 * 1024 * 1024 * 1024);
+      expect(service.getDocumentSizeLimit("image/png")).to.equal(CONFIG.ipfs.sizeLimits["image/*"]);
+      expect(service.getDocumentSizeLimit("application/msword")).to.equal(CONFIG.ipfs.sizeLimits.default);
+    });
+
+    it("should resolve single-chunk uploads from their bytes32 in a fresh service", async function () {
+      const storage = new MemoryStorageAdapter();
+      const options = { storage, fallbackStorage: null, contractABI: [] };
+      const uploader = new TerraStakeService("arbitrumTestnet", options);
+
+      const cid = await uploader.uploadToIPFS(JSON.stringify({ name: "Mangrove restoration" }));
+      expect(parseCid(cid).codec).to.equal(CODECS.DAG_PB);
+      const bytes32 = await uploader._convertIpfsHashToBytes32(cid);
+
+      // A new process has an empty in-memory CID registry
+      const reader = new TerraStakeService("arbitrumTestnet", options);
+      const resolved = await reader._convertBytes32ToIpfsHash(bytes32);
+      expect(JSON.parse(await reader._getFromIPFS(resolved))).to.deep.equal({ name: "Mangrove restoration" });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { ethers } = require("../utilities/ethers-v5");
+const { FileSessionStore, UploadSession, digestContent, digestSource } = require("../utilities/upload-session");
+const { InvalidParametersError } = require("../utilities/errors");
+const { MemoryStorageAdapter, collect } = require("../utilities/storage-adapters");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { CONFIG, TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Upload sessions", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "terrastake-session-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should persist entries and match duplicate files by digest", async function () {
+    const store = new FileSessionStore({ path: path.join(dir, "session.json") });
+    const session = await UploadSession.open(store, { projectId: 7, chainId: 31337 });
+    const digest = digestContent(Buffer.from("same"));
+
+    const claimed = new Set();
+    const first = session.match({ name: "a.pdf", digest }, claimed);
+    const second = session.match({ name: "b.pdf", digest }, claimed);
+    await session.update(first, { cid: "bafyfirst", status: "uploaded" });
+
+    expect(first).to.not.equal(second);
+    const reopened = await UploadSession.open(store, { projectId: 7, chainId: 31337 });
+    expect(reopened.match({ name: "a.pdf", digest }, new Set()).cid).to.equal("bafyfirst");
+    expect(reopened.summary()).to.deep.equal({ pending: 1, uploaded: 1, submitted: 0, failed: 0 });
+
+    let mismatch;
+    await UploadSession.open(store, { projectId: 8, chainId: 31337 }).catch(error => { mismatch = error; });
+    expect(mismatch.message).to.match(/belongs to project 7/);
+  });
+
+  describe("batchUploadDocuments", function () {
+    const retryAttempts = CONFIG.ipfs.retryAttempts;
+    let service;
+    let sent;
+
+    beforeEach(function () {
+      CONFIG.ipfs.retryAttempts = 1;
+      service = new TerraStakeService("arbitrumTestnet", {
+        storage: new MemoryStorageAdapter(),
+        fallbackStorage: null,
+        cache: new MemoryCacheStore()
+      });
+      sent = [];
+
+      // Stand-ins for an initialized, signing service: 3M gas per document
+      Object.assign(service, {
+        isInitialized: true,
+        signer: {},
+        contract: {
+          estimateGas: {
+            uploadProjectDocuments: async (projectId, cids) => ethers.BigNumber.from(cids.length * 3000000)
+          }
+        },
+        invalidateProject: async () => {},
+        _sendTransaction: async (method, args) => {
+          sent.push(args[1]);
+          return { transactionHash: `0x${String(sent.length).padStart(64, "0")}`, blockNumber: sent.length };
+        }
+      });
+    });
+
+    afterEach(function () {
+      CONFIG.ipfs.retryAttempts = retryAttempts;
+    });
+
+    it("should submit in gas-safe chunks and resume after a failed chunk", async function () {
+      const files = ["one", "two", "three", "four", "five"].map(name => Object.assign(Buffer.from(name), { name }));
+      const sessionPath = path.join(dir, "batch.json");
+
+      // 5 documents at 3M gas each against an 8M budget: chunks of 2, 2 and 1.
+      // The second chunk's transaction fails on the first run.
+      const originalSend = service._sendTransaction;
+      let calls = 0;
+      service._sendTransaction = async (...args) => {
+        if (++calls === 2) throw new Error("network error");
+        return originalSend(...args);
+      };
+
+      let failure;
+      await service.batchUploadDocuments(files, 7, { sessionPath }).catch(error => { failure = error; });
+      expect(failure.results.map(result => result.status)).to.deep.equal([
+        "Confirmed", "Confirmed",
+        "IPFS only, blockchain submission pending", "IPFS only, blockchain submission pending",
+        "IPFS only, blockchain submission pending"
+      ]);
+
+      // A fresh run with the same manifest re-uploads nothing and submits the rest
+      service._sendTransaction = originalSend;
+      let uploads = 0;
+      const addStream = service.storage.addStream.bind(service.storage);
+      service.storage.addStream = async (...args) => { uploads++; return addStream(...args); };
+
+      const results = await service.batchUploadDocuments(files, 7, { sessionPath });
+      expect(uploads).to.equal(0);
+      expect(results.every(result => result.status === "Confirmed")).to.equal(true);
+      expect(sent.map(chunk => chunk.length)).to.deep.equal([2, 2, 1]);
+    });
+
+    it("should keep successful uploads when one file fails", async function () {
+      const files = ["ok", "bad"].map(name => Object.assign(Buffer.from(name), { name }));
+      const addStream = service.storage.addStream.bind(service.storage);
+      service.storage.addStream = async (content, options) => {
+        const bytes = await collect(content);
+        if (bytes.toString() === "bad") throw new Error("pin failed");
+        return addStream(bytes, options);
+      };
+
+      const session = await service.openUploadSession(7);
+      let failure;
+      await service.batchUploadDocuments(files, 7, { session }).catch(error => { failure = error; });
+
+      expect(failure.message).to.match(/1 of 2 documents failed to upload: bad/);
+      expect(session.summary()).to.deep.equal({ pending: 0, uploaded: 1, submitted: 0, failed: 1 });
+      expect(sent).to.have.length(0);
+    });
+
+    it("should check sizes before uploading and types as each file is read", async function () {
+      const files = ["notes", "field notes ".repeat(20)].map((text, i) =>
+        Object.assign(Buffer.from(text), { name: `notes-${i}.txt`, type: "text/plain" }));
+      let uploads = 0;
+      const add = service.storage.add.bind(service.storage);
+      service.storage.add = async (...args) => { uploads++; return add(...args); };
+
+      let oversized;
+      await service.batchUploadDocuments(files, 7, { maxSize: 100 }).catch(error => { oversized = error; });
+      expect(oversized.message).to.contain("notes-1.txt is too large");
+      expect(uploads).to.equal(0);
+
+      let wrongType;
+      await service.batchUploadDocuments(files, 7, { allowedTypes: ["application/pdf"] }).catch(error => { wrongType = error; });
+      expect(wrongType.results.map(result => result.status)).to.deep.equal(["Upload failed", "Upload failed"]);
+      expect(wrongType.results[0].error).to.contain("Invalid file type");
+      expect(sent).to.have.length(0);
+    });
+
+    it("should stream files and apply the single-document size limits", async function () {
+      const content = Buffer.from("field notes ".repeat(100));
+      const blob = Object.assign(new Blob([content]), { name: "notes.txt" });
+      blob.arrayBuffer = async () => { throw new Error("read the whole file into memory"); };
+      expect(await digestSource(blob)).to.equal(digestContent(content));
+
+      const [result] = await service.batchUploadDocuments([blob], 7);
+      expect(result.status).to.equal("Confirmed");
+      expect(result.digest).to.equal(digestContent(content));
+
+      let oversized;
+      await service.batchUploadDocuments([blob], 7, { maxSize: 100 }).catch(error => { oversized = error; });
+      expect(oversized).to.be.instanceOf(InvalidParametersError);
+      expect(oversized.message).to.contain("notes.txt is too large");
+
+      let stream;
+      await service.batchUploadDocuments([Readable.from([content])], 7).catch(error => { stream = error; });
+      expect(stream.message).to.contain("document-0 is a stream");
+      expect(sent).to.have.length(1);
+    });
+  });
+});
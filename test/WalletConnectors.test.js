@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { once } = require("events");
+const { ethers } = require("../utilities/ethers-v5");
+const {
+  InjectedConnector,
+  RemoteSignerConnector,
+  MockRemoteSigner,
+  discoverWallets
+} = require("../utilities/wallet-connectors");
+const { NetworkRegistry } = require("../utilities/network-registry");
+const { MemoryCacheStore } = require("../utilities/cache-stores");
+const { MemoryStorageAdapter } = require("../utilities/storage-adapters");
+const { TerraStakeService } = require("../utilities/ipfs-smart-contract");
+
+describe("Wallet connectors", function () {
+  // Unreachable endpoint: these tests never need chain reads
+  const rpcUrl = "http://127.0.0.1:1";
+
+  function remoteConnector(options = {}) {
+    const client = new MockRemoteSigner({ chainIds: [31337, 31338], ...options });
+    return { client, connector: new RemoteSignerConnector({ client, rpcUrls: { 31337: rpcUrl, 31338: rpcUrl } }) };
+  }
+
+  it("should discover EIP-6963 wallets and fall back to window.ethereum", async function () {
+    const win = new EventTarget();
+    const provider = { request: async () => [] };
+    win.addEventListener("eip6963:requestProvider", () => {
+      const event = new Event("eip6963:announceProvider");
+      event.detail = { info: { uuid: "1", name: "Test Wallet", rdns: "org.test" }, provider };
+      win.dispatchEvent(event);
+    });
+
+    const [wallet] = await discoverWallets({ window: win, timeout: 10 });
+    expect(wallet).to.be.instanceOf(InjectedConnector);
+    expect(wallet.info.name).to.equal("Test Wallet");
+
+    const legacy = Object.assign(new EventTarget(), { ethereum: provider });
+    const [fallback] = await discoverWallets({ window: legacy, timeout: 10 });
+    expect(fallback.info.uuid).to.equal("injected");
+  });
+
+  it("should sign through a remote signer and report session changes", async function () {
+    const { client, connector } = remoteConnector();
+    await connector.connect({ chainIds: [31337] });
+
+    const signer = new ethers.providers.Web3Provider(connector.provider).getSigner();
+    const signature = await signer.signMessage("TerraStake");
+    expect(ethers.utils.verifyMessage("TerraStake", signature)).to.equal(client.wallet.address);
+
+    const changed = once(connector, "chainChanged");
+    await connector.switchChain({ chainId: 31338, name: "Other", rpcUrl });
+    expect((await changed)[0]).to.equal(31338);
+
+    let rejected;
+    await connector.switchChain({ chainId: 1, name: "Mainnet", rpcUrl }).catch(error => { rejected = error; });
+    expect(rejected.code).to.equal(4200);
+  });
+
+  it("should reject connections the wallet declines", async function () {
+    const { connector } = remoteConnector({ approve: false });
+    let rejected;
+    await connector.connect().catch(error => { rejected = error; });
+    expect(rejected.code).to.equal(4001);
+  });
+
+  it("should re-bind the service on account and chain changes", async function () {
+    const registry = new NetworkRegistry({
+      env: {},
+      networks: {
+        local: { chainId: 31337, rpcUrl, contracts: { Projects: "0x1111111111111111111111111111111111111111" } },
+        other: { chainId: 31338, rpcUrl, contracts: { Projects: "0x2222222222222222222222222222222222222222" } }
+      }
+    });
+    // Events the service subscribes to on initialize
+    const contractABI = [
+      "event ProjectAdded(uint256 indexed projectId, string name, uint8 category)",
+      "event ProjectStateChanged(uint256 indexed projectId, uint8 oldState, uint8 newState)",
+      "event ImpactReportSubmitted(uint256 indexed projectId, bytes32 reportHash)",
+      "event StakeAdded(address indexed staker, uint256 indexed projectId, uint256 amount)"
+    ];
+    const service = new TerraStakeService("local", {
+      networkRegistry: registry,
+      contractABI,
+      storage: new MemoryStorageAdapter(),
+      fallbackStorage: null,
+      cache: new MemoryCacheStore()
+    });
+    const { client, connector } = remoteConnector();
+
+    try {
+      const connected = await service.connectWallet(connector);
+      expect(connected.address).to.equal(client.wallet.address);
+
+      const next = ethers.Wallet.createRandom();
+      const accountChanged = once(service, "accountChanged");
+      client.updateSession({ accounts: [next.address] });
+      await accountChanged;
+      expect(await service.contract.signer.getAddress()).to.equal(next.address);
+
+      const networkChanged = once(service, "networkChanged");
+      client.updateSession({ chainId: 31338 });
+      expect((await networkChanged)[0].to).to.equal("other");
+      expect(service.contract.address).to.equal("0x2222222222222222222222222222222222222222");
+
+      const unsupported = once(service, "unsupportedNetwork");
+      client.updateSession({ chainId: 1 });
+      expect((await unsupported)[0].chainId).to.equal(1);
+      expect(service.isInitialized).to.equal(false);
+    } finally {
+      service.cleanup();
+    }
+  });
+});
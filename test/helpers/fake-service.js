@@ -0,0 +1,33 @@
+const { ethers } = require("../../utilities/ethers-v5");
+
+/**
+ * Give a TerraStakeService (or a plain object standing in for one) the members the write
+ * modules use: a signer, pass-through multicall, cache invalidation and a transaction
+ * manager that records every request instead of sending it.
+ * @param {Object} [service] - Service to patch; a bare stand-in when omitted
+ * @param {Object} [options] - Extra members to assign, plus:
+ * @param {Function} [options.receipt] - Receipt for a request; throw to fail the transaction
+ * @returns {{service: Object, sent: Array<Object>}} Patched service and the recorded requests
+ */
+function fakeService(service = {}, options = {}) {
+  const { receipt, ...members } = options;
+  const sent = [];
+  Object.assign(service, {
+    isInitialized: true,
+    signer: {},
+    userAddress: ethers.Wallet.createRandom().address,
+    networkConfig: service.networkConfig || { blockExplorer: "https://sepolia.arbiscan.io" },
+    multicall: { call: async calls => Promise.all(calls.map(call => call.contract[call.method](...call.args))) },
+    txManager: {
+      send: async request => {
+        sent.push(request);
+        if (receipt) return receipt(request);
+        return { transactionHash: "0x" + "ab".repeat(32), blockNumber: 1, events: [] };
+      }
+    },
+    invalidateProject: async () => {}
+  }, members);
+  return { service, sent };
+}
+
+module.exports = { fakeService };
@@ -0,0 +1,482 @@
+// Cache stores for TerraStakeService (memory, filesystem, Redis-compatible, localStorage)
+
+/**
+ * Base class describing the cache store interface. All methods are async so
+ * remote stores (Redis) and local stores can be used interchangeably.
+ */
+class CacheStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.ttl = options.ttl || 0; // Default time-to-live in ms, 0 = no expiry
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or null when missing/expired
+   */
+  async get(key) {
+    throw new Error(`${this.name} cache store does not implement get()`);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value
+   * @param {Object} options - Write options
+   * @param {number} [options.ttl] - Time-to-live in ms, overrides the store default
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    throw new Error(`${this.name} cache store does not implement set()`);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.name} cache store does not implement delete()`);
+  }
+
+  /**
+   * @param {string} prefix - Key prefix to match
+   * @returns {Promise<string[]>} Matching live keys
+   */
+  async keys(prefix = '') {
+    throw new Error(`${this.name} cache store does not implement keys()`);
+  }
+
+  /**
+   * Delete every key starting with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async deletePrefix(prefix) {
+    const keys = await this.keys(prefix);
+    for (const key of keys) {
+      await this.delete(key);
+    }
+    return keys.length;
+  }
+
+  async clear() {
+    await this.deletePrefix('');
+  }
+
+  _expiresAt(options) {
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    return ttl > 0 ? Date.now() + ttl : null;
+  }
+}
+
+function _isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+}
+
+/**
+ * In-memory store with LRU eviction and per-entry TTL
+ */
+class MemoryCacheStore extends CacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} [options.maxEntries] - Entries kept before evicting the least recently used
+   * @param {number} [options.ttl] - Default time-to-live in ms
+   */
+  constructor(options = {}) {
+    super('memory', options);
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (_isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this._expiresAt(options) });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => key.startsWith(prefix) && !_isExpired(entry))
+      .map(([key]) => key);
+  }
+}
+
+/**
+ * JSON file store for Node processes that should keep their cache across restarts
+ */
+class FileCacheStore extends CacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Cache file location
+   * @param {number} [options.ttl] - Default time-to-live in ms
+   */
+  constructor(options = {}) {
+    super('file', options);
+    // Required lazily so browser bundles that never use this store do not need fs
+    this._fs = require('fs');
+    this._path = require('path');
+    this.path = this._path.resolve(options.path || './terrastake-cache.json');
+    this.entries = new Map();
+    this._writeQueue = Promise.resolve();
+
+    if (this._fs.existsSync(this.path)) {
+      const data = JSON.parse(this._fs.readFileSync(this.path, 'utf8'));
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        if (!_isExpired(entry)) this.entries.set(key, entry);
+      }
+    }
+  }
+
+  _save() {
+    this._writeQueue = this._writeQueue.then(async () => {
+      await this._fs.promises.mkdir(this._path.dirname(this.path), { recursive: true });
+
+      // Write through a temp file so a crash never leaves a truncated cache
+      const tmp = `${this.path}.${process.pid}.tmp`;
+      await this._fs.promises.writeFile(tmp, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+      await this._fs.promises.rename(tmp, this.path);
+    });
+    return this._writeQueue;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (_isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    this.entries.set(key, { value, expiresAt: this._expiresAt(options) });
+    await this._save();
+  }
+
+  async delete(key) {
+    if (this.entries.delete(key)) await this._save();
+  }
+
+  async keys(prefix = '') {
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => key.startsWith(prefix) && !_isExpired(entry))
+      .map(([key]) => key);
+  }
+}
+
+/**
+ * Adapter for a Redis client using the node-redis command style
+ * (`get`, `set(key, value, { PX })`, `del`, `scan`). Values are stored as JSON.
+ */
+class RedisCacheStore extends CacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.client - Redis client (or LocalRedisClient); closed clients connect on first use
+   * @param {string} [options.prefix] - Namespace prepended to every key
+   * @param {number} [options.ttl] - Default time-to-live in ms
+   * @param {number} [options.scanCount] - Keys per SCAN page (default 500)
+   */
+  constructor(options = {}) {
+    super('redis', options);
+    if (!options.client) throw new Error('RedisCacheStore requires a client');
+    this.client = options.client;
+    this.prefix = options.prefix || 'terraStake:';
+    this.scanCount = options.scanCount || 500;
+    this._connecting = null;
+  }
+
+  /**
+   * Connect clients created from a URL before their first command
+   * @private
+   */
+  async _ready() {
+    if (this.client.isOpen !== false) return;
+    if (!this._connecting) {
+      this._connecting = this.client.connect().catch(error => {
+        this._connecting = null;
+        throw error;
+      });
+    }
+    await this._connecting;
+  }
+
+  async get(key) {
+    await this._ready();
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, options = {}) {
+    await this._ready();
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    const setOptions = ttl > 0 ? { PX: ttl } : undefined;
+    await this.client.set(this.prefix + key, JSON.stringify(value), setOptions);
+  }
+
+  async delete(key) {
+    await this._ready();
+    await this.client.del(this.prefix + key);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    for await (const page of this._scan(prefix)) keys.push(...page);
+    return keys.map(key => key.slice(this.prefix.length));
+  }
+
+  async deletePrefix(prefix) {
+    // Scan to the end before deleting, then send one DEL per page instead of one per key
+    const pages = [];
+    for await (const page of this._scan(prefix)) {
+      if (page.length) pages.push(page);
+    }
+    let deleted = 0;
+    for (const page of pages) deleted += await this.client.del(page);
+    return deleted;
+  }
+
+  /**
+   * Iterate full keys under a prefix with SCAN, which unlike KEYS never blocks the server
+   * @private
+   */
+  async *_scan(prefix) {
+    await this._ready();
+    // Escape glob characters so project IDs and addresses match literally
+    const pattern = (this.prefix + prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+    // node-redis v4 returns numeric cursors and v5 string ones
+    let cursor = '0';
+    do {
+      const reply = await this.client.scan(cursor, { MATCH: pattern, COUNT: this.scanCount });
+      cursor = String(reply.cursor);
+      yield reply.keys;
+    } while (cursor !== '0');
+  }
+}
+
+/**
+ * Minimal in-process stand-in for a Redis server, implementing the subset of
+ * node-redis commands used by RedisCacheStore. Useful for tests and local runs.
+ */
+class LocalRedisClient {
+  constructor() {
+    this.data = new Map();
+  }
+
+  _expired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  _live(key) {
+    const entry = this.data.get(key);
+    if (entry && this._expired(entry)) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this._live(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    this.data.set(key, {
+      value: String(value),
+      expiresAt: options && options.PX ? Date.now() + options.PX : null
+    });
+    return 'OK';
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this._live(key) && this.data.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  async scan(cursor, options = {}) {
+    // Translate the glob into a RegExp, honouring backslash escapes
+    const pattern = options.MATCH || '*';
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '\\' && i + 1 < pattern.length) {
+        source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      } else if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else {
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    const regex = new RegExp(`^${source}$`);
+
+    // Cursors are offsets into the key space; like Redis, COUNT bounds the keys visited per page
+    const all = [...this.data.keys()];
+    const start = Number(cursor);
+    const end = start + (options.COUNT || 10);
+    const keys = all.slice(start, end).filter(key => !this._expired(this.data.get(key)) && regex.test(key));
+    return { cursor: end >= all.length ? 0 : end, keys };
+  }
+
+  async flushDb() {
+    this.data.clear();
+    return 'OK';
+  }
+}
+
+/**
+ * Browser store backed by localStorage (one item per key)
+ */
+class LocalStorageCacheStore extends CacheStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Storage} [options.storage] - Storage object (defaults to global localStorage)
+   * @param {string} [options.prefix] - Namespace prepended to every key
+   * @param {number} [options.ttl] - Default time-to-live in ms
+   */
+  constructor(options = {}) {
+    super('localStorage', options);
+    this.storage = options.storage || localStorage;
+    this.prefix = options.prefix || 'terraStake_';
+  }
+
+  async get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    if (raw === null) return null;
+    const entry = JSON.parse(raw);
+    if (_isExpired(entry)) {
+      this.storage.removeItem(this.prefix + key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, options = {}) {
+    this.storage.setItem(this.prefix + key, JSON.stringify({ value, expiresAt: this._expiresAt(options) }));
+  }
+
+  async delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(this.prefix + prefix)) keys.push(key.slice(this.prefix.length));
+    }
+    return keys;
+  }
+}
+
+/**
+ * View of another store with every key prefixed, used to keep data from different
+ * chains apart in one shared store
+ */
+class ScopedCacheStore extends CacheStore {
+  /**
+   * @param {CacheStore} store - Underlying store
+   * @param {string} scope - Prefix applied to every key
+   */
+  constructor(store, scope) {
+    super(`${store.name}:${scope}`);
+    this.store = store;
+    this.scope = scope;
+  }
+
+  async get(key) {
+    return this.store.get(this.scope + key);
+  }
+
+  async set(key, value, options = {}) {
+    await this.store.set(this.scope + key, value, options);
+  }
+
+  async delete(key) {
+    await this.store.delete(this.scope + key);
+  }
+
+  async keys(prefix = '') {
+    const keys = await this.store.keys(this.scope + prefix);
+    return keys.map(key => key.slice(this.scope.length));
+  }
+
+  async deletePrefix(prefix) {
+    return this.store.deletePrefix(this.scope + prefix);
+  }
+}
+
+/**
+ * node-redis client for a Redis URL; RedisCacheStore connects it on first use
+ * @private
+ */
+function _createRedisClient(url) {
+  if (!url) {
+    throw new Error('The redis cache store needs a client (CONFIG.cache.client) or a URL (TERRASTAKE_REDIS_URL)');
+  }
+  // Required lazily so deployments without Redis never load it
+  const { createClient } = require('redis');
+  return createClient({ url });
+}
+
+/**
+ * Build a cache store from configuration
+ * @param {Object} config - Cache configuration
+ * @param {string} config.store - One of 'memory', 'file', 'redis', 'localStorage'
+ * @param {Object} [config.client] - Redis client for the redis store
+ * @param {string} [config.url] - Redis URL, used when no client is given
+ * @returns {CacheStore} Configured store
+ */
+function createCacheStore(config = {}) {
+  switch (config.store || 'memory') {
+    case 'memory':
+      return new MemoryCacheStore({ maxEntries: config.maxEntries, ttl: config.ttl });
+    case 'file':
+      return new FileCacheStore({ path: config.path, ttl: config.ttl });
+    case 'redis':
+      return new RedisCacheStore({
+        client: config.client || _createRedisClient(config.url),
+        prefix: config.prefix,
+        ttl: config.ttl
+      });
+    case 'localStorage':
+      return new LocalStorageCacheStore({ ttl: config.ttl });
+    default:
+      throw new Error(`Unknown cache store: ${config.store}`);
+  }
+}
+
+module.exports = {
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore,
+  RedisCacheStore,
+  LocalRedisClient,
+  LocalStorageCacheStore,
+  ScopedCacheStore,
+  createCacheStore
+};
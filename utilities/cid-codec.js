@@ -0,0 +1,320 @@
+// CID <-> bytes32 codec for IPFS hashes stored by TerraStakeProjects
+const { ethers } = require('./ethers-v5');
+
+// Multicodec / multihash identifiers
+const CODECS = {
+  RAW: 0x55,
+  DAG_PB: 0x70,
+  DAG_JSON: 0x0129
+};
+const HASH_SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+/**
+ * Decode an unsigned varint
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {{value: number, length: number}} Decoded value and bytes consumed
+ */
+function decodeVarint(bytes, offset = 0) {
+  let value = 0;
+  let shift = 0;
+  let position = offset;
+  while (position < bytes.length) {
+    const byte = bytes[position++];
+    value += (byte & 0x7f) * Math.pow(2, shift);
+    if (byte < 0x80) return { value, length: position - offset };
+    shift += 7;
+    if (shift > 49) break;
+  }
+  throw new Error('Invalid varint in CID');
+}
+
+function encodeBase58(bytes) {
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+  const digits = [];
+  for (let i = zeros; i < bytes.length; i++) {
+    let carry = bytes[i];
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8;
+      digits[j] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  return '1'.repeat(zeros) + digits.reverse().map(d => BASE58_ALPHABET[d]).join('');
+}
+
+function decodeBase58(text) {
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+
+  const bytes = [];
+  for (let i = zeros; i < text.length; i++) {
+    let carry = BASE58_ALPHABET.indexOf(text[i]);
+    if (carry < 0) throw new Error(`Invalid base58 character "${text[i]}"`);
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return Uint8Array.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+function encodeBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text.toLowerCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error(`Invalid base32 character "${char}"`);
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Parse a CIDv0 (`Qm...`) or CIDv1 (base32 `b...` / base58btc `z...`) string
+ * @param {string} cid - CID string
+ * @returns {{version: number, codec: number, hashCode: number, digest: Uint8Array}} Parsed CID
+ */
+function parseCid(cid) {
+  if (typeof cid !== 'string' || !cid.length) throw new Error('CID must be a non-empty string');
+
+  // CIDv0 is a bare base58btc sha2-256 multihash of a dag-pb node
+  if (cid.length === 46 && cid.startsWith('Qm')) {
+    const multihash = decodeBase58(cid);
+    if (multihash[0] !== HASH_SHA2_256 || multihash[1] !== SHA2_256_LENGTH || multihash.length !== 34) {
+      throw new Error(`Invalid CIDv0: ${cid}`);
+    }
+    return { version: 0, codec: CODECS.DAG_PB, hashCode: HASH_SHA2_256, digest: multihash.slice(2) };
+  }
+
+  let bytes;
+  if (cid[0] === 'b') {
+    bytes = decodeBase32(cid.slice(1));
+  } else if (cid[0] === 'z') {
+    bytes = decodeBase58(cid.slice(1));
+  } else {
+    throw new Error(`Unsupported CID multibase prefix "${cid[0]}"`);
+  }
+
+  let offset = 0;
+  const read = () => {
+    const { value, length } = decodeVarint(bytes, offset);
+    offset += length;
+    return value;
+  };
+
+  const version = read();
+  if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+  const codec = read();
+  const hashCode = read();
+  const digestLength = read();
+  const digest = bytes.slice(offset, offset + digestLength);
+  if (digest.length !== digestLength || offset + digestLength !== bytes.length) {
+    throw new Error(`Invalid CID digest length: ${cid}`);
+  }
+
+  return { version, codec, hashCode, digest };
+}
+
+/**
+ * Format CID parts as a string (base58btc for v0, base32 for v1)
+ * @param {Object} parts - CID parts
+ * @param {number} parts.version - 0 or 1
+ * @param {number} parts.codec - Content multicodec
+ * @param {number} parts.hashCode - Multihash function code
+ * @param {Uint8Array} parts.digest - Hash digest
+ * @returns {string} CID string
+ */
+function formatCid({ version, codec, hashCode, digest }) {
+  const multihash = [...encodeVarint(hashCode), ...encodeVarint(digest.length), ...digest];
+  if (version === 0) {
+    if (codec !== CODECS.DAG_PB || hashCode !== HASH_SHA2_256) {
+      throw new Error('CIDv0 only supports dag-pb with sha2-256');
+    }
+    return encodeBase58(Uint8Array.from(multihash));
+  }
+  return 'b' + encodeBase32(Uint8Array.from([...encodeVarint(1), ...encodeVarint(codec), ...multihash]));
+}
+
+/**
+ * Canonical CIDv1 form of a CID, so CIDv0 and CIDv1 of the same block compare equal
+ * @param {string} cid - CID string
+ * @returns {string} CIDv1 string (base32)
+ */
+function toCidV1(cid) {
+  return formatCid({ ...parseCid(cid), version: 1 });
+}
+
+/**
+ * Compute a CIDv1 (sha2-256, base32) for the given content
+ * @param {Uint8Array} bytes - Content bytes
+ * @param {number} codec - Multicodec of the content (raw by default)
+ * @returns {string} CID string
+ */
+function computeCid(bytes, codec = CODECS.RAW) {
+  const digest = ethers.utils.arrayify(ethers.utils.sha256(bytes));
+  return formatCid({ version: 1, codec, hashCode: HASH_SHA2_256, digest });
+}
+
+/**
+ * Legacy/fallback on-chain value: keccak256 of the CID string
+ * @param {string} cid - CID string
+ * @returns {string} bytes32 hex
+ */
+function keccakCid(cid) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(cid));
+}
+
+/**
+ * Whether a CID can be packed losslessly into a bytes32 (dag-pb + sha2-256)
+ * @param {string} cid - CID string
+ * @returns {boolean} True if the digest alone identifies the CID
+ */
+function fitsInBytes32(cid) {
+  try {
+    const parsed = parseCid(cid);
+    return parsed.codec === CODECS.DAG_PB &&
+      parsed.hashCode === HASH_SHA2_256 &&
+      parsed.digest.length === SHA2_256_LENGTH;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Simple in-process side registry for CIDs that do not fit in a bytes32
+ */
+class MemoryCidRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(bytes32) {
+    return this.entries.get(bytes32.toLowerCase()) || null;
+  }
+
+  set(bytes32, cid) {
+    this.entries.set(bytes32.toLowerCase(), cid);
+  }
+}
+
+/**
+ * Encode a CID as the bytes32 stored on chain.
+ * dag-pb/sha2-256 CIDs (every CIDv0 and their v1 equivalents) are stored as the raw digest;
+ * anything else is stored as keccak256(cid) and recorded in the side registry.
+ * @param {string} cid - CID string
+ * @param {Object} options - Encoding options
+ * @param {Object} [options.registry] - Registry with get/set used for CIDs that don't fit
+ * @returns {Promise<string>} bytes32 hex
+ */
+async function cidToBytes32(cid, options = {}) {
+  if (fitsInBytes32(cid)) {
+    return ethers.utils.hexlify(parseCid(cid).digest);
+  }
+
+  // Validate before registering so typos never end up on chain
+  parseCid(cid);
+  if (!options.registry) {
+    throw new Error(`CID ${cid} does not fit in bytes32 and no CID registry is configured`);
+  }
+
+  const bytes32 = keccakCid(cid);
+  await options.registry.set(bytes32, cid);
+  return bytes32;
+}
+
+/**
+ * Decode an on-chain bytes32 back to a CID.
+ * Registry entries win; otherwise the value is treated as a sha2-256 digest (CIDv0).
+ * @param {string} bytes32 - bytes32 hex
+ * @param {Object} options - Decoding options
+ * @param {Object} [options.registry] - Registry with get/set
+ * @returns {Promise<string>} CID string
+ */
+async function bytes32ToCid(bytes32, options = {}) {
+  if (!ethers.utils.isHexString(bytes32, 32)) throw new Error(`Invalid bytes32 value: ${bytes32}`);
+  if (/^0x0{64}$/.test(bytes32)) throw new Error('Empty bytes32 does not reference a CID');
+
+  if (options.registry) {
+    const registered = await options.registry.get(bytes32);
+    if (registered) return registered;
+  }
+
+  return formatCid({
+    version: 0,
+    codec: CODECS.DAG_PB,
+    hashCode: HASH_SHA2_256,
+    digest: ethers.utils.arrayify(bytes32)
+  });
+}
+
+module.exports = {
+  CODECS,
+  HASH_SHA2_256,
+  parseCid,
+  formatCid,
+  toCidV1,
+  computeCid,
+  keccakCid,
+  fitsInBytes32,
+  cidToBytes32,
+  bytes32ToCid,
+  MemoryCidRegistry,
+  encodeVarint,
+  decodeVarint,
+  encodeBase58,
+  decodeBase58,
+  encodeBase32,
+  decodeBase32
+};
@@ -0,0 +1,223 @@
+// Persistent CID index resolving keccak-hashed on-chain values back to content
+const { keccakCid } = require('./cid-codec');
+
+const INDEX_VERSION = 1;
+
+/**
+ * JSON-file backed CID index. Implements the CID registry interface (`get`/`set`)
+ * so it can be passed to TerraStakeService as `cidRegistry`.
+ *
+ * `set` appends one line to `<path>.log` instead of rewriting the index, and the log
+ * is folded back into the JSON file once it outgrows the index (or on `save()`).
+ */
+class FileCidIndex {
+  /**
+   * @param {Object} options - Index options
+   * @param {string} options.path - Location of the JSON index file
+   * @param {number} [options.compactAfter] - Minimum log lines before the log is compacted
+   */
+  constructor(options = {}) {
+    // Required lazily so browser bundles that never use this index do not need fs
+    this._fs = require('fs');
+    this._path = require('path');
+    this.path = this._path.resolve(options.path || './ipfs_cache/cid-index.json');
+    this.logPath = `${this.path}.log`;
+    this.compactAfter = options.compactAfter || 1000;
+    this.entries = new Map();
+    this._logLength = 0;
+    this._writeQueue = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    if (this._fs.existsSync(this.path)) {
+      const data = JSON.parse(this._fs.readFileSync(this.path, 'utf8'));
+      if (data.version !== INDEX_VERSION) {
+        throw new Error(`Unsupported CID index version ${data.version} in ${this.path}`);
+      }
+      for (const [hash, entry] of Object.entries(data.entries || {})) {
+        this.entries.set(hash.toLowerCase(), entry);
+      }
+    }
+
+    if (!this._fs.existsSync(this.logPath)) return;
+    const lines = this._fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can only tear the last line
+        if (i === lines.length - 1) return;
+        throw new Error(`Corrupt CID index log line ${i + 1} in ${this.logPath}`);
+      }
+      this.entries.set(record[0], record[1]);
+      this._logLength++;
+    });
+  }
+
+  /**
+   * Write the whole index and drop the append log, serialising concurrent writes
+   * @returns {Promise<void>}
+   */
+  save() {
+    this._writeQueue = this._writeQueue.then(() => this._compact());
+    return this._writeQueue;
+  }
+
+  /**
+   * @private
+   */
+  async _compact() {
+    const data = {
+      version: INDEX_VERSION,
+      updatedAt: Date.now(),
+      entries: Object.fromEntries(this.entries)
+    };
+    await this._fs.promises.mkdir(this._path.dirname(this.path), { recursive: true });
+
+    // Write through a temp file so a crash never leaves a truncated index
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await this._fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+    await this._fs.promises.rename(tmp, this.path);
+    // Log entries are also in the new file, so replaying a log left by a crash here is harmless
+    await this._fs.promises.rm(this.logPath, { force: true });
+    this._logLength = 0;
+  }
+
+  /**
+   * Append one entry to the log, compacting once the log is longer than the index
+   * @private
+   */
+  _append(key, entry) {
+    this._writeQueue = this._writeQueue.then(async () => {
+      await this._fs.promises.mkdir(this._path.dirname(this.path), { recursive: true });
+      await this._fs.promises.appendFile(this.logPath, JSON.stringify([key, entry]) + '\n');
+      this._logLength++;
+      if (this._logLength >= Math.max(this.compactAfter, this.entries.size)) await this._compact();
+    });
+    return this._writeQueue;
+  }
+
+  get(bytes32) {
+    const entry = this.entries.get(bytes32.toLowerCase());
+    return entry ? entry.cid : null;
+  }
+
+  /**
+   * Full index entry for a hash, including any project/report context
+   * @param {string} bytes32 - keccak256(cid) as stored on chain
+   * @returns {Object|null} Index entry
+   */
+  lookup(bytes32) {
+    return this.entries.get(bytes32.toLowerCase()) || null;
+  }
+
+  async set(bytes32, cid, context = {}) {
+    const key = bytes32.toLowerCase();
+    const existing = this.entries.get(key);
+    const entry = {
+      ...(existing || {}),
+      ...context,
+      cid,
+      recordedAt: existing ? existing.recordedAt : Date.now()
+    };
+    this.entries.set(key, entry);
+    await this._append(key, entry);
+  }
+
+  /**
+   * Record a CID under its keccak256 hash
+   * @param {string} cid - IPFS CID
+   * @param {Object} context - Extra fields (projectId, reportId, source...)
+   * @returns {Promise<string>} The keccak hash the CID was recorded under
+   */
+  async record(cid, context = {}) {
+    const hash = keccakCid(cid);
+    await this.set(hash, cid, context);
+    return hash;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Page through a contract event between two blocks
+ * @param {ethers.Contract} contract - Contract instance
+ * @param {Object} filter - Event filter
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {number} pageSize - Blocks per queryFilter call
+ * @returns {AsyncIterable<Object>} Event logs
+ * @private
+ */
+async function* _queryPaged(contract, filter, fromBlock, toBlock, pageSize) {
+  for (let start = fromBlock; start <= toBlock; start += pageSize) {
+    const end = Math.min(start + pageSize - 1, toBlock);
+    yield* await contract.queryFilter(filter, start, end);
+  }
+}
+
+/**
+ * Rebuild a CID index by replaying ProjectAdded / ImpactReportSubmitted logs
+ * and matching their keccak-hashed values against a list of pinned CIDs.
+ * @param {Object} params - Rebuild parameters
+ * @param {ethers.Contract} params.contract - TerraStakeProjects contract
+ * @param {FileCidIndex} params.index - Index to write matches into
+ * @param {Iterable<string>|AsyncIterable<string>} params.pins - Candidate CIDs
+ * @param {number} [params.fromBlock] - First block to replay
+ * @param {number} [params.toBlock] - Last block to replay (defaults to latest)
+ * @param {number} [params.pageSize] - Blocks per log query
+ * @param {Function} [params.onProgress] - Called with (processedBlock, toBlock)
+ * @returns {Promise<Object>} Summary with matched and unmatched on-chain hashes
+ */
+async function rebuildCidIndex(params) {
+  const { contract, index, fromBlock = 0, pageSize = 10000, onProgress } = params;
+  const toBlock = params.toBlock !== undefined ?
+    params.toBlock :
+    await contract.provider.getBlockNumber();
+
+  // keccak256(cid) -> cid for every candidate pin
+  const candidates = new Map();
+  for await (const cid of params.pins) {
+    candidates.set(keccakCid(cid), cid);
+  }
+
+  const summary = { pins: candidates.size, matched: [], unmatched: [] };
+  const match = async (hash, context) => {
+    if (!hash) return;
+    const cid = candidates.get(hash.toLowerCase());
+    if (cid) {
+      await index.set(hash, cid, context);
+      summary.matched.push({ hash, cid, ...context });
+    } else if (!index.get(hash)) {
+      summary.unmatched.push({ hash, ...context });
+    }
+  };
+
+  for await (const event of _queryPaged(contract, contract.filters.ProjectAdded(), fromBlock, toBlock, pageSize)) {
+    // ProjectAdded does not carry the metadata hash, so read it from the project
+    const projectId = event.args.projectId.toString();
+    const project = await contract.getProject(projectId);
+    await match(project.metadataHash, { source: 'ProjectAdded', projectId, blockNumber: event.blockNumber });
+    if (onProgress) onProgress(event.blockNumber, toBlock);
+  }
+
+  for await (const event of _queryPaged(contract, contract.filters.ImpactReportSubmitted(), fromBlock, toBlock, pageSize)) {
+    await match(event.args.reportHash, {
+      source: 'ImpactReportSubmitted',
+      projectId: event.args.projectId.toString(),
+      blockNumber: event.blockNumber
+    });
+    if (onProgress) onProgress(event.blockNumber, toBlock);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  FileCidIndex,
+  rebuildCidIndex
+};
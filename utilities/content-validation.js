@@ -0,0 +1,364 @@
+// Upload content validation: magic-byte type sniffing, image metadata stripping,
+// SHA-256 digests and pluggable validators, run as content streams to storage
+const { Buffer } = require('buffer');
+const hash = require('hash.js');
+const { chunkSource, isReplayable } = require('./unixfs');
+const { InvalidParametersError } = require('./errors');
+
+// Bytes buffered before anything is stored; enough for every signature and text detection
+const HEAD_SIZE = 64 * 1024;
+// Trailing bytes kept for validators that check file endings
+const TAIL_SIZE = 64 * 1024;
+
+// Magic numbers by content type; `offset` defaults to 0
+const SIGNATURES = [
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2b, 0x00] }, // BigTIFF
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2b] },
+  { type: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8, prefix: [0x52, 0x49, 0x46, 0x46] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-hdf5', bytes: [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'application/x-netcdf', bytes: [0x43, 0x44, 0x46, 0x01] },
+  { type: 'application/x-netcdf', bytes: [0x43, 0x44, 0x46, 0x02] },
+  { type: 'application/x-netcdf', bytes: [0x43, 0x44, 0x46, 0x05] }
+];
+
+// Declared types that legitimately sniff as a different container or encoding
+const COMPATIBLE_TYPES = {
+  'application/zip': [
+    'application/x-zip-compressed',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.google-earth.kmz'
+  ],
+  'application/x-hdf5': ['application/x-netcdf'], // netCDF-4 files are HDF5 containers
+  'application/gzip': ['application/x-gzip'],
+  'image/jpeg': ['image/jpg', 'image/pjpeg'],
+  'text/plain': [
+    'text/*', 'application/csv', 'application/json', 'application/geo+json', 'application/vnd.geo+json', 'application/xml',
+    'image/svg+xml', 'application/vnd.google-earth.kml+xml'
+  ],
+  'application/json': ['text/plain', 'application/geo+json', 'application/vnd.geo+json']
+};
+
+/**
+ * Whether a byte sequence occurs at an offset
+ * @private
+ */
+function _matches(head, bytes, offset = 0) {
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => head[offset + i] === byte);
+}
+
+/**
+ * @private
+ */
+function _isText(head) {
+  if (!head.length || head.includes(0)) return false;
+  // A multi-byte character may be cut at the end of the window
+  for (let trim = 0; trim < 4 && trim < head.length; trim++) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, head.length - trim));
+      return true;
+    } catch (error) {
+      // try a shorter window
+    }
+  }
+  return false;
+}
+
+/**
+ * Detect a content type from the first bytes of a file
+ * @param {Uint8Array} head - Leading bytes (4KB is plenty for binary formats)
+ * @returns {string|null} Detected MIME type, or null when unrecognised
+ */
+function sniffContentType(head) {
+  for (const signature of SIGNATURES) {
+    if (signature.prefix && !_matches(head, signature.prefix)) continue;
+    if (_matches(head, signature.bytes, signature.offset)) return signature.type;
+  }
+  if (_isText(head)) {
+    const text = Buffer.from(head).toString('utf8', 0, 16).trimStart();
+    return text.startsWith('{') || text.startsWith('[') ? 'application/json' : 'text/plain';
+  }
+  return null;
+}
+
+/**
+ * Types sniffContentType can recognise, so a declaration of one of them can be checked
+ * @private
+ */
+function _isRecognisable(type) {
+  return SIGNATURES.some(signature => signature.type === type) ||
+    Object.values(COMPATIBLE_TYPES).some(types => types.includes(type)) ||
+    type.startsWith('text/');
+}
+
+/**
+ * Whether a declared type agrees with the sniffed one
+ * @param {string} declared - Type claimed by the uploader
+ * @param {string|null} detected - Type from sniffContentType
+ * @returns {boolean} False for a declared type the content clearly is not. Recognised content
+ *   only matches its own type and aliases; unrecognised content matches any type the sniffer
+ *   could not have recognised either.
+ */
+function isCompatibleType(declared, detected) {
+  if (!declared || declared === 'application/octet-stream') return true;
+  if (!detected) return !_isRecognisable(declared);
+  if (declared === detected) return true;
+
+  const compatible = COMPATIBLE_TYPES[detected] || [];
+  return compatible.includes(declared) ||
+    compatible.some(type => type.endsWith('/*') && declared.startsWith(type.slice(0, -1)));
+}
+
+/**
+ * Drop APP1 (Exif, XMP) and APP13 (IPTC) segments from a JPEG. Orientation stored in
+ * Exif is lost with it.
+ * @private
+ */
+function _stripJpeg(bytes) {
+  const parts = [bytes.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) throw new InvalidParametersError('Corrupt JPEG: expected a segment marker');
+    const marker = bytes[offset + 1];
+    // Fill bytes may pad markers
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Entropy-coded data follows the start-of-scan header; copy the rest untouched
+    if (marker === 0xda) break;
+    // Markers without a length field
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(bytes.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    const end = offset + 2 + bytes.readUInt16BE(offset + 2);
+    if (marker !== 0xe1 && marker !== 0xed) parts.push(bytes.subarray(offset, end));
+    offset = end;
+  }
+  parts.push(bytes.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Drop eXIf and text chunks (which carry XMP) from a PNG
+ * @private
+ */
+function _stripPng(bytes) {
+  const dropped = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = bytes.readUInt32BE(offset);
+    const type = bytes.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (!dropped.includes(type)) parts.push(bytes.subarray(offset, end));
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Drop EXIF and XMP chunks from a WebP and clear their VP8X flags
+ * @private
+ */
+function _stripWebp(bytes) {
+  const parts = [];
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const type = bytes.toString('latin1', offset, offset + 4);
+    const end = offset + 8 + bytes.readUInt32LE(offset + 4) + (bytes.readUInt32LE(offset + 4) % 2);
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(bytes.subarray(offset, end));
+      chunk[8] &= ~(0x08 | 0x04); // EXIF and XMP present flags
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(bytes.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+// Image types whose embedded metadata (including GPS) can be removed. GeoTIFF is left
+// alone: its geo tags are what makes satellite imagery usable as evidence.
+const METADATA_STRIPPERS = {
+  'image/jpeg': _stripJpeg,
+  'image/png': _stripPng,
+  'image/webp': _stripWebp
+};
+
+/**
+ * Remove EXIF/XMP metadata (camera details, GPS position) from an image
+ * @param {Buffer} bytes - Image bytes
+ * @param {string} type - Detected image type
+ * @returns {Buffer|null} Cleaned image, or null when the type is not supported
+ */
+function stripImageMetadata(bytes, type) {
+  const strip = METADATA_STRIPPERS[type];
+  return strip ? strip(Buffer.from(bytes)) : null;
+}
+
+/**
+ * Checks that a PDF has a header and an end-of-file trailer, i.e. was not truncated or padded
+ */
+const pdfStructureValidator = {
+  name: 'pdf-structure',
+  types: ['application/pdf'],
+  validate({ head, tail }) {
+    if (!/^%PDF-[12]\.\d/.test(head.toString('latin1', 0, 8))) throw new Error('Missing PDF version header');
+    const trailer = tail.toString('latin1', Math.max(tail.length - 1024, 0));
+    if (!trailer.includes('%%EOF') || !trailer.includes('startxref')) {
+      throw new Error('Missing PDF trailer; the file may be truncated');
+    }
+  }
+};
+
+/**
+ * Inspects upload content while it streams to storage. Content is only yielded once its
+ * type has been checked, and validators run before the stream ends, so a rejected file
+ * aborts the upload before the root is pinned.
+ */
+class ContentInspector {
+  /**
+   * @param {Object} options - Inspection options
+   * @param {string} [options.type] - Declared MIME type
+   * @param {string[]} [options.allowedTypes] - Accepted detected types (or their aliases)
+   * @param {number|Function} [options.maxSize] - Size limit in bytes, or a function returning the
+   *   limit for the detected type
+   * @param {number} [options.size] - Total size, when known, so oversized content fails up front
+   * @param {boolean} [options.stripImageMetadata] - Remove EXIF/XMP from JPEG, PNG and WebP
+   * @param {Array<Object>} [options.validators] - { name, types, validate(context) }; validate
+   *   receives { type, declaredType, size, head, tail, sha256 } and throws to reject
+   */
+  constructor(options = {}) {
+    this.declaredType = options.type || null;
+    this.allowedTypes = options.allowedTypes || null;
+    this.maxSize = options.maxSize;
+    this.size = options.size;
+    this.stripImageMetadata = !!options.stripImageMetadata;
+    this.validators = options.validators || [];
+    this.report = null;
+  }
+
+  /**
+   * Wrap upload input so it is inspected as it is read
+   * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} source - Upload input
+   * @returns {AsyncIterable<Buffer>} Inspected content; replayable when the source is
+   */
+  wrap(source) {
+    return {
+      replayable: isReplayable(source),
+      [Symbol.asyncIterator]: () => this._inspect(source)
+    };
+  }
+
+  /**
+   * @private
+   */
+  async *_inspect(source) {
+    this.report = null;
+    const chunks = chunkSource(source, HEAD_SIZE)[Symbol.asyncIterator]();
+    const first = await chunks.next();
+    const head = first.done ? Buffer.alloc(0) : first.value;
+    const type = this._checkType(head);
+    const maxSize = typeof this.maxSize === 'function' ? this.maxSize(type) : this.maxSize;
+    const tooLarge = () => new InvalidParametersError(`File too large. Maximum size for ${type || 'this type'} is ${maxSize / (1024 * 1024)}MB`);
+    if (maxSize !== undefined && this.size !== undefined && this.size !== null && this.size > maxSize) throw tooLarge();
+
+    const digest = hash.sha256();
+    let size = 0;
+    let tail = Buffer.alloc(0);
+    const emit = (chunk) => {
+      digest.update(chunk);
+      size += chunk.length;
+      if (maxSize !== undefined && size > maxSize) throw tooLarge();
+      tail = Buffer.concat([tail, chunk]).subarray(-TAIL_SIZE);
+      return chunk;
+    };
+
+    let stripped = false;
+    try {
+      if (this.stripImageMetadata && METADATA_STRIPPERS[type]) {
+        // Metadata segments can sit anywhere in PNG and WebP files, so images are cleaned whole
+        const parts = [head];
+        for (let next = await chunks.next(); !next.done; next = await chunks.next()) parts.push(next.value);
+        yield emit(stripImageMetadata(Buffer.concat(parts), type));
+        stripped = true;
+      } else {
+        yield emit(head);
+        for (let next = await chunks.next(); !next.done; next = await chunks.next()) yield emit(next.value);
+      }
+    } finally {
+      // Release the source when the consumer stops early (size limit, storage error)
+      await chunks.return();
+    }
+
+    const report = {
+      detectedType: type,
+      sha256: `0x${digest.digest('hex')}`,
+      size,
+      metadataStripped: stripped
+    };
+    await this._runValidators({ ...report, type, declaredType: this.declaredType, head, tail });
+    this.report = report;
+  }
+
+  /**
+   * @private
+   */
+  _checkType(head) {
+    const detected = sniffContentType(head);
+    if (!isCompatibleType(this.declaredType, detected)) {
+      throw new InvalidParametersError(
+        `Content does not match its declared type ${this.declaredType} (detected ${detected || 'unknown binary data'})`
+      );
+    }
+    // The declared type only stands in when the content itself was not recognised
+    const type = detected || this.declaredType;
+    if (this.allowedTypes && !this.allowedTypes.some(allowed => allowed === type || (detected && isCompatibleType(allowed, detected)))) {
+      throw new InvalidParametersError(`Invalid file type. Allowed types: ${this.allowedTypes.join(', ')}`);
+    }
+    return type;
+  }
+
+  /**
+   * @private
+   */
+  async _runValidators(context) {
+    for (const validator of this.validators) {
+      if (validator.types && !validator.types.includes(context.type)) continue;
+      try {
+        await validator.validate(context);
+      } catch (error) {
+        throw new InvalidParametersError(`Content rejected by ${validator.name} validator: ${error.message}`, { cause: error });
+      }
+    }
+  }
+}
+
+module.exports = {
+  sniffContentType,
+  isCompatibleType,
+  stripImageMetadata,
+  pdfStructureValidator,
+  ContentInspector
+};
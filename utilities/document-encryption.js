@@ -0,0 +1,270 @@
+// Envelope encryption for confidential project documents: content is encrypted with a
+// random AES-256-GCM data key, and the data key is wrapped for each recipient's
+// secp256k1 public key (ECIES). Only the header, never the data key, is stored in metadata.json.
+const { Buffer } = require('buffer');
+const { ethers } = require('./ethers-v5');
+const { chunkSource, isReplayable } = require('./unixfs');
+const { DecryptionError } = require('./errors');
+
+const CONTENT_SCHEME = 'aes-256-gcm-stream';
+const KEY_WRAP_SCHEME = 'ecies-secp256k1-hkdf-sha256-aes-256-gcm';
+const DEFAULT_SEGMENT_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const KEY_WRAP_INFO = ethers.utils.toUtf8Bytes('TerraStake document key wrap v1');
+
+// Message signed to derive a wallet's document encryption key
+const ENCRYPTION_KEY_MESSAGE = 'TerraStake document encryption key v1\n\n' +
+  'Signing this message lets this site decrypt confidential project documents shared with you.';
+
+/**
+ * WebCrypto in browsers and Node
+ * @private
+ */
+function _subtle() {
+  if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+    return globalThis.crypto.subtle;
+  }
+  // Required lazily so browser bundles never pull in Node's crypto module
+  return require('crypto').webcrypto.subtle;
+}
+
+/**
+ * @private
+ */
+function _aesKey(raw, usages) {
+  return _subtle().importKey('raw', raw, { name: 'AES-GCM' }, false, usages);
+}
+
+/**
+ * Key-encryption key shared between an ephemeral key and a recipient
+ * @private
+ */
+async function _deriveWrappingKey(sharedSecret, salt, usages) {
+  const subtle = _subtle();
+  const material = await subtle.importKey('raw', ethers.utils.arrayify(sharedSecret), 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: KEY_WRAP_INFO },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    usages
+  );
+}
+
+/**
+ * Nonce of one segment: the base nonce with its last four bytes XORed with the segment index
+ * @private
+ */
+function _segmentNonce(baseNonce, index) {
+  const nonce = Uint8Array.from(baseNonce);
+  const view = new DataView(nonce.buffer);
+  view.setUint32(8, view.getUint32(8) ^ index);
+  return nonce;
+}
+
+/**
+ * The final segment is authenticated as such, so truncated ciphertext fails to decrypt
+ * @private
+ */
+function _segmentAad(isFinal) {
+  return Uint8Array.of(isFinal ? 1 : 0);
+}
+
+/**
+ * Yield chunks together with whether each one is the last
+ * @private
+ */
+async function* _withFinalFlag(chunks) {
+  let previous = null;
+  for await (const chunk of chunks) {
+    if (previous) yield { chunk: previous, isFinal: false };
+    previous = chunk;
+  }
+  yield { chunk: previous, isFinal: true };
+}
+
+/**
+ * Normalize a public key to its compressed hex form
+ * @param {string|Uint8Array} publicKey - Compressed or uncompressed secp256k1 public key
+ * @returns {string} Compressed public key
+ */
+function normalizePublicKey(publicKey) {
+  return ethers.utils.computePublicKey(publicKey, true);
+}
+
+/**
+ * Turn the supported decryption key forms into something that can compute shared secrets
+ * @param {string|ethers.Wallet|ethers.utils.SigningKey|Object} key - Private key, wallet,
+ *   signing key, or any { publicKey, computeSharedSecret(publicKey) } (e.g. a hardware-backed key)
+ * @returns {{publicKey: string, computeSharedSecret: Function}} Decryption key
+ */
+function toDecryptionKey(key) {
+  if (typeof key === 'string') return new ethers.utils.SigningKey(key);
+  if (key && typeof key._signingKey === 'function') return key._signingKey();
+  if (key && key.publicKey && typeof key.computeSharedSecret === 'function') return key;
+  throw new Error('Unsupported decryption key; expected a private key, wallet or signing key');
+}
+
+/**
+ * Derive a wallet's document encryption key from a signature over a fixed message. Wallets sign
+ * deterministically (RFC 6979), so the same account always derives the same key without ever
+ * exposing its own private key.
+ * @param {ethers.Signer} signer - Wallet signer
+ * @returns {Promise<ethers.utils.SigningKey>} Encryption key pair
+ */
+async function deriveEncryptionKey(signer) {
+  const signature = await signer.signMessage(ENCRYPTION_KEY_MESSAGE);
+  return new ethers.utils.SigningKey(ethers.utils.keccak256(signature));
+}
+
+/**
+ * Create a data key and wrap it for every recipient
+ * @param {Array<string>} recipients - Recipient secp256k1 public keys
+ * @param {Object} options - Envelope options
+ * @param {number} [options.segmentSize] - Plaintext bytes per encrypted segment
+ * @returns {Promise<Object>} Envelope: { header, dataKey }; only `header` may be published
+ */
+async function createEnvelope(recipients, options = {}) {
+  if (!recipients || !recipients.length) throw new Error('Encryption requires at least one recipient');
+
+  const dataKey = ethers.utils.randomBytes(32);
+  const wrapped = [];
+  for (const recipient of recipients) {
+    const publicKey = normalizePublicKey(recipient);
+    if (wrapped.some(entry => entry.publicKey === publicKey)) continue;
+
+    const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+    const ephemeralPublicKey = ethers.utils.computePublicKey(ephemeral.publicKey, true);
+    const wrappingKey = await _deriveWrappingKey(
+      ephemeral.computeSharedSecret(publicKey),
+      ethers.utils.arrayify(ephemeralPublicKey),
+      ['encrypt']
+    );
+    const nonce = ethers.utils.randomBytes(12);
+    const wrappedKey = await _subtle().encrypt({ name: 'AES-GCM', iv: nonce }, wrappingKey, dataKey);
+    wrapped.push({
+      publicKey,
+      ephemeralPublicKey,
+      nonce: ethers.utils.hexlify(nonce),
+      wrappedKey: ethers.utils.hexlify(new Uint8Array(wrappedKey))
+    });
+  }
+
+  return {
+    dataKey,
+    header: {
+      scheme: CONTENT_SCHEME,
+      keyWrap: KEY_WRAP_SCHEME,
+      segmentSize: options.segmentSize || DEFAULT_SEGMENT_SIZE,
+      nonce: ethers.utils.hexlify(ethers.utils.randomBytes(12)),
+      recipients: wrapped
+    }
+  };
+}
+
+/**
+ * Recover the data key of an envelope header
+ * @param {Object} header - Encryption header from metadata.json
+ * @param {*} key - Reader's decryption key (see toDecryptionKey)
+ * @returns {Promise<Uint8Array>} Data key
+ */
+async function openEnvelope(header, key) {
+  if (!header || header.scheme !== CONTENT_SCHEME || header.keyWrap !== KEY_WRAP_SCHEME) {
+    throw new DecryptionError(`Unsupported encryption scheme: ${header && header.scheme}`);
+  }
+
+  const reader = toDecryptionKey(key);
+  const publicKey = normalizePublicKey(reader.publicKey);
+  const recipient = header.recipients.find(entry => entry.publicKey === publicKey);
+  if (!recipient) throw new DecryptionError(`Key ${publicKey} is not a recipient of this document`);
+
+  try {
+    const wrappingKey = await _deriveWrappingKey(
+      reader.computeSharedSecret(recipient.ephemeralPublicKey),
+      ethers.utils.arrayify(recipient.ephemeralPublicKey),
+      ['decrypt']
+    );
+    const dataKey = await _subtle().decrypt(
+      { name: 'AES-GCM', iv: ethers.utils.arrayify(recipient.nonce) },
+      wrappingKey,
+      ethers.utils.arrayify(recipient.wrappedKey)
+    );
+    return new Uint8Array(dataKey);
+  } catch (error) {
+    throw new DecryptionError('Failed to unwrap the document key', { cause: error });
+  }
+}
+
+/**
+ * Encrypt content segment by segment, so large files are never buffered whole
+ * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} source - Plaintext
+ * @param {Object} envelope - Envelope from createEnvelope
+ * @returns {AsyncIterable<Buffer>} Ciphertext; replayable when the source is, with identical output
+ */
+function encryptContent(source, envelope) {
+  const { header, dataKey } = envelope;
+  const baseNonce = ethers.utils.arrayify(header.nonce);
+  return {
+    replayable: isReplayable(source),
+    async *[Symbol.asyncIterator]() {
+      const key = await _aesKey(dataKey, ['encrypt']);
+      let index = 0;
+      for await (const { chunk, isFinal } of _withFinalFlag(chunkSource(source, header.segmentSize))) {
+        const ciphertext = await _subtle().encrypt(
+          { name: 'AES-GCM', iv: _segmentNonce(baseNonce, index++), additionalData: _segmentAad(isFinal) },
+          key,
+          chunk
+        );
+        yield Buffer.from(ciphertext);
+      }
+    }
+  };
+}
+
+/**
+ * Size of the ciphertext encryptContent produces for a plaintext size
+ * @param {number} size - Plaintext size in bytes
+ * @param {Object} header - Encryption header
+ * @returns {number} Ciphertext size in bytes
+ */
+function encryptedLength(size, header) {
+  return size + Math.max(Math.ceil(size / header.segmentSize), 1) * TAG_LENGTH;
+}
+
+/**
+ * Decrypt content produced by encryptContent
+ * @param {ReadableStream|AsyncIterable|Buffer} source - Ciphertext
+ * @param {Object} header - Encryption header from metadata.json
+ * @param {*} key - Reader's decryption key (see toDecryptionKey)
+ * @returns {AsyncIterable<Buffer>} Plaintext
+ */
+async function* decryptContent(source, header, key) {
+  const aesKey = await _aesKey(await openEnvelope(header, key), ['decrypt']);
+  const baseNonce = ethers.utils.arrayify(header.nonce);
+  let index = 0;
+  for await (const { chunk, isFinal } of _withFinalFlag(chunkSource(source, header.segmentSize + TAG_LENGTH))) {
+    let plaintext;
+    try {
+      plaintext = await _subtle().decrypt(
+        { name: 'AES-GCM', iv: _segmentNonce(baseNonce, index++), additionalData: _segmentAad(isFinal) },
+        aesKey,
+        chunk
+      );
+    } catch (error) {
+      throw new DecryptionError(`Document segment ${index - 1} failed authentication`, { cause: error });
+    }
+    yield Buffer.from(plaintext);
+  }
+}
+
+module.exports = {
+  ENCRYPTION_KEY_MESSAGE,
+  normalizePublicKey,
+  toDecryptionKey,
+  deriveEncryptionKey,
+  createEnvelope,
+  openEnvelope,
+  encryptContent,
+  encryptedLength,
+  decryptContent
+};
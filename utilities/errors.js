@@ -0,0 +1,400 @@
+// Typed errors for TerraStake services and scripts, with revert-reason decoding
+const { ethers } = require('./ethers-v5');
+
+/**
+ * Base class for every error raised by TerraStake utilities
+ */
+class TerraStakeError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options - Error details
+   * @param {string} [options.code] - Stable machine-readable code
+   * @param {boolean} [options.retryable] - Whether retrying the same operation may succeed
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Object} [options.revert] - Decoded revert ({ name, args, signature, reason })
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'UNKNOWN';
+    this.retryable = !!options.retryable;
+    this.cause = options.cause;
+    this.revert = options.revert || null;
+  }
+}
+
+class InsufficientRoleError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INSUFFICIENT_ROLE', retryable: false });
+  }
+}
+
+class PausedError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'PAUSED', retryable: false });
+  }
+}
+
+class InvalidProjectStateError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INVALID_PROJECT_STATE', retryable: false });
+  }
+}
+
+class InvalidParametersError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INVALID_PARAMETERS', retryable: false });
+  }
+}
+
+class InsufficientFundsError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'INSUFFICIENT_FUNDS', retryable: false });
+  }
+}
+
+class ContractRevertError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'CONTRACT_REVERT', retryable: false });
+  }
+}
+
+class UserRejectedError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'USER_REJECTED', retryable: false });
+  }
+}
+
+class IpfsUnavailableError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'IPFS_UNAVAILABLE', retryable: true });
+  }
+}
+
+class NonceError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NONCE', retryable: true });
+  }
+}
+
+class FeeTooLowError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'FEE_TOO_LOW', retryable: true });
+  }
+}
+
+class NetworkError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NETWORK', retryable: true });
+  }
+}
+
+// RPC endpoints returned different results for a cross-checked read
+class RpcMismatchError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'RPC_MISMATCH', retryable: true });
+  }
+}
+
+// Encrypted content could not be opened: the reader is not a recipient, or the data was altered
+class DecryptionError extends TerraStakeError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'DECRYPTION_FAILED', retryable: false });
+  }
+}
+
+// A document failed JSON Schema validation; `errors` lists every failing field
+class SchemaValidationError extends TerraStakeError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options - Error details
+   * @param {Array<Object>} [options.errors] - Field errors: { path, keyword, message }
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'SCHEMA_VALIDATION', retryable: false });
+    this.errors = options.errors || [];
+  }
+}
+
+// Custom errors declared in ITerraStakeProjects that are missing from the compiled ABIs in abi/core
+const INTERFACE_ERRORS = [
+  'CallerNotStakingContract', 'CannotRecoverPrimaryToken', 'CannotRevokeOwnerPermissions',
+  'EmergencyModeActive', 'EmptyImpactMetrics', 'EmptyProjectDescription', 'EmptyProjectLocation',
+  'EmptyProjectName', 'ExceedsRecoverableAmount', 'FeeTransferFailed', 'InsufficientFees',
+  'InsufficientStake', 'InvalidAddress', 'InvalidAmount', 'InvalidBlockRange', 'InvalidCategory',
+  'InvalidImpactWeight', 'InvalidIpfsHash', 'InvalidPermission', 'InvalidPermissionType',
+  'InvalidProjectId', 'InvalidReportId', 'InvalidReportStatus', 'InvalidStakingMultiplier',
+  'InvalidStateTransition', 'MinStakingPeriodNotMet', 'NameRequired', 'NoBuybackFunds',
+  'NoRewardsAvailable', 'NoRewardsToClaim', 'NotAuthorized', 'NotRECOwner', 'NotStaking',
+  'PageDoesNotExist', 'ProjectEndingTooSoon', 'ProjectInTerminalState', 'ProjectNotActive',
+  'ProjectNotVerified', 'RECNotActive', 'RECNotFound', 'ReportAlreadyValidated',
+  'ReportAlreadyVerified', 'ReportingTooFrequent', 'RewardTransferFailed', 'StakeTooSmall',
+  'StakeTransferFailed', 'StateUnchanged', 'TokenNotConfigured', 'TokenTransferFailed',
+  'TransferFailed', 'UnstakeTransferFailed', 'ZeroAmount'
+].map(name => `error ${name}()`);
+
+// Custom error name -> typed error class
+const REVERT_CLASSES = {
+  AccessControlUnauthorizedAccount: InsufficientRoleError,
+  UnauthorizedAccess: InsufficientRoleError,
+  NotAuthorized: InsufficientRoleError,
+  Unauthorized: InsufficientRoleError,
+  InvalidPermission: InsufficientRoleError,
+  CallerNotStakingContract: InsufficientRoleError,
+  NotRECOwner: InsufficientRoleError,
+  NotValidator: InsufficientRoleError,
+  NotTokenOwner: InsufficientRoleError,
+  EnforcedPause: PausedError,
+  EmergencyPaused: PausedError,
+  EmergencyModeActive: PausedError,
+  InvalidProjectState: InvalidProjectStateError,
+  InvalidStateTransition: InvalidProjectStateError,
+  ProjectInTerminalState: InvalidProjectStateError,
+  ProjectNotActive: InvalidProjectStateError,
+  ProjectNotVerified: InvalidProjectStateError,
+  StateUnchanged: InvalidProjectStateError,
+  InvalidParameters: InvalidParametersError,
+  InvalidProjectId: InvalidParametersError,
+  InvalidAddress: InvalidParametersError,
+  InvalidAmount: InvalidParametersError,
+  InvalidCategory: InvalidParametersError,
+  InvalidIpfsHash: InvalidParametersError,
+  InvalidStakingMultiplier: InvalidParametersError,
+  InvalidParameter: InvalidParametersError,
+  InsufficientStakingDuration: InvalidParametersError,
+  ProjectDoesNotExist: InvalidParametersError,
+  AlreadyValidator: InvalidParametersError,
+  RateTooHigh: InvalidParametersError,
+  InvalidTokenId: InvalidParametersError,
+  TokenAlreadyFractionalized: InvalidParametersError,
+  TokenNotFractionalized: InvalidParametersError,
+  IncompleteCollection: InvalidParametersError,
+  InvalidBlockRange: InvalidParametersError,
+  NameRequired: InvalidParametersError,
+  EmptyProjectName: InvalidParametersError,
+  EmptyProjectDescription: InvalidParametersError,
+  EmptyProjectLocation: InvalidParametersError,
+  EmptyImpactMetrics: InvalidParametersError,
+  ZeroAmount: InvalidParametersError,
+  ZeroAddress: InvalidParametersError,
+  InsufficientFunds: InsufficientFundsError,
+  InsufficientFees: InsufficientFundsError,
+  InsufficientStake: InsufficientFundsError,
+  NoActiveStakingPosition: InsufficientFundsError,
+  ERC20InsufficientBalance: InsufficientFundsError,
+  ERC20InsufficientAllowance: InsufficientFundsError
+};
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory'
+};
+
+let _defaultInterface = null;
+
+/**
+ * Interface holding every custom error from the project ABIs, deduplicated by selector
+ * @returns {ethers.utils.Interface} Combined error interface
+ * @private
+ */
+function _projectErrorInterface() {
+  if (!_defaultInterface) {
+    const abis = [
+      require('../abi/core/TerraStakeProjects.json'),
+      require('../abi/core/TerraStakeStaking.json'),
+      require('../abi/core/TerraStakeRewards.json'),
+      require('../abi/core/TerraStakeToken.json'),
+      INTERFACE_ERRORS
+    ];
+    _defaultInterface = new ethers.utils.Interface(_uniqueErrors(abis));
+  }
+  return _defaultInterface;
+}
+
+/**
+ * Collect error fragments from ABIs, keeping the first fragment per signature
+ * @private
+ */
+function _uniqueErrors(abis) {
+  const fragments = new Map();
+  for (const abi of abis) {
+    for (const fragment of Object.values(new ethers.utils.Interface(abi).errors)) {
+      const signature = fragment.format();
+      if (!fragments.has(signature)) fragments.set(signature, fragment);
+    }
+  }
+  return [...fragments.values()];
+}
+
+/**
+ * Find ABI-encoded revert data in the nested error shapes produced by ethers v5,
+ * JSON-RPC providers, hardhat and injected wallets
+ * @param {*} error - Thrown error
+ * @returns {string|null} Revert data hex, or null
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || depth > 5) return null;
+  if (typeof error === 'string') {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+  }
+  if (typeof error.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(error.data)) return error.data;
+
+  for (const nested of [error.data, error.error, error.cause]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) return data;
+  }
+
+  // JsonRpcProvider keeps the raw response body
+  if (typeof error.body === 'string') {
+    try {
+      return findRevertData(JSON.parse(error.body).error, depth + 1);
+    } catch (parseError) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode revert data into an error name, arguments and reason
+ * @param {string} data - Revert data hex
+ * @param {Array<ethers.utils.Interface|Array>} [interfaces] - Extra interfaces/ABIs to try first
+ * @returns {Object|null} { name, args, signature, reason } or null when unknown
+ */
+function decodeRevertData(data, interfaces = []) {
+  if (!data || data === '0x') return null;
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === '0x08c379a0') {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+    return { name: 'Error', args: [reason], signature: 'Error(string)', reason };
+  }
+  if (selector === '0x4e487b71') {
+    const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+    const reason = PANIC_REASONS[code.toNumber()] || `panic code 0x${code.toNumber().toString(16)}`;
+    return { name: 'Panic', args: [code], signature: 'Panic(uint256)', reason };
+  }
+
+  const candidates = interfaces.map(item => (Array.isArray(item) ? new ethers.utils.Interface(item) : item));
+  for (const iface of [...candidates, _projectErrorInterface()]) {
+    try {
+      const parsed = iface.parseError(data);
+      // BigNumber (v5 interfaces) and bigint (v6 interfaces) arguments as decimal strings
+      const args = parsed.args.map(arg => (ethers.BigNumber.isBigNumber(arg) || typeof arg === 'bigint' ? arg.toString() : arg));
+      return {
+        name: parsed.name,
+        args,
+        signature: parsed.signature,
+        reason: args.length ? `${parsed.name}(${args.join(', ')})` : parsed.name
+      };
+    } catch (error) {
+      // Selector not in this interface
+    }
+  }
+  return { name: 'Unknown', args: [], signature: selector, reason: `unknown custom error ${selector}` };
+}
+
+/**
+ * Convert any thrown value into a typed TerraStakeError
+ * @param {*} error - Thrown error
+ * @param {string} [context] - Prefix such as 'Failed to create project'
+ * @param {Object} options - Normalisation options
+ * @param {Array<ethers.utils.Interface|Array>} [options.interfaces] - Extra ABIs for decoding
+ * @returns {TerraStakeError} Typed error
+ */
+function normalizeError(error, context, options = {}) {
+  const prefix = context ? `${context}: ` : '';
+
+  if (error instanceof TerraStakeError) {
+    if (!context) return error;
+    return new error.constructor(prefix + error.message, {
+      cause: error.cause || error,
+      revert: error.revert,
+      errors: error.errors,
+      code: error.code,
+      retryable: error.retryable
+    });
+  }
+
+  const message = (error && (error.reason || error.message)) || String(error);
+  const code = error && error.code;
+  const lower = String((error && error.message) || error).toLowerCase();
+
+  const revert = decodeRevertData(findRevertData(error), options.interfaces);
+  if (revert) {
+    const ErrorClass = REVERT_CLASSES[revert.name] || _classifyRevertReason(revert.reason) || ContractRevertError;
+    return new ErrorClass(`${prefix}execution reverted: ${revert.reason}`, { cause: error, revert });
+  }
+
+  if (code === 'ACTION_REJECTED' || code === 4001 || /user (rejected|denied)/.test(lower)) {
+    return new UserRejectedError(`${prefix}${message}`, { cause: error });
+  }
+  if (code === 'INSUFFICIENT_FUNDS' || lower.includes('insufficient funds')) {
+    return new InsufficientFundsError(`${prefix}${message}`, { cause: error });
+  }
+  // Before the nonce check: "replacement transaction underpriced" needs a higher fee, not a new nonce
+  if (code === 'REPLACEMENT_UNDERPRICED' || /underpriced|less than block base fee|fee too low/.test(lower)) {
+    return new FeeTooLowError(`${prefix}${message}`, { cause: error });
+  }
+  if (code === 'NONCE_EXPIRED' || lower.includes('nonce') || lower.includes('replacement transaction')) {
+    return new NonceError(`${prefix}${message}`, { cause: error });
+  }
+  if (['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(code) ||
+      /timeout|timed out|econnreset|econnrefused|rate limit|429|network error|could not detect network|missing response/.test(lower)) {
+    return new NetworkError(`${prefix}${message}`, { cause: error });
+  }
+
+  const RevertClass = error && error.reason ? _classifyRevertReason(error.reason) : null;
+  if (RevertClass || code === 'CALL_EXCEPTION' || code === 'UNPREDICTABLE_GAS_LIMIT') {
+    return new (RevertClass || ContractRevertError)(`${prefix}${message}`, { cause: error });
+  }
+
+  return new TerraStakeError(`${prefix}${message}`, { cause: error });
+}
+
+/**
+ * Map OpenZeppelin-style revert strings to typed errors
+ * @private
+ */
+function _classifyRevertReason(reason) {
+  if (/AccessControl: account .* is missing role|caller is not the owner|unauthori[sz]ed/i.test(reason)) {
+    return InsufficientRoleError;
+  }
+  if (/Pausable: paused|is paused/i.test(reason)) return PausedError;
+  return null;
+}
+
+/**
+ * Whether retrying the failed operation may succeed
+ * @param {*} error - Thrown error
+ * @returns {boolean} True for nonce, fee, network and IPFS availability failures
+ */
+function isRetryable(error) {
+  return normalizeError(error).retryable;
+}
+
+module.exports = {
+  TerraStakeError,
+  InsufficientRoleError,
+  PausedError,
+  InvalidProjectStateError,
+  InvalidParametersError,
+  InsufficientFundsError,
+  ContractRevertError,
+  UserRejectedError,
+  IpfsUnavailableError,
+  NonceError,
+  FeeTooLowError,
+  NetworkError,
+  RpcMismatchError,
+  DecryptionError,
+  SchemaValidationError,
+  findRevertData,
+  decodeRevertData,
+  normalizeError,
+  isRetryable
+};
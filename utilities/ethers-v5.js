@@ -0,0 +1,9 @@
+// ethers v5 for the TerraStake utilities. Hardhat toolbox 5 installs ethers v6 as
+// `ethers`, so v5 is also installed under the `ethers-v5` alias and used in that case.
+const installed = require('ethers');
+
+function _isV5(lib) {
+  return /^ethers\/5\./.test(String(lib.version));
+}
+
+module.exports = _isV5(installed) ? installed : require('ethers-v5');
@@ -0,0 +1,236 @@
+// Read provider that fails over between RPC endpoints and can cross-check results
+const { ethers } = require('./ethers-v5');
+const { RpcMismatchError } = require('./errors');
+
+// Transport failures and provider-side limits worth retrying on another endpoint.
+// JSON-RPC execution errors (reverts, bad params) are returned as-is.
+const FAILOVER_CODES = ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'];
+const FAILOVER_RPC_CODES = [429, -32005, -32603];
+
+// Methods that change chain state are never resent to a second endpoint
+const WRITE_METHODS = ['eth_sendRawTransaction', 'eth_sendTransaction'];
+
+/**
+ * @private
+ */
+function _isFailoverError(error) {
+  return FAILOVER_CODES.includes(error.code) || FAILOVER_RPC_CODES.includes(error.code);
+}
+
+/**
+ * Exponentially weighted moving average
+ * @private
+ */
+function _ewma(previous, sample, weight = 0.3) {
+  return previous === null ? sample : previous * (1 - weight) + sample * weight;
+}
+
+/**
+ * ethers v5 provider spreading reads over several RPC endpoints of one network.
+ * Endpoints are ranked by a health score built from latency, block lag and recent
+ * failures; a read that fails on one endpoint is retried on the next.
+ */
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * @param {string[]} urls - RPC endpoints, in order of preference
+   * @param {ethers.providers.Networkish} network - Network of every endpoint
+   * @param {Object} options - Failover options
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {number} [options.maxBlockLag] - Blocks behind the best endpoint before an endpoint is unhealthy
+   * @param {number} [options.maxFailures] - Consecutive failures before an endpoint is unhealthy
+   * @param {number} [options.healthCheckInterval] - ms between background health checks, 0 to disable
+   * @param {number} [options.quorum] - Endpoints that must agree on cross-checked reads
+   */
+  constructor(urls, network, options = {}) {
+    if (!urls || !urls.length) throw new Error('FailoverProvider requires at least one RPC URL');
+    super(urls[0], network);
+
+    this._networkish = network;
+    this.timeout = options.timeout || 10000;
+    this.maxBlockLag = options.maxBlockLag !== undefined ? options.maxBlockLag : 5;
+    this.maxFailures = options.maxFailures || 3;
+    this.quorum = Math.min(options.quorum || 2, urls.length);
+    this.endpoints = urls.map((url, index) => ({
+      url,
+      index,
+      provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout: this.timeout }, network),
+      latency: null,
+      blockNumber: null,
+      lag: 0,
+      failures: 0,
+      lastError: null
+    }));
+
+    this._healthTimer = null;
+    if (options.healthCheckInterval) this.startHealthChecks(options.healthCheckInterval);
+  }
+
+  /**
+   * Send a request to the healthiest endpoint, failing over on transport errors
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @returns {Promise<*>} Result
+   */
+  async send(method, params) {
+    const candidates = this.rankEndpoints();
+    const attempts = WRITE_METHODS.includes(method) ? candidates.slice(0, 1) : candidates;
+
+    for (let i = 0; ; i++) {
+      try {
+        return await this._sendTo(attempts[i], method, params);
+      } catch (error) {
+        if (!_isFailoverError(error) || i === attempts.length - 1) throw error;
+        console.warn(`RPC ${attempts[i].url} failed for ${method}, trying next endpoint:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send a read to `quorum` endpoints pinned to a common block and require identical results
+   * @param {string} method - JSON-RPC method (eth_call, eth_getBalance, ...)
+   * @param {Array} params - JSON-RPC params; a trailing 'latest' block tag is pinned
+   * @returns {Promise<*>} Agreed result
+   */
+  async quorumSend(method, params) {
+    const endpoints = this.rankEndpoints().slice(0, this.quorum);
+    if (endpoints.length < 2) return this.send(method, params);
+
+    // Endpoints may be a block or two apart; compare at the lowest head they all have
+    const heads = await Promise.all(endpoints.map(endpoint => this._sendTo(endpoint, 'eth_blockNumber', [])));
+    const blockTag = ethers.utils.hexValue(Math.min(...heads.map(head => ethers.BigNumber.from(head).toNumber())));
+    const pinned = params.length && params[params.length - 1] === 'latest' ?
+      [...params.slice(0, -1), blockTag] :
+      params;
+
+    const results = await Promise.all(endpoints.map(endpoint => this._sendTo(endpoint, method, pinned)));
+    const [first] = results;
+    const mismatch = results.findIndex(result => JSON.stringify(result) !== JSON.stringify(first));
+    if (mismatch !== -1) {
+      throw new RpcMismatchError(
+        `RPC endpoints disagree on ${method} at block ${parseInt(blockTag, 16)}: ${endpoints[0].url} vs ${endpoints[mismatch].url}`
+      );
+    }
+    return first;
+  }
+
+  /**
+   * Provider view whose reads all go through quorumSend, for contracts holding critical data
+   * @returns {ethers.providers.JsonRpcProvider} Cross-checking provider
+   */
+  crossChecked() {
+    if (!this._crossChecked) {
+      const parent = this;
+      this._crossChecked = new (class extends ethers.providers.StaticJsonRpcProvider {
+        send(method, params) {
+          return method === 'eth_call' || method === 'eth_getBalance' || method === 'eth_getStorageAt' ?
+            parent.quorumSend(method, params) :
+            parent.send(method, params);
+        }
+      })(this.connection, this._networkish);
+    }
+    return this._crossChecked;
+  }
+
+  /**
+   * Endpoints ordered from healthiest to least healthy
+   * @returns {Array<Object>} Endpoint records
+   */
+  rankEndpoints() {
+    return [...this.endpoints].sort((a, b) => {
+      const healthy = Number(this._isHealthy(b)) - Number(this._isHealthy(a));
+      return healthy || this._score(a) - this._score(b) || a.index - b.index;
+    });
+  }
+
+  /**
+   * Probe every endpoint's latency and head block
+   * @returns {Promise<Array<Object>>} Health report per endpoint
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        endpoint.blockNumber = ethers.BigNumber.from(await this._sendTo(endpoint, 'eth_blockNumber', [])).toNumber();
+      } catch (error) {
+        endpoint.blockNumber = null;
+      }
+    }));
+
+    const best = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber || 0));
+    for (const endpoint of this.endpoints) {
+      endpoint.lag = endpoint.blockNumber === null ? Infinity : best - endpoint.blockNumber;
+    }
+    return this.getHealth();
+  }
+
+  /**
+   * @returns {Array<Object>} Current health of every endpoint
+   */
+  getHealth() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: this._isHealthy(endpoint),
+      latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      blockNumber: endpoint.blockNumber,
+      lag: endpoint.lag,
+      failures: endpoint.failures,
+      lastError: endpoint.lastError
+    }));
+  }
+
+  /**
+   * Run checkHealth periodically
+   * @param {number} interval - ms between checks
+   */
+  startHealthChecks(interval) {
+    this.stopHealthChecks();
+    this._healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => console.warn('RPC health check failed:', error.message));
+    }, interval);
+    // Background checks must not keep Node scripts alive
+    if (typeof this._healthTimer.unref === 'function') this._healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this._healthTimer) clearInterval(this._healthTimer);
+    this._healthTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  async _sendTo(endpoint, method, params) {
+    const started = Date.now();
+    try {
+      const result = await endpoint.provider.send(method, params);
+      endpoint.latency = _ewma(endpoint.latency, Date.now() - started);
+      endpoint.failures = 0;
+      return result;
+    } catch (error) {
+      if (_isFailoverError(error)) {
+        endpoint.failures++;
+        endpoint.lastError = error.message;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isHealthy(endpoint) {
+    return endpoint.failures < this.maxFailures && endpoint.lag <= this.maxBlockLag;
+  }
+
+  /**
+   * Lower is better: latency in ms plus a per-block penalty for lag and a per-failure penalty
+   * @private
+   */
+  _score(endpoint) {
+    const lag = Number.isFinite(endpoint.lag) ? endpoint.lag : 1000;
+    return (endpoint.latency === null ? this.timeout / 2 : endpoint.latency) + lag * 250 + endpoint.failures * 5000;
+  }
+}
+
+module.exports = {
+  FailoverProvider
+};
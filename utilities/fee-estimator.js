@@ -0,0 +1,176 @@
+// EIP-1559 fee estimation with Arbitrum L1 data cost breakdown
+const { ethers } = require('./ethers-v5');
+
+// Arbitrum's virtual NodeInterface precompile, only callable through eth_call/eth_estimateGas
+const NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8';
+
+const NODE_INTERFACE_ABI = [
+  'function gasEstimateComponents(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+];
+
+// Priority fee percentile from eth_feeHistory and headroom over the next base fee
+const FEE_PRESETS = {
+  slow: { percentile: 10, baseFeeMultiplier: 1.1 },
+  standard: { percentile: 50, baseFeeMultiplier: 1.25 },
+  fast: { percentile: 90, baseFeeMultiplier: 2 }
+};
+
+/**
+ * Multiply a BigNumber by a decimal factor with 0.01 precision
+ * @private
+ */
+function _scale(value, factor) {
+  return value.mul(Math.round(factor * 100)).div(100);
+}
+
+/**
+ * Median of a list of BigNumbers
+ * @private
+ */
+function _median(values) {
+  if (!values.length) return ethers.BigNumber.from(0);
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Estimates EIP-1559 fees from recent fee history and, on Arbitrum, splits the gas
+ * estimate into the L2 execution part and the L1 calldata part.
+ */
+class FeeEstimator {
+  /**
+   * @param {Object} options - Estimator options
+   * @param {ethers.providers.Provider} options.provider - JSON-RPC provider
+   * @param {boolean} [options.nodeInterface] - Use Arbitrum NodeInterface for L1 costs
+   * @param {number} [options.historyBlocks] - Blocks of fee history to sample
+   * @param {number} [options.gasLimitMultiplier] - Buffer applied to gas estimates
+   * @param {Object} [options.presets] - Speed presets, merged over FEE_PRESETS
+   */
+  constructor(options = {}) {
+    if (!options.provider) throw new Error('FeeEstimator requires a provider');
+
+    this.provider = options.provider;
+    this.useNodeInterface = !!options.nodeInterface;
+    this.historyBlocks = options.historyBlocks || 20;
+    this.gasLimitMultiplier = options.gasLimitMultiplier || 1.3;
+    this.presets = { ...FEE_PRESETS, ...options.presets };
+    this.nodeInterface = new ethers.Contract(NODE_INTERFACE_ADDRESS, NODE_INTERFACE_ABI, this.provider);
+  }
+
+  /**
+   * Fee overrides for a transaction
+   * @param {string} [speed] - Preset name ('slow', 'standard', 'fast')
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas }, or { gasPrice }
+   *   when the node does not support eth_feeHistory
+   */
+  async getFeeData(speed = 'standard') {
+    const { baseFeePerGas, ...overrides } = await this._sampleFees(speed);
+    return overrides;
+  }
+
+  /**
+   * Sample recent fee history for a preset
+   * @param {string} speed - Preset name
+   * @returns {Promise<Object>} Fee overrides plus the next block's baseFeePerGas
+   * @private
+   */
+  async _sampleFees(speed) {
+    const preset = this.presets[speed];
+    if (!preset) throw new Error(`Unknown fee speed: ${speed}. Expected one of ${Object.keys(this.presets).join(', ')}`);
+
+    let history;
+    try {
+      history = await this.provider.send('eth_feeHistory', [
+        ethers.utils.hexValue(this.historyBlocks),
+        'latest',
+        [preset.percentile]
+      ]);
+    } catch (error) {
+      console.warn('eth_feeHistory unavailable, using legacy gas price:', error.message);
+      return { gasPrice: await this.provider.getGasPrice() };
+    }
+
+    // The last entry is the base fee of the next (pending) block
+    const baseFeePerGas = ethers.BigNumber.from(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const maxPriorityFeePerGas = _median((history.reward || []).map(reward => ethers.BigNumber.from(reward[0])));
+
+    return {
+      baseFeePerGas,
+      maxPriorityFeePerGas,
+      maxFeePerGas: _scale(baseFeePerGas, preset.baseFeeMultiplier).add(maxPriorityFeePerGas)
+    };
+  }
+
+  /**
+   * Estimate gas and cost of a transaction
+   * @param {Object} tx - Transaction with to, data and optionally from/value
+   * @param {Object} options - Estimate options
+   * @param {string} [options.speed] - Fee preset
+   * @returns {Promise<Object>} Gas figures, fee overrides and an ETH cost breakdown
+   */
+  async estimate(tx, options = {}) {
+    const speed = options.speed || 'standard';
+    const fees = await this._sampleFees(speed);
+
+    let gasEstimate;
+    let l1Gas = ethers.BigNumber.from(0);
+    let baseFeePerGas = fees.baseFeePerGas || fees.gasPrice;
+    let l1BaseFeeEstimate = null;
+
+    if (this.useNodeInterface) {
+      // gasEstimate already includes the L1 component, priced in L2 gas units
+      const components = await this.nodeInterface.callStatic.gasEstimateComponents(
+        tx.to,
+        false,
+        tx.data || '0x',
+        { from: tx.from, value: tx.value || 0 }
+      );
+      gasEstimate = components.gasEstimate;
+      l1Gas = components.gasEstimateForL1;
+      baseFeePerGas = components.baseFee;
+      l1BaseFeeEstimate = components.l1BaseFeeEstimate;
+    } else {
+      gasEstimate = await this.provider.estimateGas(tx);
+    }
+
+    const l2Gas = gasEstimate.sub(l1Gas);
+    const gasLimit = Math.ceil(gasEstimate.toNumber() * this.gasLimitMultiplier);
+
+    // Expected price paid is base fee + tip, capped at maxFeePerGas
+    const maxFeePerGas = fees.maxFeePerGas || fees.gasPrice;
+    const expectedPrice = fees.maxPriorityFeePerGas ?
+      baseFeePerGas.add(fees.maxPriorityFeePerGas) :
+      fees.gasPrice;
+    const effectiveGasPrice = expectedPrice.gt(maxFeePerGas) ? maxFeePerGas : expectedPrice;
+
+    const overrides = fees.maxFeePerGas ?
+      { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas } :
+      { gasPrice: fees.gasPrice };
+    return {
+      speed,
+      gasEstimate: gasEstimate.toString(),
+      gasLimit,
+      l1Gas: l1Gas.toString(),
+      l2Gas: l2Gas.toString(),
+      baseFeePerGas: ethers.utils.formatUnits(baseFeePerGas, 'gwei'),
+      l1BaseFeeEstimate: l1BaseFeeEstimate ? ethers.utils.formatUnits(l1BaseFeeEstimate, 'gwei') : null,
+      maxFeePerGas: ethers.utils.formatUnits(maxFeePerGas, 'gwei'),
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas ? ethers.utils.formatUnits(fees.maxPriorityFeePerGas, 'gwei') : null,
+      cost: {
+        l1: ethers.utils.formatEther(l1Gas.mul(effectiveGasPrice)),
+        l2: ethers.utils.formatEther(l2Gas.mul(effectiveGasPrice)),
+        value: ethers.utils.formatEther(tx.value || 0),
+        total: ethers.utils.formatEther(gasEstimate.mul(effectiveGasPrice).add(tx.value || 0)),
+        max: ethers.utils.formatEther(maxFeePerGas.mul(gasLimit).add(tx.value || 0))
+      },
+      overrides: { ...overrides, gasLimit }
+    };
+  }
+}
+
+module.exports = {
+  NODE_INTERFACE_ADDRESS,
+  NODE_INTERFACE_ABI,
+  FEE_PRESETS,
+  FeeEstimator
+};
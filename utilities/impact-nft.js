@@ -0,0 +1,389 @@
+// Impact NFT helpers for TerraStakeNFT: typed token records for certificates, fractions and
+// retirements, plus fractionalize/reassemble. Built on scripts/nftHasher.js for report hashing,
+// minting and verification; works with ethers v5 and v6 contracts alike.
+const { parseReceiptEvents, toBigNumber } = require('./provider-adapter');
+const { PROJECT_CATEGORIES, toEnumIndex } = require('./project-types');
+const { normalizeError, InvalidParametersError } = require('./errors');
+const {
+  TERRASTAKE_NFT_ABI,
+  connectTerraStakeNFT,
+  generateImpactReportHash,
+  verifyImpactReportHash,
+  mintImpactNFT,
+  verifyImpactCertificate
+} = require('../scripts/nftHasher');
+
+const IMPACT_CERTIFICATE_TUPLE = 'tuple(uint256 projectId, bytes32 reportHash, uint256 impactValue, string impactType, uint256 verificationDate, string location, address verifier, bool isVerified, uint8 category, bool isLiability)';
+const FRACTION_INFO_TUPLE = 'tuple(uint256 originalTokenId, uint256 fractionCount, address fractionalizer, bool isActive, uint8 nftType, uint256 projectId, bytes32 reportHash, uint8 category)';
+
+// TerraStakeNFT surface read and managed by the certificate portal
+const IMPACT_NFT_ABI = [
+  ...TERRASTAKE_NFT_ABI,
+  'function fractionalize(uint256 originalTokenId, uint256 fractionCount) returns (uint256[] fractionIds)',
+  'function reassemble(uint256 originalTokenId)',
+  `function getImpactCertificate(uint256 tokenId) view returns (${IMPACT_CERTIFICATE_TUPLE})`,
+  `function getFractionInfo(uint256 tokenId) view returns (${FRACTION_INFO_TUPLE})`,
+  'function getFractionTokens(uint256 originalTokenId) view returns (uint256[])',
+  'function getOriginalTokenId(uint256 fractionTokenId) view returns (uint256)',
+  'function getRetirementDetails(uint256 tokenId) view returns (bool isTokenRetired, address beneficiary, uint256 retirementDate, string reason)',
+  'function getTokensByCategory(uint8 category) view returns (uint256[])',
+  'function getTokenMetadata(uint256 tokenId) view returns (tuple(string name, string description, uint256 creationTime, bool uriIsFrozen, uint8 nftType, uint8 category))',
+  'function uri(uint256 tokenId) view returns (string)',
+  'function exists(uint256 tokenId) view returns (bool)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'event TokenFractionalized(uint256 indexed originalTokenId, uint256[] fractionIds, uint256 fractionCount)',
+  'event TokensReassembled(uint256 indexed originalTokenId, address indexed owner)',
+  'error InvalidTokenId()',
+  'error NotTokenOwner()',
+  'error ZeroAmount()',
+  'error TokenAlreadyFractionalized()',
+  'error TokenNotFractionalized()',
+  'error IncompleteCollection()',
+  'error EmergencyModeActive()'
+];
+
+// NFTType names in on-chain order
+const NFT_TYPES = [
+  'STANDARD',
+  'IMPACT',
+  'LAND',
+  'CARBON_LIABILITY',
+  'BIODIVERSITY',
+  'POLLUTION_LIABILITY',
+  'WASTE_LIABILITY',
+  'WATER_LIABILITY',
+  'HABITAT_LIABILITY',
+  'ENERGY_LIABILITY',
+  'CIRCULARITY_LIABILITY',
+  'COMMUNITY_LIABILITY'
+];
+
+const _number = value => toBigNumber(value).toNumber();
+const _tokenId = value => toBigNumber(value).toString();
+const _timestamp = value => (toBigNumber(value).isZero() ? null : _number(value));
+
+/**
+ * Decode an ImpactCertificate struct
+ * @param {Object} raw - getImpactCertificate result
+ * @returns {Object} Certificate with category names, decimal strings and null for unset dates
+ */
+function decodeCertificate(raw) {
+  return {
+    projectId: _tokenId(raw.projectId),
+    reportHash: raw.reportHash,
+    impactValue: toBigNumber(raw.impactValue).toString(),
+    impactType: raw.impactType,
+    location: raw.location,
+    verified: raw.isVerified,
+    verifier: raw.isVerified ? raw.verifier : null,
+    verificationDate: _timestamp(raw.verificationDate),
+    category: PROJECT_CATEGORIES[Number(raw.category)],
+    isLiability: raw.isLiability
+  };
+}
+
+/**
+ * Decode a FractionInfo struct
+ * @param {Object} raw - getFractionInfo result
+ * @returns {Object} Fractionalization record
+ */
+function decodeFractionInfo(raw) {
+  return {
+    originalTokenId: _tokenId(raw.originalTokenId),
+    fractionCount: _number(raw.fractionCount),
+    fractionalizer: raw.fractionalizer,
+    active: raw.isActive,
+    nftType: NFT_TYPES[Number(raw.nftType)],
+    projectId: _tokenId(raw.projectId),
+    reportHash: raw.reportHash,
+    category: PROJECT_CATEGORIES[Number(raw.category)]
+  };
+}
+
+/**
+ * Decode getRetirementDetails
+ * @param {Object} raw - getRetirementDetails result
+ * @returns {Object|null} Retirement record, or null when the token is not retired
+ */
+function decodeRetirement(raw) {
+  if (!raw.isTokenRetired) return null;
+  return {
+    beneficiary: raw.beneficiary,
+    retiredAt: _number(raw.retirementDate),
+    reason: raw.reason
+  };
+}
+
+/**
+ * Decode an NFTMetadata struct
+ * @param {Object} raw - getTokenMetadata result
+ * @returns {Object} Metadata with enum names
+ */
+function decodeMetadata(raw) {
+  return {
+    name: raw.name,
+    description: raw.description,
+    createdAt: _number(raw.creationTime),
+    uriFrozen: raw.uriIsFrozen,
+    nftType: NFT_TYPES[Number(raw.nftType)],
+    category: PROJECT_CATEGORIES[Number(raw.category)]
+  };
+}
+
+/**
+ * @notice Connects to TerraStakeNFT with the full surface used by this module
+ * @param {string} address - TerraStakeNFT address
+ * @param {Object} provider - ethers v5/v6 provider or signer, EIP-1193 provider or viem client
+ * @returns {ethers.Contract} - ethers v5 contract, connected to the signer when one is available
+ */
+function connectImpactNFT(address, provider) {
+  return connectTerraStakeNFT(address, provider, IMPACT_NFT_ABI);
+}
+
+/**
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token ID
+ * @returns {Promise<Object>} Decoded impact certificate
+ */
+async function getImpactCertificate(terraStakeNFT, tokenId) {
+  try {
+    return decodeCertificate(await terraStakeNFT.getImpactCertificate(_tokenId(tokenId)));
+  } catch (error) {
+    throw normalizeError(error, `Failed to read impact certificate ${tokenId}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Original token ID
+ * @returns {Promise<Object|null>} Fractionalization record, or null for tokens never fractionalized
+ */
+async function getFractionInfo(terraStakeNFT, tokenId) {
+  try {
+    const info = decodeFractionInfo(await terraStakeNFT.getFractionInfo(_tokenId(tokenId)));
+    return info.fractionCount > 0 ? info : null;
+  } catch (error) {
+    throw normalizeError(error, `Failed to read fraction info of token ${tokenId}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Original token ID
+ * @returns {Promise<string[]>} Fraction token IDs, in fraction order
+ */
+async function getFractionTokens(terraStakeNFT, tokenId) {
+  try {
+    return (await terraStakeNFT.getFractionTokens(_tokenId(tokenId))).map(_tokenId);
+  } catch (error) {
+    throw normalizeError(error, `Failed to read fractions of token ${tokenId}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token ID
+ * @returns {Promise<Object|null>} Retirement record, or null when not retired
+ */
+async function getRetirementDetails(terraStakeNFT, tokenId) {
+  try {
+    return decodeRetirement(await terraStakeNFT.getRetirementDetails(_tokenId(tokenId)));
+  } catch (error) {
+    throw normalizeError(error, `Failed to read retirement of token ${tokenId}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {string|number} category - Project category name or index
+ * @returns {Promise<string[]>} IDs of tokens minted in the category, oldest first
+ */
+async function getTokensByCategory(terraStakeNFT, category) {
+  const index = toEnumIndex(PROJECT_CATEGORIES, category, 'project category');
+  try {
+    return (await terraStakeNFT.getTokensByCategory(index)).map(_tokenId);
+  } catch (error) {
+    throw normalizeError(error, `Failed to list ${PROJECT_CATEGORIES[index]} tokens`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * Metadata URI of a token, with ipfs:// URIs also resolved through a gateway
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token ID
+ * @param {Object} options - URI options
+ * @param {string} [options.gateway] - HTTP gateway for ipfs:// URIs (default https://ipfs.io)
+ * @returns {Promise<Object>} { uri, url }
+ */
+async function getTokenURI(terraStakeNFT, tokenId, options = {}) {
+  try {
+    const uri = await terraStakeNFT.uri(_tokenId(tokenId));
+    const gateway = (options.gateway || 'https://ipfs.io').replace(/\/$/, '');
+    return {
+      uri,
+      url: uri.startsWith('ipfs://') ? `${gateway}/ipfs/${uri.slice('ipfs://'.length)}` : uri
+    };
+  } catch (error) {
+    throw normalizeError(error, `Failed to read URI of token ${tokenId}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * Everything the portal shows about a token. Fractionalized originals and retired tokens are
+ * burned, so their certificate and URI are no longer readable; their records carry the
+ * fractionalization or retirement data instead.
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token ID
+ * @param {Object} options - getTokenURI options
+ * @returns {Promise<Object>} { tokenId, status, metadata, certificate, uri, url, retirement,
+ *   fractionInfo, fractions, originalTokenId }; status is 'pending', 'verified', 'fraction',
+ *   'fractionalized' or 'retired'
+ */
+async function getImpactToken(terraStakeNFT, tokenId, options = {}) {
+  const id = _tokenId(tokenId);
+  try {
+    const [exists, retirement, fractionInfo, originalTokenId] = await Promise.all([
+      terraStakeNFT.exists(id),
+      getRetirementDetails(terraStakeNFT, id),
+      getFractionInfo(terraStakeNFT, id),
+      terraStakeNFT.getOriginalTokenId(id).then(_tokenId)
+    ]);
+    const record = {
+      tokenId: id,
+      status: null,
+      metadata: null,
+      certificate: null,
+      uri: null,
+      url: null,
+      retirement,
+      fractionInfo,
+      fractions: [],
+      originalTokenId: originalTokenId === '0' ? null : originalTokenId
+    };
+
+    if (!exists) {
+      if (fractionInfo && fractionInfo.active) {
+        record.fractions = await getFractionTokens(terraStakeNFT, id);
+        return { ...record, status: 'fractionalized' };
+      }
+      if (retirement) return { ...record, status: 'retired' };
+      throw new InvalidParametersError(`Token ${id} does not exist`);
+    }
+
+    const [metadata, certificate, location] = await Promise.all([
+      terraStakeNFT.getTokenMetadata(id).then(decodeMetadata),
+      getImpactCertificate(terraStakeNFT, id),
+      getTokenURI(terraStakeNFT, id, options)
+    ]);
+    let status = certificate.verified ? 'verified' : 'pending';
+    if (record.originalTokenId) status = 'fraction';
+    if (retirement) status = 'retired';
+
+    return { ...record, status, metadata, certificate, ...location };
+  } catch (error) {
+    throw normalizeError(error, `Failed to read token ${id}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * Check a token's on-chain report hash against the report it claims to certify
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token ID
+ * @param {Object} impactData - Impact report data (see generateImpactReportHash)
+ * @returns {Promise<boolean>} True when the report hashes to the certificate's reportHash
+ */
+async function verifyTokenReport(terraStakeNFT, tokenId, impactData) {
+  const certificate = await getImpactCertificate(terraStakeNFT, tokenId);
+  return verifyImpactReportHash(impactData, certificate.reportHash);
+}
+
+/**
+ * @notice Splits a token into fractions. Needs FRACTIONALIZER_ROLE and, unless fee exempt,
+ *   the fractionalization fee; the original is burned until it is reassembled.
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Token to fractionalize
+ * @param {number} fractionCount - Number of fractions
+ * @param {Object} options - Transaction overrides
+ * @returns {Promise<Object>} { receipt, fractionIds }
+ */
+async function fractionalize(terraStakeNFT, tokenId, fractionCount, options = {}) {
+  const id = _tokenId(tokenId);
+  if (!Number.isInteger(fractionCount) || fractionCount < 1) {
+    throw new InvalidParametersError('fractionCount must be a positive integer');
+  }
+
+  try {
+    const info = await getFractionInfo(terraStakeNFT, id);
+    if (info && info.active) throw new InvalidParametersError(`Token ${id} is already fractionalized`);
+
+    const tx = await terraStakeNFT.fractionalize(id, fractionCount, options);
+    const receipt = await tx.wait();
+
+    const event = parseReceiptEvents(receipt, terraStakeNFT.interface).find(e => e.name === 'TokenFractionalized');
+    if (!event) throw new Error('TokenFractionalized event not found in receipt');
+
+    return {
+      receipt,
+      fractionIds: Array.from(event.args.fractionIds).map(_tokenId)
+    };
+  } catch (error) {
+    throw normalizeError(error, `Failed to fractionalize token ${id}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+/**
+ * @notice Burns every fraction of a token and re-mints the original to the sender
+ * @param {Object} terraStakeNFT - The contract instance (ethers v5 or v6)
+ * @param {number|string} tokenId - Original token ID
+ * @param {Object} options - Transaction overrides
+ * @returns {Promise<Object>} Transaction receipt
+ */
+async function reassemble(terraStakeNFT, tokenId, options = {}) {
+  const id = _tokenId(tokenId);
+
+  try {
+    const info = await getFractionInfo(terraStakeNFT, id);
+    if (!info || !info.active) throw new InvalidParametersError(`Token ${id} is not fractionalized`);
+
+    // The sender must hold every fraction; name the missing ones instead of reverting
+    const signer = terraStakeNFT.signer || terraStakeNFT.runner;
+    if (signer && typeof signer.getAddress === 'function') {
+      const owner = await signer.getAddress();
+      const fractions = await getFractionTokens(terraStakeNFT, id);
+      const balances = await Promise.all(fractions.map(fractionId => terraStakeNFT.balanceOf(owner, fractionId)));
+      const missing = fractions.filter((fractionId, i) => toBigNumber(balances[i]).isZero());
+      if (missing.length) {
+        throw new InvalidParametersError(`${owner} does not hold fractions ${missing.join(', ')} of token ${id}`);
+      }
+    }
+
+    const tx = await terraStakeNFT.reassemble(id, options);
+    return await tx.wait();
+  } catch (error) {
+    throw normalizeError(error, `Failed to reassemble token ${id}`, { interfaces: [IMPACT_NFT_ABI] });
+  }
+}
+
+module.exports = {
+  IMPACT_NFT_ABI,
+  NFT_TYPES,
+  connectImpactNFT,
+  decodeCertificate,
+  decodeFractionInfo,
+  decodeRetirement,
+  decodeMetadata,
+  getImpactToken,
+  getImpactCertificate,
+  getFractionInfo,
+  getFractionTokens,
+  getRetirementDetails,
+  getTokensByCategory,
+  getTokenURI,
+  verifyTokenReport,
+  fractionalize,
+  reassemble,
+  generateImpactReportHash,
+  verifyImpactReportHash,
+  mintImpactNFT,
+  verifyImpactCertificate
+};
@@ -1,128 +1,312 @@
-// Import the IPFS HTTP client and ethers.js
-const { create } = require('ipfs-http-client');
-const { ethers } = require('ethers');
-const { Buffer } = require('buffer');
+// Import ethers.js and the pluggable storage backends
+const { EventEmitter } = require('events');
+const { ethers } = require('./ethers-v5');
+const {
+  HttpGatewayStorageAdapter,
+  createStorageAdapter,
+  collect
+} = require('./storage-adapters');
+const { CODECS, cidToBytes32, bytes32ToCid, keccakCid, computeCid, MemoryCidRegistry } = require('./cid-codec');
+const { FileCidIndex } = require('./cid-index');
+const { ProjectEventIndexer, FileCheckpointStore, MemoryCheckpointStore } = require('./project-indexer');
+const { ReorgTracker } = require('./reorg-tracker');
+const { createCacheStore, ScopedCacheStore } = require('./cache-stores');
+const { MulticallBatcher, MULTICALL3_ADDRESS } = require('./multicall');
+const { PROJECT_CATEGORIES, PROJECT_STATES, toEnumIndex } = require('./project-types');
+const { TransactionManager } = require('./transaction-manager');
+const { FeeEstimator } = require('./fee-estimator');
+const {
+  normalizeError,
+  IpfsUnavailableError,
+  InvalidParametersError,
+  InsufficientFundsError,
+  DecryptionError
+} = require('./errors');
+const { NetworkRegistry } = require('./network-registry');
+const { adaptProvider } = require('./provider-adapter');
+const { discoverWallets } = require('./wallet-connectors');
+const { FailoverProvider } = require('./failover-provider');
+const { UploadSession, FileSessionStore, MemorySessionStore, digestSource } = require('./upload-session');
+const { isReplayable, contentLength } = require('./unixfs');
+const {
+  createEnvelope,
+  encryptContent,
+  encryptedLength,
+  decryptContent,
+  deriveEncryptionKey,
+  normalizePublicKey
+} = require('./document-encryption');
+const { ContentInspector, pdfStructureValidator } = require('./content-validation');
+const {
+  CURRENT_VERSIONS,
+  validateProjectMetadata,
+  validateImpactReport,
+  migrateProjectMetadata,
+  migrateImpactReport,
+  categoryName
+} = require('./metadata-schemas');
+const { ReportVerifier } = require('./report-verification');
+const { ProjectAdmin } = require('./project-admin');
+const { StakingClient } = require('./staking-client');
+
+// Result labels for upload session entry states
+const BATCH_STATUS_LABELS = {
+  pending: 'Pending',
+  uploaded: 'IPFS only, blockchain submission pending',
+  submitted: 'Confirmed',
+  failed: 'Upload failed'
+};
+
+// The compiled ABIs in abi/core predate the deployed contracts, so functions added since are
+// declared as human-readable fragments next to the code that calls them.
+// Project listing reads of TerraStakeProjects
+const PROJECT_LIST_ABI = [
+  'function getAllProjectIds() view returns (uint256[])',
+  'function getProjectsByCategory(uint8 category) view returns (uint256[])',
+  'function getProjectMetadata(uint256 projectId) view returns (tuple(string name, string description, string location, string impactMetrics, bytes32 ipfsHash, bool exists, uint48 creationTime))',
+  'function getProjectState(uint256 projectId) view returns (tuple(uint8 category, uint8 state, uint32 stakingMultiplier, uint48 startBlock, uint48 endBlock))',
+  'function getTotalStakedOnProject(uint256 projectId) view returns (uint256)'
+];
+
+// Per-project staking functions of TerraStakeProjects
+const STAKING_ABI = [
+  'function unstakeFromProject(uint256 projectId, uint256 amount)',
+  'function claimRewards(uint256 projectId)',
+  'function calculateRewards(address user, uint256 projectId) view returns (uint256)',
+  'function getStakedAmount(address user, uint256 projectId) view returns (uint256)',
+  'function lastRewardClaim(address user, uint256 projectId) view returns (uint48)',
+  'function getAllProjectIds() view returns (uint256[])',
+  'function getProjectMetadata(uint256 projectId) view returns (tuple(string name, string description, string location, string impactMetrics, bytes32 ipfsHash, bool exists, uint48 creationTime))',
+  'function getUserAnalytics(address user) view returns (uint256 userTotalStaked, uint256 userTotalRewardsClaimed, uint256 projectsStaked, uint256 averageStakePerProject)',
+  'event ProjectUnstaked(uint256 indexed projectId, address indexed staker, uint256 amount)',
+  'event RewardsClaimed(uint256 indexed projectId, address indexed staker, uint256 amount)'
+];
 
 // Advanced configuration with fallback providers for Arbitrum networks
 const CONFIG = {
   ipfs: {
+    // Storage backend: 'ipfs-http', 'gateway', 'filesystem' or 'memory'
+    adapter: process.env.TERRASTAKE_STORAGE_ADAPTER || 'ipfs-http',
     primary: 'https://ipfs.infura.io:5001/api/v0',
     fallback: 'https://ipfs.io',
+    authKey: process.env.IPFS_AUTH_KEY,
+    localStorePath: process.env.TERRASTAKE_STORAGE_PATH || './ipfs_cache',
+    // Persistent CID index file; resolves legacy keccak-hashed CIDs when set
+    cidIndexPath: process.env.TERRASTAKE_CID_INDEX,
     timeout: 60000, // 1 minute timeout
-    retryAttempts: 3
+    retryAttempts: 3,
+    chunkSize: 256 * 1024, // UnixFS leaf size for uploaded files
+    // Maximum document size per MIME type; `type/*` matches a whole family
+    sizeLimits: {
+      default: 10 * 1024 * 1024,
+      'application/pdf': 100 * 1024 * 1024,
+      'image/*': 500 * 1024 * 1024,
+      'image/tiff': 20 * 1024 * 1024 * 1024, // GeoTIFF satellite imagery
+      'application/x-netcdf': 20 * 1024 * 1024 * 1024, // Sensor datasets
+      'application/x-hdf5': 20 * 1024 * 1024 * 1024,
+      'application/zip': 20 * 1024 * 1024 * 1024,
+      'text/csv': 5 * 1024 * 1024 * 1024
+    },
+    validation: {
+      // Remove EXIF/XMP (camera details, GPS) from JPEG, PNG and WebP documents before upload
+      stripImageMetadata: process.env.TERRASTAKE_STRIP_IMAGE_METADATA === 'true'
+    },
+    batch: {
+      concurrency: 3, // Document uploads in flight at once
+      chunkSize: 20, // Documents per uploadProjectDocuments call before gas checks
+      maxChunkGas: 8000000 // Gas budget per submission; larger chunks are halved
+    }
+  },
+  cache: {
+    // Cache store: 'memory', 'file', 'redis' or 'localStorage' (browser default)
+    store: process.env.TERRASTAKE_CACHE_STORE ||
+      (typeof localStorage !== 'undefined' ? 'localStorage' : 'memory'),
+    path: process.env.TERRASTAKE_CACHE_PATH || './ipfs_cache/terrastake-cache.json',
+    // Shared Redis for the redis store: set `client` to a node-redis client, or give a URL
+    url: process.env.TERRASTAKE_REDIS_URL,
+    ttl: 5 * 60 * 1000, // Read-through entries (details, stakes) expire after 5 minutes
+    maxEntries: 1000 // LRU bound for the memory store
+  },
+  indexer: {
+    // Checkpoint file for the event indexer; in-memory checkpoints when unset
+    checkpointPath: process.env.TERRASTAKE_INDEXER_CHECKPOINT,
+    startBlock: parseInt(process.env.TERRASTAKE_INDEXER_START_BLOCK || '0', 10),
+    pageSize: 5000 // Blocks per queryFilter range
   },
   ethereum: {
     gasLimitMultiplier: 1.3, // Add 30% to estimated gas (Arbitrum may need higher buffer)
     confirmations: 3, // Arbitrum confirmations
-    networks: {
-      arbitrumOne: {
-        name: 'Arbitrum One',
-        contractAddress: process.env.CONTRACT_ADDRESS_ARBITRUM_ONE || '0xArbitrumOneContractAddress',
-        chainId: 42161,
-        rpcUrl: 'https://arb1.arbitrum.io/rpc',
-        blockExplorer: 'https://arbiscan.io'
-      },
-      arbitrumNova: {
-        name: 'Arbitrum Nova',
-        contractAddress: process.env.CONTRACT_ADDRESS_ARBITRUM_NOVA || '0xArbitrumNovaContractAddress',
-        chainId: 42170,
-        rpcUrl: 'https://nova.arbitrum.io/rpc',
-        blockExplorer: 'https://nova.arbiscan.io'
-      },
-      arbitrumTestnet: {
-        name: 'Arbitrum Sepolia',
-        contractAddress: process.env.CONTRACT_ADDRESS_ARBITRUM_TESTNET || '0xArbitrumTestnetContractAddress',
-        chainId: 421614,
-        rpcUrl: 'https://sepolia-rollup.arbitrum.io/rpc',
-        blockExplorer: 'https://sepolia.arbiscan.io'
-      }
-    }
+    reorgDepth: 20, // Blocks after which cached event data is treated as final
+    fees: {
+      speed: 'standard', // Default preset: 'slow', 'standard' or 'fast'
+      historyBlocks: 20 // Blocks sampled with eth_feeHistory
+    },
+    transactions: {
+      feeBumpPercent: 15, // Fee increase per replacement (nodes require at least 10%)
+      stuckTimeout: 2 * 60 * 1000, // Replace a transaction still pending after 2 minutes
+      maxReplacements: 3,
+      pollInterval: 4000 // ms between receipt checks
+    },
+    multicall: {
+      // Multicall3 address; networks may override with `multicallAddress`
+      address: process.env.TERRASTAKE_MULTICALL_ADDRESS || MULTICALL3_ADDRESS,
+      batchSize: 100, // Calls per aggregate3 request
+      concurrency: 4, // aggregate3 requests in flight at once
+      enabled: process.env.TERRASTAKE_MULTICALL !== 'false'
+    },
+    rpc: {
+      // Read-only providers fail over between each network's rpcUrls
+      timeout: 10000, // Per-request timeout in ms
+      maxBlockLag: 5, // Blocks behind the best endpoint before an endpoint is skipped
+      healthCheckInterval: 30000, // ms between background latency/head checks
+      // Require two endpoints to agree on critical reads (project data, stake totals)
+      crossCheck: process.env.TERRASTAKE_RPC_CROSS_CHECK === 'true'
+    },
+    // Deployment manifest merged over the bundled deployments/terrastake.json (Node only)
+    deploymentManifest: process.env.TERRASTAKE_DEPLOYMENTS
   }
 };
 
-// Initialize IPFS client with authentication if available
-function createIPFSClient() {
-  const auth = process.env.IPFS_AUTH_KEY ? 
-    'Basic ' + Buffer.from(process.env.IPFS_AUTH_KEY).toString('base64') : '';
-  
-  return create({ 
-    url: CONFIG.ipfs.primary,
-    headers: {
-      authorization: auth
-    },
-    timeout: CONFIG.ipfs.timeout
-  });
-}
-
-// Create IPFS client
-const ipfs = createIPFSClient();
+// Networks and contract address books shared by services that are not given their own registry
+const networkRegistry = new NetworkRegistry({
+  manifest: require('../deployments/terrastake.json'),
+  manifestPath: CONFIG.ethereum.deploymentManifest
+});
 
-// Class-based service for better organization and state management
-class TerraStakeService {
-  constructor(networkName = 'arbitrumTestnet') {
-    this.networkConfig = CONFIG.ethereum.networks[networkName];
-    if (!this.networkConfig) {
-      throw new Error(`Network ${networkName} not found in configuration. Available networks: ${Object.keys(CONFIG.ethereum.networks).join(', ')}`);
-    }
+// Class-based service for better organization and state management.
+// Emits 'reorg' when cached event data was rolled back and reapplied,
+// 'transaction' with the record of every write lifecycle update, and
+// 'networkChanged', 'accountChanged', 'unsupportedNetwork', 'walletConnected' and
+// 'walletDisconnected' as the connected wallet changes.
+class TerraStakeService extends EventEmitter {
+  /**
+   * @param {string} networkName - Key of the network in the network registry
+   * @param {Object} options - Service options
+   * @param {StorageAdapter} [options.storage] - Storage backend (defaults to CONFIG.ipfs.adapter)
+   * @param {StorageAdapter|null} [options.fallbackStorage] - Read fallback, null to disable
+   * @param {Object} [options.cidRegistry] - Side registry for CIDs that don't fit in bytes32
+   * @param {CacheStore} [options.cache] - Cache store (defaults to CONFIG.cache.store)
+   * @param {Object} [options.multicall] - Overrides for CONFIG.ethereum.multicall
+   * @param {Array} [options.contractABI] - TerraStakeProjects ABI override
+   * @param {NetworkRegistry} [options.networkRegistry] - Networks and address books (defaults to the shared registry)
+   * @param {*} [options.decryptionKey] - Reader key for encrypted documents (private key, wallet or signing key)
+   * @param {Array<Object>} [options.validators] - Extra document validators (see addValidator)
+   */
+  constructor(networkName = 'arbitrumTestnet', options = {}) {
+    super();
+    this.networks = options.networkRegistry || networkRegistry;
+    this._multicallOverrides = options.multicall || {};
+    
+    this.storage = options.storage || createStorageAdapter(CONFIG.ipfs);
+    this.fallbackStorage = options.fallbackStorage !== undefined ?
+      options.fallbackStorage :
+      new HttpGatewayStorageAdapter({ gatewayUrl: CONFIG.ipfs.fallback });
+    this.cidRegistry = options.cidRegistry || (CONFIG.ipfs.cidIndexPath ?
+      new FileCidIndex({ path: CONFIG.ipfs.cidIndexPath }) :
+      new MemoryCidRegistry());
+    // Reader key for encrypted documents (see unlockDocuments)
+    this.decryptionKey = options.decryptionKey || null;
+    // Run on every validated document upload, after type sniffing
+    this.validators = [pdfStructureValidator, ...(options.validators || [])];
+    this.cacheStore = options.cache || createCacheStore(CONFIG.cache);
+    this.multicall = null;
+    this.connector = null;
+    this._connectorHandlers = null;
+    this._switchingTo = null;
     
-    this.contractABI = require('../abis/TerraStakeProjects.json');
+    this.contractABI = options.contractABI || require('../abi/core/TerraStakeProjects.json');
     this.contract = null;
     this.isInitialized = false;
     this.eventListeners = [];
+    
+    // Events applied to the project cache, keyed by `${blockHash}:${logIndex}`,
+    // kept until they are deeper than the confirmation window
+    this._eventJournal = new Map();
+    // Serialises cache read-modify-write updates from concurrent events
+    this._cacheQueue = Promise.resolve();
+    
+    this._selectNetwork(networkName);
+  }
+
+  /**
+   * Point the service at a registry network. Cache entries are scoped by chain ID so
+   * switching networks never serves data read from another chain.
+   * @param {string} networkName - Network key
+   * @private
+   */
+  _selectNetwork(networkName) {
+    this.networkConfig = this.networks.get(networkName);
+    this.networkName = networkName;
+    this.cache = new ScopedCacheStore(this.cacheStore, `${this.networkConfig.chainId}:`);
+    this.multicallConfig = {
+      ...CONFIG.ethereum.multicall,
+      address: this.networkConfig.multicallAddress || CONFIG.ethereum.multicall.address,
+      ...this._multicallOverrides
+    };
+  }
+
+  /**
+   * Address of a TerraStake contract on the current network
+   * @param {string} name - Contract name, e.g. 'Projects' or 'Staking'
+   * @returns {string} Checksummed address
+   */
+  getContractAddress(name) {
+    return this.networks.getContractAddress(this.networkName, name);
+  }
+
+  /**
+   * Contract for reads that must not come from a single faulty or lagging endpoint
+   * @param {boolean} [crossCheck] - Cross-check across RPC endpoints
+   * @returns {ethers.Contract} Contract bound to a quorum provider, or the regular contract
+   * @private
+   */
+  _criticalReadContract(crossCheck = CONFIG.ethereum.rpc.crossCheck) {
+    if (!crossCheck || !(this.provider instanceof FailoverProvider)) return this.contract;
+    return this.contract.connect(this.provider.crossChecked());
+  }
+
+  /**
+   * Health of the read RPC endpoints
+   * @param {Object} options - Query options
+   * @param {boolean} [options.refresh] - Probe every endpoint before reporting
+   * @returns {Promise<Array<Object>|null>} Per-endpoint latency, block lag and failures,
+   *   or null when reads go through a wallet provider
+   */
+  async getRpcHealth(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    if (!(this.provider instanceof FailoverProvider)) return null;
+    return options.refresh ? this.provider.checkHealth() : this.provider.getHealth();
   }
 
   /**
    * Initialize the service with provider and contract instance
-   * @param {ethers.providers.Web3Provider|null} externalProvider - Optional external provider
+   * @param {Object|null} externalProvider - Optional ethers v5/v6 provider or signer, EIP-1193
+   *   provider or viem client
+   * @param {string|null} networkName - Registry network to connect to (defaults to the current one)
    * @returns {Promise<boolean>} Success status
    */
-  async initialize(externalProvider = null) {
+  async initialize(externalProvider = null, networkName = null) {
+    // Re-initializing drops listeners and reorg state tied to the previous connection
+    if (this.isInitialized) this.cleanup();
+    if (networkName && networkName !== this.networkName) this._selectNetwork(networkName);
+    
     try {
-      // Use provided provider or connect to window.ethereum or RPC
+      const contractAddress = this.getContractAddress('Projects');
+      
+      // Use the provided provider, the connected wallet or a read-only RPC. External
+      // providers are adapted to ethers v5, which the service uses internally.
+      let externalSigner = null;
       if (externalProvider) {
-        this.provider = externalProvider;
-      } else if (typeof window !== 'undefined' && window.ethereum) {
-        this.provider = new ethers.providers.Web3Provider(window.ethereum, {
-          name: this.networkConfig.name,
-          chainId: this.networkConfig.chainId
-        });
-        
-        // Request account access
-        await window.ethereum.request({ method: 'eth_requestAccounts' });
-        
-        // Check and switch network if needed
-        const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
-        if (parseInt(currentChainId, 16) !== this.networkConfig.chainId) {
-          try {
-            await window.ethereum.request({
-              method: 'wallet_switchEthereumChain',
-              params: [{ chainId: `0x${this.networkConfig.chainId.toString(16)}` }],
-            });
-          } catch (switchError) {
-            // This error code indicates that the chain has not been added to MetaMask
-            if (switchError.code === 4902) {
-              await window.ethereum.request({
-                method: 'wallet_addEthereumChain',
-                params: [{
-                  chainId: `0x${this.networkConfig.chainId.toString(16)}`,
-                  chainName: this.networkConfig.name,
-                  nativeCurrency: {
-                    name: 'ETH',
-                    symbol: 'ETH',
-                    decimals: 18
-                  },
-                  rpcUrls: [this.networkConfig.rpcUrl],
-                  blockExplorerUrls: [this.networkConfig.blockExplorer]
-                }]
-              });
-            } else {
-              throw switchError;
-            }
-          }
-        }
+        ({ provider: this.provider, signer: externalSigner } = adaptProvider(externalProvider));
+      } else if (this.connector) {
+        ({ provider: this.provider, signer: externalSigner } = adaptProvider(this.connector.provider));
       } else {
-        // Use RPC for Node.js environment or fallback
-        this.provider = new ethers.providers.JsonRpcProvider(this.networkConfig.rpcUrl);
+        // Wallets are attached with connectWallet(); until then reads go over RPC
+        this.provider = new FailoverProvider(
+          this.networkConfig.rpcUrls,
+          { name: this.networkName, chainId: this.networkConfig.chainId },
+          CONFIG.ethereum.rpc
+        );
       }
 
       // Ensure correct network
@@ -133,7 +317,7 @@ class TerraStakeService {
 
       // Get signer (if available) or use provider for read-only operations
       try {
-        this.signer = this.provider.getSigner();
+        this.signer = externalSigner || this.provider.getSigner();
         this.userAddress = await this.signer.getAddress();
         console.log(`Connected with address: ${this.userAddress}`);
       } catch (signerError) {
@@ -144,10 +328,36 @@ class TerraStakeService {
       
       // Connect to contract with signer if available, otherwise use provider
       this.contract = new ethers.Contract(
-        this.networkConfig.contractAddress,
+        contractAddress,
         this.contractABI,
         this.signer || this.provider
       );
+      
+      this.feeEstimator = new FeeEstimator({
+        provider: this.provider,
+        nodeInterface: this.networkConfig.nodeInterface,
+        historyBlocks: CONFIG.ethereum.fees.historyBlocks,
+        gasLimitMultiplier: CONFIG.ethereum.gasLimitMultiplier
+      });
+      
+      // Every write goes through one manager so nonces and replacements are coordinated;
+      // lifecycle updates are re-emitted as 'transaction' events
+      this.txManager = new TransactionManager({
+        provider: this.provider,
+        confirmations: CONFIG.ethereum.confirmations,
+        gasLimitMultiplier: CONFIG.ethereum.gasLimitMultiplier,
+        getFeeData: (speed) => this.feeEstimator.getFeeData(speed || CONFIG.ethereum.fees.speed),
+        ...CONFIG.ethereum.transactions
+      });
+      ['queued', 'sent', 'replaced', 'mined', 'confirmed', 'failed'].forEach(status => {
+        this.txManager.on(status, record => this.emit('transaction', record));
+      });
+      
+      // Batch read-heavy queries through Multicall3 when it is deployed
+      this.multicall = new MulticallBatcher({
+        provider: this.provider,
+        ...this.multicallConfig
+      });
 
       // Setup event listeners
       this._setupEventListeners();
@@ -157,91 +367,250 @@ class TerraStakeService {
       return true;
     } catch (error) {
       console.error('Initialization failed:', error);
-      throw new Error(`Failed to initialize TerraStake service: ${error.message}`);
+      throw normalizeError(error, 'Failed to initialize TerraStake service');
     }
   }
 
   /**
    * Get Arbitrum-specific gas parameters
-   * @returns {Promise<Object>} Gas parameters for Arbitrum
-   */
-  async getArbitrumGasParams() {
-    // Get current gas price data
-    const gasPrice = await this.provider.getGasPrice();
-    
-    // For Arbitrum, we don't need maxFeePerGas/maxPriorityFeePerGas
-    // but we return them for compatibility with certain wallets
-    const params = {
-      gasPrice: gasPrice,
-      // Add small buffer to current gas price
-      maxFeePerGas: gasPrice.mul(12).div(10),
-      maxPriorityFeePerGas: ethers.utils.parseUnits("0.1", "gwei"),
-    };
+   * @param {string} [speed] - Fee preset ('slow', 'standard', 'fast')
+   * @returns {Promise<Object>} EIP-1559 fee overrides ({ gasPrice } on nodes without eth_feeHistory)
+   */
+  async getArbitrumGasParams(speed = CONFIG.ethereum.fees.speed) {
+    if (!this.isInitialized) await this.initialize();
+    return this.feeEstimator.getFeeData(speed);
+  }
+
+  /**
+   * Estimate the full cost of a TerraStakeProjects write
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} options - Estimate options
+   * @param {string} [options.speed] - Fee preset
+   * @param {ethers.BigNumber} [options.value] - ETH value sent with the call
+   * @returns {Promise<Object>} Gas figures and an ETH cost breakdown (l1, l2, value, total, max)
+   */
+  async estimateTransactionCost(method, args, options = {}) {
+    if (!this.isInitialized) await this.initialize();
     
-    return params;
+    try {
+      const tx = await this.contract.populateTransaction[method](...args, options.value ? { value: options.value } : {});
+      return await this.feeEstimator.estimate({
+        ...tx,
+        from: this.userAddress || undefined,
+        value: options.value
+      }, { speed: options.speed || CONFIG.ethereum.fees.speed });
+    } catch (error) {
+      console.error(`Failed to estimate ${method} cost:`, error);
+      throw normalizeError(error, 'Failed to estimate transaction cost');
+    }
+  }
+
+  /**
+   * Estimate what createProject will cost before anything is uploaded
+   * @param {Object} metadata - Project metadata as passed to createProject
+   * @param {Object} options - Estimate options (see estimateTransactionCost)
+   * @returns {Promise<Object>} Cost estimate
+   */
+  async estimateCreateProjectCost(metadata, options = {}) {
+    // A hash of the metadata stands in for the not-yet-uploaded CID; calldata size is identical
+    const placeholderHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(metadata)));
+    return this.estimateTransactionCost('addProject', [
+      metadata.name,
+      metadata.description,
+      metadata.location,
+      metadata.impactMetrics,
+      placeholderHash,
+      toEnumIndex(PROJECT_CATEGORIES, metadata.category, 'project category'),
+      ethers.BigNumber.from(metadata.stakingMultiplier || 100),
+      ethers.BigNumber.from(metadata.startBlock || 0),
+      ethers.BigNumber.from(metadata.endBlock || 0)
+    ], options);
+  }
+
+  /**
+   * Estimate what batchUploadDocuments will cost for a set of files
+   * @param {number} projectId - Project ID
+   * @param {Array<File|Object>} files - Files to upload (only names are used)
+   * @param {Object} options - Estimate options (see estimateTransactionCost)
+   * @returns {Promise<Object>} Cost estimate
+   */
+  async estimateBatchUploadCost(projectId, files, options = {}) {
+    // CIDv1 placeholders are at least as long as the CIDs uploads produce, so L1 cost is not underestimated
+    const placeholderCids = files.map((file, i) => computeCid(ethers.utils.toUtf8Bytes(`${file.name || i}`)));
+    return this.estimateTransactionCost('uploadProjectDocuments', [projectId, placeholderCids], options);
   }
 
   /**
-   * Validates and uploads data to IPFS with retry mechanism
-   * @param {File|Blob|Buffer|string} data - The data to upload
+   * Upload data to IPFS as a chunked UnixFS file, with retries. Streams are read once,
+   * so only replayable inputs (File, Blob, Buffer, string) are retried; retries resume
+   * from the last checkpoint instead of re-sending stored chunks.
+   * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} data - The data to upload
    * @param {Object} options - Upload options
+   * @param {Object} [options.metadata] - Wrap the data in a directory with this metadata.json
+   * @param {number} [options.maxSize] - Reject content larger than this many bytes
+   * @param {number} [options.size] - Expected size, for progress on streams of unknown length
+   * @param {Function} [options.onProgress] - Called with (bytesUploaded, totalBytes|null)
+   * @param {Object} [options.checkpoint] - Checkpoint of an interrupted upload of the same data
+   * @param {Function} [options.onCheckpoint] - Called with checkpoints worth persisting
+   * @param {string[]} [options.recipients] - Encrypt the data for these secp256k1 public keys;
+   *   metadata.json then records the encryption header (name and type stay readable)
+   * @param {Object} [options.validation] - Sniff and validate the content before it is pinned;
+   *   metadata.json then records its detected type and SHA-256 digest, unless it is encrypted
+   * @param {string} [options.validation.type] - Declared MIME type the content must match
+   * @param {string[]} [options.validation.allowedTypes] - Accepted content types
+   * @param {number|Function} [options.validation.maxSize] - Size limit, or a function of the detected type
+   * @param {boolean} [options.validation.stripImageMetadata] - Override CONFIG.ipfs.validation.stripImageMetadata
    * @returns {Promise<string>} IPFS CID
    */
   async uploadToIPFS(data, options = {}) {
     if (!data) throw new Error('No data provided for IPFS upload');
     
-    // Add metadata if provided
-    let uploadData = data;
-    if (options.metadata) {
-      // Create a directory structure with metadata
-      const files = [
-        { path: 'data', content: data },
-        { path: 'metadata.json', content: JSON.stringify(options.metadata) }
-      ];
-      uploadData = files;
+    let total = options.size !== undefined ? options.size : contentLength(data);
+    let metadata = options.metadata;
+    
+    // Validation sees the plaintext, so it wraps the data before encryption does
+    let inspector = null;
+    if (options.validation) {
+      const { type, allowedTypes, maxSize, stripImageMetadata } = options.validation;
+      inspector = new ContentInspector({
+        type,
+        allowedTypes,
+        maxSize,
+        size: total,
+        stripImageMetadata: stripImageMetadata !== undefined ?
+          stripImageMetadata :
+          CONFIG.ipfs.validation.stripImageMetadata,
+        validators: this.validators
+      });
+      data = inspector.wrap(data);
+    }
+    
+    // One envelope for all attempts, so retries and checkpoints see identical ciphertext
+    if (options.recipients && options.recipients.length) {
+      const envelope = await createEnvelope(options.recipients);
+      data = encryptContent(data, envelope);
+      metadata = { ...metadata, encryption: envelope.header };
+      if (total !== null && total !== undefined) total = encryptedLength(total, envelope.header);
     }
+    
+    const attempts = isReplayable(data) ? CONFIG.ipfs.retryAttempts : 1;
+    let checkpoint = options.checkpoint;
 
     // Implement retry logic
     let attempt = 0;
     let lastError = null;
 
-    while (attempt < CONFIG.ipfs.retryAttempts) {
+    while (attempt < attempts) {
       try {
-        // Calculate progress callback if provided
-        const progressCallback = options.onProgress ? 
-          (bytes) => options.onProgress(bytes) : null;
-
-        const result = await ipfs.add(uploadData, {
-          pin: true,
-          progress: progressCallback,
-          wrapWithDirectory: options.metadata ? true : false
+        const file = await this.storage.addStream(data, {
+          pin: !metadata,
+          chunkSize: CONFIG.ipfs.chunkSize,
+          maxSize: options.maxSize,
+          checkpoint,
+          onCheckpoint: async (next) => {
+            checkpoint = next;
+            if (options.onCheckpoint) await options.onCheckpoint(next);
+          },
+          onProgress: options.onProgress ? (bytes) => options.onProgress(bytes, total) : undefined
         });
 
-        // Get the root CID (either the file CID or directory CID)
-        const cid = options.metadata ? 
-          result.cid.toString() : 
-          (Array.isArray(result) ? result[0].cid.toString() : result.cid.toString());
+        // The root is either the file itself or a directory holding it and its metadata.
+        // A public digest of encrypted content would confirm guesses of the plaintext,
+        // so validation results are only published for documents stored in the clear.
+        const cid = metadata ?
+          await this._addWithMetadata(file, inspector && !metadata.encryption ? {
+            ...metadata,
+            detectedType: inspector.report.detectedType,
+            sha256: inspector.report.sha256,
+            metadataStripped: inspector.report.metadataStripped
+          } : metadata) :
+          file.cid;
         
-        console.log('IPFS upload successful, CID:', cid);
+        console.log(`Upload to ${this.storage.name} storage successful, CID:`, cid);
         
         // Verify the upload is accessible
         await this._verifyIPFSUpload(cid);
         
+        // Index the CID so keccak-hashed references to it can be resolved later
+        await this._indexCid(cid);
+        
         return cid;
       } catch (error) {
+        // Oversized content fails the same way on every attempt
+        if (error instanceof InvalidParametersError) throw error;
+
         lastError = error;
         console.warn(`IPFS upload attempt ${attempt + 1} failed:`, error);
         attempt++;
         
         // Wait before retrying (exponential backoff)
-        if (attempt < CONFIG.ipfs.retryAttempts) {
+        if (attempt < attempts) {
           const backoffTime = Math.pow(2, attempt) * 1000;
           await new Promise(resolve => setTimeout(resolve, backoffTime));
         }
       }
     }
 
-    throw new Error(`IPFS upload failed after ${CONFIG.ipfs.retryAttempts} attempts: ${lastError.message}`);
+    throw new IpfsUnavailableError(`IPFS upload failed after ${attempts} attempt(s): ${lastError.message}`, { cause: lastError });
+  }
+
+  /**
+   * Wrap an uploaded file in a directory next to its metadata.json
+   * @param {Object} file - { cid, size } of the uploaded file
+   * @param {Object} metadata - File metadata; `size` is set to the uploaded byte count
+   * @returns {Promise<string>} Directory CID
+   * @private
+   */
+  async _addWithMetadata(file, metadata) {
+    const metadataBytes = ethers.utils.toUtf8Bytes(JSON.stringify({ ...metadata, size: file.size }));
+    const metadataCid = await this.storage.putBlock(metadataBytes, CODECS.RAW);
+    return this.storage.addDirectory([
+      { name: 'data', cid: file.cid, size: file.size },
+      { name: 'metadata.json', cid: metadataCid, size: metadataBytes.length }
+    ], { pin: true });
+  }
+
+  /**
+   * Register a validator run on every validated document upload before it is pinned
+   * @param {Object} validator - Validator
+   * @param {string} validator.name - Name used in rejection messages
+   * @param {string[]} [validator.types] - Detected types it applies to (all when omitted)
+   * @param {Function} validator.validate - Receives { type, declaredType, size, sha256, head, tail }
+   *   (first and last 64KB of the content) and throws to reject the upload
+   */
+  addValidator(validator) {
+    if (!validator || !validator.name || typeof validator.validate !== 'function') {
+      throw new Error('Validators need a name and a validate function');
+    }
+    this.validators.push(validator);
+  }
+
+  /**
+   * Maximum upload size for a document type (CONFIG.ipfs.sizeLimits)
+   * @param {string} [type] - MIME type
+   * @returns {number} Limit in bytes
+   */
+  getDocumentSizeLimit(type) {
+    const limits = CONFIG.ipfs.sizeLimits;
+    if (type && limits[type] !== undefined) return limits[type];
+    const family = type ? `${type.split('/')[0]}/*` : null;
+    if (family && limits[family] !== undefined) return limits[family];
+    return limits.default;
+  }
+
+  /**
+   * Record an uploaded CID under its keccak256 hash in the CID registry
+   * @param {string} cid - IPFS CID
+   * @private
+   */
+  async _indexCid(cid) {
+    try {
+      await this.cidRegistry.set(keccakCid(cid), cid);
+    } catch (error) {
+      // Indexing is best-effort and must never fail an upload that succeeded
+      console.warn(`Failed to index CID ${cid}:`, error.message);
+    }
   }
 
   /**
@@ -252,22 +621,31 @@ class TerraStakeService {
   async _verifyIPFSUpload(cid) {
     try {
       // Try to retrieve a small amount of data to verify the CID exists
-      const chunks = [];
-      for await (const chunk of ipfs.cat(cid, { length: 100 })) {
-        chunks.push(chunk);
-        break; // We only need to verify the CID exists
+      if (!(await this.storage.has(cid))) {
+        throw new Error(`Content ${cid} not retrievable from ${this.storage.name} storage`);
       }
       return true;
     } catch (error) {
-      throw new Error(`Failed to verify IPFS content: ${error.message}`);
+      throw normalizeError(error, 'Failed to verify IPFS content');
     }
   }
 
   /**
    * Enhanced document upload with progress tracking and validation
-   * @param {File} file - The file to upload
+   * @param {File|Blob|ReadableStream|AsyncIterable|Buffer} file - The file, or a stream of its bytes
    * @param {number} projectId - Project ID
    * @param {Object} options - Upload options
+   * @param {string} [options.name] - File name, for inputs without one (streams, buffers)
+   * @param {string} [options.type] - MIME type, for inputs without one
+   * @param {number} [options.size] - Size in bytes, when a stream's length is known
+   * @param {number} [options.maxSize] - Override the per-type size limit
+   * @param {string[]} [options.allowedTypes] - Accepted MIME types, checked against the sniffed content
+   * @param {boolean} [options.stripImageMetadata] - Remove EXIF/GPS from images (default from CONFIG)
+   * @param {Function} [options.onProgress] - Called with (bytesUploaded, totalBytes|null)
+   * @param {Object} [options.checkpoint] - Checkpoint to resume an interrupted upload
+   * @param {Function} [options.onCheckpoint] - Called with checkpoints worth persisting
+   * @param {string[]} [options.recipients] - Encrypt for these public keys (project owner,
+   *   verifiers; see unlockDocuments) instead of publishing the file in the clear
    * @returns {Promise<Object>} Transaction receipt and IPFS hash
    */
   async uploadProjectDocument(file, projectId, options = {}) {
@@ -277,15 +655,14 @@ class TerraStakeService {
     if (!file) throw new Error('No file provided');
     if (!projectId || projectId <= 0) throw new Error('Invalid project ID');
     
-    // Validate file size (10MB max by default)
-    const maxSize = options.maxSize || 10 * 1024 * 1024;
-    if (file.size > maxSize) {
-      throw new Error(`File too large. Maximum size is ${maxSize / (1024 * 1024)}MB`);
-    }
-    
-    // Validate file type if specified
-    if (options.allowedTypes && !options.allowedTypes.includes(file.type)) {
-      throw new Error(`Invalid file type. Allowed types: ${options.allowedTypes.join(', ')}`);
+    const name = options.name || file.name;
+    const type = options.type || file.type;
+    const size = options.size !== undefined ? options.size : contentLength(file);
+
+    // The declared type is unverified, so type checks and per-type size limits wait for the
+    // sniffed content; only an explicit limit can be checked before anything is read
+    if (options.maxSize && size !== null && size > options.maxSize) {
+      throw new InvalidParametersError(`File too large. Maximum size is ${options.maxSize / (1024 * 1024)}MB`);
     }
 
     try {
@@ -293,9 +670,9 @@ class TerraStakeService {
       
       // Create metadata with file info
       const metadata = {
-        name: file.name,
-        type: file.type,
-        size: file.size,
+        name,
+        type,
+        size,
         lastModified: file.lastModified,
         projectId: projectId,
         uploadedBy: this.userAddress,
@@ -307,42 +684,30 @@ class TerraStakeService {
       // Upload to IPFS with metadata
       const ipfsHash = await this.uploadToIPFS(file, {
         metadata: metadata,
-        onProgress: options.onProgress
+        size: size !== null ? size : undefined,
+        onProgress: options.onProgress,
+        checkpoint: options.checkpoint,
+        onCheckpoint: options.onCheckpoint,
+        recipients: options.recipients,
+        validation: {
+          type,
+          allowedTypes: options.allowedTypes,
+          maxSize: options.maxSize || (detected => this.getDocumentSizeLimit(detected)),
+          stripImageMetadata: options.stripImageMetadata
+        }
       });
 
       if (options.onStatus) options.onStatus('Submitting to blockchain...');
       
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Prepare transaction with proper gas estimation
-      const gasEstimate = await this.contract.estimateGas.uploadProjectDocuments(
-        projectId, 
-        [ipfsHash]
-      );
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
-      // Execute the transaction with Arbitrum gas params
-      const tx = await this.contract.uploadProjectDocuments(
-        projectId, 
-        [ipfsHash],
-        { 
-          gasLimit,
-          gasPrice: gasParams.gasPrice
-        }
-      );
-      
-      if (options.onStatus) options.onStatus(`Transaction submitted: ${tx.hash}`);
-      
-      // Wait for confirmation with specified number of blocks
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      const receipt = await this._sendTransaction('uploadProjectDocuments', [projectId, [ipfsHash]], options);
+      await this.invalidateProject(projectId);
       
       if (options.onStatus) options.onStatus('Document successfully uploaded');
       
       return {
         success: true,
         ipfsHash,
+        encrypted: !!(options.recipients && options.recipients.length),
         transactionHash: receipt.transactionHash,
         blockNumber: receipt.blockNumber,
         network: this.networkConfig.name,
@@ -351,16 +716,30 @@ class TerraStakeService {
     } catch (error) {
       console.error('Document upload failed:', error);
       if (options.onStatus) options.onStatus(`Error: ${error.message}`);
-      throw new Error(`Failed to upload document: ${error.message}`);
+      throw normalizeError(error, 'Failed to upload document');
     }
   }
 
   /**
-   * Enhanced batch document upload
-   * @param {File[]} files - Array of files to upload
+   * Upload documents and register them on-chain through a resumable session. Files are
+   * identified by SHA-256 digest, so re-running with the same session skips files that
+   * are still pinned and chunks that were already submitted. Each file is read twice as a
+   * stream (digest, then upload) and never held in memory whole, so one-shot streams are
+   * not accepted. Size limits and content validation match uploadProjectDocument.
+   * @param {Array<File|Blob|Buffer>} files - Documents to upload
    * @param {number} projectId - Project ID
    * @param {Object} options - Upload options
-   * @returns {Promise<Object[]>} Array of results
+   * @param {UploadSession} [options.session] - Session to resume (from openUploadSession)
+   * @param {string} [options.sessionPath] - Session manifest file to create or resume (Node only)
+   * @param {number} [options.concurrency] - Uploads in flight at once (default CONFIG.ipfs.batch.concurrency)
+   * @param {Function} [options.onBatchProgress] - Called with (completed, total, stage)
+   * @param {Function} [options.onIndividualProgress] - Byte progress of each upload
+   * @param {string[]} [options.recipients] - Encrypt every document for these public keys
+   * @param {number} [options.maxSize] - Override the per-type size limit
+   * @param {string[]} [options.allowedTypes] - Accepted MIME types, checked against the sniffed content
+   * @param {boolean} [options.stripImageMetadata] - Remove EXIF/GPS from images (default from CONFIG)
+   * @returns {Promise<Array<Object>>} Result per file; on failure the thrown error carries
+   *   `results` and the session is saved for a later resume
    */
   async batchUploadDocuments(files, projectId, options = {}) {
     if (!this.isInitialized) await this.initialize();
@@ -369,122 +748,202 @@ class TerraStakeService {
     if (!files || !files.length) throw new Error('No files provided');
     if (!projectId || projectId <= 0) throw new Error('Invalid project ID');
     
-    const results = [];
-    const ipfsHashes = [];
+    // Check every file before anything is read, the way uploadProjectDocument does; types and
+    // per-type size limits are checked against the sniffed content during upload
+    const checked = files.map((file, index) => {
+      const name = file.name || `document-${index}`;
+      const type = file.type || null;
+      if (!isReplayable(file)) {
+        throw new InvalidParametersError(`${name} is a stream; batch uploads need files, blobs or buffers that can be read twice`);
+      }
+      const size = contentLength(file);
+      if (options.maxSize && size > options.maxSize) {
+        throw new InvalidParametersError(`${name} is too large. Maximum size is ${options.maxSize / (1024 * 1024)}MB`);
+      }
+      return { index, file, name, type, size };
+    });
+    
+    const session = options.session || await this.openUploadSession(projectId, { path: options.sessionPath });
+    const progress = (done, stage) => {
+      if (options.onBatchProgress) options.onBatchProgress(done, files.length, stage);
+    };
+    
+    // Match every file to a session entry by content digest
+    const claimed = new Set();
+    const items = [];
+    for (const { index, file, name, type, size } of checked) {
+      const entry = session.match({ name, type, size, digest: await digestSource(file) }, claimed);
+      items.push({ index, file, entry });
+    }
+    await session.save();
+    
+    const results = () => items.map(({ entry }) => ({
+      file: entry.name,
+      ipfsHash: entry.cid,
+      digest: entry.digest,
+      status: BATCH_STATUS_LABELS[entry.status],
+      transactionHash: entry.transactionHash,
+      blockNumber: entry.blockNumber,
+      explorerLink: entry.transactionHash ? `${this.networkConfig.blockExplorer}/tx/${entry.transactionHash}` : undefined,
+      error: entry.error
+    }));
     
     try {
-      // First upload all files to IPFS
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        if (options.onBatchProgress) {
-          options.onBatchProgress(i, files.length, 'Uploading to IPFS');
-        }
-        
-        const ipfsHash = await this.uploadToIPFS(file, {
-          metadata: {
-            name: file.name,
-            type: file.type,
-            size: file.size,
-            index: i,
-            projectId: projectId,
-            network: this.networkConfig.name,
-            chainId: this.networkConfig.chainId
-          },
-          onProgress: options.onIndividualProgress
-        });
-        
-        ipfsHashes.push(ipfsHash);
-        results.push({ file: file.name, ipfsHash, status: 'Uploaded to IPFS' });
-      }
-      
-      // Then submit all hashes in a single transaction
-      if (options.onBatchProgress) {
-        options.onBatchProgress(files.length, files.length, 'Submitting to blockchain');
+      // Upload with bounded parallelism, skipping files still pinned from an earlier run
+      const toUpload = [];
+      for (const item of items) {
+        if (item.entry.status === 'submitted') continue;
+        if (item.entry.cid && await this.storage.has(item.entry.cid)) continue;
+        toUpload.push(item);
       }
       
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Estimate gas for the batch transaction
-      const gasEstimate = await this.contract.estimateGas.uploadProjectDocuments(
-        projectId, 
-        ipfsHashes
-      );
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
-      // Execute the transaction
-      const tx = await this.contract.uploadProjectDocuments(
-        projectId, 
-        ipfsHashes,
-        { 
-          gasLimit,
-          gasPrice: gasParams.gasPrice
+      let done = items.length - toUpload.length;
+      progress(done, 'Uploading to IPFS');
+      let next = 0;
+      const worker = async () => {
+        while (next < toUpload.length) {
+          const { index, file, entry } = toUpload[next++];
+          try {
+            const cid = await this.uploadToIPFS(file, {
+              metadata: {
+                name: entry.name,
+                type: entry.type,
+                size: entry.size,
+                index,
+                projectId: projectId,
+                network: this.networkConfig.name,
+                chainId: this.networkConfig.chainId
+              },
+              size: entry.size,
+              onProgress: options.onIndividualProgress ?
+                bytes => options.onIndividualProgress(bytes, file) :
+                undefined,
+              // Large files resume from their last stored chunk on the next run
+              checkpoint: entry.checkpoint,
+              onCheckpoint: checkpoint => session.update(entry, { checkpoint }),
+              recipients: options.recipients,
+              validation: {
+                type: entry.type,
+                allowedTypes: options.allowedTypes,
+                maxSize: options.maxSize || (detected => this.getDocumentSizeLimit(detected)),
+                stripImageMetadata: options.stripImageMetadata
+              }
+            });
+            await session.update(entry, { cid, status: 'uploaded', error: undefined, checkpoint: undefined });
+          } catch (error) {
+            await session.update(entry, { status: 'failed', error: error.message });
+          }
+          progress(++done, 'Uploading to IPFS');
         }
-      );
+      };
+      const concurrency = options.concurrency || CONFIG.ipfs.batch.concurrency;
+      await Promise.all(Array.from({ length: Math.min(concurrency, toUpload.length) }, worker));
       
-      // Wait for confirmation
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      // Documents are only registered once the whole batch is on IPFS, keeping it in order
+      const failed = items.filter(({ entry }) => entry.status === 'failed');
+      if (failed.length) {
+        throw new IpfsUnavailableError(`${failed.length} of ${items.length} documents failed to upload: ${failed.map(({ entry }) => entry.name).join(', ')}`);
+      }
       
-      // Update results with transaction data
-      results.forEach(result => {
-        result.transactionHash = receipt.transactionHash;
-        result.blockNumber = receipt.blockNumber;
-        result.status = 'Confirmed';
-        result.explorerLink = `${this.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`;
-      });
+      // Submit remaining hashes in chunks that fit the per-transaction gas budget
+      const pending = items.filter(({ entry }) => entry.status === 'uploaded').map(({ entry }) => entry);
+      const chunks = await this._chunkDocumentHashes(projectId, pending);
+      let submitted = items.length - pending.length;
+      for (const chunk of chunks) {
+        progress(submitted, 'Submitting to blockchain');
+        const receipt = await this._sendTransaction('uploadProjectDocuments', [projectId, chunk.map(entry => entry.cid)]);
+        await session.update(chunk, {
+          status: 'submitted',
+          transactionHash: receipt.transactionHash,
+          blockNumber: receipt.blockNumber
+        });
+        submitted += chunk.length;
+      }
+      if (chunks.length) await this.invalidateProject(projectId);
+      progress(items.length, 'Complete');
       
-      return results;
+      return results();
     } catch (error) {
       console.error('Batch upload failed:', error);
+      await session.save().catch(saveError => console.warn('Failed to save upload session:', saveError.message));
       
-      // Mark already uploaded files
-      results.forEach(result => {
-        if (result.status === 'Uploaded to IPFS') {
-          result.status = 'IPFS only, blockchain submission failed';
-        }
-      });
-      
-      throw new Error(`Batch upload failed: ${error.message}`);
+      const normalized = normalizeError(error, 'Batch upload failed');
+      normalized.results = results();
+      throw normalized;
+    }
+  }
+
+  /**
+   * Open (or create) the upload session for a project on the current network
+   * @param {number} projectId - Project ID
+   * @param {Object} options - Session options
+   * @param {string} [options.path] - Manifest file; sessions are kept in memory when omitted
+   * @returns {Promise<UploadSession>} Upload session
+   */
+  async openUploadSession(projectId, options = {}) {
+    const store = options.path ? new FileSessionStore({ path: options.path }) : new MemorySessionStore();
+    return UploadSession.open(store, { projectId, chainId: this.networkConfig.chainId });
+  }
+
+  /**
+   * Split session entries into uploadProjectDocuments calls whose gas estimate stays
+   * under CONFIG.ipfs.batch.maxChunkGas
+   * @param {number} projectId - Project ID
+   * @param {Array<Object>} entries - Uploaded session entries
+   * @returns {Promise<Array<Array<Object>>>} Chunks of entries
+   * @private
+   */
+  async _chunkDocumentHashes(projectId, entries) {
+    const { chunkSize, maxChunkGas } = CONFIG.ipfs.batch;
+    const chunks = [];
+    let start = 0;
+    while (start < entries.length) {
+      let size = Math.min(chunkSize, entries.length - start);
+      // Halve the chunk until its estimate fits the gas budget
+      while (size > 1) {
+        const cids = entries.slice(start, start + size).map(entry => entry.cid);
+        const gas = await this.contract.estimateGas.uploadProjectDocuments(projectId, cids);
+        if (gas.lte(maxChunkGas)) break;
+        size = Math.ceil(size / 2);
+      }
+      chunks.push(entries.slice(start, start + size));
+      start += size;
     }
+    return chunks;
   }
 
   /**
    * Enhanced project creation with comprehensive metadata for Arbitrum
-   * @param {Object} metadata - Project metadata
+   * @param {Object} metadata - Project metadata, matching schemas/project-metadata.schema.json
    * @param {Object} options - Creation options
    * @returns {Promise<Object>} Creation result with project ID
+   * @throws {SchemaValidationError} When the metadata does not match the schema, with field errors
    */
   async createProject(metadata, options = {}) {
     if (!this.isInitialized) await this.initialize();
     if (!this.signer) throw new Error('No signer available. Cannot perform write operations.');
     
-    // Validate required fields
-    const requiredFields = ['name', 'description', 'location', 'impactMetrics', 'category'];
-    for (const field of requiredFields) {
-      if (!metadata[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
-    }
+    // Metadata is checked against the published schema before anything is uploaded
+    const enhancedMetadata = {
+      ...metadata,
+      createdBy: this.userAddress,
+      createdAt: Date.now(),
+      version: CURRENT_VERSIONS.projectMetadata,
+      network: this.networkConfig.name,
+      chainId: this.networkConfig.chainId,
+      contacts: metadata.contacts || [],
+      images: metadata.images || [],
+      documents: metadata.documents || [],
+      goals: metadata.goals || [],
+      milestones: metadata.milestones || []
+    };
+    validateProjectMetadata(enhancedMetadata);
+    // The schema accepts category names; the contract takes the enum index
+    const category = toEnumIndex(PROJECT_CATEGORIES, metadata.category, 'project category');
     
     try {
       if (options.onStatus) options.onStatus('Preparing project data...');
       
-      // Prepare enhanced metadata with additional fields
-      const enhancedMetadata = {
-        ...metadata,
-        createdBy: this.userAddress,
-        createdAt: Date.now(),
-        version: '1.0',
-        network: this.networkConfig.name,
-        chainId: this.networkConfig.chainId,
-        contacts: metadata.contacts || [],
-        images: metadata.images || [],
-        documents: metadata.documents || [],
-        goals: metadata.goals || [],
-        milestones: metadata.milestones || []
-      };
-      
       // Upload additional files if provided
       if (options.files && options.files.length) {
         if (options.onStatus) options.onStatus('Uploading project files...');
@@ -513,10 +972,7 @@ class TerraStakeService {
       );
       
       // Convert IPFS hash to bytes32 as expected by the contract
-      // This technique varies depending on the contract implementation
-      const bytes32Value = ethers.utils.keccak256(
-        ethers.utils.toUtf8Bytes(ipfsMetadataHash)
-      );
+      const bytes32Value = await this._convertIpfsHashToBytes32(ipfsMetadataHash);
       
       if (options.onStatus) options.onStatus('Creating project on blockchain...');
       
@@ -525,45 +981,18 @@ class TerraStakeService {
       const startBlock = ethers.BigNumber.from(metadata.startBlock || 0);
       const endBlock = ethers.BigNumber.from(metadata.endBlock || 0);
       
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Estimate gas for project creation
-      const gasEstimate = await this.contract.estimateGas.addProject(
+      // Confirmed receipt with decoded events to get the project ID
+      const receipt = await this._sendTransaction('addProject', [
         metadata.name,
         metadata.description,
         metadata.location,
         metadata.impactMetrics,
         bytes32Value,
-        metadata.category,
+        category,
         stakingMultiplier,
         startBlock,
         endBlock
-      );
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
-      // Execute the transaction
-      const tx = await this.contract.addProject(
-        metadata.name,
-        metadata.description,
-        metadata.location,
-        metadata.impactMetrics,
-        bytes32Value,
-        metadata.category,
-        stakingMultiplier,
-        startBlock,
-        endBlock,
-        { 
-          gasLimit,
-          gasPrice: gasParams.gasPrice
-        }
-      );
-      
-      if (options.onStatus) options.onStatus(`Transaction submitted: ${tx.hash}`);
-      
-      // Wait for confirmation with event parsing to get the project ID
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      ], options);
       
       // Extract the project ID from the ProjectAdded event
       const projectAddedEvent = receipt.events.find(event => 
@@ -586,25 +1015,34 @@ class TerraStakeService {
     } catch (error) {
       console.error('Project creation failed:', error);
       if (options.onStatus) options.onStatus(`Error: ${error.message}`);
-      throw new Error(`Failed to create project: ${error.message}`);
+      throw normalizeError(error, 'Failed to create project');
     }
   }
 
   /**
    * Submit an impact report for a project on Arbitrum
    * @param {number} projectId - Project ID
-   * @param {Object} reportData - Report data
+   * @param {Object} reportData - Report data, matching schemas/impact-report.schema.json
+   * @param {string|number} [reportData.category] - Project category whose `details` schema applies
+   *   (read from the contract when omitted)
    * @param {Object} options - Submission options
    * @returns {Promise<Object>} Submission result
+   * @throws {SchemaValidationError} When the report does not match the schema, with field errors
    */
   async submitImpactReport(projectId, reportData, options = {}) {
     if (!this.isInitialized) await this.initialize();
     if (!this.signer) throw new Error('No signer available. Cannot perform write operations.');
     
     try {
+      const category = reportData.category !== undefined && reportData.category !== null ?
+        reportData.category :
+        (await this.contract.getProject(projectId)).category;
+      
       // Prepare the report data
       const report = {
+        version: CURRENT_VERSIONS.impactReport,
         projectId,
+        category: categoryName(category),
         periodStart: reportData.periodStart || Math.floor(Date.now() / 1000 - 30 * 24 * 60 * 60), // 30 days ago default
         periodEnd: reportData.periodEnd || Math.floor(Date.now() / 1000), // now default
         metrics: reportData.metrics || [],
@@ -615,6 +1053,7 @@ class TerraStakeService {
         network: this.networkConfig.name,
         chainId: this.networkConfig.chainId
       };
+      validateImpactReport(report);
       
       // Upload report data to IPFS
       if (options.onStatus) options.onStatus('Uploading report to IPFS...');
@@ -623,9 +1062,7 @@ class TerraStakeService {
       });
       
       // Convert IPFS hash to bytes32
-      const reportHashBytes32 = ethers.utils.keccak256(
-        ethers.utils.toUtf8Bytes(reportIpfsHash)
-      );
+      const reportHashBytes32 = await this._convertIpfsHashToBytes32(reportIpfsHash);
       
       // Convert metrics to array of BigNumbers
       const metricsArray = report.metrics.map(metric => 
@@ -634,37 +1071,14 @@ class TerraStakeService {
       
       if (options.onStatus) options.onStatus('Submitting report to blockchain...');
       
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Estimate gas
-      const gasEstimate = await this.contract.estimateGas.submitImpactReport(
+      const receipt = await this._sendTransaction('submitImpactReport', [
         projectId,
         report.periodStart,
         report.periodEnd,
         metricsArray,
         reportHashBytes32
-      );
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
-      // Execute transaction
-      const tx = await this.contract.submitImpactReport(
-        projectId,
-        report.periodStart,
-        report.periodEnd,
-        metricsArray,
-        reportHashBytes32,
-        { 
-          gasLimit,
-          gasPrice: gasParams.gasPrice
-        }
-      );
-      
-      if (options.onStatus) options.onStatus(`Transaction submitted: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      ], options);
+      await this.invalidateProject(projectId);
       
       if (options.onStatus) options.onStatus('Impact report successfully submitted');
       
@@ -678,7 +1092,7 @@ class TerraStakeService {
     } catch (error) {
       console.error('Impact report submission failed:', error);
       if (options.onStatus) options.onStatus(`Error: ${error.message}`);
-      throw new Error(`Failed to submit impact report: ${error.message}`);
+      throw normalizeError(error, 'Failed to submit impact report');
     }
   }
 
@@ -702,33 +1116,14 @@ class TerraStakeService {
       // Convert amount to wei
       const amountWei = ethers.utils.parseEther(amount);
       
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Estimate gas for staking
-      const gasEstimate = await this.contract.estimateGas.stakeOnProject(
-        projectId,
-        { value: amountWei }
-      );
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
       if (options.onStatus) options.onStatus(`Staking ${amount} ETH on project ${projectId}...`);
       
-      // Execute the transaction
-      const tx = await this.contract.stakeOnProject(
-        projectId,
-        { 
-          value: amountWei,
-          gasLimit,
-          gasPrice: gasParams.gasPrice
-        }
-      );
-      
-      if (options.onStatus) options.onStatus(`Transaction submitted: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      const receipt = await this._sendTransaction('stakeOnProject', [projectId], {
+        ...options,
+        value: amountWei
+      });
+      await this.invalidateProject(projectId);
+      await this.invalidateUserStakes(this.userAddress);
       
       if (options.onStatus) options.onStatus('Stake successfully placed');
       
@@ -743,21 +1138,48 @@ class TerraStakeService {
     } catch (error) {
       console.error('Staking failed:', error);
       if (options.onStatus) options.onStatus(`Error: ${error.message}`);
-      throw new Error(`Failed to stake on project: ${error.message}`);
+      throw normalizeError(error, 'Failed to stake on project');
     }
   }
 
+  /**
+   * Send a TerraStakeProjects write through the transaction manager
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} options - Write options
+   * @param {ethers.BigNumber} [options.value] - ETH value to send
+   * @param {string} [options.speed] - Fee preset
+   * @param {Function} [options.onStatus] - Status message callback
+   * @returns {Promise<Object>} Confirmed receipt with decoded events
+   * @private
+   */
+  _sendTransaction(method, args, options = {}) {
+    return this.txManager.send({
+      contract: this.contract,
+      method,
+      args,
+      value: options.value,
+      speed: options.speed,
+      onStatus: options.onStatus
+    });
+  }
+
   /**
    * Setup event listeners for contract events
    * @private
    */
   _setupEventListeners() {
+    this.reorgTracker = new ReorgTracker({
+      provider: this.provider,
+      confirmationDepth: CONFIG.ethereum.reorgDepth
+    });
+    
     // ProjectAdded event
     this.eventListeners.push(
       this.contract.on('ProjectAdded', (projectId, name, category, event) => {
         console.log('New project added:', { projectId: projectId.toString(), name, category });
         // Store project data in local cache
-        this._updateProjectCache(projectId.toString(), { name, category });
+        this._queueCacheEvent(event);
       })
     );
     
@@ -770,7 +1192,7 @@ class TerraStakeService {
           newState 
         });
         // Update project state in cache
-        this._updateProjectCache(projectId.toString(), { state: newState });
+        this._queueCacheEvent(event);
       })
     );
     
@@ -793,16 +1215,17 @@ class TerraStakeService {
           amount: ethers.utils.formatEther(amount),
         });
         // Update project stake in cache
-        this._updateProjectCache(projectId.toString(), { 
-          totalStaked: (this._projectCache[projectId.toString()]?.totalStaked || 0) + 
-            parseFloat(ethers.utils.formatEther(amount)) 
-        });
+        this._queueCacheEvent(event);
       })
     );
     
     // Handle Arbitrum-specific network events
     this.provider.on("block", (blockNumber) => {
-      // Every 100 blocks, check for chain reorganizations and update cache if needed
+      this._handleNewBlock(blockNumber).catch(error => {
+        console.warn(`Failed to process block ${blockNumber}:`, error.message);
+      });
+      
+      // Every 100 blocks, refresh tracked projects from chain as a consistency check
       if (blockNumber % 100 === 0) {
         this._refreshProjectData();
       }
@@ -810,42 +1233,261 @@ class TerraStakeService {
   }
 
   /**
-   * Refresh project data from blockchain to handle potential chain reorganizations
+   * Queue a contract event for the cache so updates are applied in arrival order
+   * @param {Object} event - ethers event
+   * @returns {Promise<boolean>} Resolves once the event has been applied
    * @private
    */
-  async _refreshProjectData() {
-    try {
-      // Only refresh projects we're actively tracking
-      const projectIds = Object.keys(this._projectCache || {});
-      
-      for (const projectId of projectIds) {
-        try {
-          // Get fresh data from blockchain for this project
-          const projectData = await this.getProjectDetails(projectId);
-          
-          // Update cache with latest blockchain data
-          this._updateProjectCache(projectId, projectData);
-        } catch (error) {
-          console.warn(`Failed to refresh data for project ${projectId}:`, error.message);
-        }
-      }
-    } catch (error) {
-      console.warn('Failed to refresh project data:', error);
-    }
+  _queueCacheEvent(event) {
+    const applied = this._cacheQueue.then(() => this._applyCacheEvent(event));
+    this._cacheQueue = applied.catch(error => {
+      console.warn('Failed to apply event to project cache:', error.message);
+    });
+    return applied;
   }
 
   /**
-   * Get detailed project information from blockchain and IPFS
-   * @param {number} projectId - Project ID to retrieve
-   * @param {Object} options - Query options
-   * @returns {Promise<Object>} Project details
+   * Apply a contract event to the project cache exactly once, journaling the
+   * previous cache entry so the change can be rolled back on a reorg
+   * @param {Object} event - ethers event with args, blockNumber, blockHash and logIndex
+   * @returns {Promise<boolean>} True if the event was applied, false for duplicates
+   * @private
+   */
+  async _applyCacheEvent(event) {
+    const key = `${event.blockHash}:${event.logIndex}`;
+    if (this._eventJournal.has(key)) return false;
+    
+    const projectId = event.args.projectId.toString();
+    const cached = await this.cache.get(`project:${projectId}`);
+    
+    let data;
+    switch (event.event) {
+      case 'ProjectAdded':
+        data = { name: event.args.name, category: event.args.category };
+        break;
+      case 'ProjectStateChanged':
+        data = { state: event.args.newState };
+        break;
+      case 'StakeAdded':
+        // Same formatEther string getProjectDetails stores, summed in wei
+        data = {
+          totalStaked: ethers.utils.formatEther(
+            ethers.utils.parseEther(String(cached?.totalStaked || '0')).add(event.args.amount)
+          )
+        };
+        break;
+      default:
+        return false;
+    }
+    
+    this._eventJournal.set(key, {
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      projectId,
+      previous: cached ? { ...cached } : null
+    });
+    if (this.reorgTracker) this.reorgTracker.remember(event.blockNumber, event.blockHash);
+    
+    await this._updateProjectCache(projectId, data, {
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash
+    });
+    
+    // Derived read-through entries are stale once the project changed
+    await this.cache.deletePrefix(`projectDetails:${projectId}:`);
+    if (event.event === 'StakeAdded') {
+      await this.cache.delete(`stakes:${event.args.staker.toLowerCase()}`);
+    }
+    return true;
+  }
+
+  /**
+   * Track a new head block: detect reorgs and retire journal entries that
+   * have left the confirmation window
+   * @param {number} blockNumber - New block number
+   * @private
+   */
+  async _handleNewBlock(blockNumber) {
+    const reorg = await this.reorgTracker.handleBlock(blockNumber);
+    if (reorg) {
+      // Run inside the cache queue so no event interleaves with the rollback
+      this._cacheQueue = this._cacheQueue.then(() => this._handleReorg(reorg));
+      await this._cacheQueue;
+    }
+    
+    const finalized = this.reorgTracker.finalizedBlock;
+    for (const [key, entry] of this._eventJournal) {
+      if (entry.blockNumber <= finalized) {
+        this._eventJournal.delete(key);
+        const cached = await this.cache.get(`project:${entry.projectId}`);
+        if (cached && cached.blockNumber <= finalized && !cached.confirmed) {
+          await this.cache.set(`project:${entry.projectId}`, { ...cached, confirmed: true }, { ttl: 0 });
+        }
+      }
+    }
+  }
+
+  /**
+   * Roll back cache changes from replaced blocks and reapply the canonical events
+   * @param {Object} reorg - Reorg details from ReorgTracker
+   * @private
+   */
+  async _handleReorg(reorg) {
+    console.warn(`Chain reorganization detected at block ${reorg.forkBlock} (depth ${reorg.depth})`);
+    
+    // Undo in reverse application order so each snapshot restores the state before it
+    const rolledBack = [...this._eventJournal.entries()]
+      .filter(([, entry]) => entry.blockNumber > reorg.forkBlock)
+      .reverse();
+    
+    const affectedProjects = new Set();
+    for (const [key, entry] of rolledBack) {
+      if (entry.previous) {
+        await this.cache.set(`project:${entry.projectId}`, entry.previous, { ttl: 0 });
+      } else {
+        await this.cache.delete(`project:${entry.projectId}`);
+      }
+      this._eventJournal.delete(key);
+      affectedProjects.add(entry.projectId);
+    }
+    
+    // Replay the canonical events for the replaced range
+    const batches = await Promise.all(['ProjectAdded', 'ProjectStateChanged', 'StakeAdded'].map(name =>
+      this.contract.queryFilter(this.contract.filters[name](), reorg.forkBlock + 1, reorg.headBlock)
+    ));
+    const canonicalEvents = batches.flat().sort((a, b) =>
+      a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    
+    let reapplied = 0;
+    for (const event of canonicalEvents) {
+      if (await this._applyCacheEvent(event)) {
+        reapplied++;
+        affectedProjects.add(event.args.projectId.toString());
+      }
+    }
+    
+    for (const projectId of affectedProjects) {
+      await this.cache.deletePrefix(`projectDetails:${projectId}:`);
+    }
+    
+    this.emit('reorg', {
+      ...reorg,
+      rolledBack: rolledBack.length,
+      reapplied,
+      projectIds: [...affectedProjects]
+    });
+  }
+
+  /**
+   * Create an event indexer for this service's contract with durable checkpoints
+   * @param {Object} options - Indexer options (see ProjectEventIndexer)
+   * @returns {Promise<ProjectEventIndexer>} Indexer, not yet started
+   */
+  async createIndexer(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    
+    const checkpointPath = options.checkpointPath || CONFIG.indexer.checkpointPath;
+    this.indexer = new ProjectEventIndexer({
+      contract: this.contract,
+      provider: this.provider,
+      checkpointStore: checkpointPath ?
+        new FileCheckpointStore({ path: checkpointPath }) :
+        new MemoryCheckpointStore(),
+      startBlock: CONFIG.indexer.startBlock,
+      pageSize: CONFIG.indexer.pageSize,
+      confirmations: CONFIG.ethereum.confirmations,
+      ...options
+    });
+    
+    return this.indexer;
+  }
+
+  /**
+   * Impact report validation and project verification workflow for the connected account
+   * @param {Object} options - Verifier options (see ReportVerifier)
+   * @returns {Promise<ReportVerifier>} Verifier bound to this service's contract and signer
+   */
+  async getReportVerifier(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    return new ReportVerifier(this, { chunkSize: CONFIG.ipfs.chunkSize, ...options });
+  }
+
+  /**
+   * Project administration for the connected account's PROJECT_MANAGER_ROLE / GOVERNANCE_ROLE
+   * @param {Object} options - Admin options (see ProjectAdmin)
+   * @returns {Promise<ProjectAdmin>} Admin bound to this service's contract and signer
+   */
+  async getProjectAdmin(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    return new ProjectAdmin(this, options);
+  }
+
+  /**
+   * Client for the TerraStakeStaking contract of the current network
+   * @param {Object} options - Client options (see StakingClient)
+   * @returns {Promise<StakingClient>} Client bound to this service's signer and transactions
+   */
+  async getStakingClient(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    return new StakingClient(this, options);
+  }
+
+  /**
+   * Refresh project data from blockchain to handle potential chain reorganizations
+   * @private
+   */
+  async _refreshProjectData() {
+    try {
+      // Only refresh projects we're actively tracking
+      const projectIds = (await this.cache.keys('project:')).map(key => key.slice('project:'.length));
+      
+      for (const projectId of projectIds) {
+        try {
+          // Get fresh data from blockchain for this project
+          const projectData = await this.getProjectDetails(projectId, { cache: false });
+          
+          // Update cache with latest blockchain data
+          await this._updateProjectCache(projectId, projectData);
+        } catch (error) {
+          console.warn(`Failed to refresh data for project ${projectId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to refresh project data:', error);
+    }
+  }
+
+  /**
+   * Get detailed project information from blockchain and IPFS
+   * @param {number} projectId - Project ID to retrieve
+   * @param {Object} options - Query options
+   * @param {boolean} [options.cache] - Read/write through the cache store (default true)
+   * @param {boolean} [options.crossCheck] - Require two RPC endpoints to agree on the
+   *   on-chain record (defaults to CONFIG.ethereum.rpc.crossCheck; read-only mode only)
+   * @param {*} [options.decryptionKey] - With retrieveDocuments, decrypt encrypted documents
+   *   shared with this key (defaults to the key from unlockDocuments)
+   * @returns {Promise<Object>} Project details
    */
   async getProjectDetails(projectId, options = {}) {
     if (!this.isInitialized) await this.initialize();
     
+    // Decrypted content is added after the cache, per reader
+    const decryptionKey = options.retrieveDocuments && (options.decryptionKey || this.decryptionKey);
+    const reveal = details => (decryptionKey ? this._decryptDocuments(details, decryptionKey) : details);
+    
+    // Cached results are keyed by which optional sections were requested
+    const variant = ['retrieveExtended', 'retrieveReports', 'retrieveDocuments']
+      .map(flag => (options[flag] ? '1' : '0')).join('');
+    const cacheKey = `projectDetails:${projectId}:${variant}`;
+    if (options.cache !== false) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) return reveal(cached);
+    }
+    
     try {
-      // Get on-chain data
-      const project = await this.contract.getProject(projectId);
+      // Get on-chain data, cross-checked across RPC endpoints when enabled
+      const project = await this._criticalReadContract(options.crossCheck).getProject(projectId);
       
       // Basic project details from blockchain
       const result = {
@@ -871,15 +1513,15 @@ class TerraStakeService {
           
           // Convert bytes32 to IPFS hash if needed
           const ipfsHash = project.metadataHash.startsWith('0x') 
-            ? this._convertBytes32ToIpfsHash(project.metadataHash)
+            ? await this._convertBytes32ToIpfsHash(project.metadataHash)
             : project.metadataHash;
           
           // Get extended metadata from IPFS
           const extendedData = await this._getFromIPFS(ipfsHash);
           
           if (extendedData) {
-            // Merge IPFS data with blockchain data
-            result.extended = JSON.parse(extendedData);
+            // Merge IPFS data with blockchain data, upgraded from older metadata versions
+            result.extended = migrateProjectMetadata(JSON.parse(extendedData));
           }
         } catch (ipfsError) {
           console.warn(`Failed to retrieve extended data from IPFS: ${ipfsError.message}`);
@@ -895,9 +1537,17 @@ class TerraStakeService {
           // Get the count of reports from the contract
           const reportCount = await this.contract.getImpactReportCount(projectId);
           
-          // Retrieve each report
-          for (let i = 0; i < reportCount.toNumber(); i++) {
-            const reportData = await this.contract.getImpactReport(projectId, i);
+          // Retrieve all reports in batched reads
+          const reportsData = await this.multicall.call(
+            this._indexRange(reportCount).map(i => ({
+              contract: this.contract,
+              method: 'getImpactReport',
+              args: [projectId, i]
+            }))
+          );
+          
+          for (let i = 0; i < reportsData.length; i++) {
+            const reportData = reportsData[i];
             
             const report = {
               index: i,
@@ -913,12 +1563,12 @@ class TerraStakeService {
             if (options.retrieveExtended && reportData.reportHash) {
               try {
                 const ipfsHash = reportData.reportHash.startsWith('0x') 
-                  ? this._convertBytes32ToIpfsHash(reportData.reportHash)
+                  ? await this._convertBytes32ToIpfsHash(reportData.reportHash)
                   : reportData.reportHash;
                 
                 const reportContent = await this._getFromIPFS(ipfsHash);
                 if (reportContent) {
-                  report.content = JSON.parse(reportContent);
+                  report.content = migrateImpactReport(JSON.parse(reportContent));
                 }
               } catch (ipfsError) {
                 console.warn(`Failed to retrieve report content from IPFS: ${ipfsError.message}`);
@@ -942,17 +1592,35 @@ class TerraStakeService {
           // Get the count of documents from the contract
           const documentCount = await this.contract.getDocumentCount(projectId);
           
-          // Retrieve each document
-          for (let i = 0; i < documentCount.toNumber(); i++) {
-            const docData = await this.contract.getDocument(projectId, i);
+          // Retrieve all documents in batched reads
+          const documentsData = await this.multicall.call(
+            this._indexRange(documentCount).map(i => ({
+              contract: this.contract,
+              method: 'getDocument',
+              args: [projectId, i]
+            }))
+          );
+          
+          for (let i = 0; i < documentsData.length; i++) {
+            const docData = documentsData[i];
+            
+            // Documents stored as bytes32 are decoded the same way as metadata
+            const ipfsHash = ethers.utils.isHexString(docData.ipfsHash, 32)
+              ? await this._convertBytes32ToIpfsHash(docData.ipfsHash)
+              : docData.ipfsHash;
+            
+            // metadata.json says whether the document is encrypted and for whom
+            const metadata = await this._getDocumentMetadata(ipfsHash);
             
             result.documents.push({
               index: i,
-              ipfsHash: docData.ipfsHash,
+              ipfsHash,
+              metadata,
+              encrypted: !!(metadata && metadata.encryption),
               uploadedBy: docData.uploadedBy,
               uploadBlock: docData.uploadBlock.toNumber(),
-              ipfsLink: `ipfs://${docData.ipfsHash}`,
-              httpLink: `https://ipfs.io/ipfs/${docData.ipfsHash}`
+              ipfsLink: `ipfs://${ipfsHash}`,
+              httpLink: `${CONFIG.ipfs.fallback}/ipfs/${ipfsHash}`
             });
           }
         } catch (error) {
@@ -961,11 +1629,230 @@ class TerraStakeService {
         }
       }
       
-      return result;
+      if (options.cache !== false) {
+        await this.cache.set(cacheKey, result);
+      }
+      
+      return reveal(result);
     } catch (error) {
       console.error(`Failed to get project details for ID ${projectId}:`, error);
-      throw new Error(`Failed to get project: ${error.message}`);
+      throw normalizeError(error, 'Failed to get project');
+    }
+  }
+
+  /**
+   * List projects with filtering, sorting and pagination
+   * @param {Object} options - Listing options
+   * @param {string|number} [options.category] - Category name or index
+   * @param {string|number} [options.state] - Project state name or index
+   * @param {number} [options.offset] - Records to skip (default 0)
+   * @param {number} [options.limit] - Page size (default 20)
+   * @param {string} [options.sortBy] - 'id', 'name', 'totalStaked', 'stakingMultiplier' or 'startBlock'
+   * @param {string} [options.sortOrder] - 'asc' (default) or 'desc'
+   * @param {boolean} [options.retrieveExtended] - Attach IPFS metadata to each record
+   * @returns {Promise<Object>} { total, offset, limit, projects }
+   */
+  async listProjects(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    
+    const offset = options.offset || 0;
+    const limit = options.limit || 20;
+    const sortBy = options.sortBy || 'id';
+    const direction = options.sortOrder === 'desc' ? -1 : 1;
+    if (!['id', 'name', 'totalStaked', 'stakingMultiplier', 'startBlock'].includes(sortBy)) {
+      throw new Error(`Unsupported sortBy: ${sortBy}`);
+    }
+    
+    try {
+      const projectsContract = this._projectListContract();
+      const rawIds = options.category !== undefined && options.category !== null ?
+        await projectsContract.getProjectsByCategory(toEnumIndex(PROJECT_CATEGORIES, options.category, 'project category')) :
+        await projectsContract.getAllProjectIds();
+      let projects = rawIds.map(id => ({ id: id.toString() }));
+      
+      const stateFilter = options.state !== undefined && options.state !== null ?
+        toEnumIndex(PROJECT_STATES, options.state, 'project state') :
+        null;
+      
+      // Only load every record when filtering or sorting needs them; otherwise page first
+      const needsState = stateFilter !== null || ['totalStaked', 'stakingMultiplier', 'startBlock'].includes(sortBy);
+      if (needsState) await this._loadProjectSummaries(projects, { state: true });
+      if (sortBy === 'name') await this._loadProjectSummaries(projects, { details: true });
+      
+      if (stateFilter !== null) {
+        projects = projects.filter(project => project.stateId === stateFilter);
+      }
+      
+      projects.sort((a, b) => {
+        const order = sortBy === 'name' ?
+          a.name.localeCompare(b.name) :
+          Number(a[sortBy]) - Number(b[sortBy]);
+        return order * direction || Number(a.id) - Number(b.id);
+      });
+      
+      const page = projects.slice(offset, offset + limit);
+      await this._loadProjectSummaries(page, { state: !needsState, details: sortBy !== 'name' });
+      
+      if (options.retrieveExtended) {
+        if (options.onStatus) options.onStatus('Fetching extended data from IPFS...');
+        for (const project of page) {
+          try {
+            const content = await this._getFromIPFS(await this._convertBytes32ToIpfsHash(project.metadataHash));
+            project.extended = migrateProjectMetadata(JSON.parse(content));
+          } catch (ipfsError) {
+            console.warn(`Failed to retrieve extended data for project ${project.id}: ${ipfsError.message}`);
+            project.ipfsError = ipfsError.message;
+          }
+        }
+      }
+      
+      return {
+        total: projects.length,
+        offset,
+        limit,
+        projects: page
+      };
+    } catch (error) {
+      console.error('Failed to list projects:', error);
+      throw normalizeError(error, 'Failed to list projects');
+    }
+  }
+
+  /**
+   * Fill project summary records in place from batched getProjectState/getProjectMetadata reads
+   * @param {Array<Object>} projects - Records with at least an `id`
+   * @param {Object} sections - Which reads to perform
+   * @param {boolean} [sections.state] - Load state, category, staking and block range fields
+   * @param {boolean} [sections.details] - Load name, description, location and metadata hash
+   * @private
+   */
+  async _loadProjectSummaries(projects, sections) {
+    const projectsContract = this._projectListContract();
+    if (sections.state) {
+      const reads = await this.multicall.call(projects.flatMap(project => [
+        { contract: projectsContract, method: 'getProjectState', args: [project.id] },
+        { contract: projectsContract, method: 'getTotalStakedOnProject', args: [project.id] }
+      ]));
+      projects.forEach((project, i) => {
+        const data = reads[i * 2];
+        Object.assign(project, {
+          category: PROJECT_CATEGORIES[data.category],
+          categoryId: data.category,
+          state: PROJECT_STATES[data.state],
+          stateId: data.state,
+          isActive: PROJECT_STATES[data.state] === 'Active',
+          stakingMultiplier: data.stakingMultiplier.toString(),
+          totalStaked: ethers.utils.formatEther(reads[i * 2 + 1]),
+          startBlock: ethers.BigNumber.from(data.startBlock).toNumber(),
+          endBlock: ethers.BigNumber.from(data.endBlock).toNumber()
+        });
+      });
+    }
+    
+    if (sections.details) {
+      const details = await this.multicall.call(projects.map(project => ({
+        contract: projectsContract,
+        method: 'getProjectMetadata',
+        args: [project.id]
+      })));
+      details.forEach((data, i) => Object.assign(projects[i], {
+        name: data.name,
+        description: data.description,
+        location: data.location,
+        impactMetrics: data.impactMetrics,
+        metadataHash: data.ipfsHash,
+        createdAt: data.creationTime
+      }));
+    }
+  }
+
+  /**
+   * TerraStakeProjects bound to the project listing reads
+   * @returns {ethers.Contract} Read-only contract
+   * @private
+   */
+  _projectListContract() {
+    return new ethers.Contract(this.contract.address, PROJECT_LIST_ABI, this.provider);
+  }
+
+  /**
+   * Build [0, 1, ..., count - 1] for an on-chain item count
+   * @param {ethers.BigNumber|number} count - Item count
+   * @returns {number[]} Indexes
+   * @private
+   */
+  _indexRange(count) {
+    return Array.from({ length: ethers.BigNumber.from(count).toNumber() }, (_, i) => i);
+  }
+
+  /**
+   * Read a document uploaded with uploadProjectDocument, decrypting it when it is encrypted
+   * @param {string} cid - Document CID (the directory holding data and metadata.json)
+   * @param {Object} options - Read options
+   * @param {*} [options.decryptionKey] - Reader key (private key, wallet or signing key);
+   *   defaults to the key from unlockDocuments
+   * @returns {Promise<{cid: string, metadata: Object|null, content: Buffer}>} Document
+   */
+  async readDocument(cid, options = {}) {
+    const metadata = await this._getDocumentMetadata(cid);
+    const content = await this._getBytesFromIPFS(metadata ? `${cid}/data` : cid);
+    if (!metadata || !metadata.encryption) return { cid, metadata, content };
+    
+    const key = options.decryptionKey || this.decryptionKey;
+    if (!key) throw new DecryptionError(`Document ${cid} is encrypted; unlock documents or pass a decryption key`);
+    return { cid, metadata, content: await collect(decryptContent(content, metadata.encryption, key)) };
+  }
+
+  /**
+   * Derive this wallet's document encryption key (one signature prompt) and use it to
+   * decrypt documents shared with it. Share the returned public key with uploaders.
+   * @returns {Promise<string>} Compressed public key documents should be encrypted for
+   */
+  async unlockDocuments() {
+    if (!this.isInitialized) await this.initialize();
+    if (!this.signer) throw new Error('No signer available. Connect a wallet to unlock documents.');
+    
+    this.decryptionKey = await deriveEncryptionKey(this.signer);
+    return normalizePublicKey(this.decryptionKey.publicKey);
+  }
+
+  /**
+   * metadata.json of a document directory, or null for bare files
+   * @param {string} cid - Document CID
+   * @returns {Promise<Object|null>} Metadata
+   * @private
+   */
+  async _getDocumentMetadata(cid) {
+    try {
+      return JSON.parse((await collect(this.storage.cat(`${cid}/metadata.json`))).toString());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Copy of project details with encrypted documents decrypted for the reader. Kept out of
+   * the cache so plaintext never reaches a shared cache store.
+   * @param {Object} details - Project details
+   * @param {*} key - Reader's decryption key
+   * @returns {Promise<Object>} Project details
+   * @private
+   */
+  async _decryptDocuments(details, key) {
+    const documents = [];
+    for (const document of details.documents) {
+      if (!document.encrypted) {
+        documents.push(document);
+        continue;
+      }
+      try {
+        const { content } = await this.readDocument(document.ipfsHash, { decryptionKey: key });
+        documents.push({ ...document, content, decrypted: true });
+      } catch (error) {
+        documents.push({ ...document, decrypted: false, decryptionError: error.message });
+      }
     }
+    return { ...details, documents };
   }
 
   /**
@@ -975,33 +1862,35 @@ class TerraStakeService {
    * @private
    */
   async _getFromIPFS(cid) {
+    return (await this._getBytesFromIPFS(cid)).toString();
+  }
+
+  /**
+   * Helper to get raw IPFS content with retries and fallbacks
+   * @param {string} cid - IPFS CID (optionally with a path) to retrieve
+   * @returns {Promise<Buffer>} Content
+   * @private
+   */
+  async _getBytesFromIPFS(cid) {
     // Implement retry logic
     let attempt = 0;
     let lastError = null;
 
     while (attempt < CONFIG.ipfs.retryAttempts) {
       try {
-        const chunks = [];
-        for await (const chunk of ipfs.cat(cid)) {
-          chunks.push(chunk);
-        }
-        
-        // Combine chunks and convert to string
-        return Buffer.concat(chunks).toString();
+        // Combine chunks
+        return await collect(this.storage.cat(cid));
       } catch (error) {
         lastError = error;
         console.warn(`IPFS fetch attempt ${attempt + 1} failed:`, error);
         attempt++;
         
-        // Try fallback gateway if primary fails
-        if (attempt === 1) {
+        // Try fallback storage if primary fails
+        if (attempt === 1 && this.fallbackStorage) {
           try {
-            const response = await fetch(`${CONFIG.ipfs.fallback}/ipfs/${cid}`);
-            if (response.ok) {
-              return await response.text();
-            }
+            return await collect(this.fallbackStorage.cat(cid));
           } catch (fallbackError) {
-            console.warn('Fallback IPFS gateway failed:', fallbackError);
+            console.warn(`Fallback ${this.fallbackStorage.name} storage failed:`, fallbackError);
           }
         }
         
@@ -1013,75 +1902,123 @@ class TerraStakeService {
       }
     }
 
-    throw new Error(`IPFS fetch failed after ${CONFIG.ipfs.retryAttempts} attempts: ${lastError.message}`);
+    throw new IpfsUnavailableError(`IPFS fetch failed after ${CONFIG.ipfs.retryAttempts} attempts: ${lastError.message}`, { cause: lastError });
+  }
+
+  /**
+   * Helper to convert an IPFS hash to the bytes32 stored on chain
+   * @param {string} cid - IPFS CID
+   * @returns {Promise<string>} Bytes32 value in hex
+   * @private
+   */
+  async _convertIpfsHashToBytes32(cid) {
+    // dag-pb CIDs are packed as their sha2-256 digest, everything else
+    // goes through the CID registry
+    return cidToBytes32(cid, { registry: this.cidRegistry });
   }
 
   /**
    * Helper to convert bytes32 to IPFS hash
    * @param {string} bytes32Hex - Bytes32 value in hex
-   * @returns {string} IPFS hash
+   * @returns {Promise<string>} IPFS hash
    * @private
    */
-  _convertBytes32ToIpfsHash(bytes32Hex) {
-    // Implementation depends on how your contract stores IPFS hashes
-    // This is a simplified version - you may need to adjust based on your contract
-    try {
-      // If using keccak256, you can't convert back directly
-      // For Base58 encoded CIDs, you'd need additional logic
-      return bytes32Hex;
-    } catch (error) {
-      console.warn('Failed to convert bytes32 to IPFS hash:', error);
-      return bytes32Hex;
-    }
+  async _convertBytes32ToIpfsHash(bytes32Hex) {
+    return bytes32ToCid(bytes32Hex, { registry: this.cidRegistry });
   }
 
   /**
-   * Update the project cache (in-memory or localStorage)
+   * Update the project cache entry in the cache store
    * @param {string} projectId - Project ID
    * @param {Object} data - Project data to update
+   * @param {Object} source - Block the data was observed in
+   * @param {number} [source.blockNumber] - Block number
+   * @param {string} [source.blockHash] - Block hash
    * @private
    */
-  _updateProjectCache(projectId, data) {
-    // Simple in-memory cache
-    if (!this._projectCache) this._projectCache = {};
-    
-    this._projectCache[projectId] = {
-      ...(this._projectCache[projectId] || {}),
+  async _updateProjectCache(projectId, data, source = {}) {
+    const key = `project:${projectId}`;
+    const entry = {
+      ...((await this.cache.get(key)) || {}),
       ...data,
       lastUpdated: Date.now()
     };
-    
-    // Optional: store in localStorage for persistence
-    try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('terraStake_projects', JSON.stringify(this._projectCache));
-      }
-    } catch (e) {
-      console.warn('Failed to update localStorage cache:', e);
+    if (source.blockNumber !== undefined) {
+      entry.blockNumber = source.blockNumber;
+      entry.blockHash = source.blockHash;
+      entry.confirmed = false;
     }
+    
+    // Event-derived entries are kept until explicitly invalidated
+    await this.cache.set(key, entry, { ttl: 0 });
+  }
+
+  /**
+   * Drop every cached entry for a project
+   * @param {number|string} projectId - Project ID
+   * @returns {Promise<void>}
+   */
+  async invalidateProject(projectId) {
+    await this.cache.delete(`project:${projectId}`);
+    await this.cache.deletePrefix(`projectDetails:${projectId}:`);
+  }
+
+  /**
+   * Drop cached stakes for a user
+   * @param {string} address - User address
+   * @returns {Promise<void>}
+   */
+  async invalidateUserStakes(address) {
+    await this.cache.delete(`stakes:${address.toLowerCase()}`);
+    await this.cache.delete(`portfolio:${address.toLowerCase()}`);
+  }
+
+  /**
+   * TerraStakeProjects bound to the per-project staking functions
+   * @returns {ethers.Contract} Contract connected to the signer when available
+   * @private
+   */
+  _stakingContract() {
+    return new ethers.Contract(this.contract.address, STAKING_ABI, this.signer || this.provider);
   }
 
   /**
    * Get user stake information
    * @param {string} address - User address (defaults to connected user)
-   * @returns {Promise<Array>} Array of stakes
+   * @param {Object} options - Query options
+   * @param {boolean} [options.cache] - Read/write through the cache store (default true)
+   * @returns {Promise<Array>} Array of stakes, each with its share of the project's `pendingRewards`
    */
-  async getUserStakes(address = null) {
+  async getUserStakes(address = null, options = {}) {
     if (!this.isInitialized) await this.initialize();
     
     // Use provided address or default to connected user
     const userAddress = address || this.userAddress;
     if (!userAddress) throw new Error('No user address provided or connected');
     
+    const cacheKey = `stakes:${userAddress.toLowerCase()}`;
+    if (options.cache !== false) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) return cached;
+    }
+    
     try {
       // Get stake count for user
       const stakeCount = await this.contract.getUserStakeCount(userAddress);
       
       const stakes = [];
       
-      // Get each stake detail
-      for (let i = 0; i < stakeCount.toNumber(); i++) {
-        const stake = await this.contract.getUserStake(userAddress, i);
+      // Get all stake details in batched reads
+      const stakesData = await this.multicall.call(
+        this._indexRange(stakeCount).map(i => ({
+          contract: this.contract,
+          method: 'getUserStake',
+          args: [userAddress, i]
+        }))
+      );
+      
+      for (let i = 0; i < stakesData.length; i++) {
+        const stake = stakesData[i];
         
         stakes.push({
           index: i,
@@ -1093,13 +2030,254 @@ class TerraStakeService {
         });
       }
       
+      await this._attachPendingRewards(userAddress, stakes);
+      
+      if (options.cache !== false) {
+        await this.cache.set(cacheKey, stakes);
+      }
+      
       return stakes;
     } catch (error) {
       console.error('Failed to get user stakes:', error);
-      throw new Error(`Failed to get user stakes: ${error.message}`);
+      throw normalizeError(error, 'Failed to get user stakes');
+    }
+  }
+
+  /**
+   * Set `pendingRewards` on each stake. Rewards accrue per user and project, so a
+   * project's claimable amount is split across its active stakes by size.
+   * @param {string} userAddress - Stake owner
+   * @param {Array<Object>} stakes - Stakes from getUserStakes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _attachPendingRewards(userAddress, stakes) {
+    const active = stakes.filter(stake => stake.active);
+    const projectIds = [...new Set(active.map(stake => stake.projectId))];
+    const staking = this._stakingContract();
+    const rewards = await this.multicall.call(projectIds.map(projectId => ({
+      contract: staking,
+      method: 'calculateRewards',
+      args: [userAddress, projectId]
+    })));
+
+    stakes.forEach(stake => { stake.pendingRewards = '0.0'; });
+    projectIds.forEach((projectId, i) => {
+      const projectStakes = active.filter(stake => stake.projectId === projectId);
+      const amounts = projectStakes.map(stake => ethers.utils.parseEther(stake.amount));
+      const total = amounts.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+      let remaining = ethers.BigNumber.from(rewards[i]);
+
+      projectStakes.forEach((stake, j) => {
+        // The last stake takes the rounding remainder so shares add up to the on-chain figure
+        const share = j === projectStakes.length - 1 || total.isZero() ?
+          remaining :
+          ethers.BigNumber.from(rewards[i]).mul(amounts[j]).div(total);
+        remaining = remaining.sub(share);
+        stake.pendingRewards = ethers.utils.formatEther(share);
+      });
+    });
+  }
+
+  /**
+   * Aggregate a user's stakes across all projects, with pending rewards per project
+   * @param {string} address - User address (defaults to connected user)
+   * @param {Object} options - Query options
+   * @param {boolean} [options.cache] - Read/write through the cache store (default true)
+   * @returns {Promise<Object>} { address, totalStaked, totalPendingRewards, totalRewardsClaimed, positions }
+   */
+  async getPortfolio(address = null, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const userAddress = address || this.userAddress;
+    if (!userAddress) throw new Error('No user address provided or connected');
+
+    const cacheKey = `portfolio:${userAddress.toLowerCase()}`;
+    if (options.cache !== false) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) return cached;
+    }
+
+    try {
+      const staking = this._stakingContract();
+      const projectIds = (await staking.getAllProjectIds()).map(id => id.toString());
+      const staked = await this.multicall.call(projectIds.map(projectId => ({
+        contract: staking,
+        method: 'getStakedAmount',
+        args: [userAddress, projectId]
+      })));
+      const held = projectIds
+        .map((projectId, i) => ({ projectId, amount: ethers.BigNumber.from(staked[i]) }))
+        .filter(position => !position.amount.isZero());
+
+      // Rewards, last claims and names of every held project plus lifetime totals in one batch
+      const details = await this.multicall.call([
+        { contract: staking, method: 'getUserAnalytics', args: [userAddress] },
+        ...held.flatMap(({ projectId }) => [
+          { contract: staking, method: 'calculateRewards', args: [userAddress, projectId] },
+          { contract: staking, method: 'lastRewardClaim', args: [userAddress, projectId] },
+          { contract: staking, method: 'getProjectMetadata', args: [projectId] }
+        ])
+      ]);
+      const [analytics] = details;
+
+      let totalStaked = ethers.constants.Zero;
+      let totalPending = ethers.constants.Zero;
+      const positions = held.map(({ projectId, amount }, i) => {
+        const [rewards, lastClaim, metadata] = details.slice(1 + i * 3, 4 + i * 3);
+        totalStaked = totalStaked.add(amount);
+        totalPending = totalPending.add(rewards);
+        return {
+          projectId,
+          name: metadata.name,
+          staked: ethers.utils.formatEther(amount),
+          pendingRewards: ethers.utils.formatEther(rewards),
+          // 0 when rewards were never claimed
+          lastRewardClaim: Number(lastClaim)
+        };
+      });
+
+      const portfolio = {
+        address: userAddress,
+        totalStaked: ethers.utils.formatEther(totalStaked),
+        totalPendingRewards: ethers.utils.formatEther(totalPending),
+        totalRewardsClaimed: ethers.utils.formatEther(analytics.userTotalRewardsClaimed),
+        positions
+      };
+
+      if (options.cache !== false) {
+        await this.cache.set(cacheKey, portfolio);
+      }
+
+      return portfolio;
+    } catch (error) {
+      console.error('Failed to get portfolio:', error);
+      throw normalizeError(error, 'Failed to get portfolio');
+    }
+  }
+
+  /**
+   * Withdraw staked tokens from a project
+   * @param {number} projectId - Project ID to unstake from
+   * @param {string|null} amount - Amount to withdraw (in token units); null withdraws the whole stake
+   * @param {Object} options - Unstaking options
+   * @param {string} [options.speed] - Fee preset
+   * @param {Function} [options.onStatus] - Status message callback
+   * @returns {Promise<Object>} Unstake result with the `remaining` stake
+   */
+  async unstakeFromProject(projectId, amount = null, options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    if (!this.signer) throw new Error('No signer available. Cannot perform write operations.');
+
+    if (!projectId || projectId <= 0) throw new Error('Invalid project ID');
+    if (amount !== null && !(parseFloat(amount) > 0)) throw new Error('Invalid unstake amount');
+
+    try {
+      if (options.onStatus) options.onStatus('Checking staked balance...');
+
+      const staking = this._stakingContract();
+      const staked = await staking.getStakedAmount(this.userAddress, projectId);
+      const amountWei = amount === null ? staked : ethers.utils.parseEther(amount);
+
+      // The contract would revert with InsufficientStake
+      if (staked.isZero()) throw new InsufficientFundsError(`No stake on project ${projectId}`);
+      if (amountWei.gt(staked)) {
+        throw new InsufficientFundsError(
+          `Cannot unstake ${ethers.utils.formatEther(amountWei)}; only ${ethers.utils.formatEther(staked)} staked on project ${projectId}`
+        );
+      }
+
+      const formatted = ethers.utils.formatEther(amountWei);
+      if (options.onStatus) options.onStatus(`Unstaking ${formatted} from project ${projectId}...`);
+
+      const receipt = await this.txManager.send({
+        contract: staking,
+        method: 'unstakeFromProject',
+        args: [projectId, amountWei],
+        speed: options.speed,
+        onStatus: options.onStatus
+      });
+      await this.invalidateProject(projectId);
+      await this.invalidateUserStakes(this.userAddress);
+
+      if (options.onStatus) options.onStatus('Stake successfully withdrawn');
+
+      return {
+        success: true,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        amount: formatted,
+        remaining: ethers.utils.formatEther(staked.sub(amountWei)),
+        projectId: projectId,
+        explorerLink: `${this.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`
+      };
+    } catch (error) {
+      console.error('Unstaking failed:', error);
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to unstake from project');
     }
   }
 
+  /**
+   * Claim pending rewards on every project the connected user stakes on. Claims are
+   * sent together and the transaction manager gives them consecutive nonces.
+   * @param {Object} options - Claiming options
+   * @param {string} [options.minReward] - Skip projects with less pending (in token units)
+   * @param {string} [options.speed] - Fee preset
+   * @param {Function} [options.onProgress] - Called with (completed, total)
+   * @returns {Promise<Object>} { success, totalClaimed, results }; each result has
+   *   `projectId`, `rewardAmount` and transaction fields, or `error` when that claim failed
+   */
+  async claimAllRewards(options = {}) {
+    if (!this.isInitialized) await this.initialize();
+    if (!this.signer) throw new Error('No signer available. Cannot perform write operations.');
+
+    const portfolio = await this.getPortfolio(this.userAddress, { cache: false });
+    const minReward = ethers.utils.parseEther(options.minReward || '0');
+    const claimable = portfolio.positions.filter(position =>
+      ethers.utils.parseEther(position.pendingRewards).gt(minReward)
+    );
+
+    const staking = this._stakingContract();
+    let done = 0;
+    const results = await Promise.all(claimable.map(async ({ projectId }) => {
+      try {
+        const receipt = await this.txManager.send({
+          contract: staking,
+          method: 'claimRewards',
+          args: [projectId],
+          speed: options.speed
+        });
+        const rewardEvent = receipt.events.find(event => event.event === 'RewardsClaimed');
+
+        return {
+          projectId,
+          rewardAmount: rewardEvent ? ethers.utils.formatEther(rewardEvent.args.amount) : '0.0',
+          transactionHash: receipt.transactionHash,
+          blockNumber: receipt.blockNumber,
+          explorerLink: `${this.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`
+        };
+      } catch (error) {
+        // One failed claim must not hold back the others
+        console.error(`Reward claim for project ${projectId} failed:`, error);
+        return { projectId, error: normalizeError(error, `Failed to claim rewards for project ${projectId}`) };
+      } finally {
+        if (options.onProgress) options.onProgress(++done, claimable.length);
+      }
+    }));
+    if (claimable.length) await this.invalidateUserStakes(this.userAddress);
+
+    const totalClaimed = results
+      .filter(result => !result.error)
+      .reduce((sum, result) => sum.add(ethers.utils.parseEther(result.rewardAmount)), ethers.constants.Zero);
+
+    return {
+      success: results.every(result => !result.error),
+      totalClaimed: ethers.utils.formatEther(totalClaimed),
+      results
+    };
+  }
+
   /**
    * Claim rewards for a stake
    * @param {number} stakeIndex - Index of the stake
@@ -1111,28 +2289,10 @@ class TerraStakeService {
     if (!this.signer) throw new Error('No signer available. Cannot perform write operations.');
     
     try {
-      if (options.onStatus) options.onStatus('Preparing reward claim...');
-      
-      // Get Arbitrum-specific gas parameters
-      const gasParams = await this.getArbitrumGasParams();
-      
-      // Estimate gas
-      const gasEstimate = await this.contract.estimateGas.claimRewards(stakeIndex);
-      
-      const gasLimit = Math.ceil(gasEstimate.toNumber() * CONFIG.ethereum.gasLimitMultiplier);
-      
       if (options.onStatus) options.onStatus('Submitting claim transaction...');
       
-      // Execute transaction
-      const tx = await this.contract.claimRewards(stakeIndex, { 
-        gasLimit,
-        gasPrice: gasParams.gasPrice
-      });
-      
-      if (options.onStatus) options.onStatus(`Transaction submitted: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait(CONFIG.ethereum.confirmations);
+      const receipt = await this._sendTransaction('claimRewards', [stakeIndex], options);
+      await this.invalidateUserStakes(this.userAddress);
       
       // Find the reward amount from the event
       const rewardEvent = receipt.events.find(event => 
@@ -1154,8 +2314,160 @@ class TerraStakeService {
     } catch (error) {
       console.error('Reward claim failed:', error);
       if (options.onStatus) options.onStatus(`Error: ${error.message}`);
-      throw new Error(`Failed to claim rewards: ${error.message}`);
+      throw normalizeError(error, 'Failed to claim rewards');
+    }
+  }
+
+  /**
+   * Connect a running service to another network. A connected wallet is asked to
+   * switch chains first. Listeners, the indexer and in-flight reorg state are torn
+   * down; cached data of each chain is kept.
+   * Emits 'networkChanged' with { from, to, chainId }.
+   * @param {string} networkName - Registry network key
+   * @param {Object|null} externalProvider - Optional provider for the new network
+   * @returns {Promise<boolean>} Success status
+   */
+  async switchNetwork(networkName, externalProvider = null) {
+    const from = this.networkName;
+    const network = this.networks.get(networkName); // Fail on unknown networks before tearing anything down
+    
+    this._switchingTo = networkName;
+    try {
+      // Move the connected wallet first; its own chainChanged event is ignored while switching
+      if (this.connector && !externalProvider && this.connector.chainId !== network.chainId) {
+        await this.connector.switchChain(network);
+      }
+      await this.initialize(externalProvider, networkName);
+    } catch (error) {
+      throw normalizeError(error, 'Failed to switch network');
+    } finally {
+      this._switchingTo = null;
+    }
+    
+    this.emit('networkChanged', { from, to: networkName, chainId: network.chainId });
+    return true;
+  }
+
+  /**
+   * Connect a wallet and bind the service to it. Account and chain changes reported by
+   * the wallet re-bind the contract instead of requiring a reload.
+   * @param {WalletConnector|null} connector - Wallet connector (defaults to the first
+   *   wallet found by EIP-6963 discovery)
+   * @param {string|null} networkName - Registry network to use (defaults to the current one)
+   * @returns {Promise<Object>} { wallet, address, chainId }
+   */
+  async connectWallet(connector = null, networkName = null) {
+    if (!connector) {
+      [connector] = await discoverWallets();
+      if (!connector) throw new Error('No wallet found. Install a browser wallet or pass a connector.');
+    }
+    const network = networkName ? this.networks.get(networkName) : this.networkConfig;
+    
+    try {
+      await connector.connect({ chainIds: [network.chainId] });
+      if (connector.chainId !== network.chainId) await connector.switchChain(network);
+    } catch (error) {
+      throw normalizeError(error, 'Failed to connect wallet');
     }
+    
+    this._bindConnector(connector);
+    await this.initialize(null, networkName);
+    
+    const result = { wallet: connector.info, address: this.userAddress, chainId: this.networkConfig.chainId };
+    this.emit('walletConnected', result);
+    return result;
+  }
+
+  /**
+   * Disconnect the wallet and fall back to read-only RPC on the current network
+   * @returns {Promise<void>}
+   */
+  async disconnectWallet() {
+    const connector = this.connector;
+    if (!connector) return;
+    
+    this._unbindConnector();
+    this.decryptionKey = null;
+    try {
+      await connector.disconnect();
+    } catch (error) {
+      console.warn('Wallet disconnect failed:', error.message);
+    }
+    await this.initialize();
+    this.emit('walletDisconnected', { wallet: connector.info });
+  }
+
+  /**
+   * @private
+   */
+  _bindConnector(connector) {
+    this._unbindConnector();
+    this.connector = connector;
+    this._connectorHandlers = {
+      accountsChanged: accounts => this._handleAccountsChanged(accounts),
+      chainChanged: chainId => this._handleChainChanged(chainId)
+        .catch(error => console.error('Failed to follow wallet network change:', error)),
+      disconnect: () => this.disconnectWallet()
+        .catch(error => console.error('Failed to handle wallet disconnect:', error))
+    };
+    for (const [event, handler] of Object.entries(this._connectorHandlers)) {
+      connector.on(event, handler);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unbindConnector() {
+    if (this.connector && this._connectorHandlers) {
+      for (const [event, handler] of Object.entries(this._connectorHandlers)) {
+        this.connector.removeListener(event, handler);
+      }
+    }
+    this.connector = null;
+    this._connectorHandlers = null;
+  }
+
+  /**
+   * Re-bind the signer and contract to the wallet's active account
+   * @param {string[]} accounts - Accounts reported by the wallet
+   * @private
+   */
+  _handleAccountsChanged(accounts) {
+    if (!this.isInitialized) return;
+    
+    const [account] = accounts;
+    // The unlocked document key belongs to the previous account
+    this.decryptionKey = null;
+    this.signer = account ? this.provider.getSigner(account) : null;
+    this.userAddress = account ? ethers.utils.getAddress(account) : null;
+    this.contract = this.contract.connect(this.signer || this.provider);
+    this.emit('accountChanged', { address: this.userAddress });
+  }
+
+  /**
+   * Follow the wallet to another registry network, or go offline on unknown chains
+   * @param {number} chainId - New chain ID
+   * @private
+   */
+  async _handleChainChanged(chainId) {
+    const network = this.networks.getByChainId(chainId);
+    if (!network) {
+      this.cleanup();
+      this.emit('unsupportedNetwork', { chainId });
+      return;
+    }
+    if (network.key === this._switchingTo) return;
+    if (network.key === this.networkName && this.isInitialized) return;
+    await this.switchNetwork(network.key);
+  }
+
+  /**
+   * Remove every cache entry of the current network
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    await this.cache.clear();
   }
 
   /**
@@ -1170,13 +2482,21 @@ class TerraStakeService {
     });
     this.eventListeners = [];
     
-    // Clear cache if needed
-    this._projectCache = {};
+    // Stop the indexer; its checkpoint is kept for the next run
+    if (this.indexer) {
+      this.indexer.stop().catch(error => console.warn('Failed to stop indexer:', error));
+      this.indexer = null;
+    }
+    
+    // Persistent cache stores are kept; only in-flight reorg state is dropped
+    this._eventJournal.clear();
+    if (this.reorgTracker) this.reorgTracker.reset();
     
     // Remove provider listeners
     if (this.provider && typeof this.provider.removeAllListeners === 'function') {
       this.provider.removeAllListeners();
     }
+    if (this.provider instanceof FailoverProvider) this.provider.stopHealthChecks();
     
     this.isInitialized = false;
     console.log('TerraStake service cleaned up');
@@ -1205,9 +2525,10 @@ function createTerraStakeHooks(service) {
         
         try {
           const uploadResult = await service.uploadProjectDocument(file, projectId, {
-            onProgress: (bytes) => {
-              const fileSize = file.size;
-              const percentage = Math.min(Math.floor(bytes / fileSize * 100), 95);
+            onProgress: (bytes, total) => {
+              // Streams of unknown length report bytes only
+              if (!total) return;
+              const percentage = Math.min(Math.floor(bytes / total * 100), 95);
               setProgress(percentage);
             },
             onStatus: (msg) => {
@@ -1452,19 +2773,22 @@ function createTerraStakeHooks(service) {
       const [isConnected, setIsConnected] = React.useState(false);
       const [isInitializing, setIsInitializing] = React.useState(true);
       const [error, setError] = React.useState(null);
+      const [wallets, setWallets] = React.useState([]);
       
-      const initialize = React.useCallback(async (networkName = 'arbitrumTestnet') => {
+      const syncState = React.useCallback(() => {
+        setNetwork(service.networkConfig.name);
+        setChainId(service.networkConfig.chainId);
+        setAccount(service.userAddress);
+        setIsConnected(!!service.userAddress);
+      }, []);
+      
+      const run = React.useCallback(async (task) => {
         setIsInitializing(true);
         setError(null);
         
         try {
-          await service.initialize(null, networkName);
-          
-          setNetwork(service.networkConfig.name);
-          setChainId(service.networkConfig.chainId);
-          setAccount(service.userAddress);
-          setIsConnected(!!service.userAddress);
-          
+          await task();
+          syncState();
           return true;
         } catch (err) {
           setError(err.message);
@@ -1474,46 +2798,39 @@ function createTerraStakeHooks(service) {
         }
       }, []);
       
-      const disconnect = React.useCallback(() => {
-        service.cleanup();
-        setIsConnected(false);
-        setAccount(null);
-      }, []);
+      const initialize = React.useCallback(
+        (networkName = service.networkName) => run(() => service.initialize(null, networkName)),
+        []
+      );
       
-      // Initialize on component mount
+      const connectWallet = React.useCallback(
+        (connector = null, networkName = null) => run(() => service.connectWallet(connector, networkName)),
+        []
+      );
+      
+      const switchNetwork = React.useCallback(
+        (networkName) => run(() => service.switchNetwork(networkName)),
+        []
+      );
+      
+      const disconnect = React.useCallback(() => run(() => service.disconnectWallet()), []);
+      
+      // Initialize read-only on mount and follow wallet changes through service events
       React.useEffect(() => {
         initialize().catch(console.error);
+        discoverWallets().then(setWallets).catch(console.error);
         
-        // Setup event listeners for wallet/account changes
-        if (typeof window !== 'undefined' && window.ethereum) {
-          const handleAccountsChanged = (accounts) => {
-            if (accounts.length === 0) {
-              setAccount(null);
-              setIsConnected(false);
-            } else if (accounts[0] !== account) {
-              setAccount(accounts[0]);
-              setIsConnected(true);
-              // Reinitialize with new account
-              initialize().catch(console.error);
-            }
-          };
-          
-          const handleChainChanged = () => {
-            // Reload the page on chain change as recommended by MetaMask
-            window.location.reload();
-          };
-          
-          window.ethereum.on('accountsChanged', handleAccountsChanged);
-          window.ethereum.on('chainChanged', handleChainChanged);
-          
-          return () => {
-            window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-            window.ethereum.removeListener('chainChanged', handleChainChanged);
-            service.cleanup();
-          };
-        }
+        const handleUnsupported = ({ chainId: unsupported }) => {
+          setChainId(unsupported);
+          setError(`Wallet switched to unsupported chain ${unsupported}`);
+        };
+        const events = ['accountChanged', 'networkChanged', 'walletConnected', 'walletDisconnected'];
+        events.forEach(event => service.on(event, syncState));
+        service.on('unsupportedNetwork', handleUnsupported);
         
         return () => {
+          events.forEach(event => service.removeListener(event, syncState));
+          service.removeListener('unsupportedNetwork', handleUnsupported);
           service.cleanup();
         };
       }, []);
@@ -1525,9 +2842,11 @@ function createTerraStakeHooks(service) {
         isConnected,
         isInitializing,
         error,
+        wallets,
         initialize,
+        connectWallet,
         disconnect,
-        switchNetwork: initialize
+        switchNetwork
       };
     }
   };
@@ -1538,6 +2857,8 @@ const terraStakeService = new TerraStakeService('arbitrumOne');
 
 // Export both the service instance and class for flexibility
 module.exports = {
+  CONFIG,
+  networkRegistry,
   terraStakeService,
   TerraStakeService,
   createTerraStakeHooks
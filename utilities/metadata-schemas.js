@@ -0,0 +1,180 @@
+// Published JSON Schemas for project metadata and impact reports, with the migrations that
+// upgrade documents written by older clients. IPFS documents are immutable, so migrations run
+// on read and never change what is stored.
+const { SchemaValidator, toSchemaError } = require('./schema-validator');
+const { PROJECT_CATEGORIES, toEnumIndex } = require('./project-types');
+
+const SCHEMAS = {
+  projectMetadata: require('../schemas/project-metadata.schema.json'),
+  milestone: require('../schemas/milestone.schema.json'),
+  goal: require('../schemas/goal.schema.json'),
+  impactReport: require('../schemas/impact-report.schema.json')
+};
+
+// Version written by this client for each document kind
+const CURRENT_VERSIONS = {
+  projectMetadata: '2.0',
+  impactReport: '2.0'
+};
+
+// Documents written before versioning are treated as 1.0
+const LEGACY_VERSION = '1.0';
+
+/**
+ * 1.0 allowed free-form goals and milestones; 2.0 requires structured entries
+ * @private
+ */
+function _migrateProjectMetadataV1(metadata) {
+  return {
+    ...metadata,
+    goals: (metadata.goals || []).map(goal => {
+      if (typeof goal === 'string') return { description: goal };
+      return { ...goal, description: goal.description || goal.title || goal.name || '' };
+    }),
+    milestones: (metadata.milestones || []).map(milestone => {
+      if (typeof milestone === 'string') return { title: milestone, status: 'planned' };
+      // 1.0 kept a single `date`: when the milestone was reached, or else when it was due
+      const { completed, date, name, ...rest } = milestone;
+      const status = milestone.status || (completed ? 'completed' : 'planned');
+      const dateField = status === 'completed' ? 'completedAt' : 'dueDate';
+      return {
+        ...rest,
+        title: milestone.title || name || '',
+        status,
+        ...(date && !milestone[dateField] ? { [dateField]: date } : {})
+      };
+    })
+  };
+}
+
+/**
+ * 1.0 reports had no category and stored metrics as JSON numbers, which lose precision above 2^53
+ * @private
+ */
+function _migrateImpactReportV1(report) {
+  return {
+    ...report,
+    metrics: (report.metrics || []).map(metric => String(metric)),
+    details: report.details || {}
+  };
+}
+
+// Kind -> upgrade steps, applied in order from a document's version to the current one
+const MIGRATIONS = {
+  projectMetadata: [
+    { from: '1.0', to: '2.0', migrate: _migrateProjectMetadataV1 }
+  ],
+  impactReport: [
+    { from: '1.0', to: '2.0', migrate: _migrateImpactReportV1 }
+  ]
+};
+
+let _validator = null;
+
+/**
+ * Shared validator with every published schema registered
+ * @returns {SchemaValidator} Validator
+ */
+function getMetadataValidator() {
+  if (!_validator) _validator = new SchemaValidator(Object.values(SCHEMAS));
+  return _validator;
+}
+
+/**
+ * Upgrade a document to the current version of its kind
+ * @param {string} kind - 'projectMetadata' or 'impactReport'
+ * @param {Object} document - Parsed document
+ * @returns {Object} Upgraded copy, with `migratedFrom` set when any migration ran. Documents
+ *   from a newer client are returned unchanged.
+ */
+function migrateDocument(kind, document) {
+  const steps = MIGRATIONS[kind];
+  if (!steps) throw new Error(`Unknown document kind: ${kind}`);
+  if (!document || typeof document !== 'object') return document;
+
+  const original = document.version || LEGACY_VERSION;
+  let migrated = document;
+  let version = original;
+  let step;
+  while ((step = steps.find(candidate => candidate.from === version))) {
+    migrated = { ...step.migrate(migrated), version: step.to };
+    version = step.to;
+  }
+  return version === original ? document : { ...migrated, migratedFrom: original };
+}
+
+/**
+ * Upgrade project metadata read from IPFS
+ * @param {Object} metadata - Parsed metadata.json
+ * @returns {Object} Metadata at CURRENT_VERSIONS.projectMetadata
+ */
+function migrateProjectMetadata(metadata) {
+  return migrateDocument('projectMetadata', metadata);
+}
+
+/**
+ * Upgrade an impact report read from IPFS
+ * @param {Object} report - Parsed report
+ * @returns {Object} Report at CURRENT_VERSIONS.impactReport
+ */
+function migrateImpactReport(report) {
+  return migrateDocument('impactReport', report);
+}
+
+/**
+ * Validate project metadata before it is published
+ * @param {Object} metadata - Metadata at the current version
+ * @throws {SchemaValidationError} With field-level errors
+ */
+function validateProjectMetadata(metadata) {
+  getMetadataValidator().assert(SCHEMAS.projectMetadata.$id, metadata, 'Project metadata');
+}
+
+/**
+ * Validate a single milestone or goal entry, e.g. while it is being edited
+ * @param {'milestone'|'goal'} kind - Entry kind
+ * @param {Object} entry - Entry to check
+ * @returns {{valid: boolean, errors: Array<Object>}} Field errors
+ */
+function validateProjectEntry(kind, entry) {
+  if (!SCHEMAS[kind] || !['milestone', 'goal'].includes(kind)) throw new Error(`Unknown entry kind: ${kind}`);
+  return getMetadataValidator().validate(SCHEMAS[kind].$id, entry);
+}
+
+/**
+ * Validate an impact report before it is published. The report's `details` are checked
+ * against the schema of its category.
+ * @param {Object} report - Report at the current version
+ * @throws {SchemaValidationError} With field-level errors
+ */
+function validateImpactReport(report) {
+  const { errors } = getMetadataValidator().validate(SCHEMAS.impactReport.$id, report);
+  if (Number.isInteger(report.periodStart) && Number.isInteger(report.periodEnd) &&
+      report.periodEnd < report.periodStart) {
+    errors.push({ path: '/periodEnd', keyword: 'periodOrder', message: 'must not be before periodStart' });
+  }
+  if (errors.length) throw toSchemaError(errors, 'Impact report');
+}
+
+/**
+ * Category name for a category given by name or on-chain index
+ * @param {string|number} category - Category name or index
+ * @returns {string} Category name
+ */
+function categoryName(category) {
+  return PROJECT_CATEGORIES[toEnumIndex(PROJECT_CATEGORIES, category, 'project category')];
+}
+
+module.exports = {
+  SCHEMAS,
+  CURRENT_VERSIONS,
+  MIGRATIONS,
+  getMetadataValidator,
+  migrateDocument,
+  migrateProjectMetadata,
+  migrateImpactReport,
+  validateProjectMetadata,
+  validateProjectEntry,
+  validateImpactReport,
+  categoryName
+};
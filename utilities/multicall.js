@@ -0,0 +1,119 @@
+// Read batching through Multicall3 with a sequential fallback
+const { ethers } = require('./ethers-v5');
+
+// Multicall3 is deployed at the same address on Arbitrum One, Nova, Sepolia and most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+/**
+ * Aggregates contract reads into Multicall3 `aggregate3` calls. When no multicall
+ * contract is deployed at the configured address, calls are made one at a time.
+ */
+class MulticallBatcher {
+  /**
+   * @param {Object} options - Batcher options
+   * @param {ethers.providers.Provider} options.provider - Provider used for eth_call
+   * @param {string} [options.address] - Multicall3 address (defaults to the canonical deployment)
+   * @param {number} [options.batchSize] - Calls per aggregate3 request
+   * @param {number} [options.concurrency] - aggregate3 requests in flight at once
+   * @param {boolean} [options.enabled] - Set to false to always read sequentially
+   */
+  constructor(options = {}) {
+    if (!options.provider) throw new Error('MulticallBatcher requires a provider');
+
+    this.provider = options.provider;
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.batchSize = options.batchSize || 100;
+    this.concurrency = options.concurrency || 4;
+    this.multicall = new ethers.Contract(this.address, MULTICALL3_ABI, this.provider);
+    this._available = options.enabled === false ? Promise.resolve(false) : null;
+  }
+
+  /**
+   * Check (once) whether the multicall contract is deployed on the connected chain
+   * @returns {Promise<boolean>} True when batching can be used
+   */
+  isAvailable() {
+    if (!this._available) {
+      this._available = this.provider.getCode(this.address)
+        .then(code => code !== '0x')
+        .catch(() => false);
+    }
+    return this._available;
+  }
+
+  /**
+   * Execute read calls, batched when possible
+   * @param {Array<Object>} calls - Calls as { contract, method, args }
+   * @returns {Promise<Array>} Decoded results in call order, shaped like direct contract calls
+   */
+  async call(calls) {
+    if (!calls.length) return [];
+    if (!(await this.isAvailable())) return this._callSequentially(calls);
+
+    const batches = [];
+    for (let i = 0; i < calls.length; i += this.batchSize) {
+      batches.push(calls.slice(i, i + this.batchSize));
+    }
+
+    // A fixed pool of workers pulls batches so at most `concurrency` requests are in flight
+    const results = new Array(batches.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < batches.length) {
+        const index = next++;
+        results[index] = await this._aggregate(batches[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, batches.length) }, worker));
+
+    return results.flat();
+  }
+
+  /**
+   * Send one aggregate3 request and decode every result with its target's interface
+   * @param {Array<Object>} batch - Calls in this batch
+   * @returns {Promise<Array>} Decoded results
+   * @private
+   */
+  async _aggregate(batch) {
+    const responses = await this.multicall.callStatic.aggregate3(batch.map(call => ({
+      target: call.contract.address,
+      allowFailure: true,
+      callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+    })));
+
+    return responses.map((response, i) => {
+      const call = batch[i];
+      if (!response.success) {
+        throw new Error(`${call.method}(${(call.args || []).join(', ')}) reverted in multicall`);
+      }
+      const fragment = call.contract.interface.getFunction(call.method);
+      const decoded = call.contract.interface.decodeFunctionResult(fragment, response.returnData);
+      // ethers unwraps single return values; match that so callers see the same shape
+      return fragment.outputs.length === 1 ? decoded[0] : decoded;
+    });
+  }
+
+  /**
+   * @param {Array<Object>} calls - Calls as { contract, method, args }
+   * @returns {Promise<Array>} Results in call order
+   * @private
+   */
+  async _callSequentially(calls) {
+    const results = [];
+    for (const call of calls) {
+      results.push(await call.contract[call.method](...(call.args || [])));
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  MulticallBatcher
+};
@@ -0,0 +1,238 @@
+// Network definitions and per-network contract address books
+const { ethers } = require('./ethers-v5');
+
+const CONTRACT_NAMES = ['Projects', 'Staking', 'NFT', 'Marketplace', 'Governance', 'ITO', 'AIEngine'];
+
+const DEFAULT_NETWORKS = {
+  arbitrumOne: {
+    name: 'Arbitrum One',
+    chainId: 42161,
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    // Read endpoints for failover, in order of preference
+    rpcUrls: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
+    nodeInterface: true, // Arbitrum NodeInterface available for L1 cost estimates
+    blockExplorer: 'https://arbiscan.io'
+  },
+  arbitrumNova: {
+    name: 'Arbitrum Nova',
+    chainId: 42170,
+    rpcUrl: 'https://nova.arbitrum.io/rpc',
+    rpcUrls: ['https://nova.arbitrum.io/rpc', 'https://arbitrum-nova-rpc.publicnode.com'],
+    nodeInterface: true,
+    blockExplorer: 'https://nova.arbiscan.io'
+  },
+  arbitrumTestnet: {
+    name: 'Arbitrum Sepolia',
+    chainId: 421614,
+    rpcUrl: 'https://sepolia-rollup.arbitrum.io/rpc',
+    rpcUrls: ['https://sepolia-rollup.arbitrum.io/rpc', 'https://arbitrum-sepolia-rpc.publicnode.com'],
+    nodeInterface: true,
+    blockExplorer: 'https://sepolia.arbiscan.io'
+  }
+};
+
+// Legacy single-address variables, still honoured for the Projects contract
+const LEGACY_PROJECTS_ENV = {
+  arbitrumOne: 'CONTRACT_ADDRESS_ARBITRUM_ONE',
+  arbitrumNova: 'CONTRACT_ADDRESS_ARBITRUM_NOVA',
+  arbitrumTestnet: 'CONTRACT_ADDRESS_ARBITRUM_TESTNET'
+};
+
+/**
+ * Registry of networks the services can connect to. Each network carries an address
+ * book of TerraStake contracts, filled from a deployment manifest of the form
+ * `{ version: 1, networks: { <key>: { chainId, contracts: { Projects: '0x…', … } } } }`.
+ */
+class NetworkRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Object} [options.networks] - Network definitions keyed by name (defaults to DEFAULT_NETWORKS)
+   * @param {Object} [options.manifest] - Deployment manifest to load
+   * @param {string} [options.manifestPath] - Deployment manifest file loaded after `manifest` (Node only)
+   * @param {Object} [options.env] - Environment for legacy address variables (defaults to process.env)
+   */
+  constructor(options = {}) {
+    this.networks = new Map();
+    for (const [key, config] of Object.entries(options.networks || DEFAULT_NETWORKS)) {
+      this.register(key, config);
+    }
+    if (options.manifest) this.loadManifest(options.manifest);
+    if (options.manifestPath) this.loadManifestFile(options.manifestPath);
+
+    const env = options.env || (typeof process !== 'undefined' ? process.env : {});
+    for (const [key, variable] of Object.entries(LEGACY_PROJECTS_ENV)) {
+      if (env[variable] && this.networks.has(key)) this.setContractAddress(key, 'Projects', env[variable]);
+    }
+  }
+
+  /**
+   * Add or replace a network definition
+   * @param {string} key - Network key, e.g. 'arbitrumOne'
+   * @param {Object} config - { name, chainId, rpcUrl, rpcUrls, blockExplorer, nodeInterface, multicallAddress, contracts }
+   * @returns {Object} Registered network
+   */
+  register(key, config) {
+    if (!config || !Number.isInteger(config.chainId)) {
+      throw new Error(`Network ${key} requires an integer chainId`);
+    }
+    const rpcUrls = config.rpcUrls && config.rpcUrls.length ? config.rpcUrls : [config.rpcUrl].filter(Boolean);
+    if (!rpcUrls.length) throw new Error(`Network ${key} requires an rpcUrl`);
+
+    const existing = this.networks.get(key);
+    const network = {
+      key,
+      name: config.name || key,
+      ...config,
+      rpcUrl: config.rpcUrl || rpcUrls[0],
+      rpcUrls: [...rpcUrls],
+      contracts: { ...(existing ? existing.contracts : {}) }
+    };
+    this.networks.set(key, network);
+    for (const [name, address] of Object.entries(config.contracts || {})) {
+      this.setContractAddress(key, name, address);
+    }
+    return network;
+  }
+
+  /**
+   * Register a local Hardhat (or Anvil) node
+   * @param {Object} options - Local network options
+   * @param {string} [options.key] - Network key (default 'localhost')
+   * @param {string} [options.rpcUrl] - Node URL (default http://127.0.0.1:8545)
+   * @param {number} [options.chainId] - Chain ID (default 31337)
+   * @param {Object} [options.contracts] - Address book from the local deployment
+   * @returns {Object} Registered network
+   */
+  addLocalNetwork(options = {}) {
+    return this.register(options.key || 'localhost', {
+      name: 'Hardhat Local',
+      chainId: options.chainId || 31337,
+      rpcUrl: options.rpcUrl || 'http://127.0.0.1:8545',
+      blockExplorer: null,
+      nodeInterface: false,
+      contracts: options.contracts
+    });
+  }
+
+  /**
+   * Merge address books from a deployment manifest. Manifest entries for unknown
+   * networks must include `rpcUrl` so they can be registered; `rpcUrls` replaces the
+   * read endpoints of known networks.
+   * @param {Object} manifest - Deployment manifest
+   * @returns {NetworkRegistry} This registry
+   */
+  loadManifest(manifest) {
+    if (!manifest || typeof manifest.networks !== 'object') {
+      throw new Error('Invalid deployment manifest: missing networks');
+    }
+
+    for (const [key, entry] of Object.entries(manifest.networks)) {
+      const network = this.networks.get(key);
+      if (!network) {
+        this.register(key, entry);
+        continue;
+      }
+      if (entry.chainId !== undefined && entry.chainId !== network.chainId) {
+        throw new Error(`Deployment manifest chainId ${entry.chainId} does not match network ${key} (${network.chainId})`);
+      }
+      if (entry.rpcUrls && entry.rpcUrls.length) network.rpcUrls = [...entry.rpcUrls];
+      for (const [name, address] of Object.entries(entry.contracts || {})) {
+        this.setContractAddress(key, name, address);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Load a deployment manifest from a JSON file (Node only)
+   * @param {string} filePath - Manifest path
+   * @returns {NetworkRegistry} This registry
+   */
+  loadManifestFile(filePath) {
+    // Required lazily so browser bundles that never load files do not need fs
+    const fs = require('fs');
+    try {
+      return this.loadManifest(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Failed to load deployment manifest ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set one contract address; null/empty clears it
+   * @param {string} key - Network key
+   * @param {string} name - Contract name (see CONTRACT_NAMES)
+   * @param {string|null} address - Contract address
+   */
+  setContractAddress(key, name, address) {
+    const network = this.get(key);
+    if (!address) {
+      delete network.contracts[name];
+      return;
+    }
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(`Invalid ${name} address for ${key}: ${address}`);
+    }
+    network.contracts[name] = ethers.utils.getAddress(address);
+  }
+
+  /**
+   * @param {string} key - Network key
+   * @returns {Object} Network definition with its address book
+   */
+  get(key) {
+    const network = this.networks.get(key);
+    if (!network) {
+      throw new Error(`Network ${key} not found in configuration. Available networks: ${this.keys().join(', ')}`);
+    }
+    return network;
+  }
+
+  /**
+   * @param {number} chainId - Chain ID
+   * @returns {Object|null} First network registered with the chain ID
+   */
+  getByChainId(chainId) {
+    return [...this.networks.values()].find(network => network.chainId === Number(chainId)) || null;
+  }
+
+  has(key) {
+    return this.networks.has(key);
+  }
+
+  keys() {
+    return [...this.networks.keys()];
+  }
+
+  /**
+   * Address of a TerraStake contract on a network
+   * @param {string} key - Network key
+   * @param {string} name - Contract name (see CONTRACT_NAMES)
+   * @returns {string} Checksummed address
+   */
+  getContractAddress(key, name) {
+    const address = this.get(key).contracts[name];
+    if (!address) {
+      throw new Error(`No ${name} contract address configured for ${key}. Add it to the deployment manifest.`);
+    }
+    return address;
+  }
+
+  /**
+   * Export the address books in manifest form
+   * @returns {Object} Deployment manifest
+   */
+  toManifest() {
+    const networks = {};
+    for (const network of this.networks.values()) {
+      networks[network.key] = { chainId: network.chainId, contracts: { ...network.contracts } };
+    }
+    return { version: 1, networks };
+  }
+}
+
+module.exports = {
+  CONTRACT_NAMES,
+  DEFAULT_NETWORKS,
+  NetworkRegistry
+};
@@ -0,0 +1,482 @@
+// Project administration for PROJECT_MANAGER_ROLE and GOVERNANCE_ROLE holders. Every change is
+// checked the way the contract would check it before a transaction is sent, and can be
+// previewed as a before/after diff without sending anything.
+const { ethers } = require('./ethers-v5');
+const { PROJECT_CATEGORIES, PROJECT_STATES, PROJECT_ROLES, toEnumIndex } = require('./project-types');
+const {
+  normalizeError,
+  InsufficientRoleError,
+  InvalidParametersError,
+  InvalidProjectStateError,
+  PausedError
+} = require('./errors');
+
+// Administration functions of TerraStakeProjects (see the note above PROJECT_LIST_ABI in ipfs-smart-contract.js)
+const PROJECT_ADMIN_ABI = [
+  'function updateProject(uint256 projectId, string name, string description, string location, string impactMetrics, bytes32 ipfsHash, uint48 startBlock, uint48 endBlock)',
+  'function changeProjectCategory(uint256 projectId, uint8 newCategory)',
+  'function updateProjectState(uint256 projectId, uint8 newState)',
+  'function updateStakingMultiplier(uint256 projectId, uint32 newMultiplier)',
+  'function setProjectTargets(uint256 projectId, uint256 impactTarget, uint256 stakingTarget)',
+  'function updateImpactRequirements(uint256 projectId, uint32 minStakingPeriod, uint32 reportingFrequency, uint32 verificationThreshold, uint32 impactDataFormat, bool requiresAudit)',
+  'function updateCategoryRequirements(uint8 category, string name, string description, uint8 impactWeight)',
+  'function setCategoryImageURI(uint8 category, string uri)',
+  'function getProjectMetadata(uint256 projectId) view returns (tuple(string name, string description, string location, string impactMetrics, bytes32 ipfsHash, bool exists, uint48 creationTime))',
+  'function getProjectState(uint256 projectId) view returns (tuple(uint8 category, uint8 state, uint32 stakingMultiplier, uint48 startBlock, uint48 endBlock))',
+  'function getProjectVerification(uint256 projectId) view returns (tuple(address verifier, uint256 verificationDate, bytes32 verificationDocumentHash, string verifierNotes))',
+  'function getProjectTargets(uint256 projectId) view returns (tuple(uint256 impactTarget, uint256 stakingTarget))',
+  'function projectImpactRequirements(uint256 projectId) view returns (uint32 minStakingPeriod, uint32 reportingFrequency, uint32 verificationThreshold, uint32 impactDataFormat, bool requiresAudit)',
+  'function getCategoryInfo(uint8 category) view returns (tuple(string name, string description, string[] standardBodies, string[] metricUnits, string verificationStandard, uint256 impactWeight, string[] keyMetrics, string esgFocus))',
+  'function getCategoryImageURI(uint8 category) view returns (string)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function paused() view returns (bool)'
+];
+
+// No function changes a project once it is Completed or Cancelled
+const TERMINAL_STATES = ['Completed', 'Cancelled'];
+
+// Only these states may move to Active, and only once the project is verified
+const ACTIVATABLE_STATES = ['Pending', 'Paused'];
+
+const UINT32_MAX = 0xffffffff;
+const UINT48_MAX = 2 ** 48 - 1;
+
+/**
+ * Check a project state change the way updateProjectState does
+ * @param {string|number} current - Current state name or index
+ * @param {string|number} next - Requested state name or index
+ * @param {Object} project - Project facts the contract checks
+ * @param {boolean} [project.verified] - Whether the project has a verification record
+ * @throws {InvalidProjectStateError} When the contract would reject the transition
+ */
+function validateStateTransition(current, next, project = {}) {
+  const from = PROJECT_STATES[toEnumIndex(PROJECT_STATES, current, 'project state')];
+  const to = PROJECT_STATES[toEnumIndex(PROJECT_STATES, next, 'project state')];
+
+  if (TERMINAL_STATES.includes(from)) {
+    throw new InvalidProjectStateError(`Project is ${from}; terminal states cannot change`);
+  }
+  if (from === to) throw new InvalidProjectStateError(`Project is already ${from}`);
+  if (to === 'Active') {
+    if (!ACTIVATABLE_STATES.includes(from)) {
+      throw new InvalidProjectStateError(`Cannot activate a ${from} project; only ${ACTIVATABLE_STATES.join(' or ')} projects can become Active`);
+    }
+    if (!project.verified) throw new InvalidProjectStateError('Project must be verified before it can become Active');
+  }
+}
+
+/**
+ * States a project can move to from its current state
+ * @param {string|number} current - Current state name or index
+ * @param {Object} project - Project facts (see validateStateTransition)
+ * @returns {string[]} Reachable state names
+ */
+function allowedTransitions(current, project = {}) {
+  return PROJECT_STATES.filter(state => {
+    try {
+      validateStateTransition(current, state, project);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Fields whose values differ between two snapshots
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Array<Object>} { field, before, after } per changed field
+ */
+function diffFields(before, after) {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * @private
+ */
+function _requireUint(value, label, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > max) {
+    throw new InvalidParametersError(`${label} must be an integer between 0 and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * @private
+ */
+function _requireText(value, label) {
+  if (typeof value !== 'string' || !value.trim()) throw new InvalidParametersError(`${label} must not be empty`);
+  return value;
+}
+
+class ProjectAdmin {
+  /**
+   * @param {TerraStakeService} service - Initialized service; provides signer, caches and transactions
+   * @param {Object} options - Admin options
+   * @param {ethers.Contract} [options.contract] - Contract override (defaults to the service's
+   *   TerraStakeProjects address with PROJECT_ADMIN_ABI)
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.contract = options.contract || new ethers.Contract(
+      service.contract.address,
+      PROJECT_ADMIN_ABI,
+      service.signer || service.provider
+    );
+  }
+
+  /**
+   * Current on-chain administration data of a project
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Object>} Snapshot with names for category and state
+   */
+  async getProjectSnapshot(projectId) {
+    try {
+      const [metadata, state, verification, targets] = await Promise.all([
+        this.contract.getProjectMetadata(projectId),
+        this.contract.getProjectState(projectId),
+        this.contract.getProjectVerification(projectId),
+        this.contract.getProjectTargets(projectId)
+      ]);
+
+      return {
+        projectId: Number(projectId),
+        name: metadata.name,
+        description: metadata.description,
+        location: metadata.location,
+        impactMetrics: metadata.impactMetrics,
+        metadataHash: metadata.ipfsHash,
+        category: PROJECT_CATEGORIES[state.category],
+        state: PROJECT_STATES[state.state],
+        stakingMultiplier: state.stakingMultiplier,
+        startBlock: state.startBlock,
+        endBlock: state.endBlock,
+        verified: !verification.verificationDate.isZero(),
+        impactTarget: targets.impactTarget.toString(),
+        stakingTarget: ethers.utils.formatEther(targets.stakingTarget)
+      };
+    } catch (error) {
+      throw normalizeError(error, 'Failed to read project');
+    }
+  }
+
+  /**
+   * Current impact requirements of a project. The getter differs between contract versions,
+   * so an unreadable value is reported as null rather than failing.
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Object|null>} Requirements, or null when they cannot be read
+   */
+  async getImpactRequirements(projectId) {
+    try {
+      const requirements = await this.contract.projectImpactRequirements(projectId);
+      return {
+        minStakingPeriod: requirements.minStakingPeriod,
+        reportingFrequency: requirements.reportingFrequency,
+        verificationThreshold: requirements.verificationThreshold,
+        impactDataFormat: requirements.impactDataFormat,
+        requiresAudit: requirements.requiresAudit
+      };
+    } catch (error) {
+      console.warn(`Could not read impact requirements of project ${projectId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Update a project's descriptive fields and block range; omitted fields keep their values
+   * @param {number} projectId - Project ID
+   * @param {Object} updates - name, description, location, impactMetrics, metadataHash
+   *   (CID or bytes32), startBlock, endBlock
+   * @param {Object} options - Transaction options
+   * @param {boolean} [options.dryRun] - Only return the preview, with `blockedBy` set when the
+   *   connected account lacks the role or the contract is paused
+   * @returns {Promise<Object>} Preview ({ method, args, changes, before, after }) and, unless
+   *   dryRun, the transaction result
+   */
+  async updateProject(projectId, updates, options = {}) {
+    return this._run(options, 'Failed to update project', async () => {
+      const snapshot = await this._editableSnapshot(projectId);
+      const fields = ['name', 'description', 'location', 'impactMetrics', 'metadataHash', 'startBlock', 'endBlock'];
+      const after = {};
+      for (const field of fields) after[field] = updates[field] !== undefined ? updates[field] : snapshot[field];
+
+      ['name', 'description', 'location', 'impactMetrics'].forEach(field => _requireText(after[field], field));
+      if (!ethers.utils.isHexString(after.metadataHash, 32)) {
+        after.metadataHash = await this.service._convertIpfsHashToBytes32(after.metadataHash);
+      }
+      if (/^0x0{64}$/.test(after.metadataHash)) throw new InvalidParametersError('metadataHash must not be empty');
+      after.startBlock = _requireUint(after.startBlock, 'startBlock', UINT48_MAX);
+      after.endBlock = _requireUint(after.endBlock, 'endBlock', UINT48_MAX);
+      if (after.startBlock >= after.endBlock) throw new InvalidParametersError('startBlock must be before endBlock');
+
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'updateProject',
+        args: [projectId, ...fields.map(field => after[field])],
+        before: snapshot,
+        after
+      };
+    });
+  }
+
+  /**
+   * Move a project to another category. The contract charges its category change fee in TSTAKE.
+   * @param {number} projectId - Project ID
+   * @param {string|number} category - New category name or index
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async changeCategory(projectId, category, options = {}) {
+    return this._run(options, 'Failed to change project category', async () => {
+      const snapshot = await this._editableSnapshot(projectId);
+      const index = toEnumIndex(PROJECT_CATEGORIES, category, 'project category');
+      if (PROJECT_CATEGORIES[index] === snapshot.category) {
+        throw new InvalidParametersError(`Project is already in category ${snapshot.category}`);
+      }
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'changeProjectCategory',
+        args: [projectId, index],
+        before: snapshot,
+        after: { category: PROJECT_CATEGORIES[index] }
+      };
+    });
+  }
+
+  /**
+   * Change a project's state, following the contract's state machine. Completing or
+   * cancelling a project finalizes its staking.
+   * @param {number} projectId - Project ID
+   * @param {string|number} state - New state name or index
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async updateState(projectId, state, options = {}) {
+    return this._run(options, 'Failed to update project state', async () => {
+      const snapshot = await this.getProjectSnapshot(projectId);
+      validateStateTransition(snapshot.state, state, snapshot);
+      const index = toEnumIndex(PROJECT_STATES, state, 'project state');
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'updateProjectState',
+        args: [projectId, index],
+        before: snapshot,
+        after: { state: PROJECT_STATES[index] }
+      };
+    });
+  }
+
+  /**
+   * @param {number} projectId - Project ID
+   * @param {number} multiplier - New staking multiplier (100 = 1x)
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async updateStakingMultiplier(projectId, multiplier, options = {}) {
+    return this._run(options, 'Failed to update staking multiplier', async () => {
+      const snapshot = await this._editableSnapshot(projectId);
+      const value = _requireUint(multiplier, 'stakingMultiplier', UINT32_MAX);
+      if (value === 0) throw new InvalidParametersError('stakingMultiplier must be greater than zero');
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'updateStakingMultiplier',
+        args: [projectId, value],
+        before: snapshot,
+        after: { stakingMultiplier: value }
+      };
+    });
+  }
+
+  /**
+   * @param {number} projectId - Project ID
+   * @param {Object} targets - Targets; omitted ones keep their values
+   * @param {string|number} [targets.impactTarget] - Impact target in the project's metric units
+   * @param {string} [targets.stakingTarget] - Staking target in TSTAKE (ether units)
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async setTargets(projectId, targets, options = {}) {
+    return this._run(options, 'Failed to set project targets', async () => {
+      const snapshot = await this.getProjectSnapshot(projectId);
+      const impactTarget = ethers.BigNumber.from(targets.impactTarget !== undefined ? targets.impactTarget : snapshot.impactTarget);
+      const stakingTarget = ethers.utils.parseEther(String(targets.stakingTarget !== undefined ? targets.stakingTarget : snapshot.stakingTarget));
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'setProjectTargets',
+        args: [projectId, impactTarget, stakingTarget],
+        before: snapshot,
+        after: { impactTarget: impactTarget.toString(), stakingTarget: ethers.utils.formatEther(stakingTarget) }
+      };
+    });
+  }
+
+  /**
+   * Replace a project's impact requirements; omitted fields keep their current values when readable
+   * @param {number} projectId - Project ID
+   * @param {Object} requirements - minStakingPeriod, reportingFrequency, verificationThreshold,
+   *   impactDataFormat (uint32 each) and requiresAudit
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async updateImpactRequirements(projectId, requirements, options = {}) {
+    return this._run(options, 'Failed to update impact requirements', async () => {
+      const existing = await this.getImpactRequirements(projectId);
+      const current = existing || {};
+      const pick = field => (requirements[field] !== undefined ? requirements[field] : current[field]);
+
+      const after = {};
+      for (const field of ['minStakingPeriod', 'reportingFrequency', 'verificationThreshold', 'impactDataFormat']) {
+        if (pick(field) === undefined) throw new InvalidParametersError(`${field} is required`);
+        after[field] = _requireUint(pick(field), field, UINT32_MAX);
+      }
+      after.requiresAudit = !!pick('requiresAudit');
+
+      return {
+        role: 'PROJECT_MANAGER_ROLE',
+        projectId,
+        method: 'updateImpactRequirements',
+        args: [projectId, after.minStakingPeriod, after.reportingFrequency, after.verificationThreshold,
+          after.impactDataFormat, after.requiresAudit],
+        before: { impactRequirements: existing },
+        after: { impactRequirements: after }
+      };
+    });
+  }
+
+  /**
+   * Update a category's name, description and impact weight (GOVERNANCE_ROLE)
+   * @param {string|number} category - Category name or index
+   * @param {Object} updates - name, description and impactWeight (0-255, percent applied to
+   *   validated impact); omitted fields keep their values
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async updateCategoryRequirements(category, updates, options = {}) {
+    return this._run(options, 'Failed to update category requirements', async () => {
+      const index = toEnumIndex(PROJECT_CATEGORIES, category, 'project category');
+      const info = await this.contract.getCategoryInfo(index);
+      const before = { name: info.name, description: info.description, impactWeight: info.impactWeight.toNumber() };
+      const after = {
+        name: _requireText(updates.name !== undefined ? updates.name : before.name, 'name'),
+        description: updates.description !== undefined ? updates.description : before.description,
+        impactWeight: _requireUint(updates.impactWeight !== undefined ? updates.impactWeight : before.impactWeight, 'impactWeight', 255)
+      };
+      return {
+        role: 'GOVERNANCE_ROLE',
+        method: 'updateCategoryRequirements',
+        args: [index, after.name, after.description, after.impactWeight],
+        before,
+        after
+      };
+    });
+  }
+
+  /**
+   * Set the base image URI of a category's impact NFTs (GOVERNANCE_ROLE)
+   * @param {string|number} category - Category name or index
+   * @param {string} uri - Base URI, e.g. ipfs://<cid>/
+   * @param {Object} options - Transaction options (dryRun, speed, onStatus)
+   * @returns {Promise<Object>} Preview and transaction result
+   */
+  async setCategoryImageURI(category, uri, options = {}) {
+    return this._run({ ...options, ignorePause: true }, 'Failed to set category image URI', async () => {
+      const index = toEnumIndex(PROJECT_CATEGORIES, category, 'project category');
+      if (!/^[a-z][a-z0-9+.-]*:\S+$/i.test(uri || '')) throw new InvalidParametersError(`Invalid image URI: ${uri}`);
+      return {
+        role: 'GOVERNANCE_ROLE',
+        method: 'setCategoryImageURI',
+        args: [index, uri],
+        before: { imageURI: await this.contract.getCategoryImageURI(index) },
+        after: { imageURI: uri }
+      };
+    });
+  }
+
+  /**
+   * Snapshot of a project that is still editable
+   * @private
+   */
+  async _editableSnapshot(projectId) {
+    const snapshot = await this.getProjectSnapshot(projectId);
+    if (TERMINAL_STATES.includes(snapshot.state)) {
+      throw new InvalidProjectStateError(`Project is ${snapshot.state} and can no longer be changed`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Plan a change, check the caller can make it, then preview or send it
+   * @private
+   */
+  async _run(options, context, plan) {
+    try {
+      const change = await plan();
+      const preview = {
+        method: change.method,
+        args: change.args,
+        role: change.role,
+        before: change.before,
+        after: change.after,
+        changes: diffFields(change.before, change.after)
+      };
+      if (!preview.changes.length) throw new InvalidParametersError('Nothing to change');
+
+      // A dry run reports why the account couldn't send the change instead of failing
+      if (options.dryRun) {
+        preview.blockedBy = await this._preflight(change.role, !options.ignorePause).then(() => null, error => error.message);
+        return { preview };
+      }
+      await this._preflight(change.role, !options.ignorePause);
+
+      const receipt = await this.service.txManager.send({
+        contract: this.contract,
+        method: change.method,
+        args: change.args,
+        speed: options.speed,
+        onStatus: options.onStatus
+      });
+      if (change.projectId !== undefined) await this.service.invalidateProject(change.projectId);
+
+      return {
+        success: true,
+        preview,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        explorerLink: `${this.service.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`
+      };
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, context);
+    }
+  }
+
+  /**
+   * The connected account must hold the role, and the contract must not be paused
+   * @private
+   */
+  async _preflight(role, checkPause) {
+    if (!this.service.signer) throw new Error('No signer available. Cannot perform write operations.');
+    const account = this.service.userAddress;
+    if (!(await this.contract.hasRole(PROJECT_ROLES[role], account))) {
+      throw new InsufficientRoleError(`${account} does not hold ${role}`);
+    }
+    if (checkPause && await this.contract.paused()) throw new PausedError('TerraStakeProjects is paused');
+  }
+}
+
+module.exports = {
+  PROJECT_ADMIN_ABI,
+  ProjectAdmin,
+  validateStateTransition,
+  allowedTransitions,
+  diffFields
+};
@@ -0,0 +1,241 @@
+// Event indexer for TerraStakeProjects with durable checkpointing
+const { EventEmitter } = require('events');
+const { ethers } = require('./ethers-v5');
+
+const INDEXED_EVENTS = ['ProjectAdded', 'ProjectStateChanged', 'ImpactReportSubmitted', 'StakeAdded'];
+
+/**
+ * Checkpoint store keeping the last processed block in memory (tests, short-lived jobs)
+ */
+class MemoryCheckpointStore {
+  constructor(initial = null) {
+    this.checkpoint = initial;
+  }
+
+  async load() {
+    return this.checkpoint;
+  }
+
+  async save(checkpoint) {
+    this.checkpoint = { ...checkpoint };
+  }
+}
+
+/**
+ * Checkpoint store persisting the last processed block to a JSON file
+ */
+class FileCheckpointStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Checkpoint file location
+   */
+  constructor(options = {}) {
+    // Required lazily so browser bundles that never use this store do not need fs
+    this._fs = require('fs');
+    this._path = require('path');
+    this.path = this._path.resolve(options.path || './indexer-checkpoint.json');
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await this._fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read indexer checkpoint ${this.path}: ${error.message}`);
+    }
+  }
+
+  async save(checkpoint) {
+    await this._fs.promises.mkdir(this._path.dirname(this.path), { recursive: true });
+
+    // Write through a temp file so a crash never leaves a truncated checkpoint
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await this._fs.promises.writeFile(tmp, JSON.stringify(checkpoint, null, 2));
+    await this._fs.promises.rename(tmp, this.path);
+  }
+}
+
+/**
+ * Convert event arguments into plain JSON-friendly values
+ * @param {Object} event - ethers event log with decoded args
+ * @returns {Object} Named arguments with BigNumbers as strings
+ * @private
+ */
+function _normalizeArgs(event) {
+  const args = {};
+  const names = event.eventFragment ?
+    event.eventFragment.inputs.map(input => input.name) :
+    Object.keys(event.args || {}).filter(key => isNaN(Number(key)));
+
+  for (const name of names) {
+    const value = event.args[name];
+    args[name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  }
+  return args;
+}
+
+/**
+ * Indexes TerraStakeProjects events from a start block, checkpointing progress so a
+ * restarted process resumes exactly where it stopped, then follows the chain head.
+ *
+ * Events: 'event' (indexed record), 'checkpoint' ({ lastBlock, lastBlockHash }),
+ * 'synced' (caught up with the head), 'error'.
+ */
+class ProjectEventIndexer extends EventEmitter {
+  /**
+   * @param {Object} options - Indexer options
+   * @param {ethers.Contract} options.contract - TerraStakeProjects contract
+   * @param {ethers.providers.Provider} [options.provider] - Provider (defaults to contract.provider)
+   * @param {Object} [options.checkpointStore] - Store with load()/save()
+   * @param {number} [options.startBlock] - First block when no checkpoint exists
+   * @param {number} [options.pageSize] - Blocks per queryFilter range
+   * @param {number} [options.confirmations] - Blocks to stay behind the head
+   * @param {string[]} [options.events] - Event names to index
+   * @param {Function} [options.onEvent] - Async handler awaited before checkpointing
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.contract) throw new Error('ProjectEventIndexer requires a contract');
+
+    this.contract = options.contract;
+    this.provider = options.provider || options.contract.provider;
+    this.checkpointStore = options.checkpointStore || new MemoryCheckpointStore();
+    this.startBlock = options.startBlock || 0;
+    this.pageSize = options.pageSize || 5000;
+    this.confirmations = options.confirmations !== undefined ? options.confirmations : 3;
+    this.events = options.events || INDEXED_EVENTS;
+    this.onEvent = options.onEvent || null;
+
+    this.checkpoint = null;
+    this.isRunning = false;
+    this._syncing = null;
+    this._pendingHead = false;
+    this._blockListener = null;
+  }
+
+  /**
+   * Backfill from the checkpoint (or start block) and then follow new blocks
+   * @param {Object} options - Start options
+   * @param {boolean} [options.follow] - Keep following the head after the backfill
+   * @returns {Promise<Object>} Checkpoint after the initial backfill
+   */
+  async start(options = {}) {
+    if (this.isRunning) return this.checkpoint;
+
+    this.checkpoint = await this.checkpointStore.load();
+    this.isRunning = true;
+
+    await this.sync();
+
+    if (options.follow === false) {
+      this.isRunning = false;
+      return this.checkpoint;
+    }
+
+    this._blockListener = () => {
+      this.sync().catch(error => this.emit('error', error));
+    };
+    this.provider.on('block', this._blockListener);
+
+    return this.checkpoint;
+  }
+
+  /**
+   * Stop following the chain head; the checkpoint is kept for the next start()
+   */
+  async stop() {
+    this.isRunning = false;
+    if (this._blockListener) {
+      this.provider.off('block', this._blockListener);
+      this._blockListener = null;
+    }
+    // Let an in-flight page finish so its checkpoint is written
+    if (this._syncing) await this._syncing.catch(() => {});
+  }
+
+  /**
+   * Index everything between the checkpoint and the confirmed head.
+   * Concurrent calls are coalesced into a single follow-up run.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    if (this._syncing) {
+      this._pendingHead = true;
+      return this._syncing;
+    }
+
+    this._syncing = (async () => {
+      try {
+        do {
+          this._pendingHead = false;
+          await this._syncToHead();
+        } while (this._pendingHead && this.isRunning);
+      } finally {
+        this._syncing = null;
+      }
+    })();
+    return this._syncing;
+  }
+
+  async _syncToHead() {
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    let fromBlock = this.checkpoint ? this.checkpoint.lastBlock + 1 : this.startBlock;
+
+    while (fromBlock <= target && this.isRunning) {
+      const toBlock = Math.min(fromBlock + this.pageSize - 1, target);
+      await this._processRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+
+    if (fromBlock > target) this.emit('synced', this.checkpoint);
+  }
+
+  /**
+   * Fetch, order and deliver all indexed events in a block range, then checkpoint it
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @private
+   */
+  async _processRange(fromBlock, toBlock) {
+    const batches = await Promise.all(this.events.map(name =>
+      this.contract.queryFilter(this.contract.filters[name](), fromBlock, toBlock)
+    ));
+
+    const logs = batches.flat().sort((a, b) =>
+      a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+
+    for (const log of logs) {
+      const record = {
+        type: log.event,
+        projectId: log.args.projectId !== undefined ? log.args.projectId.toString() : null,
+        args: _normalizeArgs(log),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+      };
+
+      if (this.onEvent) await this.onEvent(record);
+      this.emit('event', record);
+    }
+
+    const block = await this.provider.getBlock(toBlock);
+    this.checkpoint = {
+      lastBlock: toBlock,
+      lastBlockHash: block ? block.hash : null,
+      contract: this.contract.address,
+      updatedAt: Date.now()
+    };
+    await this.checkpointStore.save(this.checkpoint);
+    this.emit('checkpoint', this.checkpoint);
+  }
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  ProjectEventIndexer,
+  MemoryCheckpointStore,
+  FileCheckpointStore
+};
@@ -0,0 +1,66 @@
+// Enum names mirrored from ITerraStakeProjects, in on-chain order
+const { ethers } = require('./ethers-v5');
+
+const PROJECT_CATEGORIES = [
+  'CarbonCredit',
+  'RenewableEnergy',
+  'OceanCleanup',
+  'Reforestation',
+  'Biodiversity',
+  'SustainableAg',
+  'WasteManagement',
+  'WaterConservation',
+  'PollutionControl',
+  'HabitatRestoration',
+  'GreenBuilding',
+  'CircularEconomy',
+  'CommunityDevelopment'
+];
+
+const PROJECT_STATES = [
+  'Proposed',
+  'Pending',
+  'Active',
+  'Paused',
+  'Completed',
+  'Cancelled',
+  'Archived',
+  'Rejected'
+];
+
+// AccessControl roles of TerraStakeProjects
+const PROJECT_ROLES = [
+  'PROJECT_MANAGER_ROLE',
+  'GOVERNANCE_ROLE',
+  'STAKER_ROLE',
+  'VALIDATOR_ROLE',
+  'VERIFIER_ROLE',
+  'UPGRADER_ROLE',
+  'TREASURY_ROLE',
+  'EMERGENCY_ROLE'
+].reduce((roles, name) => ({ ...roles, [name]: ethers.utils.id(name) }), {});
+
+/**
+ * Resolve an enum value given by name or index to its on-chain index
+ * @param {string[]} names - Enum names in on-chain order
+ * @param {string|number} value - Name (case-insensitive) or numeric index
+ * @param {string} label - Enum label used in error messages
+ * @returns {number} Enum index
+ */
+function toEnumIndex(names, value, label) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const index = Number(value);
+    if (index < names.length) return index;
+  } else {
+    const index = names.findIndex(name => name.toLowerCase() === String(value).toLowerCase());
+    if (index !== -1) return index;
+  }
+  throw new Error(`Unknown ${label}: ${value}. Expected one of ${names.join(', ')}`);
+}
+
+module.exports = {
+  PROJECT_CATEGORIES,
+  PROJECT_STATES,
+  PROJECT_ROLES,
+  toEnumIndex
+};
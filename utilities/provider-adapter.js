@@ -0,0 +1,277 @@
+// Adapters that let ethers v5 code run on ethers v6, EIP-1193 and viem providers
+const { ethers } = require('./ethers-v5');
+
+/**
+ * ethers v6 providers expose broadcastTransaction; v5 and EIP-1193 providers do not
+ * @private
+ */
+function _isEthersV6Provider(value) {
+  return typeof value.broadcastTransaction === 'function' && typeof value.getBlockNumber === 'function';
+}
+
+/**
+ * @private
+ */
+function _isEthersV6Signer(value) {
+  return typeof value.getAddress === 'function' &&
+    typeof value.sendTransaction === 'function' &&
+    !ethers.Signer.isSigner(value);
+}
+
+/**
+ * Wrap a JSON-RPC based ethers v6 provider as an EIP-1193 provider
+ * @private
+ */
+function _toEip1193(provider) {
+  if (typeof provider.send !== 'function') {
+    throw new Error('ethers v6 providers must be JSON-RPC based (BrowserProvider, JsonRpcProvider or Hardhat)');
+  }
+  return { request: ({ method, params }) => provider.send(method, params || []) };
+}
+
+/**
+ * BigNumber/bigint fields of a populated v5 transaction as bigints
+ * @private
+ */
+function _toBigIntFields(tx, fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(tx)) {
+    if (value === undefined || value === null) continue;
+    result[key] = fields.includes(key) ? BigInt(value.toString()) : value;
+  }
+  return result;
+}
+
+const QUANTITY_FIELDS = ['gasLimit', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value'];
+
+/**
+ * v5 TransactionResponse for a transaction another library already broadcast. The node's
+ * copy is used once it is visible; until then the response is built from the populated
+ * transaction, since the send itself succeeded and its nonce is spent.
+ * @private
+ */
+async function _toTransactionResponse(provider, tx, hash, attempts, interval) {
+  for (let i = 0; i < attempts; i++) {
+    const found = await provider.getTransaction(hash);
+    if (found) return found;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+
+  const response = {
+    ...tx,
+    hash,
+    nonce: ethers.BigNumber.from(tx.nonce).toNumber(),
+    gasLimit: ethers.BigNumber.from(tx.gasLimit),
+    value: ethers.BigNumber.from(tx.value || 0),
+    data: tx.data || '0x',
+    blockNumber: null,
+    blockHash: null,
+    confirmations: 0
+  };
+  // As JsonRpcSigner does for the hashes it gets back: adds wait() with replacement detection
+  return provider._wrapTransaction(response, hash);
+}
+
+/**
+ * ethers v5 Signer backed by an ethers v6 signer (Wallet, JsonRpcSigner or a
+ * Hardhat signer). Transactions are populated by v5 and sent through the v6 signer.
+ */
+class EthersV6Signer extends ethers.Signer {
+  /**
+   * @param {Object} signer - ethers v6 signer
+   * @param {ethers.providers.Provider} provider - v5 provider for the same node
+   */
+  constructor(signer, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+    this.signer = signer;
+    // How long to wait for the node to return a sent transaction before building the response
+    this.lookupAttempts = 20;
+    this.lookupInterval = 250;
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    return this.signer.signTransaction(_toBigIntFields(tx, QUANTITY_FIELDS));
+  }
+
+  async sendTransaction(transaction) {
+    const tx = await this.populateTransaction(transaction);
+    const sent = await this.signer.sendTransaction(_toBigIntFields(tx, QUANTITY_FIELDS));
+    return _toTransactionResponse(this.provider, tx, sent.hash, this.lookupAttempts, this.lookupInterval);
+  }
+
+  connect(provider) {
+    return new EthersV6Signer(this.signer, provider);
+  }
+}
+
+/**
+ * ethers v5 Signer backed by a viem local account (privateKeyToAccount, mnemonicToAccount).
+ * Transactions are signed by the account and broadcast through the v5 provider.
+ */
+class ViemAccountSigner extends ethers.Signer {
+  /**
+   * @param {Object} account - viem local account
+   * @param {ethers.providers.Provider} provider - v5 provider
+   */
+  constructor(account, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+    this.account = account;
+  }
+
+  async getAddress() {
+    return this.account.address;
+  }
+
+  signMessage(message) {
+    return this.account.signMessage({
+      message: typeof message === 'string' ? message : { raw: ethers.utils.hexlify(message) }
+    });
+  }
+
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    const fields = _toBigIntFields(tx, QUANTITY_FIELDS);
+    return this.account.signTransaction({
+      type: tx.type === 2 || tx.maxFeePerGas !== undefined ? 'eip1559' : 'legacy',
+      chainId: tx.chainId,
+      nonce: ethers.BigNumber.from(tx.nonce).toNumber(),
+      to: tx.to,
+      data: tx.data,
+      value: fields.value,
+      gas: fields.gasLimit,
+      gasPrice: fields.gasPrice,
+      maxFeePerGas: fields.maxFeePerGas,
+      maxPriorityFeePerGas: fields.maxPriorityFeePerGas
+    });
+  }
+
+  connect(provider) {
+    return new ViemAccountSigner(this.account, provider);
+  }
+}
+
+/**
+ * Normalise any supported provider or signer to an ethers v5 provider and optional signer
+ * @param {Object} input - ethers v5/v6 provider or signer, EIP-1193 provider (window.ethereum)
+ *   or viem client
+ * @returns {Object} { kind: 'ethers5'|'ethers6'|'eip1193', provider, signer|null }
+ */
+function adaptProvider(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Expected an ethers provider or signer, or an EIP-1193 provider');
+  }
+
+  if (ethers.Signer.isSigner(input)) {
+    if (!input.provider) throw new Error('ethers v5 signer must be connected to a provider');
+    return { kind: 'ethers5', provider: input.provider, signer: input };
+  }
+  if (ethers.providers.Provider.isProvider(input)) {
+    return { kind: 'ethers5', provider: input, signer: null };
+  }
+
+  if (_isEthersV6Provider(input)) {
+    return { kind: 'ethers6', provider: new ethers.providers.Web3Provider(_toEip1193(input)), signer: null };
+  }
+  if (_isEthersV6Signer(input)) {
+    if (!input.provider) throw new Error('ethers v6 signer must be connected to a provider');
+    const provider = new ethers.providers.Web3Provider(_toEip1193(input.provider));
+    return { kind: 'ethers6', provider, signer: new EthersV6Signer(input, provider) };
+  }
+
+  // EIP-1193 wallets and viem clients share request({ method, params })
+  if (typeof input.request === 'function') {
+    const provider = new ethers.providers.Web3Provider(input);
+    const account = input.account;
+    const signer = account && account.type === 'local' ? new ViemAccountSigner(account, provider) : null;
+    return { kind: 'eip1193', provider, signer };
+  }
+
+  throw new Error('Unsupported provider: expected ethers v5/v6, EIP-1193 or a viem client');
+}
+
+/**
+ * Address of an ethers v5 (`address`) or v6 (`target`) contract
+ * @param {Object} contract - Contract instance
+ * @returns {string} Contract address
+ */
+function getContractAddress(contract) {
+  return contract.address || contract.target;
+}
+
+/**
+ * Gas estimate for a contract call on ethers v5 or v6 contracts
+ * @param {Object} contract - Contract instance
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments, optionally followed by overrides
+ * @returns {Promise<ethers.BigNumber>} Gas estimate
+ */
+async function estimateContractGas(contract, method, args = []) {
+  const estimate = contract.estimateGas && typeof contract.estimateGas[method] === 'function' ?
+    await contract.estimateGas[method](...args) :
+    await contract[method].estimateGas(...args);
+  return toBigNumber(estimate);
+}
+
+/**
+ * Hash of an ethers v5 (`transactionHash`) or v6 (`hash`) receipt
+ * @param {Object} receipt - Transaction receipt
+ * @returns {string} Transaction hash
+ */
+function getTransactionHash(receipt) {
+  return receipt.transactionHash || receipt.hash;
+}
+
+/**
+ * Decoded events of a receipt from either ethers version
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} iface - Contract interface (v5 or v6) used to decode raw logs
+ * @returns {Array<Object>} [{ name, args, log }] for every log the interface recognises
+ */
+function parseReceiptEvents(receipt, iface) {
+  if (Array.isArray(receipt.events)) {
+    return receipt.events.filter(event => event.event).map(event => ({ name: event.event, args: event.args, log: event }));
+  }
+
+  const events = [];
+  for (const log of receipt.logs || []) {
+    try {
+      // v5 throws and v6 returns null for logs from other contracts
+      const parsed = iface.parseLog(log);
+      if (parsed) events.push({ name: parsed.name, args: parsed.args, log });
+    } catch (error) {
+      // Not emitted by this contract
+    }
+  }
+  return events;
+}
+
+/**
+ * Convert a v5 BigNumber, bigint, number or decimal string to a v5 BigNumber
+ * @param {*} value - Numeric value
+ * @returns {ethers.BigNumber} BigNumber
+ */
+function toBigNumber(value) {
+  return ethers.BigNumber.from(typeof value === 'bigint' ? value.toString() : value);
+}
+
+module.exports = {
+  EthersV6Signer,
+  ViemAccountSigner,
+  adaptProvider,
+  getContractAddress,
+  estimateContractGas,
+  getTransactionHash,
+  parseReceiptEvents,
+  toBigNumber
+};
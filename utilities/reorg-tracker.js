@@ -0,0 +1,122 @@
+// Chain reorganization detection over a window of recent block hashes
+const { EventEmitter } = require('events');
+
+/**
+ * Remembers the hashes of recent blocks and detects when any of them were replaced.
+ * Blocks deeper than `confirmationDepth` below the head are treated as final and forgotten.
+ *
+ * Emits 'reorg' with { forkBlock, headBlock, replacedBlocks, depth }.
+ */
+class ReorgTracker extends EventEmitter {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {ethers.providers.Provider} options.provider - Provider used to fetch blocks
+   * @param {number} [options.confirmationDepth] - Blocks after which a block is final
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.provider) throw new Error('ReorgTracker requires a provider');
+
+    this.provider = options.provider;
+    this.confirmationDepth = options.confirmationDepth || 20;
+    this.blockHashes = new Map();
+    this.headBlock = null;
+  }
+
+  /**
+   * Highest block number considered final
+   * @returns {number} Finalized block number (-1 before the first block is seen)
+   */
+  get finalizedBlock() {
+    return this.headBlock === null ? -1 : this.headBlock - this.confirmationDepth;
+  }
+
+  /**
+   * Record a block hash without checking ancestry (e.g. from an event log)
+   * @param {number} blockNumber - Block number
+   * @param {string} blockHash - Block hash
+   */
+  remember(blockNumber, blockHash) {
+    if (blockNumber > this.finalizedBlock && blockHash) {
+      this.blockHashes.set(blockNumber, blockHash);
+    }
+  }
+
+  /**
+   * Process a new head block and detect replaced ancestors
+   * @param {number} blockNumber - New block number
+   * @returns {Promise<Object|null>} Reorg details, or null when the chain is consistent
+   */
+  async handleBlock(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    if (!block) return null;
+
+    const replacedBlocks = [];
+    const previousHash = this.blockHashes.get(blockNumber);
+    if (previousHash && previousHash !== block.hash) {
+      replacedBlocks.push(blockNumber);
+    }
+
+    // Compare the new block's ancestry with the most recent block we know about
+    const knownHeights = [...this.blockHashes.keys()].filter(n => n < blockNumber);
+    let height = knownHeights.length ? Math.max(...knownHeights) : null;
+    let expectedHash = null;
+    if (height !== null) {
+      expectedHash = height === blockNumber - 1 ?
+        block.parentHash :
+        (await this.provider.getBlock(height)).hash;
+    }
+
+    // Walk back while our recorded hashes disagree with the canonical chain
+    while (height !== null && height > this.finalizedBlock && this.blockHashes.get(height) !== expectedHash) {
+      replacedBlocks.push(height);
+      const canonical = await this.provider.getBlock(height);
+      this.blockHashes.set(height, canonical.hash);
+      expectedHash = canonical.parentHash;
+      height -= 1;
+      if (!this.blockHashes.has(height)) break;
+    }
+
+    this.blockHashes.set(blockNumber, block.hash);
+    this.headBlock = Math.max(this.headBlock || 0, blockNumber);
+    this._prune();
+
+    if (!replacedBlocks.length) return null;
+
+    const forkBlock = Math.min(...replacedBlocks) - 1;
+    const reorg = {
+      forkBlock,
+      headBlock: blockNumber,
+      replacedBlocks: replacedBlocks.sort((a, b) => a - b),
+      depth: blockNumber - forkBlock
+    };
+    this.emit('reorg', reorg);
+    return reorg;
+  }
+
+  /**
+   * Check whether a recorded block is still canonical
+   * @param {number} blockNumber - Block number
+   * @param {string} blockHash - Hash recorded with the data
+   * @returns {boolean|null} True/false when known, null when outside the window
+   */
+  isCanonical(blockNumber, blockHash) {
+    const known = this.blockHashes.get(blockNumber);
+    return known ? known === blockHash : null;
+  }
+
+  _prune() {
+    for (const blockNumber of this.blockHashes.keys()) {
+      if (blockNumber <= this.finalizedBlock) this.blockHashes.delete(blockNumber);
+    }
+  }
+
+  reset() {
+    this.blockHashes.clear();
+    this.headBlock = null;
+  }
+}
+
+module.exports = {
+  ReorgTracker
+};
@@ -0,0 +1,387 @@
+// Verifier-facing impact report workflow: find reports awaiting validation, check their IPFS
+// content against the on-chain hash, record decisions and summarise per-project statistics.
+const { ethers } = require('./ethers-v5');
+const { computeCid, parseCid, toCidV1, fitsInBytes32, keccakCid } = require('./cid-codec');
+const { importFile } = require('./unixfs');
+const { getMetadataValidator, migrateImpactReport, SCHEMAS } = require('./metadata-schemas');
+const { PROJECT_ROLES } = require('./project-types');
+const { normalizeError, InsufficientRoleError, InvalidParametersError } = require('./errors');
+
+// Report and verification functions of TerraStakeProjects (see the note above PROJECT_LIST_ABI in ipfs-smart-contract.js)
+const REPORT_VERIFICATION_ABI = [
+  'function getAllProjectIds() view returns (uint256[])',
+  'function getImpactReport(uint256 projectId, uint256 reportId) view returns (tuple(uint256 projectId, address reporter, uint48 timestamp, string title, string details, bytes32 ipfsHash, uint256 metricValue, bool validated))',
+  'function getProjectImpactReports(uint256 projectId) view returns (tuple(uint256 projectId, address reporter, uint48 timestamp, string title, string details, bytes32 ipfsHash, uint256 metricValue, bool validated)[])',
+  'function getReportValidation(uint256 projectId, uint256 reportId) view returns (tuple(address validator, uint48 validationTime, string validationNotes, bool isValid))',
+  'function getProjectReportStats(uint256 projectId) view returns (uint256 totalReports, uint256 validatedReports, uint256 rejectedReports, uint256 pendingReports, uint256 averageValidationTime)',
+  'function validateImpactReport(uint256 projectId, uint256 reportId, bool isValid, string validationNotes)',
+  'function verifyProject(uint256 projectId, address verifier, string verificationDetails, bytes32 documentHash)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'event ImpactReportValidated(uint256 indexed projectId, uint256 reportId, address validator, bool approved)',
+  'event ProjectVerified(uint256 indexed projectId, address verifier, bytes32 verificationDataHash)'
+];
+
+/**
+ * On-chain value for a CID, computed without touching the CID registry
+ * @private
+ */
+function _expectedBytes32(cid) {
+  return fitsInBytes32(cid) ? ethers.utils.hexlify(parseCid(cid).digest) : keccakCid(cid);
+}
+
+/**
+ * @private
+ */
+function _formatValidation(validation) {
+  if (!validation || validation.validationTime === 0) return null;
+  return {
+    validator: validation.validator,
+    validatedAt: validation.validationTime,
+    notes: validation.validationNotes,
+    approved: validation.isValid
+  };
+}
+
+/**
+ * @private
+ */
+function _formatReport(projectId, reportId, report, validation) {
+  const decision = _formatValidation(validation);
+  let status = 'pending';
+  if (decision) status = decision.approved ? 'approved' : 'rejected';
+  return {
+    projectId: Number(projectId),
+    reportId: Number(reportId),
+    reporter: report.reporter,
+    submittedAt: report.timestamp,
+    title: report.title,
+    details: report.details,
+    reportHash: report.ipfsHash,
+    metricValue: report.metricValue.toString(),
+    status,
+    validation: decision
+  };
+}
+
+/**
+ * Impact report validation and project verification for accounts holding VALIDATOR_ROLE or
+ * VERIFIER_ROLE. Report IDs are indexes into the project's report list, as used by
+ * validateImpactReport and getReportValidation.
+ */
+class ReportVerifier {
+  /**
+   * @param {TerraStakeService} service - Initialized service; provides signer, storage and transactions
+   * @param {Object} options - Verifier options
+   * @param {ethers.Contract} [options.contract] - Contract override (defaults to the service's
+   *   TerraStakeProjects address with REPORT_VERIFICATION_ABI)
+   * @param {number} [options.chunkSize] - Chunk size report content was imported with
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.contract = options.contract || new ethers.Contract(
+      service.contract.address,
+      REPORT_VERIFICATION_ABI,
+      service.signer || service.provider
+    );
+    this.chunkSize = options.chunkSize;
+  }
+
+  /**
+   * Reports that have no validation decision yet
+   * @param {Object} options - Query options
+   * @param {Array<number>} [options.projectIds] - Projects to scan (defaults to every project)
+   * @param {boolean} [options.verifyContent] - Also fetch and hash-check each report's content
+   * @returns {Promise<Array<Object>>} Pending reports, oldest first
+   */
+  async listPendingReports(options = {}) {
+    try {
+      const projectIds = options.projectIds ||
+        (await this.contract.getAllProjectIds()).map(id => id.toNumber());
+      const reportLists = await this.service.multicall.call(projectIds.map(projectId => ({
+        contract: this.contract,
+        method: 'getProjectImpactReports',
+        args: [projectId]
+      })));
+
+      const pending = [];
+      for (let i = 0; i < projectIds.length; i++) {
+        const reports = await this._withValidations(projectIds[i], reportLists[i]);
+        pending.push(...reports.filter(report => report.status === 'pending'));
+      }
+      pending.sort((a, b) => a.submittedAt - b.submittedAt);
+
+      if (!options.verifyContent) return pending;
+      const checked = [];
+      for (const report of pending) {
+        checked.push(await this._checkContent(report));
+      }
+      return checked;
+    } catch (error) {
+      throw normalizeError(error, 'Failed to list pending reports');
+    }
+  }
+
+  /**
+   * Every report of a project with its validation decision
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Reports
+   */
+  async getProjectReports(projectId) {
+    try {
+      return await this._withValidations(projectId, await this.contract.getProjectImpactReports(projectId));
+    } catch (error) {
+      throw normalizeError(error, 'Failed to get impact reports');
+    }
+  }
+
+  /**
+   * Fetch a report's IPFS content and check it against the on-chain hash. The content is
+   * re-chunked locally, so the check holds no matter which gateway or registry served it.
+   * @param {number} projectId - Project ID
+   * @param {number} reportId - Report index
+   * @returns {Promise<Object>} Report with `cid`, `hashVerified`, parsed `content` (migrated to
+   *   the current schema version) and `schemaErrors`
+   */
+  async fetchReport(projectId, reportId) {
+    try {
+      const [report, validation] = await Promise.all([
+        this.contract.getImpactReport(projectId, reportId),
+        this.contract.getReportValidation(projectId, reportId)
+      ]);
+      return await this._checkContent(_formatReport(projectId, reportId, report, validation));
+    } catch (error) {
+      throw normalizeError(error, 'Failed to fetch impact report');
+    }
+  }
+
+  /**
+   * Validation decision of a report
+   * @param {number} projectId - Project ID
+   * @param {number} reportId - Report index
+   * @returns {Promise<Object|null>} { validator, validatedAt, notes, approved }, or null while pending
+   */
+  async getValidation(projectId, reportId) {
+    try {
+      return _formatValidation(await this.contract.getReportValidation(projectId, reportId));
+    } catch (error) {
+      throw normalizeError(error, 'Failed to get report validation');
+    }
+  }
+
+  /**
+   * Per-project report statistics
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Object>} Counts, average seconds from submission to decision, and the
+   *   share of decided reports that were approved (null before any decision)
+   */
+  async getReportStats(projectId) {
+    try {
+      const stats = await this.contract.getProjectReportStats(projectId);
+      const validated = stats.validatedReports.toNumber();
+      const rejected = stats.rejectedReports.toNumber();
+      return {
+        projectId: Number(projectId),
+        totalReports: stats.totalReports.toNumber(),
+        validatedReports: validated,
+        rejectedReports: rejected,
+        pendingReports: stats.pendingReports.toNumber(),
+        averageValidationTime: stats.averageValidationTime.toNumber(),
+        approvalRate: validated + rejected > 0 ? validated / (validated + rejected) : null
+      };
+    } catch (error) {
+      throw normalizeError(error, 'Failed to get report statistics');
+    }
+  }
+
+  /**
+   * Approve a report. Its content is hash-checked first unless `skipContentCheck` is set.
+   * @param {number} projectId - Project ID
+   * @param {number} reportId - Report index
+   * @param {string} [notes] - Validation notes stored on chain
+   * @param {Object} options - Transaction options (speed, onStatus, skipContentCheck)
+   * @returns {Promise<Object>} Transaction result
+   */
+  approveReport(projectId, reportId, notes = '', options = {}) {
+    return this.recordDecision(projectId, reportId, true, notes, options);
+  }
+
+  /**
+   * Reject a report
+   * @param {number} projectId - Project ID
+   * @param {number} reportId - Report index
+   * @param {string} notes - Reason for the rejection, stored on chain
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result
+   */
+  rejectReport(projectId, reportId, notes, options = {}) {
+    if (!notes || !notes.trim()) {
+      return Promise.reject(new InvalidParametersError('Rejecting a report requires notes explaining why'));
+    }
+    return this.recordDecision(projectId, reportId, false, notes, options);
+  }
+
+  /**
+   * Record a validation decision on chain
+   * @param {number} projectId - Project ID
+   * @param {number} reportId - Report index
+   * @param {boolean} approved - Decision
+   * @param {string} notes - Validation notes
+   * @param {Object} options - Transaction options
+   * @param {boolean} [options.skipContentCheck] - Approve without re-checking the IPFS content
+   * @param {string} [options.speed] - Fee speed
+   * @param {Function} [options.onStatus] - Status callback
+   * @returns {Promise<Object>} Transaction result with the checked report when approving
+   */
+  async recordDecision(projectId, reportId, approved, notes, options = {}) {
+    await this._requireRole(PROJECT_ROLES.VALIDATOR_ROLE, 'VALIDATOR_ROLE');
+
+    try {
+      let checked = null;
+      if (approved && !options.skipContentCheck) {
+        if (options.onStatus) options.onStatus('Checking report content...');
+        checked = await this.fetchReport(projectId, reportId);
+        if (!checked.hashVerified) {
+          throw new InvalidParametersError(
+            `Report ${reportId} of project ${projectId} does not match its on-chain hash` +
+            (checked.contentError ? `: ${checked.contentError}` : '')
+          );
+        }
+      }
+
+      const receipt = await this._send('validateImpactReport', [projectId, reportId, approved, notes || ''], options);
+      await this.service.invalidateProject(projectId);
+      if (options.onStatus) options.onStatus(`Report ${approved ? 'approved' : 'rejected'}`);
+
+      return {
+        success: true,
+        approved,
+        report: checked,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        explorerLink: `${this.service.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`
+      };
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to record report validation');
+    }
+  }
+
+  /**
+   * Verify a project, optionally uploading the verification document first. The contract
+   * charges its verification fee in TSTAKE, so the verifier needs an allowance for it.
+   * @param {number} projectId - Project ID
+   * @param {Object} verification - Verification details
+   * @param {string} [verification.notes] - Verifier notes stored on chain
+   * @param {File|Blob|Buffer|string} [verification.document] - Verification document to upload
+   * @param {string} [verification.documentHash] - CID or bytes32 of an already uploaded document
+   * @param {string} [verification.verifier] - Verifier address recorded (defaults to the signer)
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result with the document CID
+   */
+  async verifyProject(projectId, verification = {}, options = {}) {
+    await this._requireRole(PROJECT_ROLES.VERIFIER_ROLE, 'VERIFIER_ROLE');
+    if (!verification.document && !verification.documentHash) {
+      throw new InvalidParametersError('Project verification requires a document or documentHash');
+    }
+
+    try {
+      let cid = null;
+      let documentHash = verification.documentHash;
+      if (verification.document) {
+        if (options.onStatus) options.onStatus('Uploading verification document...');
+        cid = await this.service.uploadToIPFS(verification.document, { onProgress: options.onProgress });
+        documentHash = cid;
+      }
+      if (!ethers.utils.isHexString(documentHash, 32)) {
+        cid = documentHash;
+        documentHash = await this.service._convertIpfsHashToBytes32(documentHash);
+      }
+
+      const verifier = verification.verifier || this.service.userAddress;
+      const receipt = await this._send('verifyProject', [projectId, verifier, verification.notes || '', documentHash], options);
+      await this.service.invalidateProject(projectId);
+      if (options.onStatus) options.onStatus('Project verified');
+
+      return {
+        success: true,
+        cid,
+        documentHash,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        explorerLink: `${this.service.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`
+      };
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to verify project');
+    }
+  }
+
+  /**
+   * Attach validation records to a project's reports
+   * @private
+   */
+  async _withValidations(projectId, reports) {
+    const validations = await this.service.multicall.call(reports.map((report, reportId) => ({
+      contract: this.contract,
+      method: 'getReportValidation',
+      args: [projectId, reportId]
+    })));
+    return reports.map((report, reportId) => _formatReport(projectId, reportId, report, validations[reportId]));
+  }
+
+  /**
+   * Fetch, hash-check and parse a report's content. Retrieval and parse failures are
+   * reported on the result rather than thrown, so one bad report doesn't stop a review queue.
+   * @private
+   */
+  async _checkContent(report) {
+    const checked = { ...report, cid: null, hashVerified: false, content: null, schemaErrors: [] };
+    try {
+      checked.cid = await this.service._convertBytes32ToIpfsHash(report.reportHash);
+      const bytes = await this.service._getBytesFromIPFS(checked.cid);
+
+      const local = await importFile(bytes, { put: async (block, codec) => computeCid(block, codec) }, {
+        chunkSize: this.chunkSize
+      });
+      // Packed hashes decode to CIDv0, local hashing yields CIDv1
+      checked.hashVerified = local.cid === toCidV1(checked.cid) &&
+        _expectedBytes32(local.cid) === report.reportHash.toLowerCase();
+      if (!checked.hashVerified) checked.contentError = `content hashes to ${local.cid}`;
+
+      checked.content = migrateImpactReport(JSON.parse(bytes.toString()));
+      checked.schemaErrors = getMetadataValidator().validate(SCHEMAS.impactReport.$id, checked.content).errors;
+    } catch (error) {
+      checked.contentError = error.message;
+    }
+    return checked;
+  }
+
+  /**
+   * @private
+   */
+  async _requireRole(role, label) {
+    if (!this.service.signer) throw new Error('No signer available. Cannot perform write operations.');
+    const account = this.service.userAddress;
+    if (!(await this.contract.hasRole(role, account))) {
+      throw new InsufficientRoleError(`${account} does not hold ${label}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(method, args, options) {
+    return this.service.txManager.send({
+      contract: this.contract,
+      method,
+      args,
+      speed: options.speed,
+      onStatus: options.onStatus
+    });
+  }
+}
+
+module.exports = {
+  REPORT_VERIFICATION_ABI,
+  ReportVerifier
+};
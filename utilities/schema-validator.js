@@ -0,0 +1,294 @@
+// Dependency-free JSON Schema validator covering the draft 2020-12 keywords used by the
+// schemas in /schemas. Unsupported keywords are ignored rather than rejected.
+const { SchemaValidationError } = require('./errors');
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:[^\s]+$/i.test(value)
+};
+
+/**
+ * JSON type name of a value, distinguishing integers, arrays and null
+ * @private
+ */
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function _matchesType(value, type) {
+  const actual = _typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Structural equality for enum, const and uniqueItems
+ * @private
+ */
+function _equal(a, b) {
+  if (a === b) return true;
+  if (_typeOf(a) !== _typeOf(b) || typeof a !== 'object' || a === null) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => _equal(a[key], b[key]));
+}
+
+/**
+ * Escape a property name for a JSON Pointer
+ * @private
+ */
+function _pointer(path, key) {
+  return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Build the error thrown for failed validation, summarising the first few field errors
+ * @param {Array<Object>} errors - Field errors from SchemaValidator#validate
+ * @param {string} [label] - What was validated
+ * @returns {SchemaValidationError} Error carrying every field error
+ */
+function toSchemaError(errors, label = 'Document') {
+  const summary = errors.slice(0, 3).map(error => `${error.path || '/'} ${error.message}`).join('; ');
+  const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+  return new SchemaValidationError(`${label} is invalid: ${summary}${more}`, { errors });
+}
+
+class SchemaValidator {
+  /**
+   * @param {Array<Object>} schemas - Schemas to register, referenced by their $id
+   */
+  constructor(schemas = []) {
+    this.schemas = new Map();
+    for (const schema of schemas) this.addSchema(schema);
+  }
+
+  /**
+   * Register a schema so it can be validated against or $ref'd by its $id
+   * @param {Object} schema - Schema with an $id
+   */
+  addSchema(schema) {
+    if (!schema || !schema.$id) throw new Error('Schemas must declare an $id');
+    this.schemas.set(schema.$id, schema);
+  }
+
+  /**
+   * Look up a registered schema
+   * @param {string} id - Schema $id
+   * @returns {Object} Schema
+   */
+  getSchema(id) {
+    const schema = this.schemas.get(id);
+    if (!schema) throw new Error(`Unknown schema: ${id}`);
+    return schema;
+  }
+
+  /**
+   * Validate a value, collecting every failure instead of stopping at the first
+   * @param {string|Object} schema - Registered $id or schema object
+   * @param {*} value - Value to validate
+   * @returns {{valid: boolean, errors: Array<Object>}} Field errors: { path, keyword, message },
+   *   with `path` a JSON Pointer into the value ('' for the value itself)
+   */
+  validate(schema, value) {
+    const root = typeof schema === 'string' ? this.getSchema(schema) : schema;
+    const errors = [];
+    this._validate(root, value, '', root, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a value and throw when it does not match
+   * @param {string|Object} schema - Registered $id or schema object
+   * @param {*} value - Value to validate
+   * @param {string} [label] - What is being validated, for the error message
+   * @throws {SchemaValidationError} With the field errors
+   */
+  assert(schema, value, label = 'Document') {
+    const { valid, errors } = this.validate(schema, value);
+    if (!valid) throw toSchemaError(errors, label);
+  }
+
+  /**
+   * Resolve a $ref against the current root or a registered schema
+   * @private
+   */
+  _resolve(ref, root) {
+    const [id, fragment] = ref.split('#');
+    const base = id ? this.getSchema(id) : root;
+    if (!fragment) return { schema: base, root: base };
+
+    let target = base;
+    for (const part of fragment.split('/').slice(1)) {
+      target = target && target[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    if (!target) throw new Error(`Unresolvable schema reference: ${ref}`);
+    return { schema: target, root: base };
+  }
+
+  /**
+   * @private
+   */
+  _validate(schema, value, path, root, errors) {
+    if (schema === true) return;
+    if (schema === false) {
+      errors.push({ path, keyword: 'false', message: 'is not allowed' });
+      return;
+    }
+    const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+    if (schema.$ref) {
+      const resolved = this._resolve(schema.$ref, root);
+      this._validate(resolved.schema, value, path, resolved.root, errors);
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => _matchesType(value, type))) {
+        fail('type', `must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    if (schema.enum && !schema.enum.some(option => _equal(option, value))) {
+      fail('enum', `must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.const !== undefined && !_equal(schema.const, value)) {
+      fail('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') this._validateString(schema, value, fail);
+    if (typeof value === 'number') this._validateNumber(schema, value, fail);
+    if (Array.isArray(value)) this._validateArray(schema, value, path, root, errors, fail);
+    if (_typeOf(value) === 'object') this._validateObject(schema, value, path, root, errors, fail);
+
+    this._validateCombinators(schema, value, path, root, errors, fail);
+  }
+
+  /**
+   * @private
+   */
+  _validateString(schema, value, fail) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateNumber(schema, value, fail) {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateArray(schema, value, path, root, errors, fail) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => _equal(other, item)) !== i)) {
+      fail('uniqueItems', 'must not contain duplicates');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => this._validate(schema.items, item, _pointer(path, i), root, errors));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validateObject(schema, value, path, root, errors, fail) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: _pointer(path, key), keyword: 'required', message: 'is required' });
+      }
+    }
+    for (const [trigger, dependents] of Object.entries(schema.dependentRequired || {})) {
+      if (value[trigger] === undefined) continue;
+      for (const key of dependents.filter(dependent => value[dependent] === undefined)) {
+        errors.push({ path: _pointer(path, key), keyword: 'dependentRequired', message: `is required with ${trigger}` });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key] !== undefined) {
+        this._validate(properties[key], item, _pointer(path, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: _pointer(path, key), keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        this._validate(schema.additionalProperties, item, _pointer(path, key), root, errors);
+      }
+    }
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      fail('minProperties', `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+  }
+
+  /**
+   * allOf, anyOf, oneOf, not and if/then/else
+   * @private
+   */
+  _validateCombinators(schema, value, path, root, errors, fail) {
+    const passes = subschema => {
+      const nested = [];
+      this._validate(subschema, value, path, root, nested);
+      return nested;
+    };
+
+    for (const subschema of schema.allOf || []) this._validate(subschema, value, path, root, errors);
+
+    if (schema.anyOf) {
+      const results = schema.anyOf.map(passes);
+      if (!results.some(result => result.length === 0)) {
+        // Report the closest alternative, which is usually the one the author intended
+        const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+        errors.push(...closest);
+      }
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(subschema => passes(subschema).length === 0).length;
+      if (matches !== 1) fail('oneOf', matches ? 'must match exactly one alternative' : 'must match one alternative');
+    }
+    if (schema.not && passes(schema.not).length === 0) fail('not', 'is not allowed');
+
+    if (schema.if !== undefined) {
+      const branch = passes(schema.if).length === 0 ? schema.then : schema.else;
+      if (branch !== undefined) this._validate(branch, value, path, root, errors);
+    }
+  }
+}
+
+module.exports = {
+  SchemaValidator,
+  FORMATS,
+  toSchemaError
+};
@@ -0,0 +1,678 @@
+// Client for TerraStakeStaking: lock-tier staking, batch stake/unstake, validator
+// operations and reward projections that follow the contract's halving schedule.
+const { ethers } = require('./ethers-v5');
+const {
+  normalizeError,
+  InsufficientFundsError,
+  InsufficientRoleError,
+  InvalidParametersError
+} = require('./errors');
+
+// Functions of TerraStakeStaking (see the note above PROJECT_LIST_ABI in ipfs-smart-contract.js)
+const TERRASTAKE_STAKING_ABI = [
+  'function stake(uint256 projectId, uint256 amount, uint256 duration, bool isLP, bool autoCompound, bool lockBoost)',
+  'function batchStake(uint256[] projectIds, uint256[] amounts, uint256[] durations, bool[] isLP, bool[] autoCompound, bool[] lockBoosts)',
+  'function unstake(uint256 projectId)',
+  'function batchUnstake(uint256[] projectIds)',
+  'function claimRewards(uint256 projectId)',
+  'function becomeValidator()',
+  'function claimValidatorRewards()',
+  'function updateValidatorCommission(uint256 newCommissionRate)',
+  'function calculateRewards(address user, uint256 projectId) view returns (uint256)',
+  'function getUserPositions(address user) view returns (tuple(uint256 amount, uint256 stakingStart, uint256 duration, uint256 lastCheckpoint, uint256 projectId, bool isLPStaker, bool hasNFTBoost, bool autoCompounding, bool isLocked)[])',
+  'function getUserTotalStake(address user) view returns (uint256)',
+  'function getAllTiers() view returns (tuple(uint256 minDuration, uint256 multiplier, bool votingRights)[])',
+  'function getHalvingDetails() view returns (uint256 period, uint256 lastTime, uint256 epoch, uint256 nextHalving)',
+  'function dynamicBaseAPR() view returns (uint256)',
+  'function dynamicBoostedAPR() view returns (uint256)',
+  'function getTotalStaked() view returns (uint256)',
+  'function isValidator(address user) view returns (bool)',
+  'function getValidatorCommission(address validator) view returns (uint256)',
+  'function getValidatorRewardPool() view returns (uint256)',
+  'function getValidatorCount() view returns (uint256)',
+  'function validatorThreshold() view returns (uint256)',
+  'function stakingToken() view returns (address)',
+  'function nftContract() view returns (address)',
+  'event Staked(address indexed user, uint256 projectId, uint256 amount, uint256 duration, uint256 timestamp, uint256 newBalance)',
+  'event Unstaked(address indexed user, uint256 projectId, uint256 amount, uint256 penalty, uint256 timestamp)',
+  'event RewardClaimed(address indexed user, uint256 projectId, uint256 amount, uint256 timestamp)',
+  'event ValidatorRewardsDistributed(address indexed validator, uint256 amount)',
+  'error ZeroAmount()',
+  'error InsufficientStakingDuration(uint256 minimum, uint256 provided)',
+  'error ProjectDoesNotExist(uint256 projectId)',
+  'error NoActiveStakingPosition(address user, uint256 projectId)',
+  'error InvalidParameter(string parameter, uint256 provided)',
+  'error AlreadyValidator(address validator)',
+  'error NotValidator(address account)',
+  'error RateTooHigh(uint256 provided, uint256 maximum)',
+  'error EmergencyPaused()'
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const ERC1155_ABI = ['function balanceOf(address account, uint256 id) view returns (uint256)'];
+
+const YEAR = 365 * 24 * 60 * 60;
+
+// Constants of TerraStakeStaking
+const STAKING_RULES = {
+  minDuration: 30 * 24 * 60 * 60,
+  lockBoostDuration: YEAR,
+  maxBatchSize: 50,
+  lowStakingThreshold: ethers.utils.parseEther('1000000'),
+  nftAprBoost: 10,
+  lpAprBoost: 15,
+  lockAprBoost: 5,
+  basePenaltyPercent: 10,
+  maxPenaltyPercent: 30,
+  // Each halving keeps 65% of both APRs, floored at 1% and 2%
+  halvingRate: 65,
+  minBaseApr: 1,
+  minBoostedApr: 2,
+  // Basis points
+  maxValidatorCommission: 2000
+};
+
+/**
+ * Index of the tier a lock duration falls into, as getApplicableTier computes it
+ * @param {Array<Object>} tiers - Tiers ordered by minDuration
+ * @param {number} duration - Lock duration in seconds
+ * @returns {number} Tier index (0 when below every tier)
+ */
+function applicableTier(tiers, duration) {
+  let index = 0;
+  for (let i = 0; i < tiers.length; i++) {
+    if (duration < tiers[i].minDuration) break;
+    index = i;
+  }
+  return index;
+}
+
+/**
+ * Early-unstake penalty the contract charges: 10% plus up to 20% more in proportion
+ * to the unserved part of the lock
+ * @param {Object} position - Position with amount (BigNumber), stakingStart and duration
+ * @param {number} now - Current block timestamp
+ * @returns {Object} { penalty (BigNumber), percent }
+ */
+function unstakePenalty(position, now) {
+  const elapsed = now - position.stakingStart;
+  if (elapsed >= position.duration) return { penalty: ethers.constants.Zero, percent: 0 };
+
+  const remaining = position.duration - elapsed;
+  const { basePenaltyPercent, maxPenaltyPercent } = STAKING_RULES;
+  const percent = basePenaltyPercent + Math.floor((remaining * (maxPenaltyPercent - basePenaltyPercent)) / position.duration);
+  return { penalty: position.amount.mul(percent).div(100), percent };
+}
+
+/**
+ * Project the APR of a position over a horizon, stepping down at every halving inside it.
+ * Rewards accrue linearly on the staked amount, so the projected APY is the time-weighted
+ * APR. Rates are whole percentages, rounded the way calculateRewards rounds them.
+ * @param {Object} params - Projection inputs
+ * @param {number} params.baseApr - dynamicBaseAPR
+ * @param {number} params.boostedApr - dynamicBoostedAPR (paid while total stake is low)
+ * @param {ethers.BigNumber} params.totalStaked - Total staked in the contract
+ * @param {number} params.tierMultiplier - Multiplier of the position's tier (100 = 1x)
+ * @param {boolean} [params.hasNFTBoost] - Holder of NFT id 1
+ * @param {boolean} [params.isLP] - LP staker
+ * @param {boolean} [params.lockBoost] - Locked for at least a year
+ * @param {number} params.halvingPeriod - Seconds between halvings
+ * @param {number} params.nextHalving - Timestamp of the next halving; an overdue halving is
+ *   applied by the next staking transaction, so it is projected as happening now
+ * @param {number} params.now - Projection start timestamp
+ * @param {number} params.horizon - Projection length in seconds
+ * @param {ethers.BigNumber} [params.amount] - Staked amount, to project rewards
+ * @returns {Object} { currentApr, nextHalvingApr, projectedApy, projectedRewards, segments }
+ */
+function projectApy(params) {
+  const lowStaking = ethers.BigNumber.from(params.totalStaked).lt(STAKING_RULES.lowStakingThreshold);
+  const boosts = (params.hasNFTBoost ? STAKING_RULES.nftAprBoost : 0) +
+    (params.isLP ? STAKING_RULES.lpAprBoost : 0) +
+    (params.lockBoost ? STAKING_RULES.lockAprBoost : 0);
+  const aprFor = rates => Math.floor(((lowStaking ? rates.boosted : rates.base) + boosts) * params.tierMultiplier / 100);
+  const halve = rates => ({
+    base: Math.max(Math.floor(rates.base * STAKING_RULES.halvingRate / 100), STAKING_RULES.minBaseApr),
+    boosted: Math.max(Math.floor(rates.boosted * STAKING_RULES.halvingRate / 100), STAKING_RULES.minBoostedApr)
+  });
+
+  const end = params.now + params.horizon;
+  let rates = { base: params.baseApr, boosted: params.boostedApr };
+  let halving = params.halvingPeriod > 0 ? params.nextHalving : Infinity;
+  let time = params.now;
+  let epochs = 0;
+  const segments = [];
+  while (time < end) {
+    if (halving <= time) {
+      rates = halve(rates);
+      epochs++;
+      // An overdue halving is applied once, and the period restarts from then
+      halving = Math.max(halving, time) + params.halvingPeriod;
+      continue;
+    }
+    const to = Math.min(halving, end);
+    segments.push({ from: time, to, halvings: epochs, apr: aprFor(rates) });
+    time = to;
+  }
+
+  const weighted = segments.reduce((sum, segment) => sum + segment.apr * (segment.to - segment.from), 0);
+  const amount = params.amount ? ethers.BigNumber.from(params.amount) : null;
+  return {
+    currentApr: aprFor({ base: params.baseApr, boosted: params.boostedApr }),
+    nextHalvingApr: aprFor(halve({ base: params.baseApr, boosted: params.boostedApr })),
+    projectedApy: params.horizon > 0 ? weighted / params.horizon : 0,
+    projectedRewards: amount ?
+      segments.reduce((sum, segment) => sum.add(amount.mul(segment.apr).mul(segment.to - segment.from).div(100 * YEAR)), ethers.constants.Zero) :
+      null,
+    segments
+  };
+}
+
+/**
+ * @private
+ */
+function _toTokenAmount(value, label) {
+  let amount;
+  try {
+    amount = ethers.BigNumber.isBigNumber(value) ? value : ethers.utils.parseEther(String(value));
+  } catch (error) {
+    throw new InvalidParametersError(`${label} is not a valid token amount: ${value}`);
+  }
+  if (amount.lte(0)) throw new InvalidParametersError(`${label} must be greater than zero`);
+  return amount;
+}
+
+/**
+ * @private
+ */
+function _toProjectIds(projectIds) {
+  if (!Array.isArray(projectIds) || !projectIds.length) throw new InvalidParametersError('No projects given');
+  if (projectIds.length > STAKING_RULES.maxBatchSize) {
+    throw new InvalidParametersError(`At most ${STAKING_RULES.maxBatchSize} projects per batch`);
+  }
+  return projectIds;
+}
+
+class StakingClient {
+  /**
+   * @param {TerraStakeService} service - Initialized service; provides signer, provider and transactions
+   * @param {Object} options - Client options
+   * @param {string} [options.address] - TerraStakeStaking address (defaults to the deployment manifest)
+   * @param {ethers.Contract} [options.contract] - Contract override
+   * @param {ethers.Contract} [options.token] - Staking token override
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.contract = options.contract || new ethers.Contract(
+      options.address || service.getContractAddress('Staking'),
+      TERRASTAKE_STAKING_ABI,
+      service.signer || service.provider
+    );
+    this._token = options.token || null;
+  }
+
+  /**
+   * Lock tiers, ordered by minimum duration
+   * @returns {Promise<Array<Object>>} { index, minDuration (seconds), multiplier (100 = 1x), votingRights }
+   */
+  async getTiers() {
+    try {
+      const tiers = await this.contract.getAllTiers();
+      return tiers.map((tier, index) => ({
+        index,
+        minDuration: tier.minDuration.toNumber(),
+        multiplier: tier.multiplier.toNumber(),
+        votingRights: tier.votingRights
+      }));
+    } catch (error) {
+      throw normalizeError(error, 'Failed to read staking tiers', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Halving schedule and the current emission rates
+   * @returns {Promise<Object>} { period, lastTime, epoch, nextHalving, baseApr, boostedApr, overdue }
+   */
+  async getHalvingDetails() {
+    try {
+      const [details, baseApr, boostedApr, now] = await Promise.all([
+        this.contract.getHalvingDetails(),
+        this.contract.dynamicBaseAPR(),
+        this.contract.dynamicBoostedAPR(),
+        this._now()
+      ]);
+      const nextHalving = details.nextHalving.toNumber();
+      return {
+        period: details.period.toNumber(),
+        lastTime: details.lastTime.toNumber(),
+        epoch: details.epoch.toNumber(),
+        nextHalving,
+        baseApr: baseApr.toNumber(),
+        boostedApr: boostedApr.toNumber(),
+        // Halvings are applied by the next staking transaction once due
+        overdue: nextHalving <= now
+      };
+    } catch (error) {
+      throw normalizeError(error, 'Failed to read halving details', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Project the APR of a new position through the coming halvings
+   * @param {Object} position - Position terms
+   * @param {number} position.duration - Lock duration in seconds
+   * @param {boolean} [position.isLP] - Stake as LP
+   * @param {boolean} [position.lockBoost] - Lock boost (needs a one-year duration)
+   * @param {boolean} [position.hasNFTBoost] - Defaults to the connected account's NFT holding
+   * @param {string} [position.amount] - Amount in token units, to project rewards
+   * @param {number} [position.horizon] - Seconds to project over (defaults to the duration)
+   * @returns {Promise<Object>} projectApy result plus the tier and halving schedule used
+   */
+  async projectApy(position) {
+    const duration = Number(position.duration);
+    if (!(duration > 0)) throw new InvalidParametersError('duration must be a positive number of seconds');
+
+    try {
+      const [tiers, halving, totalStaked, now, hasNFTBoost] = await Promise.all([
+        this.getTiers(),
+        this.getHalvingDetails(),
+        this.contract.getTotalStaked(),
+        this._now(),
+        position.hasNFTBoost !== undefined ? position.hasNFTBoost : this._hasNFTBoost()
+      ]);
+      const tier = tiers[applicableTier(tiers, duration)];
+
+      return {
+        tier,
+        halving,
+        ...projectApy({
+          baseApr: halving.baseApr,
+          boostedApr: halving.boostedApr,
+          totalStaked,
+          tierMultiplier: tier.multiplier,
+          hasNFTBoost,
+          isLP: position.isLP,
+          lockBoost: position.lockBoost,
+          halvingPeriod: halving.period,
+          nextHalving: halving.nextHalving,
+          now,
+          horizon: position.horizon || duration,
+          amount: position.amount ? _toTokenAmount(position.amount, 'amount') : null
+        })
+      };
+    } catch (error) {
+      throw normalizeError(error, 'Failed to project APY', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Open positions of a user with pending rewards and early-unstake penalties
+   * @param {string} [address] - User address (defaults to the connected account)
+   * @returns {Promise<Array<Object>>} Positions; token amounts in token units
+   */
+  async getPositions(address = null) {
+    const user = address || this.service.userAddress;
+    if (!user) throw new Error('No user address provided or connected');
+
+    try {
+      const [positions, now] = await Promise.all([this.contract.getUserPositions(user), this._now()]);
+      const rewards = await this.service.multicall.call(positions.map(position => ({
+        contract: this.contract,
+        method: 'calculateRewards',
+        args: [user, position.projectId]
+      })));
+
+      return positions.map((position, i) => {
+        const terms = {
+          amount: position.amount,
+          stakingStart: position.stakingStart.toNumber(),
+          duration: position.duration.toNumber()
+        };
+        const { penalty, percent } = unstakePenalty(terms, now);
+        return {
+          projectId: position.projectId.toString(),
+          amount: ethers.utils.formatEther(position.amount),
+          stakingStart: terms.stakingStart,
+          duration: terms.duration,
+          unlocksAt: terms.stakingStart + terms.duration,
+          isLP: position.isLPStaker,
+          hasNFTBoost: position.hasNFTBoost,
+          autoCompounding: position.autoCompounding,
+          lockBoost: position.isLocked,
+          pendingRewards: ethers.utils.formatEther(rewards[i]),
+          unstakePenalty: ethers.utils.formatEther(penalty),
+          unstakePenaltyPercent: percent
+        };
+      });
+    } catch (error) {
+      throw normalizeError(error, 'Failed to read staking positions', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Validator standing of a user
+   * @param {string} [address] - User address (defaults to the connected account)
+   * @returns {Promise<Object>} { isValidator, eligible, commission (basis points), totalStake,
+   *   threshold, rewardPool, validatorCount, estimatedReward }
+   */
+  async getValidatorStatus(address = null) {
+    const user = address || this.service.userAddress;
+    if (!user) throw new Error('No user address provided or connected');
+
+    try {
+      const [isValidator, commission, totalStake, threshold, rewardPool, validatorCount] = await this.service.multicall.call([
+        { contract: this.contract, method: 'isValidator', args: [user] },
+        { contract: this.contract, method: 'getValidatorCommission', args: [user] },
+        { contract: this.contract, method: 'getUserTotalStake', args: [user] },
+        { contract: this.contract, method: 'validatorThreshold', args: [] },
+        { contract: this.contract, method: 'getValidatorRewardPool', args: [] },
+        { contract: this.contract, method: 'getValidatorCount', args: [] }
+      ]);
+      const count = ethers.BigNumber.from(validatorCount);
+
+      return {
+        isValidator,
+        eligible: !isValidator && totalStake.gte(threshold),
+        commission: ethers.BigNumber.from(commission).toNumber(),
+        totalStake: ethers.utils.formatEther(totalStake),
+        threshold: ethers.utils.formatEther(threshold),
+        rewardPool: ethers.utils.formatEther(rewardPool),
+        validatorCount: count.toNumber(),
+        // claimValidatorRewards splits the pool evenly between validators
+        estimatedReward: ethers.utils.formatEther(count.isZero() ? 0 : rewardPool.div(count))
+      };
+    } catch (error) {
+      throw normalizeError(error, 'Failed to read validator status', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Stake on a project for a lock duration, approving the staking token first when needed
+   * @param {number} projectId - Project ID
+   * @param {string} amount - Amount in token units
+   * @param {Object} terms - Position terms
+   * @param {number} terms.duration - Lock duration in seconds (at least 30 days)
+   * @param {boolean} [terms.isLP] - Stake as LP
+   * @param {boolean} [terms.autoCompound] - Re-stake part of each reward
+   * @param {boolean} [terms.lockBoost] - Lock boost (needs a one-year duration)
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async stake(projectId, amount, terms, options = {}) {
+    return this._stake('stake', [{ projectId, amount, ...terms }], options);
+  }
+
+  /**
+   * Stake on several projects in one transaction
+   * @param {Array<Object>} entries - { projectId, amount, duration, isLP, autoCompound, lockBoost }
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result with the total staked
+   */
+  async batchStake(entries, options = {}) {
+    return this._stake('batchStake', entries, options);
+  }
+
+  /**
+   * Validate entries, approve their total and send stake or batchStake
+   * @private
+   */
+  async _stake(method, entries, options) {
+    try {
+      _toProjectIds(entries.map(entry => entry.projectId));
+      const stakes = entries.map(entry => this._validateStake(entry));
+      const total = stakes.reduce((sum, entry) => sum.add(entry.amount), ethers.constants.Zero);
+
+      await this._ensureAllowance(total, options);
+      const args = method === 'stake' ?
+        [stakes[0].projectId, stakes[0].amount, stakes[0].duration, stakes[0].isLP, stakes[0].autoCompound, stakes[0].lockBoost] :
+        ['projectId', 'amount', 'duration', 'isLP', 'autoCompound', 'lockBoost'].map(field => stakes.map(entry => entry[field]));
+
+      if (options.onStatus) options.onStatus(`Staking ${ethers.utils.formatEther(total)} on ${stakes.length} project(s)...`);
+      const receipt = await this._send(method, args, options);
+      for (const entry of stakes) await this.service.invalidateProject(entry.projectId);
+      return this._result(receipt, { amount: ethers.utils.formatEther(total) });
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to stake', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Withdraw a whole position. Pending rewards are claimed in the same transaction.
+   * @param {number} projectId - Project ID
+   * @param {Object} options - Transaction options
+   * @param {boolean} [options.acceptPenalty] - Required to unstake before the lock ends
+   * @returns {Promise<Object>} Transaction result with the expected payout and penalty
+   */
+  async unstake(projectId, options = {}) {
+    return this._unstake('unstake', [projectId], options);
+  }
+
+  /**
+   * Withdraw several positions in one transaction
+   * @param {number[]} projectIds - Project IDs
+   * @param {Object} options - Transaction options (acceptPenalty, speed, onStatus)
+   * @returns {Promise<Object>} Transaction result with the expected payout and penalty
+   */
+  async batchUnstake(projectIds, options = {}) {
+    return this._unstake('batchUnstake', projectIds, options);
+  }
+
+  /**
+   * Unstake after previewing payouts; early exits need options.acceptPenalty
+   * @private
+   */
+  async _unstake(method, projectIds, options) {
+    try {
+      const ids = _toProjectIds(projectIds).map(String);
+      const positions = await this.getPositions();
+      const selected = ids.map(projectId => {
+        const position = positions.find(entry => entry.projectId === projectId);
+        if (!position) throw new InsufficientFundsError(`No staking position on project ${projectId}`);
+        return position;
+      });
+
+      const penalised = selected.filter(position => position.unstakePenaltyPercent > 0);
+      if (penalised.length && !options.acceptPenalty) {
+        throw new InvalidParametersError(`Unstaking before the lock ends costs a penalty: ${penalised
+          .map(position => `project ${position.projectId} loses ${position.unstakePenalty} (${position.unstakePenaltyPercent}%) until ${new Date(position.unlocksAt * 1000).toISOString()}`)
+          .join('; ')}. Pass acceptPenalty to proceed.`);
+      }
+
+      const sum = field => selected.reduce((total, position) => total.add(ethers.utils.parseEther(position[field])), ethers.constants.Zero);
+      const penalty = sum('unstakePenalty');
+      const payout = sum('amount').sub(penalty);
+
+      if (options.onStatus) options.onStatus(`Unstaking ${selected.length} position(s)...`);
+      const receipt = await this._send(method, method === 'unstake' ? [ids[0]] : [ids], options);
+      for (const projectId of ids) await this.service.invalidateProject(projectId);
+      return this._result(receipt, { payout: ethers.utils.formatEther(payout), penalty: ethers.utils.formatEther(penalty) });
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to unstake', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Claim the pending rewards of a position. Auto-compounding positions re-stake 20% of them.
+   * @param {number} projectId - Project ID
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result with the claimed amount
+   */
+  async claimRewards(projectId, options = {}) {
+    try {
+      const receipt = await this._send('claimRewards', [projectId], options);
+      const claimed = receipt.events.find(event => event.event === 'RewardClaimed');
+      return this._result(receipt, { rewardAmount: ethers.utils.formatEther(claimed ? claimed.args.amount : 0) });
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to claim staking rewards', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Register the connected account as a validator; its total stake must meet the threshold
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async becomeValidator(options = {}) {
+    try {
+      const status = await this.getValidatorStatus();
+      if (status.isValidator) throw new InvalidParametersError(`${this.service.userAddress} is already a validator`);
+      if (!status.eligible) {
+        throw new InsufficientFundsError(`Validators need ${status.threshold} staked; ${this.service.userAddress} has ${status.totalStake}`);
+      }
+      return this._result(await this._send('becomeValidator', [], options));
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to become a validator', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Claim the connected validator's share of the validator reward pool
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result with the claimed amount
+   */
+  async claimValidatorRewards(options = {}) {
+    try {
+      await this._requireValidator();
+      const receipt = await this._send('claimValidatorRewards', [], options);
+      const distributed = receipt.events.find(event => event.event === 'ValidatorRewardsDistributed');
+      return this._result(receipt, { rewardAmount: ethers.utils.formatEther(distributed ? distributed.args.amount : 0) });
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to claim validator rewards', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * @param {number} rate - New commission in basis points (at most 2000, i.e. 20%)
+   * @param {Object} options - Transaction options (speed, onStatus)
+   * @returns {Promise<Object>} Transaction result
+   */
+  async updateValidatorCommission(rate, options = {}) {
+    try {
+      const value = Number(rate);
+      if (!Number.isInteger(value) || value < 0 || value > STAKING_RULES.maxValidatorCommission) {
+        throw new InvalidParametersError(`Commission must be an integer between 0 and ${STAKING_RULES.maxValidatorCommission} basis points`);
+      }
+      await this._requireValidator();
+      return this._result(await this._send('updateValidatorCommission', [value], options), { commission: value });
+    } catch (error) {
+      if (options.onStatus) options.onStatus(`Error: ${error.message}`);
+      throw normalizeError(error, 'Failed to update validator commission', { interfaces: [TERRASTAKE_STAKING_ABI] });
+    }
+  }
+
+  /**
+   * Check a stake entry the way stake/batchStake do
+   * @private
+   */
+  _validateStake(entry) {
+    const duration = Number(entry.duration);
+    if (!Number.isInteger(duration) || duration < STAKING_RULES.minDuration) {
+      throw new InvalidParametersError(`Lock duration must be at least ${STAKING_RULES.minDuration} seconds (30 days)`);
+    }
+    if (entry.lockBoost && duration < STAKING_RULES.lockBoostDuration) {
+      throw new InvalidParametersError('Lock boost requires a lock duration of at least one year');
+    }
+    return {
+      projectId: entry.projectId,
+      amount: _toTokenAmount(entry.amount, `Amount for project ${entry.projectId}`),
+      duration,
+      isLP: Boolean(entry.isLP),
+      autoCompound: Boolean(entry.autoCompound),
+      lockBoost: Boolean(entry.lockBoost)
+    };
+  }
+
+  /**
+   * Approve the staking contract for `amount` when the current allowance is lower
+   * @private
+   */
+  async _ensureAllowance(amount, options) {
+    if (!this.service.signer) throw new Error('No signer available. Cannot perform write operations.');
+    if (!this._token) {
+      this._token = new ethers.Contract(await this.contract.stakingToken(), ERC20_ABI, this.service.signer);
+    }
+    const allowance = await this._token.allowance(this.service.userAddress, this.contract.address);
+    if (allowance.gte(amount)) return;
+
+    if (options.onStatus) options.onStatus(`Approving ${ethers.utils.formatEther(amount)} for staking...`);
+    await this.service.txManager.send({
+      contract: this._token,
+      method: 'approve',
+      args: [this.contract.address, amount],
+      speed: options.speed,
+      onStatus: options.onStatus
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _requireValidator() {
+    if (!(await this.contract.isValidator(this.service.userAddress))) {
+      throw new InsufficientRoleError(`${this.service.userAddress} is not a validator`);
+    }
+  }
+
+  /**
+   * Whether the connected account holds the boost NFT (id 1)
+   * @private
+   */
+  async _hasNFTBoost() {
+    if (!this.service.userAddress) return false;
+    const nft = new ethers.Contract(await this.contract.nftContract(), ERC1155_ABI, this.service.provider);
+    return (await nft.balanceOf(this.service.userAddress, 1)).gt(0);
+  }
+
+  /**
+   * Latest block timestamp; lock and halving times are compared against chain time
+   * @private
+   */
+  async _now() {
+    const block = await this.service.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  /**
+   * @private
+   */
+  _send(method, args, options) {
+    if (!this.service.signer) throw new Error('No signer available. Cannot perform write operations.');
+    return this.service.txManager.send({
+      contract: this.contract,
+      method,
+      args,
+      speed: options.speed,
+      onStatus: options.onStatus
+    });
+  }
+
+  /**
+   * @private
+   */
+  _result(receipt, extra = {}) {
+    return {
+      success: true,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      explorerLink: `${this.service.networkConfig.blockExplorer}/tx/${receipt.transactionHash}`,
+      ...extra
+    };
+  }
+}
+
+module.exports = {
+  TERRASTAKE_STAKING_ABI,
+  STAKING_RULES,
+  StakingClient,
+  applicableTier,
+  unstakePenalty,
+  projectApy
+};
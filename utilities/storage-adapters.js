@@ -0,0 +1,503 @@
+// Storage adapters for TerraStakeService content (documents, metadata, reports)
+const { Buffer } = require('buffer');
+const { CODECS, computeCid, parseCid, toCidV1 } = require('./cid-codec');
+const {
+  UNIXFS_TYPES,
+  decodeDagPb,
+  decodeUnixFs,
+  importFile,
+  exportFile,
+  encodeDirectoryNode
+} = require('./unixfs');
+
+/**
+ * Convert supported upload inputs into a single Buffer
+ * @param {File|Blob|Buffer|Uint8Array|ArrayBuffer|string|AsyncIterable} data - Input data
+ * @returns {Promise<Buffer>} Buffered content
+ */
+async function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data);
+  if (data instanceof Uint8Array) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (data && typeof data.arrayBuffer === 'function') {
+    return Buffer.from(await data.arrayBuffer());
+  }
+  if (data && typeof data[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of data) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+  throw new Error('Unsupported content type for storage upload');
+}
+
+/**
+ * Collect an async iterable of chunks into a Buffer
+ * @param {AsyncIterable<Uint8Array>} iterable - Chunk source
+ * @returns {Promise<Buffer>} Concatenated content
+ */
+async function collect(iterable) {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Base class describing the storage adapter interface used by TerraStakeService.
+ * Implementations must provide `add` and `cat`; `has` defaults to a small read.
+ * Streaming uploads (`addStream`) additionally need `putBlock` and `addDirectory`.
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store content and return its CID
+   * @param {File|Blob|Buffer|string|Array<{path: string, content: *}>} content - Content or directory entries
+   * @param {Object} options - Upload options
+   * @param {boolean} [options.pin] - Pin the content on the backend
+   * @param {boolean} [options.wrapWithDirectory] - Wrap directory entries into a single root
+   * @param {Function} [options.onProgress] - Called with the number of bytes processed
+   * @returns {Promise<string>} CID of the stored content (directory root when wrapping)
+   */
+  async add(content, options = {}) {
+    throw new Error(`${this.name} storage adapter does not implement add()`);
+  }
+
+  /**
+   * Store a single block
+   * @param {Uint8Array} bytes - Block bytes
+   * @param {number} codec - Multicodec of the block (CODECS.RAW or CODECS.DAG_PB)
+   * @returns {Promise<string>} CIDv1 of the block
+   */
+  async putBlock(bytes, codec) {
+    throw new Error(`${this.name} storage adapter does not support block storage`);
+  }
+
+  /**
+   * Store content read from a stream as a chunked UnixFS file
+   * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} source - Content
+   * @param {Object} options - Import options (see importFile)
+   * @param {boolean} [options.pin] - Pin the file root on the backend
+   * @returns {Promise<{cid: string, size: number}>} Root CID and size in bytes
+   */
+  async addStream(source, options = {}) {
+    return importFile(source, { put: (bytes, codec) => this.putBlock(bytes, codec) }, options);
+  }
+
+  /**
+   * Store a directory linking to already stored content
+   * @param {Array<{name: string, cid: string, size: number}>} entries - Directory entries
+   * @param {Object} options - Directory options
+   * @param {boolean} [options.pin] - Pin the directory on the backend
+   * @returns {Promise<string>} Directory CID
+   */
+  async addDirectory(entries, options = {}) {
+    throw new Error(`${this.name} storage adapter does not support directories`);
+  }
+
+  /**
+   * Stream stored content
+   * @param {string} cid - CID, optionally followed by a path (`<cid>/metadata.json`)
+   * @param {Object} options - Read options
+   * @param {number} [options.offset] - Byte offset to start from
+   * @param {number} [options.length] - Maximum number of bytes to return
+   * @returns {AsyncIterable<Uint8Array>} Content chunks
+   */
+  async *cat(cid, options = {}) {
+    throw new Error(`${this.name} storage adapter does not implement cat()`);
+  }
+
+  /**
+   * Check whether content is retrievable from this backend
+   * @param {string} cid - CID to check
+   * @returns {Promise<boolean>} True if the content can be read
+   */
+  async has(cid) {
+    try {
+      for await (const chunk of this.cat(cid, { length: 1 })) {
+        break;
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List CIDs pinned (or stored) by this backend
+   * @returns {AsyncIterable<string>} Pinned CIDs
+   */
+  async *listPins() {
+    throw new Error(`${this.name} storage adapter does not support listing pins`);
+  }
+}
+
+/**
+ * Adapter for an IPFS HTTP API endpoint (Infura, a local Kubo node, pinning services)
+ */
+class IpfsHttpStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.url - IPFS HTTP API URL
+   * @param {string} [options.authKey] - `project:secret` credentials for basic auth
+   * @param {number} [options.timeout] - Request timeout in ms
+   * @param {Object} [options.client] - Pre-built ipfs-http-client instance
+   */
+  constructor(options = {}) {
+    super('ipfs-http');
+    this.url = options.url;
+    this.authKey = options.authKey;
+    this.timeout = options.timeout;
+    this._client = options.client || null;
+  }
+
+  /**
+   * Lazily create the IPFS client so offline environments never load it
+   * @returns {Object} ipfs-http-client instance
+   * @private
+   */
+  _getClient() {
+    if (!this._client) {
+      const { create } = require('ipfs-http-client');
+      const auth = this.authKey ?
+        'Basic ' + Buffer.from(this.authKey).toString('base64') : '';
+
+      this._client = create({
+        url: this.url,
+        headers: {
+          authorization: auth
+        },
+        timeout: this.timeout
+      });
+    }
+    return this._client;
+  }
+
+  async add(content, options = {}) {
+    const ipfs = this._getClient();
+    const addOptions = {
+      pin: options.pin !== false,
+      progress: options.onProgress || undefined,
+      wrapWithDirectory: !!options.wrapWithDirectory
+    };
+
+    if (Array.isArray(content)) {
+      // The wrapping directory is the last entry yielded by addAll
+      let root = null;
+      for await (const entry of ipfs.addAll(content, addOptions)) {
+        root = entry;
+      }
+      if (!root) throw new Error('IPFS returned no entries for directory upload');
+      return root.cid.toString();
+    }
+
+    const result = await ipfs.add(content, addOptions);
+    return result.cid.toString();
+  }
+
+  async putBlock(bytes, codec) {
+    const expected = computeCid(bytes, codec);
+    const cid = await this._getClient().block.put(bytes, {
+      format: codec === CODECS.DAG_PB ? 'dag-pb' : 'raw',
+      mhtype: 'sha2-256',
+      version: 1,
+      pin: false
+    });
+    if (cid.toString() !== expected) {
+      throw new Error(`IPFS node stored block as ${cid}, expected ${expected}`);
+    }
+    return expected;
+  }
+
+  async addStream(source, options = {}) {
+    // Blocks are put unpinned; pinning the root pins the whole DAG
+    const result = await super.addStream(source, options);
+    if (options.pin !== false) await this._getClient().pin.add(result.cid);
+    return result;
+  }
+
+  async addDirectory(entries, options = {}) {
+    const cid = await this.putBlock(encodeDirectoryNode(entries), CODECS.DAG_PB);
+    if (options.pin !== false) await this._getClient().pin.add(cid);
+    return cid;
+  }
+
+  async *cat(cid, options = {}) {
+    yield* this._getClient().cat(cid, options);
+  }
+
+  async *listPins() {
+    for await (const pin of this._getClient().pin.ls({ type: 'recursive' })) {
+      yield pin.cid.toString();
+    }
+  }
+}
+
+/**
+ * Read-only adapter for a plain HTTP gateway (`<gateway>/ipfs/<cid>`)
+ */
+class HttpGatewayStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Gateway options
+   * @param {string} options.gatewayUrl - Gateway base URL, e.g. https://ipfs.io
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor(options = {}) {
+    super('http-gateway');
+    this.gatewayUrl = (options.gatewayUrl || '').replace(/\/+$/, '');
+    this._fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+  }
+
+  async add() {
+    throw new Error('HTTP gateway storage is read-only');
+  }
+
+  async *cat(cid, options = {}) {
+    if (!this._fetch) throw new Error('No fetch implementation available for HTTP gateway');
+
+    const headers = {};
+    if (options.offset !== undefined || options.length !== undefined) {
+      const start = options.offset || 0;
+      const end = options.length !== undefined ? start + options.length - 1 : '';
+      headers.Range = `bytes=${start}-${end}`;
+    }
+
+    const response = await this._fetch(`${this.gatewayUrl}/ipfs/${cid}`, { headers });
+    if (!response.ok) {
+      throw new Error(`Gateway responded with ${response.status} for ${cid}`);
+    }
+
+    let content = Buffer.from(await response.arrayBuffer());
+    // Gateways that ignore Range return the full body
+    if (response.status !== 206 && headers.Range) {
+      content = _slice(content, options);
+    }
+    yield content;
+  }
+}
+
+function _slice(content, options) {
+  const start = options.offset || 0;
+  const end = options.length !== undefined ? start + options.length : undefined;
+  return content.subarray(start, end);
+}
+
+/**
+ * Shared logic for adapters that content-address blocks themselves
+ * (filesystem and memory). Directories are UnixFS dag-pb nodes, as on an IPFS node.
+ * @private
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  async _readBlock(cid) {
+    throw new Error(`${this.name} storage adapter does not implement _readBlock()`);
+  }
+
+  async _writeBlock(cid, bytes) {
+    throw new Error(`${this.name} storage adapter does not implement _writeBlock()`);
+  }
+
+  async putBlock(bytes, codec) {
+    const cid = computeCid(bytes, codec);
+    await this._writeBlock(cid, bytes);
+    return cid;
+  }
+
+  async add(content, options = {}) {
+    let processed = 0;
+    const report = (size) => {
+      processed += size;
+      if (options.onProgress) options.onProgress(processed);
+    };
+
+    if (!Array.isArray(content)) {
+      const bytes = await toBuffer(content);
+      const cid = await this.putBlock(bytes, CODECS.RAW);
+      report(bytes.length);
+      return cid;
+    }
+
+    const entries = [];
+    for (const entry of content) {
+      const bytes = await toBuffer(entry.content);
+      const cid = await this.putBlock(bytes, CODECS.RAW);
+      report(bytes.length);
+      entries.push({ name: entry.path, cid, size: bytes.length });
+    }
+
+    if (!options.wrapWithDirectory) {
+      return entries[entries.length - 1].cid;
+    }
+    return this.addDirectory(entries);
+  }
+
+  async addDirectory(entries, options = {}) {
+    return this.putBlock(encodeDirectoryNode(entries), CODECS.DAG_PB);
+  }
+
+  /**
+   * Resolve `<cid>/<path>` against stored directory blocks
+   * @param {string} cidPath - CID with optional path
+   * @returns {Promise<{cid: string, bytes: Buffer, isDirectory: boolean}>} Resolved block
+   * @private
+   */
+  async _resolve(cidPath) {
+    const [rootCid, ...segments] = cidPath.replace(/^\/?ipfs\//, '').split('/').filter(Boolean);
+    // Blocks are keyed by CIDv1; on-chain hashes decode to the CIDv0 of the same block
+    let cid = toCidV1(rootCid);
+    let bytes = await this._readBlock(cid);
+
+    for (const segment of segments) {
+      if (!this._isDirectory(cid, bytes)) throw new Error(`${cid} is not a directory`);
+      const link = decodeDagPb(bytes).links.find(l => l.name === segment);
+      if (!link) throw new Error(`No link named "${segment}" under ${cid}`);
+      cid = toCidV1(link.cid);
+      bytes = await this._readBlock(cid);
+    }
+
+    return { cid, bytes, isDirectory: this._isDirectory(cid, bytes) };
+  }
+
+  _isDirectory(cid, bytes) {
+    if (parseCid(cid).codec !== CODECS.DAG_PB) return false;
+    const { data } = decodeDagPb(bytes);
+    return !!data && decodeUnixFs(data).type === UNIXFS_TYPES.DIRECTORY;
+  }
+
+  async *cat(cid, options = {}) {
+    const resolved = await this._resolve(cid);
+    if (resolved.isDirectory) throw new Error(`${cid} is a directory`);
+    // Chunked files are a dag-pb tree over raw leaves
+    if (parseCid(resolved.cid).codec === CODECS.DAG_PB) {
+      yield* exportFile(resolved.cid, block => this._readBlock(block), options);
+      return;
+    }
+    yield _slice(resolved.bytes, options);
+  }
+
+  async has(cid) {
+    try {
+      await this._resolve(cid);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Content-addressed store on the local filesystem (one file per block)
+ */
+class FileSystemStorageAdapter extends LocalStorageAdapter {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Root directory for stored blocks
+   */
+  constructor(options = {}) {
+    super('filesystem');
+    // Required lazily so browser bundles that never use this adapter do not need fs
+    this._fs = require('fs');
+    this._path = require('path');
+    this.directory = this._path.resolve(options.directory || './ipfs_cache');
+    this._fs.mkdirSync(this._blockDir(), { recursive: true });
+  }
+
+  _blockDir() {
+    return this._path.join(this.directory, 'blocks');
+  }
+
+  _blockPath(cid) {
+    if (!/^[a-z2-7]+$/.test(cid)) throw new Error(`Invalid CID: ${cid}`);
+    return this._path.join(this._blockDir(), cid);
+  }
+
+  async _readBlock(cid) {
+    try {
+      return await this._fs.promises.readFile(this._blockPath(cid));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error(`Content not found: ${cid}`);
+      throw error;
+    }
+  }
+
+  async _writeBlock(cid, bytes) {
+    const target = this._blockPath(cid);
+    if (this._fs.existsSync(target)) return;
+
+    // Write through a temp file so readers never see partial blocks
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await this._fs.promises.writeFile(tmp, bytes);
+    await this._fs.promises.rename(tmp, target);
+  }
+
+  async *listPins() {
+    for (const name of await this._fs.promises.readdir(this._blockDir())) {
+      if (!name.endsWith('.tmp')) yield name;
+    }
+  }
+}
+
+/**
+ * In-memory store, intended for tests and offline development
+ */
+class MemoryStorageAdapter extends LocalStorageAdapter {
+  constructor() {
+    super('memory');
+    this.blocks = new Map();
+  }
+
+  async _readBlock(cid) {
+    const bytes = this.blocks.get(cid);
+    if (!bytes) throw new Error(`Content not found: ${cid}`);
+    return bytes;
+  }
+
+  async _writeBlock(cid, bytes) {
+    this.blocks.set(cid, Buffer.from(bytes));
+  }
+
+  async *listPins() {
+    yield* this.blocks.keys();
+  }
+}
+
+/**
+ * Build a storage adapter from configuration
+ * @param {Object} config - Adapter configuration
+ * @param {string} config.adapter - One of 'ipfs-http', 'gateway', 'filesystem', 'memory'
+ * @returns {StorageAdapter} Configured adapter
+ */
+function createStorageAdapter(config = {}) {
+  switch (config.adapter || 'ipfs-http') {
+    case 'ipfs-http':
+      return new IpfsHttpStorageAdapter({
+        url: config.primary,
+        authKey: config.authKey,
+        timeout: config.timeout
+      });
+    case 'gateway':
+      return new HttpGatewayStorageAdapter({ gatewayUrl: config.fallback });
+    case 'filesystem':
+      return new FileSystemStorageAdapter({ directory: config.localStorePath });
+    case 'memory':
+      return new MemoryStorageAdapter();
+    default:
+      throw new Error(`Unknown storage adapter: ${config.adapter}`);
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  IpfsHttpStorageAdapter,
+  HttpGatewayStorageAdapter,
+  FileSystemStorageAdapter,
+  MemoryStorageAdapter,
+  createStorageAdapter,
+  toBuffer,
+  collect
+};
@@ -0,0 +1,266 @@
+// Write transaction queueing, local nonce tracking and stuck-transaction replacement
+const { EventEmitter } = require('events');
+const { ethers } = require('./ethers-v5');
+const { ContractRevertError, NonceError } = require('./errors');
+
+const FEE_FIELDS = ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends contract writes through a per-signer queue. Nonces are assigned locally so
+ * several writes can be in flight at once; a transaction still pending after
+ * `stuckTimeout` is re-sent with the same nonce and bumped fees.
+ *
+ * Lifecycle events, each with the transaction record:
+ * 'queued', 'sent', 'replaced', 'mined', 'confirmed', 'failed'.
+ */
+class TransactionManager extends EventEmitter {
+  /**
+   * @param {Object} options - Manager options
+   * @param {ethers.providers.Provider} options.provider - Provider used to watch receipts
+   * @param {Function} [options.getFeeData] - Async (speed) => { gasPrice } or EIP-1559 fees
+   * @param {number} [options.confirmations] - Blocks to wait after inclusion
+   * @param {number} [options.gasLimitMultiplier] - Buffer applied to gas estimates
+   * @param {number} [options.feeBumpPercent] - Fee increase per replacement (nodes require >= 10)
+   * @param {number} [options.stuckTimeout] - ms without inclusion before replacing
+   * @param {number} [options.maxReplacements] - Replacements before giving up on bumping
+   * @param {number} [options.pollInterval] - ms between receipt checks
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.provider) throw new Error('TransactionManager requires a provider');
+
+    this.provider = options.provider;
+    this.getFeeData = options.getFeeData || (async () => ({ gasPrice: await this.provider.getGasPrice() }));
+    this.confirmations = options.confirmations !== undefined ? options.confirmations : 3;
+    this.gasLimitMultiplier = options.gasLimitMultiplier || 1.3;
+    this.feeBumpPercent = options.feeBumpPercent || 15;
+    this.stuckTimeout = options.stuckTimeout || 120000;
+    this.maxReplacements = options.maxReplacements !== undefined ? options.maxReplacements : 3;
+    this.pollInterval = options.pollInterval || 4000;
+
+    this.signers = new Map(); // address -> { queue, nextNonce }
+    this.transactions = new Map(); // id -> record
+    this._nextId = 1;
+  }
+
+  /**
+   * Queue a contract write and wait until it is confirmed
+   * @param {Object} request - Write request
+   * @param {ethers.Contract} request.contract - Contract connected to a signer
+   * @param {string} request.method - Contract method name
+   * @param {Array} [request.args] - Method arguments
+   * @param {ethers.BigNumber} [request.value] - ETH value to send
+   * @param {ethers.BigNumber|number} [request.gasLimit] - Skip estimation and use this limit
+   * @param {string} [request.speed] - Fee preset passed to getFeeData
+   * @param {Function} [request.onStatus] - Status message callback
+   * @returns {Promise<Object>} Receipt with `events` decoded by the contract interface
+   */
+  async send(request) {
+    const signer = request.contract.signer;
+    if (!signer) throw new Error('No signer available. Cannot perform write operations.');
+
+    const from = await signer.getAddress();
+    const record = {
+      id: this._nextId++,
+      method: request.method,
+      from,
+      nonce: null,
+      hash: null,
+      hashes: [],
+      replacements: 0,
+      status: 'queued',
+      queuedAt: Date.now()
+    };
+    this.transactions.set(record.id, record);
+    this._update(record, 'queued');
+
+    try {
+      await this._enqueue(from, () => this._submit(record, request, signer));
+      if (request.onStatus) request.onStatus(`Transaction submitted: ${record.hash}`);
+
+      const receipt = await this._waitForInclusion(record, signer, request);
+      if (receipt.status === 0) {
+        throw new ContractRevertError(`Transaction ${receipt.transactionHash} reverted`);
+      }
+      this._update(record, 'mined', { receipt });
+
+      if (this.confirmations > 1) {
+        await this.provider.waitForTransaction(receipt.transactionHash, this.confirmations);
+      }
+      this._decodeEvents(receipt, request.contract);
+      this._update(record, 'confirmed', { receipt });
+      return receipt;
+    } catch (error) {
+      this._update(record, 'failed', { error });
+      throw error;
+    } finally {
+      this.transactions.delete(record.id);
+    }
+  }
+
+  /**
+   * Transactions that have not yet been confirmed or failed
+   * @returns {Array<Object>} Pending records
+   */
+  getPending() {
+    return [...this.transactions.values()];
+  }
+
+  /**
+   * Forget the locally tracked nonce for a signer so it is re-read from the chain
+   * @param {string} address - Signer address
+   */
+  resetNonce(address) {
+    const state = this.signers.get(address);
+    if (state) state.nextNonce = null;
+  }
+
+  /**
+   * Run a task after every earlier task for the same signer has been sent
+   * @private
+   */
+  _enqueue(address, task) {
+    if (!this.signers.has(address)) {
+      this.signers.set(address, { queue: Promise.resolve(), nextNonce: null });
+    }
+    const state = this.signers.get(address);
+    const result = state.queue.then(task);
+    state.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Estimate, assign a nonce and broadcast
+   * @returns {Promise<ethers.providers.TransactionResponse>} Sent transaction
+   * @private
+   */
+  async _submit(record, request, signer) {
+    const state = this.signers.get(record.from);
+    const overrides = request.value ? { value: request.value } : {};
+
+    let gasLimit = request.gasLimit;
+    if (!gasLimit) {
+      const estimate = await request.contract.estimateGas[request.method](...(request.args || []), overrides);
+      gasLimit = Math.ceil(estimate.toNumber() * this.gasLimitMultiplier);
+    }
+
+    if (state.nextNonce === null) {
+      state.nextNonce = await this.provider.getTransactionCount(record.from, 'pending');
+    }
+
+    const populated = await request.contract.populateTransaction[request.method](...(request.args || []), {
+      ...overrides,
+      ...(await this.getFeeData(request.speed)),
+      gasLimit,
+      nonce: state.nextNonce
+    });
+
+    try {
+      const tx = await signer.sendTransaction(populated);
+      state.nextNonce++;
+      record.nonce = tx.nonce;
+      record.request = populated;
+      record.hashes.push(tx.hash);
+      this._update(record, 'sent', { hash: tx.hash });
+      return tx;
+    } catch (error) {
+      // The chain disagrees with our nonce (e.g. a tx sent from another wallet); resync next time
+      if (error.code === 'NONCE_EXPIRED' || /nonce/i.test(error.message)) state.nextNonce = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Poll for a receipt of any of the record's hashes, replacing the transaction when stuck
+   * @private
+   */
+  async _waitForInclusion(record, signer, request) {
+    let lastSentAt = Date.now();
+
+    for (;;) {
+      for (const hash of record.hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt && receipt.blockNumber) return receipt;
+      }
+
+      // Our nonce was used by a transaction we did not send
+      const minedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+      if (minedNonce > record.nonce) {
+        await sleep(this.pollInterval);
+        for (const hash of record.hashes) {
+          const receipt = await this.provider.getTransactionReceipt(hash);
+          if (receipt && receipt.blockNumber) return receipt;
+        }
+        this.resetNonce(record.from);
+        throw new NonceError(`Nonce ${record.nonce} was used by another transaction`);
+      }
+
+      if (Date.now() - lastSentAt >= this.stuckTimeout && record.replacements < this.maxReplacements) {
+        await this._replace(record, signer, request);
+        lastSentAt = Date.now();
+      }
+
+      await sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Re-send a pending transaction with the same nonce and bumped fees
+   * @private
+   */
+  async _replace(record, signer, request) {
+    const current = await this.getFeeData(request.speed);
+    const fees = {};
+    for (const field of FEE_FIELDS) {
+      if (record.request[field] === undefined) continue;
+      const bumped = ethers.BigNumber.from(record.request[field]).mul(100 + this.feeBumpPercent).div(100);
+      fees[field] = current[field] && bumped.lt(current[field]) ? ethers.BigNumber.from(current[field]) : bumped;
+    }
+
+    const replacement = { ...record.request, ...fees };
+    const previousHash = record.hash;
+    try {
+      const tx = await signer.sendTransaction(replacement);
+      record.request = replacement;
+      record.replacements++;
+      record.hashes.push(tx.hash);
+      this._update(record, 'replaced', { hash: tx.hash, previousHash });
+      if (request.onStatus) request.onStatus(`Transaction replaced with higher fees: ${tx.hash}`);
+    } catch (error) {
+      // The original may have been mined in the meantime; keep polling
+      console.warn(`Failed to replace transaction ${previousHash}:`, error.message);
+    }
+  }
+
+  /**
+   * Attach contract-decoded logs as `receipt.events`, matching ethers' tx.wait()
+   * @private
+   */
+  _decodeEvents(receipt, contract) {
+    receipt.events = receipt.logs.map(log => {
+      const event = { ...log };
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) return event;
+      try {
+        const parsed = contract.interface.parseLog(log);
+        event.event = parsed.name;
+        event.eventSignature = parsed.signature;
+        event.args = parsed.args;
+      } catch (error) {
+        // Log from an event missing in the ABI
+      }
+      return event;
+    });
+  }
+
+  _update(record, status, fields = {}) {
+    Object.assign(record, fields, { status, updatedAt: Date.now() });
+    const { request, ...snapshot } = record;
+    this.emit(status, snapshot);
+  }
+}
+
+module.exports = {
+  TransactionManager
+};
@@ -0,0 +1,433 @@
+// UnixFS import/export: streams are split into fixed-size raw leaves and linked
+// into a balanced dag-pb tree, so large evidence files never sit in memory whole
+const { Buffer } = require('buffer');
+const {
+  CODECS,
+  HASH_SHA2_256,
+  parseCid,
+  formatCid,
+  computeCid,
+  encodeVarint,
+  decodeVarint
+} = require('./cid-codec');
+const { InvalidParametersError } = require('./errors');
+
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+// Links per dag-pb node, as in go-unixfs' balanced layout
+const MAX_LINKS = 174;
+// Leaves between onCheckpoint calls
+const CHECKPOINT_INTERVAL = 64;
+
+const UNIXFS_TYPES = {
+  RAW: 0,
+  DIRECTORY: 1,
+  FILE: 2
+};
+
+// Protobuf wire types used by dag-pb and UnixFS
+const WIRE_VARINT = 0;
+const WIRE_BYTES = 2;
+
+function _varintField(field, value) {
+  return Buffer.from([...encodeVarint(field * 8 + WIRE_VARINT), ...encodeVarint(value)]);
+}
+
+function _bytesField(field, bytes) {
+  return Buffer.concat([
+    Buffer.from([...encodeVarint(field * 8 + WIRE_BYTES), ...encodeVarint(bytes.length)]),
+    Buffer.from(bytes)
+  ]);
+}
+
+/**
+ * Iterate protobuf fields as { field, wireType, value }
+ * @private
+ */
+function* _readFields(bytes) {
+  let offset = 0;
+  const read = () => {
+    const { value, length } = decodeVarint(bytes, offset);
+    offset += length;
+    return value;
+  };
+
+  while (offset < bytes.length) {
+    const key = read();
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    if (wireType === WIRE_VARINT) {
+      yield { field, wireType, value: read() };
+    } else if (wireType === WIRE_BYTES) {
+      const length = read();
+      if (offset + length > bytes.length) throw new Error('Truncated protobuf field');
+      yield { field, wireType, value: bytes.subarray(offset, offset + length) };
+      offset += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Binary form of a CID, as stored in dag-pb links
+ * @private
+ */
+function _cidBytes(cid) {
+  const { version, codec, hashCode, digest } = parseCid(cid);
+  const multihash = [...encodeVarint(hashCode), ...encodeVarint(digest.length), ...digest];
+  return Buffer.from(version === 0 ? multihash : [...encodeVarint(1), ...encodeVarint(codec), ...multihash]);
+}
+
+/**
+ * @private
+ */
+function _cidFromBytes(bytes) {
+  // A bare sha2-256 multihash is a CIDv0
+  if (bytes[0] === HASH_SHA2_256 && bytes[1] === 32 && bytes.length === 34) {
+    return formatCid({ version: 0, codec: CODECS.DAG_PB, hashCode: HASH_SHA2_256, digest: bytes.subarray(2) });
+  }
+
+  let offset = 0;
+  const read = () => {
+    const { value, length } = decodeVarint(bytes, offset);
+    offset += length;
+    return value;
+  };
+  const version = read();
+  const codec = read();
+  const hashCode = read();
+  const digestLength = read();
+  return formatCid({ version, codec, hashCode, digest: bytes.subarray(offset, offset + digestLength) });
+}
+
+/**
+ * Encode a dag-pb node (links are written before data, as the spec requires)
+ * @param {Object} node - Node contents
+ * @param {Array<{cid: string, name: string, tsize: number}>} node.links - Child links
+ * @param {Uint8Array} [node.data] - UnixFS data
+ * @returns {Buffer} Encoded node
+ */
+function encodeDagPb({ links = [], data }) {
+  const parts = links.map(link => {
+    const fields = [_bytesField(1, _cidBytes(link.cid))];
+    if (link.name !== undefined) fields.push(_bytesField(2, Buffer.from(link.name)));
+    fields.push(_varintField(3, link.tsize));
+    return _bytesField(2, Buffer.concat(fields));
+  });
+  if (data) parts.push(_bytesField(1, data));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode a dag-pb node
+ * @param {Uint8Array} bytes - Encoded node
+ * @returns {{links: Array<{cid: string, name: string, tsize: number}>, data: Uint8Array|null}} Node
+ */
+function decodeDagPb(bytes) {
+  const node = { links: [], data: null };
+  for (const { field, value } of _readFields(bytes)) {
+    if (field === 1) {
+      node.data = value;
+    } else if (field === 2) {
+      const link = { cid: null, name: '', tsize: 0 };
+      for (const linkField of _readFields(value)) {
+        if (linkField.field === 1) link.cid = _cidFromBytes(linkField.value);
+        if (linkField.field === 2) link.name = Buffer.from(linkField.value).toString();
+        if (linkField.field === 3) link.tsize = linkField.value;
+      }
+      node.links.push(link);
+    }
+  }
+  return node;
+}
+
+/**
+ * Encode UnixFS node data
+ * @param {Object} unixfs - UnixFS fields
+ * @param {number} unixfs.type - One of UNIXFS_TYPES
+ * @param {number} [unixfs.filesize] - Total file size
+ * @param {number[]} [unixfs.blocksizes] - Size of the file data under each link
+ * @returns {Buffer} Encoded data
+ */
+function encodeUnixFs({ type, filesize, blocksizes = [] }) {
+  const parts = [_varintField(1, type)];
+  if (filesize !== undefined) parts.push(_varintField(3, filesize));
+  for (const size of blocksizes) parts.push(_varintField(4, size));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode UnixFS node data
+ * @param {Uint8Array} bytes - Encoded data
+ * @returns {{type: number, data: Uint8Array|null, filesize: number, blocksizes: number[]}} UnixFS fields
+ */
+function decodeUnixFs(bytes) {
+  const unixfs = { type: null, data: null, filesize: 0, blocksizes: [] };
+  for (const { field, wireType, value } of _readFields(bytes)) {
+    if (field === 1) unixfs.type = value;
+    if (field === 2) unixfs.data = value;
+    if (field === 3) unixfs.filesize = value;
+    if (field === 4) {
+      // blocksizes may be packed by other encoders
+      if (wireType === WIRE_BYTES) {
+        for (let offset = 0; offset < value.length;) {
+          const varint = decodeVarint(value, offset);
+          unixfs.blocksizes.push(varint.value);
+          offset += varint.length;
+        }
+      } else {
+        unixfs.blocksizes.push(value);
+      }
+    }
+  }
+  return unixfs;
+}
+
+/**
+ * Encode a UnixFS directory node (links sorted by name)
+ * @param {Array<{name: string, cid: string, size: number}>} entries - Directory entries
+ * @returns {Buffer} dag-pb node
+ */
+function encodeDirectoryNode(entries) {
+  const links = [...entries]
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .map(entry => ({ cid: entry.cid, name: entry.name, tsize: entry.size }));
+  return encodeDagPb({ links, data: encodeUnixFs({ type: UNIXFS_TYPES.DIRECTORY }) });
+}
+
+/**
+ * Whether upload input can be read more than once (and so retried)
+ * @param {*} source - Upload input
+ * @returns {boolean} False for streams and iterators
+ */
+function isReplayable(source) {
+  // Derived sources (e.g. encrypted content) declare whether they can be iterated again
+  if (source && typeof source.replayable === 'boolean') return source.replayable;
+  if (typeof source === 'string' || source instanceof Uint8Array || source instanceof ArrayBuffer) return true;
+  return !!source && typeof source.arrayBuffer === 'function' && typeof source.getReader !== 'function';
+}
+
+/**
+ * Byte length of upload input when it is known up front
+ * @param {*} source - Upload input
+ * @returns {number|null} Size in bytes, or null for streams
+ */
+function contentLength(source) {
+  if (typeof source === 'string') return Buffer.byteLength(source);
+  if (source instanceof Uint8Array || source instanceof ArrayBuffer) return source.byteLength;
+  if (source && typeof source.size === 'number') return source.size;
+  return null;
+}
+
+/**
+ * @private
+ */
+function _toChunk(value) {
+  if (typeof value === 'string') return Buffer.from(value);
+  if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  return Buffer.from(value);
+}
+
+/**
+ * Read any supported input as a sequence of Buffers
+ * @private
+ */
+async function* _readSource(source) {
+  if (source === null || source === undefined) throw new Error('No content provided');
+  if (typeof source === 'string' || source instanceof Uint8Array || source instanceof ArrayBuffer) {
+    yield _toChunk(source);
+    return;
+  }
+
+  // Blob / File: read as a stream where supported so the whole file is never buffered
+  if (typeof source.stream === 'function') {
+    source = source.stream();
+  } else if (typeof source.arrayBuffer === 'function') {
+    yield Buffer.from(await source.arrayBuffer());
+    return;
+  }
+
+  // WHATWG ReadableStream (browser files, fetch bodies)
+  if (typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield _toChunk(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  // Node Readable streams and other (async) iterables
+  if (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function') {
+    for await (const chunk of source) yield _toChunk(chunk);
+    return;
+  }
+  throw new Error('Unsupported content type for storage upload');
+}
+
+/**
+ * Split input into fixed-size chunks (the last one may be shorter)
+ * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} source - Upload input
+ * @param {number} chunkSize - Chunk size in bytes
+ * @returns {AsyncIterable<Buffer>} Chunks; empty input yields one empty chunk
+ */
+async function* chunkSource(source, chunkSize = DEFAULT_CHUNK_SIZE) {
+  let pending = [];
+  let pendingLength = 0;
+  let emitted = false;
+
+  for await (const piece of _readSource(source)) {
+    let offset = 0;
+    while (offset < piece.length) {
+      const take = Math.min(chunkSize - pendingLength, piece.length - offset);
+      pending.push(piece.subarray(offset, offset + take));
+      pendingLength += take;
+      offset += take;
+      if (pendingLength === chunkSize) {
+        yield Buffer.concat(pending, pendingLength);
+        emitted = true;
+        pending = [];
+        pendingLength = 0;
+      }
+    }
+  }
+
+  if (pendingLength || !emitted) yield Buffer.concat(pending, pendingLength);
+}
+
+/**
+ * Import input as a UnixFS file with raw leaves and a balanced tree of dag-pb nodes.
+ * Single-chunk files still get a dag-pb root, so every file CID packs into a bytes32.
+ * @param {File|Blob|ReadableStream|AsyncIterable|Buffer|string} source - Upload input
+ * @param {Object} store - Block store with put(bytes, codec) returning the block CID
+ * @param {Object} options - Import options
+ * @param {number} [options.chunkSize] - Leaf size in bytes (default 256KiB)
+ * @param {number} [options.maxSize] - Abort once more than this many bytes were read
+ * @param {Function} [options.onProgress] - Called with the number of bytes imported so far
+ * @param {Object} [options.checkpoint] - Checkpoint from an earlier, interrupted import of the same content
+ * @param {Function} [options.onCheckpoint] - Called periodically with a checkpoint to persist
+ * @returns {Promise<{cid: string, size: number}>} Root CID and file size
+ */
+async function importFile(source, store, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  // Checkpoints only describe imports made with the same chunking
+  const stored = options.checkpoint && options.checkpoint.chunkSize === chunkSize ?
+    options.checkpoint.leaves :
+    [];
+
+  const leaves = [];
+  let size = 0;
+  for await (const chunk of chunkSource(source, chunkSize)) {
+    size += chunk.length;
+    if (options.maxSize !== undefined && size > options.maxSize) {
+      throw new InvalidParametersError(`Content exceeds the maximum size of ${options.maxSize} bytes`);
+    }
+
+    // Leaves an earlier attempt already stored are hashed locally instead of re-sent
+    let cid = computeCid(chunk, CODECS.RAW);
+    const previous = stored[leaves.length];
+    if (!previous || previous.cid !== cid) {
+      cid = await store.put(chunk, CODECS.RAW);
+    }
+    leaves.push({ cid, size: chunk.length });
+
+    if (options.onProgress) options.onProgress(size);
+    if (options.onCheckpoint && leaves.length % CHECKPOINT_INTERVAL === 0) {
+      await options.onCheckpoint({ chunkSize, leaves: leaves.slice() });
+    }
+  }
+
+  let level = leaves.map(leaf => ({ cid: leaf.cid, size: leaf.size, tsize: leaf.size }));
+  do {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) {
+      const children = level.slice(i, i + MAX_LINKS);
+      const bytes = encodeDagPb({
+        links: children.map(child => ({ cid: child.cid, name: '', tsize: child.tsize })),
+        data: encodeUnixFs({
+          type: UNIXFS_TYPES.FILE,
+          filesize: children.reduce((total, child) => total + child.size, 0),
+          blocksizes: children.map(child => child.size)
+        })
+      });
+      parents.push({
+        cid: await store.put(bytes, CODECS.DAG_PB),
+        size: children.reduce((total, child) => total + child.size, 0),
+        tsize: children.reduce((total, child) => total + child.tsize, bytes.length)
+      });
+    }
+    level = parents;
+  } while (level.length > 1);
+
+  return { cid: level[0].cid, size };
+}
+
+/**
+ * Stream a UnixFS file (or raw block) from a block source
+ * @param {string} cid - Root CID
+ * @param {Function} getBlock - Async function returning the bytes of a CID
+ * @param {Object} options - Read options
+ * @param {number} [options.offset] - Byte offset to start from
+ * @param {number} [options.length] - Maximum number of bytes to return
+ * @returns {AsyncIterable<Buffer>} File content
+ */
+async function* exportFile(cid, getBlock, options = {}) {
+  const start = options.offset || 0;
+  const end = options.length !== undefined ? start + options.length : Infinity;
+  yield* _exportRange(cid, getBlock, 0, start, end);
+}
+
+/**
+ * @private
+ */
+async function* _exportRange(cid, getBlock, nodeStart, start, end) {
+  const bytes = await getBlock(cid);
+  if (parseCid(cid).codec === CODECS.RAW) {
+    const from = Math.max(start - nodeStart, 0);
+    const to = Math.min(end - nodeStart, bytes.length);
+    if (to > from) yield Buffer.from(bytes).subarray(from, to);
+    return;
+  }
+
+  const node = decodeDagPb(bytes);
+  const unixfs = decodeUnixFs(node.data || Buffer.alloc(0));
+  if (unixfs.type !== UNIXFS_TYPES.FILE && unixfs.type !== UNIXFS_TYPES.RAW) {
+    throw new Error(`${cid} is not a UnixFS file`);
+  }
+
+  // Small files built by other importers may inline their bytes in the node
+  let position = nodeStart;
+  if (unixfs.data && unixfs.data.length) {
+    const from = Math.max(start - position, 0);
+    const to = Math.min(end - position, unixfs.data.length);
+    if (to > from) yield Buffer.from(unixfs.data).subarray(from, to);
+    position += unixfs.data.length;
+  }
+
+  for (let i = 0; i < node.links.length && position < end; i++) {
+    const linkSize = unixfs.blocksizes[i];
+    if (position + linkSize > start) {
+      yield* _exportRange(node.links[i].cid, getBlock, position, start, end);
+    }
+    position += linkSize;
+  }
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  UNIXFS_TYPES,
+  encodeDagPb,
+  decodeDagPb,
+  encodeUnixFs,
+  decodeUnixFs,
+  encodeDirectoryNode,
+  isReplayable,
+  contentLength,
+  chunkSource,
+  importFile,
+  exportFile
+};
@@ -0,0 +1,184 @@
+// Persisted batch upload sessions so interrupted document uploads can be resumed
+const hash = require('hash.js');
+const { ethers } = require('./ethers-v5');
+const { chunkSource } = require('./unixfs');
+
+/**
+ * Session store keeping the manifest in memory (tests, single-process retries)
+ */
+class MemorySessionStore {
+  constructor(initial = null) {
+    this.manifest = initial;
+  }
+
+  async load() {
+    return this.manifest;
+  }
+
+  async save(manifest) {
+    this.manifest = JSON.parse(JSON.stringify(manifest));
+  }
+}
+
+/**
+ * Session store persisting the manifest to a JSON file
+ */
+class FileSessionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Manifest file location
+   */
+  constructor(options = {}) {
+    if (!options.path) throw new Error('FileSessionStore requires a path');
+    // Required lazily so browser bundles that never use this store do not need fs
+    this._fs = require('fs');
+    this._path = require('path');
+    this.path = this._path.resolve(options.path);
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await this._fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read upload session ${this.path}: ${error.message}`);
+    }
+  }
+
+  async save(manifest) {
+    // Concurrent uploads save as they finish; queue writes so they share one temp file safely
+    const data = JSON.stringify(manifest, null, 2);
+    const write = (this._pending || Promise.resolve()).catch(() => {}).then(() => this._write(data));
+    this._pending = write;
+    return write;
+  }
+
+  /**
+   * @private
+   */
+  async _write(data) {
+    await this._fs.promises.mkdir(this._path.dirname(this.path), { recursive: true });
+
+    // Write through a temp file so a crash never leaves a truncated manifest
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await this._fs.promises.writeFile(tmp, data);
+    await this._fs.promises.rename(tmp, this.path);
+  }
+}
+
+/**
+ * SHA-256 digest identifying a file's content across runs
+ * @param {Uint8Array} content - File bytes
+ * @returns {string} 0x-prefixed hex digest
+ */
+function digestContent(content) {
+  return ethers.utils.sha256(content);
+}
+
+/**
+ * SHA-256 digest of upload input, read chunk by chunk so large files are never buffered
+ * @param {File|Blob|Buffer|Uint8Array|string} source - Upload input
+ * @returns {Promise<string>} 0x-prefixed hex digest, as digestContent returns for the same bytes
+ */
+async function digestSource(source) {
+  const digest = hash.sha256();
+  for await (const chunk of chunkSource(source)) digest.update(chunk);
+  return `0x${digest.digest('hex')}`;
+}
+
+/**
+ * Manifest of one batch upload: a file entry per input with its digest, CID and
+ * status ('pending', 'uploaded', 'submitted' or 'failed'). Saved after every change.
+ */
+class UploadSession {
+  /**
+   * @param {Object} store - Session store with load() and save(manifest)
+   * @param {Object} manifest - Session manifest
+   * @private
+   */
+  constructor(store, manifest) {
+    this.store = store;
+    this.manifest = manifest;
+  }
+
+  /**
+   * Load the session in a store, or start a new one
+   * @param {Object} store - Session store
+   * @param {Object} scope - { projectId, chainId } the session belongs to
+   * @returns {Promise<UploadSession>} Session
+   */
+  static async open(store, scope) {
+    const manifest = await store.load();
+    const projectId = String(scope.projectId);
+    if (manifest) {
+      if (manifest.projectId !== projectId || manifest.chainId !== scope.chainId) {
+        throw new Error(`Upload session belongs to project ${manifest.projectId} on chain ${manifest.chainId}, not project ${projectId} on chain ${scope.chainId}`);
+      }
+      return new UploadSession(store, manifest);
+    }
+
+    const now = Date.now();
+    return new UploadSession(store, {
+      version: 1,
+      projectId,
+      chainId: scope.chainId,
+      createdAt: now,
+      updatedAt: now,
+      files: []
+    });
+  }
+
+  get files() {
+    return this.manifest.files;
+  }
+
+  /**
+   * Entry for a file, reusing one from an earlier run with the same digest
+   * @param {Object} file - { name, type, size, digest }
+   * @param {Set<Object>} claimed - Entries already matched in this run (handles duplicate files)
+   * @returns {Object} File entry
+   */
+  match(file, claimed) {
+    let entry = this.files.find(item => item.digest === file.digest && item.name === file.name && !claimed.has(item)) ||
+      this.files.find(item => item.digest === file.digest && !claimed.has(item));
+    if (!entry) {
+      entry = { name: file.name, type: file.type, size: file.size, digest: file.digest, cid: null, status: 'pending' };
+      this.files.push(entry);
+    }
+    claimed.add(entry);
+    return entry;
+  }
+
+  /**
+   * Update entries and persist the manifest
+   * @param {Object|Object[]} entries - Entries to update
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<void>}
+   */
+  async update(entries, fields) {
+    for (const entry of [].concat(entries)) Object.assign(entry, fields);
+    await this.save();
+  }
+
+  async save() {
+    this.manifest.updatedAt = Date.now();
+    await this.store.save(this.manifest);
+  }
+
+  /**
+   * @returns {Object} Counts of entries per status
+   */
+  summary() {
+    const counts = { pending: 0, uploaded: 0, submitted: 0, failed: 0 };
+    for (const entry of this.files) counts[entry.status]++;
+    return counts;
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  UploadSession,
+  digestContent,
+  digestSource
+};
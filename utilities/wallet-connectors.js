@@ -0,0 +1,382 @@
+// Wallet connectors: EIP-6963 injected wallet discovery and WalletConnect-style remote signers
+const { EventEmitter } = require('events');
+const { ethers } = require('./ethers-v5');
+
+// Info reported for a bare window.ethereum when no wallet answers EIP-6963
+const LEGACY_INJECTED_INFO = { uuid: 'injected', name: 'Injected wallet', icon: null, rdns: null };
+
+// Methods a remote signer answers; everything else is a read served by the network RPC
+const REMOTE_SIGNER_METHODS = [
+  'eth_sendTransaction',
+  'eth_signTransaction',
+  'eth_sign',
+  'personal_sign',
+  'eth_signTypedData',
+  'eth_signTypedData_v4',
+  'wallet_switchEthereumChain',
+  'wallet_addEthereumChain'
+];
+
+/**
+ * Error carrying an EIP-1193 provider error code
+ * @private
+ */
+function _providerError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Base class for wallet connectors. A connector exposes an EIP-1193 `provider` once
+ * connected and emits 'accountsChanged' (string[]), 'chainChanged' (number) and 'disconnect'.
+ */
+class WalletConnector extends EventEmitter {
+  /**
+   * @param {Object} info - Wallet description { uuid, name, icon, rdns }
+   */
+  constructor(info) {
+    super();
+    this.info = info;
+    this.provider = null;
+    this.accounts = [];
+    this.chainId = null;
+  }
+
+  /**
+   * Request account access
+   * @returns {Promise<Object>} { accounts, chainId }
+   */
+  async connect() {
+    throw new Error(`${this.info.name} connector does not implement connect()`);
+  }
+
+  /**
+   * Drop the session and stop emitting events
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this._setAccounts([]);
+  }
+
+  /**
+   * Ask the wallet to switch chains, adding the chain first if the wallet does not know it
+   * @param {Object} network - Registry network { chainId, name, rpcUrl, blockExplorer }
+   * @returns {Promise<void>}
+   */
+  async switchChain(network) {
+    if (!this.provider) throw new Error(`${this.info.name} is not connected`);
+    const chainId = ethers.utils.hexValue(network.chainId);
+
+    try {
+      await this.provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (switchError) {
+      // 4902: the chain has not been added to the wallet
+      if (switchError.code !== 4902) throw switchError;
+      await this.provider.request({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId,
+          chainName: network.name,
+          nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+          rpcUrls: [network.rpcUrl],
+          blockExplorerUrls: network.blockExplorer ? [network.blockExplorer] : []
+        }]
+      });
+    }
+    this._setChainId(network.chainId);
+  }
+
+  /**
+   * @private
+   */
+  _setAccounts(accounts) {
+    const normalized = (accounts || []).map(account => ethers.utils.getAddress(account));
+    if (normalized.join() === this.accounts.join()) return;
+    this.accounts = normalized;
+    this.emit('accountsChanged', normalized);
+  }
+
+  /**
+   * @private
+   */
+  _setChainId(chainId) {
+    const value = ethers.BigNumber.from(chainId).toNumber();
+    if (value === this.chainId) return;
+    const previous = this.chainId;
+    this.chainId = value;
+    // The first chain ID learnt on connect is not a change
+    if (previous !== null) this.emit('chainChanged', value);
+  }
+}
+
+/**
+ * Connector for an injected EIP-1193 wallet (announced via EIP-6963 or window.ethereum)
+ */
+class InjectedConnector extends WalletConnector {
+  /**
+   * @param {Object} options - Connector options
+   * @param {Object} options.provider - EIP-1193 provider
+   * @param {Object} [options.info] - EIP-6963 provider info
+   */
+  constructor(options = {}) {
+    if (!options.provider) throw new Error('InjectedConnector requires an EIP-1193 provider');
+    super(options.info || LEGACY_INJECTED_INFO);
+    this.provider = options.provider;
+    this._handlers = null;
+  }
+
+  async connect() {
+    const accounts = await this.provider.request({ method: 'eth_requestAccounts' });
+    this._setChainId(await this.provider.request({ method: 'eth_chainId' }));
+    this._setAccounts(accounts);
+    this._listen();
+    return { accounts: this.accounts, chainId: this.chainId };
+  }
+
+  async disconnect() {
+    if (this._handlers && typeof this.provider.removeListener === 'function') {
+      for (const [event, handler] of Object.entries(this._handlers)) {
+        this.provider.removeListener(event, handler);
+      }
+    }
+    this._handlers = null;
+    await super.disconnect();
+    this.emit('disconnect');
+  }
+
+  /**
+   * Forward wallet events once; wallets without `on` simply never report changes
+   * @private
+   */
+  _listen() {
+    if (this._handlers || typeof this.provider.on !== 'function') return;
+    this._handlers = {
+      accountsChanged: accounts => this._setAccounts(accounts),
+      chainChanged: chainId => this._setChainId(chainId),
+      disconnect: () => this.disconnect()
+    };
+    for (const [event, handler] of Object.entries(this._handlers)) {
+      this.provider.on(event, handler);
+    }
+  }
+}
+
+/**
+ * Connector for a WalletConnect-style remote signer. The client only signs; reads go to
+ * the network's JSON-RPC endpoint. Client interface:
+ * - connect({ chainIds }) -> { accounts, chainId }
+ * - request({ method, params, chainId }) -> result
+ * - disconnect()
+ * - on/removeListener for 'session_update' ({ accounts, chainId }) and 'session_delete'
+ */
+class RemoteSignerConnector extends WalletConnector {
+  /**
+   * @param {Object} options - Connector options
+   * @param {Object} options.client - Remote signer client
+   * @param {Object} options.rpcUrls - JSON-RPC URL per chain ID, used for reads
+   * @param {Object} [options.info] - Wallet description
+   */
+  constructor(options = {}) {
+    if (!options.client) throw new Error('RemoteSignerConnector requires a client');
+    super(options.info || { uuid: 'remote-signer', name: 'Remote signer', icon: null, rdns: null });
+    this.client = options.client;
+    this.rpcUrls = options.rpcUrls || {};
+    this._readProviders = new Map();
+    this.provider = { request: ({ method, params }) => this._request(method, params || []) };
+
+    this._onSessionUpdate = ({ accounts, chainId }) => {
+      if (chainId !== undefined) this._setChainId(chainId);
+      if (accounts) this._setAccounts(accounts);
+    };
+    this._onSessionDelete = () => {
+      this._unsubscribe();
+      this._setAccounts([]);
+      this.emit('disconnect');
+    };
+  }
+
+  /**
+   * @param {Object} options - Connect options
+   * @param {number[]} [options.chainIds] - Chains the session should cover (defaults to rpcUrls keys)
+   */
+  async connect(options = {}) {
+    const chainIds = options.chainIds || Object.keys(this.rpcUrls).map(Number);
+    const session = await this.client.connect({ chainIds });
+    this._setChainId(session.chainId);
+    this._setAccounts(session.accounts);
+    this.client.on('session_update', this._onSessionUpdate);
+    this.client.on('session_delete', this._onSessionDelete);
+    return { accounts: this.accounts, chainId: this.chainId };
+  }
+
+  async disconnect() {
+    this._unsubscribe();
+    await this.client.disconnect();
+    await super.disconnect();
+    this.emit('disconnect');
+  }
+
+  /**
+   * @private
+   */
+  _unsubscribe() {
+    this.client.removeListener('session_update', this._onSessionUpdate);
+    this.client.removeListener('session_delete', this._onSessionDelete);
+  }
+
+  /**
+   * EIP-1193 request routing
+   * @private
+   */
+  async _request(method, params) {
+    switch (method) {
+      case 'eth_accounts':
+        return this.accounts;
+      case 'eth_requestAccounts':
+        if (!this.accounts.length) await this.connect();
+        return this.accounts;
+      case 'eth_chainId':
+        return ethers.utils.hexValue(this.chainId);
+      default:
+        break;
+    }
+
+    if (REMOTE_SIGNER_METHODS.includes(method)) {
+      if (!this.accounts.length) throw _providerError(4100, 'Remote signer is not connected');
+      return this.client.request({ method, params, chainId: this.chainId });
+    }
+    return this._readProvider().send(method, params);
+  }
+
+  /**
+   * @private
+   */
+  _readProvider() {
+    const url = this.rpcUrls[this.chainId];
+    if (!url) throw _providerError(4901, `No RPC URL configured for chain ${this.chainId}`);
+    if (!this._readProviders.has(this.chainId)) {
+      this._readProviders.set(this.chainId, new ethers.providers.StaticJsonRpcProvider(url, this.chainId));
+    }
+    return this._readProviders.get(this.chainId);
+  }
+}
+
+/**
+ * Local stand-in for a remote signer, backed by an ethers Wallet. Useful in tests and
+ * scripts that exercise the remote signer flow without a relay.
+ */
+class MockRemoteSigner extends EventEmitter {
+  /**
+   * @param {Object} options - Mock options
+   * @param {ethers.Wallet} [options.wallet] - Signing wallet (random when omitted)
+   * @param {number[]} options.chainIds - Chains the mock wallet supports
+   * @param {ethers.providers.Provider} [options.provider] - Provider used to broadcast eth_sendTransaction
+   * @param {boolean} [options.approve] - Set false to reject connection requests
+   */
+  constructor(options = {}) {
+    super();
+    this.wallet = options.wallet || ethers.Wallet.createRandom();
+    this.chainIds = options.chainIds || [];
+    this.provider = options.provider || null;
+    this.approve = options.approve !== false;
+    this.session = null;
+  }
+
+  async connect({ chainIds = [] } = {}) {
+    if (!this.approve) throw _providerError(4001, 'User rejected the request.');
+    const chainId = chainIds.find(id => this.chainIds.includes(id)) || this.chainIds[0];
+    this.session = { accounts: [this.wallet.address], chainId };
+    return { ...this.session };
+  }
+
+  async request({ method, params = [] }) {
+    if (!this.session) throw _providerError(4100, 'No session');
+
+    switch (method) {
+      case 'personal_sign': {
+        const [message] = params;
+        return this.wallet.signMessage(ethers.utils.isHexString(message) ? ethers.utils.arrayify(message) : message);
+      }
+      case 'eth_signTypedData_v4': {
+        const { domain, types, message } = typeof params[1] === 'string' ? JSON.parse(params[1]) : params[1];
+        const { EIP712Domain, ...messageTypes } = types;
+        return this.wallet._signTypedData(domain, messageTypes, message);
+      }
+      case 'eth_signTransaction':
+        return this.wallet.signTransaction(this._toTransaction(params[0]));
+      case 'eth_sendTransaction': {
+        if (!this.provider) throw _providerError(4200, 'Mock signer has no provider to broadcast with');
+        const tx = await this.wallet.connect(this.provider).sendTransaction(this._toTransaction(params[0]));
+        return tx.hash;
+      }
+      case 'wallet_switchEthereumChain': {
+        const chainId = ethers.BigNumber.from(params[0].chainId).toNumber();
+        if (!this.chainIds.includes(chainId)) throw _providerError(4902, `Unrecognized chain ID ${chainId}`);
+        this.updateSession({ chainId });
+        return null;
+      }
+      default:
+        throw _providerError(4200, `Unsupported method ${method}`);
+    }
+  }
+
+  async disconnect() {
+    this.session = null;
+    this.emit('session_delete');
+  }
+
+  /**
+   * Simulate a wallet-side account or chain change
+   * @param {Object} update - { accounts, chainId }
+   */
+  updateSession(update) {
+    this.session = { ...this.session, ...update };
+    this.emit('session_update', update);
+  }
+
+  /**
+   * JSON-RPC transaction object to an ethers TransactionRequest
+   * @private
+   */
+  _toTransaction(request) {
+    const { gas, from, ...tx } = request;
+    return { ...tx, gasLimit: gas !== undefined ? gas : tx.gasLimit, chainId: this.session.chainId };
+  }
+}
+
+/**
+ * Discover injected wallets via EIP-6963, falling back to window.ethereum
+ * @param {Object} options - Discovery options
+ * @param {Object} [options.window] - Window to query (defaults to the global window)
+ * @param {number} [options.timeout] - ms to wait for announcements
+ * @returns {Promise<InjectedConnector[]>} One connector per announced wallet
+ */
+async function discoverWallets(options = {}) {
+  const win = options.window || (typeof window !== 'undefined' ? window : null);
+  if (!win || typeof win.addEventListener !== 'function') return [];
+
+  const found = new Map();
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (info && provider && !found.has(info.uuid)) {
+      found.set(info.uuid, new InjectedConnector({ provider, info }));
+    }
+  };
+
+  win.addEventListener('eip6963:announceProvider', onAnnounce);
+  win.dispatchEvent(new Event('eip6963:requestProvider'));
+  await new Promise(resolve => setTimeout(resolve, options.timeout || 200));
+  win.removeEventListener('eip6963:announceProvider', onAnnounce);
+
+  const wallets = [...found.values()];
+  if (!wallets.length && win.ethereum) wallets.push(new InjectedConnector({ provider: win.ethereum }));
+  return wallets;
+}
+
+module.exports = {
+  REMOTE_SIGNER_METHODS,
+  WalletConnector,
+  InjectedConnector,
+  RemoteSignerConnector,
+  MockRemoteSigner,
+  discoverWallets
+};